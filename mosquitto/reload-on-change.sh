@@ -0,0 +1,25 @@
+#!/bin/sh
+# Runs Mosquitto and sends it SIGHUP whenever the API rewrites the generated
+# password or ACL file, so new logins and ACLs apply without a restart
+AUTH_DIR=/mosquitto/auth
+
+# Mosquitto won't start without its password file; it stays empty (no logins)
+# until the API writes it
+touch "$AUTH_DIR/passwd" "$AUTH_DIR/acl"
+
+/usr/sbin/mosquitto -c /etc/mosquitto/mosquitto.conf -v &
+PID=$!
+trap 'kill -TERM "$PID"' TERM INT
+
+LAST=$(cat "$AUTH_DIR/passwd" "$AUTH_DIR/acl" | md5sum)
+while kill -0 "$PID" 2>/dev/null; do
+  sleep 2
+  CURRENT=$(cat "$AUTH_DIR/passwd" "$AUTH_DIR/acl" | md5sum)
+  if [ "$CURRENT" != "$LAST" ]; then
+    LAST=$CURRENT
+    echo "Auth files changed, reloading Mosquitto"
+    kill -HUP "$PID"
+  fi
+done
+
+wait "$PID"
@@ -0,0 +1,243 @@
+/**
+ * Compare telemetry stored in a regular collection (with the indexes it used to
+ * have) against the time-series layout, using the Telemetry model's own statics.
+ *
+ * Runs on MONGO_URI's server in a scratch database (BENCH_DB_NAME,
+ * "smartstickdb_benchmark" by default) that is dropped afterwards:
+ *   npm run benchmark:telemetry
+ * Size the run with BENCH_DEVICES, BENCH_HOURS and BENCH_INTERVAL_S.
+ * Each run's setup and results are appended to benchmarks/RESULTS.md
+ * (BENCH_RESULTS_FILE) so the numbers are kept with what they were measured on.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const config = require("../config");
+const Telemetry = require("../models/Telemetry");
+
+const DEVICES = parseInt(process.env.BENCH_DEVICES) || 20;
+const HOURS = parseInt(process.env.BENCH_HOURS) || 24;
+const INTERVAL_S = parseInt(process.env.BENCH_INTERVAL_S) || 5;
+const RESULTS_FILE =
+  process.env.BENCH_RESULTS_FILE || path.join(__dirname, "RESULTS.md");
+const BATCH_SIZE = 1000;
+const QUERY_RUNS = 10;
+
+/**
+ * Build the two models from the Telemetry schema
+ * @returns {Object} - { regular, timeseries }
+ */
+function buildModels() {
+  const regularSchema = Telemetry.schema.clone();
+  regularSchema.set("timeseries", undefined);
+  regularSchema.set("expireAfterSeconds", undefined);
+  regularSchema.clearIndexes();
+  // Indexes of the regular collection before the migration
+  regularSchema.index({ deviceId: 1, timestamp: -1 });
+  regularSchema.index({ timestamp: -1 });
+  regularSchema.index({ "gps.lat": 1, "gps.lon": 1 });
+  regularSchema.index({ processed: 1 });
+  regularSchema.index({ "alerts.type": 1, "alerts.acknowledged": 1 });
+  regularSchema.index(
+    { timestamp: 1 },
+    { expireAfterSeconds: Math.floor(config.telemetry.retention.rawMs / 1000) }
+  );
+
+  return {
+    regular: mongoose.model(
+      "BenchmarkRegularTelemetry",
+      regularSchema,
+      "benchmark_telemetry_regular"
+    ),
+    timeseries: mongoose.model(
+      "BenchmarkTimeSeriesTelemetry",
+      Telemetry.schema.clone(),
+      "benchmark_telemetry_timeseries"
+    ),
+  };
+}
+
+/**
+ * Synthetic readings for one interval across all devices
+ * @param {Date} timestamp - Reading time
+ * @param {number} step - Interval number, drives the simulated values
+ * @returns {Array<Object>} - Plain telemetry documents
+ */
+function readingsAt(timestamp, step) {
+  return Array.from({ length: DEVICES }, (_, device) => ({
+    deviceId: `bench-${String(device).padStart(4, "0")}`,
+    timestamp,
+    source: "mqtt",
+    sensors: {
+      ultrasonicLeft: 50 + ((step + device) % 200),
+      ultrasonicCenter: 40 + ((step * 3 + device) % 250),
+      ultrasonicRight: 60 + ((step * 7 + device) % 180),
+      IMU: {
+        accelerometer: { x: 0.1, y: 0.2, z: 9.7 + (step % 10) / 10 },
+        gyroscope: { x: 0, y: 0, z: 0.01 },
+      },
+      battery: { level: 100 - ((step / 100) % 100), charging: false },
+    },
+    gps:
+      step % 2 === 0
+        ? {
+            lat: 40.7128 + device / 100 + step / 1e6,
+            lon: -74.006 + step / 1e6,
+            accuracy: 5,
+            satellites: 8,
+          }
+        : {},
+    connectivity: { wifi: { connected: true, signalStrength: -60 } },
+    deviceStatus: { uptime: step * INTERVAL_S },
+    alerts: [],
+    processed: false,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  }));
+}
+
+/**
+ * Median duration of an async function
+ * @param {Function} fn - Function to time
+ * @returns {Promise<number>} - Median milliseconds over QUERY_RUNS runs
+ */
+async function median(fn) {
+  const durations = [];
+  for (let i = 0; i < QUERY_RUNS; i++) {
+    const start = process.hrtime.bigint();
+    await fn();
+    durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  durations.sort((a, b) => a - b);
+  return durations[Math.floor(durations.length / 2)];
+}
+
+/**
+ * Insert the synthetic data set and time the model's read statics
+ * @param {mongoose.Model} Model - Collection under test
+ * @returns {Promise<Object>} - Results row
+ */
+async function benchmark(Model) {
+  await Model.createCollection();
+  await Model.createIndexes();
+
+  const steps = (HOURS * 3600) / INTERVAL_S;
+  const start = Date.now() - HOURS * 60 * 60 * 1000;
+  let pending = [];
+  let writeMs = 0;
+
+  const flush = async () => {
+    const begin = process.hrtime.bigint();
+    await Model.collection.insertMany(pending, { ordered: false });
+    writeMs += Number(process.hrtime.bigint() - begin) / 1e6;
+    pending = [];
+  };
+
+  for (let step = 0; step < steps; step++) {
+    pending.push(
+      ...readingsAt(new Date(start + step * INTERVAL_S * 1000), step)
+    );
+    if (pending.length >= BATCH_SIZE) await flush();
+  }
+  if (pending.length > 0) await flush();
+
+  const deviceId = "bench-0000";
+  const now = new Date();
+  const [stats] = await Model.aggregate([{ $collStats: { storageStats: {} } }]);
+
+  return {
+    documents: steps * DEVICES,
+    "writes/s": Math.round((steps * DEVICES) / (writeMs / 1000)),
+    "storage MB": +(stats.storageStats.storageSize / 1e6).toFixed(1),
+    "index MB": +(stats.storageStats.totalIndexSize / 1e6).toFixed(1),
+    "getDeviceStats ms": await median(() =>
+      Model.getDeviceStats(deviceId, HOURS)
+    ),
+    "getByTimeRange (1h) ms": await median(() =>
+      Model.getByTimeRange(
+        deviceId,
+        new Date(now.getTime() - 60 * 60 * 1000),
+        now
+      ).lean()
+    ),
+    "getWithGPS ms": await median(() => Model.getWithGPS(deviceId).lean()),
+  };
+}
+
+/**
+ * Describe what the run measured on, to be recorded next to its results
+ * @returns {Promise<Object>} - Setup row
+ */
+async function describeSetup() {
+  const server = await mongoose.connection.db.admin().serverInfo();
+  return {
+    mongodb: server.version,
+    node: process.version,
+    platform: `${os.platform()} ${os.arch()}`,
+    cpu: `${os.cpus().length} × ${os.cpus()[0].model}`,
+    "memory GB": +(os.totalmem() / 1e9).toFixed(1),
+    devices: DEVICES,
+    hours: HOURS,
+    "interval s": INTERVAL_S,
+  };
+}
+
+/**
+ * Append a run to the results file as Markdown tables
+ * @param {Object} setup - From describeSetup
+ * @param {Object} results - { regular, timeseries } result rows
+ */
+function recordResults(setup, results) {
+  const { regular, timeseries } = results;
+  const lines = [
+    `## ${new Date().toISOString()}`,
+    "",
+    "| Setup | |",
+    "| --- | --- |",
+    ...Object.entries(setup).map(([key, value]) => `| ${key} | ${value} |`),
+    "",
+    "| Metric | Regular | Time-series | Time-series / regular |",
+    "| --- | ---: | ---: | ---: |",
+    ...Object.keys(regular).map((metric) => {
+      const ratio = regular[metric]
+        ? (timeseries[metric] / regular[metric]).toFixed(2)
+        : "-";
+      return `| ${metric} | ${regular[metric]} | ${timeseries[metric]} | ${ratio} |`;
+    }),
+    "",
+  ];
+  fs.appendFileSync(RESULTS_FILE, `\n${lines.join("\n")}`);
+  console.log(`📝 Results recorded in ${RESULTS_FILE}`);
+}
+
+async function main() {
+  const dbName = process.env.BENCH_DB_NAME || "smartstickdb_benchmark";
+  await mongoose.connect(config.mongoUri, { dbName, autoIndex: false });
+
+  try {
+    const setup = await describeSetup();
+    console.table({ setup });
+    if (parseInt(setup.mongodb) < 7) {
+      console.warn(
+        `⚠️ MongoDB ${setup.mongodb} is older than the 7.0 deployment target`
+      );
+    }
+    const models = buildModels();
+    const results = {};
+    for (const [name, Model] of Object.entries(models)) {
+      console.log(`⏱️  Benchmarking ${name} collection...`);
+      results[name] = await benchmark(Model);
+    }
+    console.table(results);
+    recordResults(setup, results);
+  } finally {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Benchmark failed:", error);
+  process.exit(1);
+});
@@ -11,7 +11,194 @@ const config = {
   // JWT Configuration
   jwt: {
     secret: process.env.JWT_SECRET || "fallback_secret_change_this",
-    expiresIn: process.env.JWT_EXPIRES_IN || "24h",
+    expiresIn: process.env.JWT_EXPIRES_IN || "15m",
+    refreshExpiresInMs:
+      parseInt(process.env.REFRESH_TOKEN_TTL_MS) || 30 * 24 * 60 * 60 * 1000, // 30 days
+    // The token a refresh just replaced is rejected without revoking the session for this long
+    refreshReuseGraceMs:
+      parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_MS) || 30 * 1000, // 30 seconds
+  },
+
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    issuer: process.env.TOTP_ISSUER || "Smart Stick",
+    challengeExpiresIn: "5m",
+    recoveryCodeCount: 10,
+    requiredForStaff: process.env.TWO_FACTOR_REQUIRED_FOR_STAFF !== "false",
+  },
+
+  // Encryption for secrets the server must read back (device keys)
+  encryption: {
+    key: process.env.ENCRYPTION_KEY || "fallback_encryption_key_change_this",
+  },
+
+  // Device Authentication (signed ingestion)
+  deviceAuth: {
+    signatureToleranceMs:
+      parseInt(process.env.DEVICE_SIGNATURE_TOLERANCE_MS) || 5 * 60 * 1000, // 5 minutes
+    rotationGraceMs:
+      parseInt(process.env.DEVICE_ROTATION_GRACE_MS) || 24 * 60 * 60 * 1000, // 24 hours
+  },
+
+  // Telemetry alert rules, shared by the HTTP and MQTT ingestion paths
+  alerts: {
+    lowBattery: {
+      threshold: 20, // percent
+      highSeverityBelow: 10,
+      dedupMs: 60 * 60 * 1000, // 1 hour
+    },
+    obstacle: {
+      threshold: 30, // cm
+      highSeverityBelow: 15,
+      dedupMs: 5 * 1000, // 5 seconds
+    },
+    fall: {
+      threshold: 20, // m/s² acceleration magnitude
+      dedupMs: 30 * 1000, // 30 seconds, one impact produces several readings
+    },
+  },
+
+  // Telemetry storage
+  telemetry: {
+    // Per-sensor MQTT messages within one interval are merged into a single snapshot
+    snapshotBucketMs:
+      parseInt(process.env.TELEMETRY_SNAPSHOT_BUCKET_MS) || 10 * 1000, // 10 seconds
+    // A snapshot flush that hasn't finished after this is assumed dead and retried
+    snapshotClaimTimeoutMs: 60 * 1000, // 1 minute
+    // Readings older than this on arrival are backfill: alerts are recorded as late, users aren't notified
+    lateAfterMs: parseInt(process.env.TELEMETRY_LATE_AFTER_MS) || 5 * 60 * 1000, // 5 minutes
+    maxBatchRecords: parseInt(process.env.TELEMETRY_MAX_BATCH_RECORDS) || 1000,
+    // Tiered retention: raw readings, then the hourly and daily rollups built from them
+    retention: {
+      rawMs:
+        parseInt(process.env.TELEMETRY_RAW_RETENTION_MS) ||
+        30 * 24 * 60 * 60 * 1000, // 30 days
+      hourlyMs:
+        parseInt(process.env.TELEMETRY_HOURLY_RETENTION_MS) ||
+        365 * 24 * 60 * 60 * 1000, // 1 year
+      dailyMs:
+        parseInt(process.env.TELEMETRY_DAILY_RETENTION_MS) ||
+        5 * 365 * 24 * 60 * 60 * 1000, // 5 years
+    },
+    // Downsampled series from GET /api/telemetry/:deviceId/query
+    query: {
+      maxPoints: parseInt(process.env.TELEMETRY_QUERY_MAX_POINTS) || 1000,
+      maxFields: 20,
+      defaultRangeMs: 24 * 60 * 60 * 1000, // 24 hours
+    },
+  },
+
+  // Hourly and daily telemetry rollups
+  rollups: {
+    intervalMs: parseInt(process.env.ROLLUP_INTERVAL_MS) || 15 * 60 * 1000, // 15 minutes
+    // Hours rebuilt on startup, to cover readings that arrived while the server was down
+    lookbackMs: 48 * 60 * 60 * 1000, // 48 hours
+    activityThreshold: 1.5, // m/s² away from gravity counts as movement
+    // GPS points kept per rollup once raw fixes expire
+    trackPoints: { hour: 12, day: 48 },
+  },
+
+  // Duplicate suppression for device messages (telemetry, SOS, command responses)
+  idempotency: {
+    // How long a message ID is remembered; repeats within it get the original result
+    ttlMs: parseInt(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+    maxKeyLength: 128,
+    // A message still processing after this is treated as abandoned and run again
+    processingTimeoutMs:
+      parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_MS) || 2 * 60 * 1000, // 2 minutes
+  },
+
+  // SOS handling
+  sos: {
+    // A new SOS while the device's last one is still open within this window is linked to it as a duplicate
+    duplicateWindowMs:
+      parseInt(process.env.SOS_DUPLICATE_WINDOW_MS) || 2 * 60 * 1000, // 2 minutes
+  },
+
+  // Location history built from GPS fixes
+  location: {
+    // Fixes reporting worse accuracy or fewer satellites are not used as positions
+    maxAccuracyM: parseInt(process.env.LOCATION_MAX_ACCURACY_M) || 50, // metres
+    minSatellites: parseInt(process.env.LOCATION_MIN_SATELLITES) || 4,
+    retentionMs:
+      parseInt(process.env.LOCATION_RETENTION_MS) || 30 * 24 * 60 * 60 * 1000, // 30 days
+    maxTrackPoints: 5000,
+    // Tracks drop fixes that need more than this speed to reach and leave
+    maxSpeedMps: parseFloat(process.env.LOCATION_MAX_SPEED_MPS) || 50, // m/s (180 km/h)
+    // Track time between fixes counts as moving at this speed or more
+    movingSpeedMps: 0.3, // m/s
+    // Fixes further apart than this start a new track segment
+    segmentGapMs:
+      parseInt(process.env.LOCATION_SEGMENT_GAP_MS) || 5 * 60 * 1000, // 5 minutes
+  },
+
+  // Device pairing (claim codes)
+  pairing: {
+    codeLength: 8,
+    codeTtlMs: parseInt(process.env.PAIRING_CODE_TTL_MS) || 10 * 60 * 1000, // 10 minutes
+    maxFailedAttempts: 5,
+    lockMs: 15 * 60 * 1000, // 15 minutes
+    rateLimit: {
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      maxRequests: parseInt(process.env.PAIRING_RATE_LIMIT_MAX) || 10,
+    },
+  },
+
+  // Device sharing invitations
+  invitations: {
+    ttlMs: parseInt(process.env.INVITATION_TTL_MS) || 7 * 24 * 60 * 60 * 1000, // 7 days
+    acceptUrl:
+      process.env.INVITATION_ACCEPT_URL || "smartstick://invitations/accept",
+  },
+
+  // Temporary device access grants
+  accessGrants: {
+    maxDurationMs:
+      parseInt(process.env.ACCESS_GRANT_MAX_DURATION_MS) ||
+      30 * 24 * 60 * 60 * 1000, // 30 days
+    retentionMs:
+      parseInt(process.env.ACCESS_GRANT_RETENTION_MS) ||
+      90 * 24 * 60 * 60 * 1000, // 90 days after a grant ends
+    maxLogEntries: 500,
+  },
+
+  // API keys for third-party integrations
+  apiKeys: {
+    keyPrefix: "ssk",
+    defaultTtlMs:
+      parseInt(process.env.API_KEY_DEFAULT_TTL_MS) || 90 * 24 * 60 * 60 * 1000, // 90 days
+    maxTtlMs:
+      parseInt(process.env.API_KEY_MAX_TTL_MS) || 365 * 24 * 60 * 60 * 1000, // 1 year
+  },
+
+  // Hash-chained audit log of security-relevant actions
+  audit: {
+    maxPageSize: 200,
+    maxExportEntries: parseInt(process.env.AUDIT_MAX_EXPORT_ENTRIES) || 100000,
+  },
+
+  // Password reset via emailed one-time tokens
+  passwordReset: {
+    tokenTtlMs: parseInt(process.env.PASSWORD_RESET_TTL_MS) || 30 * 60 * 1000, // 30 minutes
+    resendIntervalMs: 60 * 1000, // 1 minute between emails per account
+    resetUrl: process.env.PASSWORD_RESET_URL || "smartstick://password/reset",
+    rateLimit: {
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      maxRequests: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_MAX) || 5,
+    },
+  },
+
+  // Outgoing mail (console, memory or smtp transport)
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || "console",
+    from: process.env.MAIL_FROM || "Smart Stick <no-reply@smartstick.com>",
+    smtp: {
+      host: process.env.SMTP_HOST || "localhost",
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
   },
 
   // MQTT Configuration
@@ -24,15 +211,26 @@ const config = {
       reconnectPeriod: 1000,
       clean: true,
       encoding: "utf8",
+      username: process.env.MQTT_USERNAME || undefined,
+      password: process.env.MQTT_PASSWORD || undefined,
     },
   },
 
+  // Mosquitto password and ACL files generated from the device and user registry
+  mosquitto: {
+    passwordFile: process.env.MOSQUITTO_PASSWORD_FILE,
+    aclFile: process.env.MOSQUITTO_ACL_FILE,
+    reloadCommand: process.env.MOSQUITTO_RELOAD_COMMAND, // e.g. "kill -HUP 1" with a shared PID namespace
+    syncDelayMs: 2000, // Batch registry changes into one rewrite
+    hashIterations: 101, // Mosquitto's default for $7$ hashes
+  },
+
   // Firebase Configuration
   fcm: {
     serviceAccount: process.env.FCM_SERVICE_ACCOUNT,
   },
 
-  // Admin Configuration
+  // Admin Configuration (this email is given the super-admin role on registration)
   admin: {
     email: process.env.ADMIN_EMAIL || "admin@smartstick.com",
   },
@@ -0,0 +1,320 @@
+const AccessGrant = require("../models/AccessGrant");
+const User = require("../models/User");
+const DeviceAccess = require("../utils/deviceAccess");
+const Validators = require("../utils/validators");
+const config = require("../config");
+
+class AccessGrantController {
+  /**
+   * Resolve the caller's right to manage grants on a device
+   * Sends the error response itself and resolves null when not allowed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<Object|null>} - DeviceAccess result
+   */
+  static async checkManageAccess(req, res) {
+    const access = await DeviceAccess.check(
+      req.user,
+      req.params.deviceId,
+      "members:manage"
+    );
+    if (!access.user) {
+      res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+      return null;
+    }
+
+    if (!access.allowed) {
+      res.status(403).json({
+        success: false,
+        message: "Only the device owner can manage access grants",
+      });
+      return null;
+    }
+
+    return access;
+  }
+
+  /**
+   * Give a user temporary access to a device (owner only)
+   * POST /api/devices/:deviceId/grants
+   */
+  static async createGrant(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const { email, startsAt, endsAt, scopes, note } = req.body;
+
+      const access = await AccessGrantController.checkManageAccess(req, res);
+      if (!access) return;
+
+      const start = startsAt ? new Date(startsAt) : new Date();
+      const end = new Date(endsAt);
+
+      if (end <= start || end <= Date.now()) {
+        return res.status(400).json({
+          success: false,
+          message: "Grant must end after it starts and in the future",
+        });
+      }
+
+      if (end - start > config.accessGrants.maxDurationMs) {
+        return res.status(400).json({
+          success: false,
+          message: `Grants cannot last longer than ${Math.round(
+            config.accessGrants.maxDurationMs / (24 * 60 * 60 * 1000)
+          )} days`,
+        });
+      }
+
+      const resolvedScopes = AccessGrant.resolveScopes(scopes);
+      if (!resolvedScopes || resolvedScopes.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid grant scopes",
+        });
+      }
+
+      const grantee = await User.findOne({
+        email: email.toLowerCase(),
+        isActive: true,
+      });
+      if (!grantee) {
+        return res.status(404).json({
+          success: false,
+          message: "No active user found with this email",
+        });
+      }
+
+      if (DeviceAccess.getRole(grantee, deviceId) !== null) {
+        return res.status(409).json({
+          success: false,
+          message: "User is already a member of this device",
+        });
+      }
+
+      const grant = await AccessGrant.create({
+        deviceId,
+        grantee: grantee._id,
+        grantedBy: access.user._id,
+        startsAt: start,
+        endsAt: end,
+        scopes: resolvedScopes,
+        note: note ? Validators.sanitizeText(note) : undefined,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Temporary access granted",
+        data: {
+          grant,
+          grantee: {
+            userId: grantee._id,
+            name: grantee.name,
+            email: grantee.email,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error creating access grant:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: Object.values(error.errors).map((err) => err.message),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to create access grant",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * List temporary access grants for a device (owner only)
+   * GET /api/devices/:deviceId/grants
+   */
+  static async getGrants(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const { state } = req.query;
+
+      const access = await AccessGrantController.checkManageAccess(req, res);
+      if (!access) return;
+
+      const grants = await AccessGrant.find({ deviceId })
+        .select("-accessLog")
+        .sort({ startsAt: -1 })
+        .populate("grantee", "name email")
+        .populate("grantedBy", "name email");
+
+      const filtered = state
+        ? grants.filter((grant) => grant.state === state)
+        : grants;
+
+      res.json({
+        success: true,
+        data: {
+          deviceId,
+          grants: filtered,
+          totalGrants: filtered.length,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching access grants:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch access grants",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Get a grant with its audit trail (owner only)
+   * GET /api/devices/:deviceId/grants/:grantId
+   */
+  static async getGrant(req, res) {
+    try {
+      const { deviceId, grantId } = req.params;
+
+      if (!Validators.isValidObjectId(grantId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid grant ID",
+        });
+      }
+
+      const access = await AccessGrantController.checkManageAccess(req, res);
+      if (!access) return;
+
+      const grant = await AccessGrant.findOne({ _id: grantId, deviceId })
+        .populate("grantee", "name email")
+        .populate("grantedBy", "name email");
+      if (!grant) {
+        return res.status(404).json({
+          success: false,
+          message: "Access grant not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: grant,
+      });
+    } catch (error) {
+      console.error("Error fetching access grant:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch access grant",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * End a grant early (owner only)
+   * DELETE /api/devices/:deviceId/grants/:grantId
+   */
+  static async revokeGrant(req, res) {
+    try {
+      const { deviceId, grantId } = req.params;
+
+      if (!Validators.isValidObjectId(grantId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid grant ID",
+        });
+      }
+
+      const access = await AccessGrantController.checkManageAccess(req, res);
+      if (!access) return;
+
+      const grant = await AccessGrant.findOne({ _id: grantId, deviceId });
+      if (!grant) {
+        return res.status(404).json({
+          success: false,
+          message: "Access grant not found",
+        });
+      }
+
+      if (grant.state === "revoked" || grant.state === "expired") {
+        return res.status(400).json({
+          success: false,
+          message: `Access grant has already ${
+            grant.state === "revoked" ? "been revoked" : "expired"
+          }`,
+        });
+      }
+
+      await grant.revoke(access.user._id);
+
+      res.json({
+        success: true,
+        message: "Access grant revoked successfully",
+        data: {
+          grantId: grant._id,
+          revokedAt: grant.revokedAt,
+        },
+      });
+    } catch (error) {
+      console.error("Error revoking access grant:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke access grant",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * List the temporary access the current user holds
+   * GET /api/users/grants
+   */
+  static async getMyGrants(req, res) {
+    try {
+      const grants = await AccessGrant.find({
+        grantee: req.user.userId,
+        revokedAt: null,
+        endsAt: { $gt: new Date() },
+      })
+        .select("-accessLog")
+        .sort({ startsAt: 1 })
+        .populate("grantedBy", "name email");
+
+      res.json({
+        success: true,
+        data: grants,
+      });
+    } catch (error) {
+      console.error("Error fetching user access grants:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch access grants",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = AccessGrantController;
@@ -0,0 +1,259 @@
+const ApiKey = require("../models/ApiKey");
+const User = require("../models/User");
+const DeviceAccess = require("../utils/deviceAccess");
+const Permissions = require("../utils/permissions");
+const Validators = require("../utils/validators");
+const auditService = require("../utils/audit");
+const config = require("../config");
+
+class ApiKeyController {
+  /**
+   * Create an API key for the current user, or for another user (requires users:manage)
+   * The plain key is only returned in this response
+   * POST /api/users/api-keys
+   */
+  static async createApiKey(req, res) {
+    try {
+      const { name, scopes, deviceIds = [], expiresAt, userId } = req.body;
+
+      const ownerId = userId || req.user.userId;
+      if (
+        String(ownerId) !== String(req.user.userId) &&
+        !Permissions.hasPermission(req.user, "users:manage")
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Permission required: users:manage",
+        });
+      }
+
+      if (!Validators.isValidObjectId(ownerId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid user ID",
+        });
+      }
+
+      const owner = await User.findOne({ _id: ownerId, isActive: true });
+      if (!owner) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const uniqueScopes = [...new Set(scopes)];
+      if (!uniqueScopes.every((scope) => ApiKey.getScopes().includes(scope))) {
+        return res.status(400).json({
+          success: false,
+          message: `Scopes must be any of: ${ApiKey.getScopes().join(", ")}`,
+        });
+      }
+
+      // A key can be narrowed to devices, but never widened past its owner's access
+      const uniqueDeviceIds = [...new Set(deviceIds)];
+      const unknownDevice = uniqueDeviceIds.find(
+        (deviceId) => DeviceAccess.getRole(owner, deviceId) === null
+      );
+      if (unknownDevice) {
+        return res.status(400).json({
+          success: false,
+          message: `Device ${unknownDevice} is not linked to this account`,
+        });
+      }
+
+      const expiry = expiresAt
+        ? new Date(expiresAt)
+        : new Date(Date.now() + config.apiKeys.defaultTtlMs);
+
+      if (expiry <= Date.now()) {
+        return res.status(400).json({
+          success: false,
+          message: "Expiry must be in the future",
+        });
+      }
+
+      if (expiry - Date.now() > config.apiKeys.maxTtlMs) {
+        return res.status(400).json({
+          success: false,
+          message: `API keys cannot last longer than ${Math.round(
+            config.apiKeys.maxTtlMs / (24 * 60 * 60 * 1000)
+          )} days`,
+        });
+      }
+
+      const { apiKey, key } = await ApiKey.issue({
+        name: Validators.sanitizeText(name),
+        userId: owner._id,
+        createdBy: req.user.userId,
+        scopes: uniqueScopes,
+        deviceIds: uniqueDeviceIds,
+        expiresAt: expiry,
+      });
+
+      console.log(
+        `🔑 API key ${apiKey.prefix} created for user ${owner._id} by ${req.user.userId}`
+      );
+
+      await auditService.record(req, "apikey.create", {
+        target: { type: "apikey", id: String(apiKey._id) },
+        metadata: {
+          prefix: apiKey.prefix,
+          ownerId: String(owner._id),
+          scopes: apiKey.scopes,
+          deviceIds: apiKey.deviceIds,
+          expiresAt: apiKey.expiresAt,
+        },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "API key created. Store it now, it will not be shown again",
+        data: {
+          apiKey,
+          key,
+        },
+      });
+    } catch (error) {
+      console.error("Error creating API key:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: Object.values(error.errors).map((err) => err.message),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to create API key",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * List the current user's API keys, or another user's (requires users:read)
+   * GET /api/users/api-keys
+   */
+  static async getApiKeys(req, res) {
+    try {
+      const { userId, state } = req.query;
+
+      const ownerId = userId || req.user.userId;
+      if (
+        String(ownerId) !== String(req.user.userId) &&
+        !Permissions.hasPermission(req.user, "users:read")
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Permission required: users:read",
+        });
+      }
+
+      if (!Validators.isValidObjectId(ownerId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid user ID",
+        });
+      }
+
+      const apiKeys = await ApiKey.find({ userId: ownerId })
+        .sort({ createdAt: -1 })
+        .populate("createdBy", "name email");
+
+      const filtered = state
+        ? apiKeys.filter((apiKey) => apiKey.state === state)
+        : apiKeys;
+
+      res.json({
+        success: true,
+        data: filtered,
+      });
+    } catch (error) {
+      console.error("Error fetching API keys:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch API keys",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Revoke an API key (its owner, its creator or users:manage)
+   * DELETE /api/users/api-keys/:keyId
+   */
+  static async revokeApiKey(req, res) {
+    try {
+      const { keyId } = req.params;
+
+      if (!Validators.isValidObjectId(keyId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid API key ID",
+        });
+      }
+
+      const apiKey = await ApiKey.findById(keyId);
+      const canManage =
+        apiKey &&
+        (String(apiKey.userId) === String(req.user.userId) ||
+          String(apiKey.createdBy) === String(req.user.userId) ||
+          Permissions.hasPermission(req.user, "users:manage"));
+
+      if (!canManage) {
+        return res.status(404).json({
+          success: false,
+          message: "API key not found",
+        });
+      }
+
+      if (apiKey.state === "revoked") {
+        return res.status(400).json({
+          success: false,
+          message: "API key has already been revoked",
+        });
+      }
+
+      await apiKey.revoke(req.user.userId);
+
+      console.log(
+        `🔑 API key ${apiKey.prefix} revoked by user ${req.user.userId}`
+      );
+
+      await auditService.record(req, "apikey.revoke", {
+        target: { type: "apikey", id: String(apiKey._id) },
+        metadata: { prefix: apiKey.prefix, ownerId: String(apiKey.userId) },
+      });
+
+      res.json({
+        success: true,
+        message: "API key revoked successfully",
+        data: {
+          keyId: apiKey._id,
+          revokedAt: apiKey.revokedAt,
+        },
+      });
+    } catch (error) {
+      console.error("Error revoking API key:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke API key",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = ApiKeyController;
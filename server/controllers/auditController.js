@@ -0,0 +1,321 @@
+const { once } = require("events");
+const AuditLog = require("../models/AuditLog");
+const User = require("../models/User");
+const Validators = require("../utils/validators");
+const auditService = require("../utils/audit");
+const config = require("../config");
+
+// Columns written by the CSV export, in order
+const CSV_COLUMNS = [
+  "sequence",
+  "timestamp",
+  "action",
+  "actorUserId",
+  "actorEmail",
+  "actorApiKeyId",
+  "ipAddress",
+  "userAgent",
+  "targetType",
+  "targetId",
+  "deviceId",
+  "requestId",
+  "changes",
+  "metadata",
+  "prevHash",
+  "hash",
+];
+
+class AuditController {
+  /**
+   * Check the caller is platform staff; audit entries span every organization
+   * Sends the error response itself and resolves false when not allowed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<boolean>} - True if the caller may read the audit log
+   */
+  static async checkPlatformStaff(req, res) {
+    const user = await User.findById(req.user.userId).select("organizationId");
+    if (!user) {
+      res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+      return false;
+    }
+
+    if (user.organizationId) {
+      res.status(403).json({
+        success: false,
+        message: "The audit log is only available to platform staff",
+      });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Build a MongoDB filter from the audit query string
+   * @param {Object} query - req.query
+   * @returns {{filter: Object, error: string|null}} - Filter, or the first invalid parameter
+   */
+  static buildFilter(query) {
+    const { actorId, action, targetType, targetId, deviceId, requestId } =
+      query;
+    const filter = {};
+
+    if (actorId) {
+      if (!Validators.isValidObjectId(actorId)) {
+        return { filter, error: "Invalid actor ID" };
+      }
+      filter["actor.userId"] = actorId;
+    }
+
+    // "sos." style prefixes match every action in that group
+    if (action) {
+      filter.action = action.endsWith(".")
+        ? {
+            $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`,
+          }
+        : action;
+    }
+
+    if (targetType) filter["target.type"] = targetType;
+    if (targetId) filter["target.id"] = targetId;
+    if (deviceId) filter.deviceId = deviceId;
+    if (requestId) filter.requestId = requestId;
+
+    for (const [param, operator] of [
+      ["from", "$gte"],
+      ["to", "$lte"],
+    ]) {
+      if (!query[param]) continue;
+
+      const date = new Date(query[param]);
+      if (isNaN(date.getTime())) {
+        return { filter, error: `Invalid ${param} date` };
+      }
+      filter.timestamp = { ...filter.timestamp, [operator]: date };
+    }
+
+    return { filter, error: null };
+  }
+
+  /**
+   * Flatten an entry into CSV cells
+   * @param {Object} entry - Lean audit log entry
+   * @returns {string} - One CSV line including the trailing newline
+   */
+  static toCsvRow(entry) {
+    const actor = entry.actor || {};
+    const target = entry.target || {};
+    const values = {
+      sequence: entry.sequence,
+      timestamp: entry.timestamp.toISOString(),
+      action: entry.action,
+      actorUserId: actor.userId,
+      actorEmail: actor.email,
+      actorApiKeyId: actor.apiKeyId,
+      ipAddress: actor.ipAddress,
+      userAgent: actor.userAgent,
+      targetType: target.type,
+      targetId: target.id,
+      deviceId: entry.deviceId,
+      requestId: entry.requestId,
+      changes: entry.changes ? JSON.stringify(entry.changes) : "",
+      metadata: entry.metadata ? JSON.stringify(entry.metadata) : "",
+      prevHash: entry.prevHash,
+      hash: entry.hash,
+    };
+
+    return (
+      CSV_COLUMNS.map((column) => {
+        const value = values[column] == null ? "" : String(values[column]);
+        return /[",\r\n]/.test(value)
+          ? `"${value.replace(/"/g, '""')}"`
+          : value;
+      }).join(",") + "\n"
+    );
+  }
+
+  /**
+   * Search the audit log (requires audit:read)
+   * GET /api/audit
+   */
+  static async getAuditLogs(req, res) {
+    try {
+      if (!(await AuditController.checkPlatformStaff(req, res))) return;
+
+      const { filter, error } = AuditController.buildFilter(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit) || 50, 1),
+        config.audit.maxPageSize
+      );
+      const skip = (page - 1) * limit;
+
+      const entries = await AuditLog.find(filter)
+        .sort({ sequence: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const totalCount = await AuditLog.countDocuments(filter);
+      const totalPages = Math.ceil(totalCount / limit);
+
+      res.json({
+        success: true,
+        data: entries,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching audit log:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch audit log",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Stream matching entries, oldest first, as NDJSON or CSV (requires audit:read)
+   * GET /api/audit/export
+   */
+  static async exportAuditLogs(req, res) {
+    let cursor = null;
+
+    try {
+      if (!(await AuditController.checkPlatformStaff(req, res))) return;
+
+      const { format = "ndjson" } = req.query;
+      if (!["ndjson", "csv"].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: "Format must be ndjson or csv",
+        });
+      }
+
+      const { filter, error } = AuditController.buildFilter(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      // Exports are themselves security-relevant
+      await auditService.record(req, "audit.export", {
+        metadata: { format, filter: req.query },
+      });
+
+      const filename = `audit-log-${new Date()
+        .toISOString()
+        .slice(0, 10)}.${format}`;
+      res.set({
+        "Content-Type":
+          format === "csv"
+            ? "text/csv; charset=utf-8"
+            : "application/x-ndjson; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      });
+
+      if (format === "csv") {
+        res.write(CSV_COLUMNS.join(",") + "\n");
+      }
+
+      cursor = AuditLog.find(filter)
+        .sort({ sequence: 1 })
+        .limit(config.audit.maxExportEntries)
+        .lean()
+        .cursor();
+
+      for await (const entry of cursor) {
+        const line =
+          format === "csv"
+            ? AuditController.toCsvRow(entry)
+            : JSON.stringify(entry) + "\n";
+
+        // Respect backpressure so large exports don't buffer in memory
+        if (!res.write(line)) {
+          await once(res, "drain");
+        }
+      }
+
+      res.end();
+    } catch (error) {
+      console.error("Error exporting audit log:", error);
+
+      if (cursor) {
+        await cursor.close().catch(() => {});
+      }
+
+      // Once streaming has started the status can no longer change
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to export audit log",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Recompute the hash chain and report whether it is intact (requires audit:read)
+   * GET /api/audit/verify
+   */
+  static async verifyAuditLog(req, res) {
+    try {
+      if (!(await AuditController.checkPlatformStaff(req, res))) return;
+
+      const result = await AuditLog.verifyChain();
+
+      if (!result.valid) {
+        console.error(
+          `🚨 Audit log chain broken at sequence ${result.brokenAt.sequence} (${result.brokenAt.reason})`
+        );
+      }
+
+      res.json({
+        success: true,
+        message: result.valid
+          ? "Audit log chain is intact"
+          : "Audit log chain is broken",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Error verifying audit log:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to verify audit log",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = AuditController;
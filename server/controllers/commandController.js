@@ -1,7 +1,8 @@
 const mqttClient = require("../mqtt/mqttClient");
 const Event = require("../models/Event");
-const User = require("../models/User");
 const Validators = require("../utils/validators");
+const DeviceAccess = require("../utils/deviceAccess");
+const auditService = require("../utils/audit");
 
 class CommandController {
   /**
@@ -22,18 +23,20 @@ class CommandController {
       }
 
       // Check if user has access to this device
-      const user = await User.findById(req.user.userId);
-      if (!user) {
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        command === "reboot" ? "commands:reboot" : "commands:send",
+        req
+      );
+      if (!access.user) {
         return res.status(404).json({
           success: false,
           message: "User not found",
         });
       }
 
-      const hasAccess =
-        user.devices.some((device) => device.deviceId === deviceId) ||
-        user.isAdmin;
-      if (!hasAccess) {
+      if (!access.allowed) {
         return res.status(403).json({
           success: false,
           message: "Access denied to this device",
@@ -107,6 +110,16 @@ class CommandController {
         },
       });
 
+      await auditService.record(req, "command.send", {
+        target: { type: "device", id: deviceId },
+        deviceId,
+        metadata: {
+          command,
+          parameters: sanitizedParameters,
+          messageId: result.messageId,
+        },
+      });
+
       res.status(200).json({
         success: true,
         message: "Command sent successfully",
@@ -149,18 +162,20 @@ class CommandController {
       }
 
       // Check if user has access to this device
-      const user = await User.findById(req.user.userId);
-      if (!user) {
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "events:read",
+        req
+      );
+      if (!access.user) {
         return res.status(404).json({
           success: false,
           message: "User not found",
         });
       }
 
-      const hasAccess =
-        user.devices.some((device) => device.deviceId === deviceId) ||
-        user.isAdmin;
-      if (!hasAccess) {
+      if (!access.allowed) {
         return res.status(403).json({
           success: false,
           message: "Access denied to this device",
@@ -234,18 +249,20 @@ class CommandController {
       }
 
       // Check if user has access to this device
-      const user = await User.findById(req.user.userId);
-      if (!user) {
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "commands:send",
+        req
+      );
+      if (!access.user) {
         return res.status(404).json({
           success: false,
           message: "User not found",
         });
       }
 
-      const hasAccess =
-        user.devices.some((device) => device.deviceId === deviceId) ||
-        user.isAdmin;
-      if (!hasAccess) {
+      if (!access.allowed) {
         return res.status(403).json({
           success: false,
           message: "Access denied to this device",
@@ -309,6 +326,12 @@ class CommandController {
 
       const successCount = results.filter((r) => r.success).length;
 
+      await auditService.record(req, "command.emergency", {
+        target: { type: "device", id: deviceId },
+        deviceId,
+        metadata: { intensity, duration, results },
+      });
+
       res.status(successCount > 0 ? 200 : 500).json({
         success: successCount > 0,
         message: `Emergency commands sent: ${successCount}/${commands.length} successful`,
@@ -350,18 +373,20 @@ class CommandController {
       }
 
       // Check if user has access to this device
-      const user = await User.findById(req.user.userId);
-      if (!user) {
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "commands:send",
+        req
+      );
+      if (!access.user) {
         return res.status(404).json({
           success: false,
           message: "User not found",
         });
       }
 
-      const hasAccess =
-        user.devices.some((device) => device.deviceId === deviceId) ||
-        user.isAdmin;
-      if (!hasAccess) {
+      if (!access.allowed) {
         return res.status(403).json({
           success: false,
           message: "Access denied to this device",
@@ -429,21 +454,13 @@ class CommandController {
   }
 
   /**
-   * Send bulk commands to multiple devices (admin only)
+   * Send bulk commands to multiple devices (requires commands:bulk)
    * POST /api/commands/bulk
    */
   static async sendBulkCommands(req, res) {
     try {
       const { deviceIds, command, parameters = {} } = req.body;
 
-      // Check admin access
-      if (!req.user.isAdmin) {
-        return res.status(403).json({
-          success: false,
-          message: "Admin access required for bulk commands",
-        });
-      }
-
       // Validate input
       if (!Array.isArray(deviceIds) || deviceIds.length === 0) {
         return res.status(400).json({
@@ -532,6 +549,10 @@ class CommandController {
 
       const successCount = results.filter((r) => r.success).length;
 
+      await auditService.record(req, "command.bulk", {
+        metadata: { command, parameters, results },
+      });
+
       res.status(successCount > 0 ? 200 : 500).json({
         success: successCount > 0,
         message: `Bulk commands sent: ${successCount}/${deviceIds.length} successful`,
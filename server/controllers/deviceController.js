@@ -0,0 +1,934 @@
+const Device = require("../models/Device");
+const DeviceCredential = require("../models/DeviceCredential");
+const Event = require("../models/Event");
+const User = require("../models/User");
+const Validators = require("../utils/validators");
+const DeviceAccess = require("../utils/deviceAccess");
+const mosquittoAuthService = require("../utils/mosquitto");
+
+class DeviceController {
+  /**
+   * Provision devices in bulk (requires devices:provision)
+   * Creates registry records for new serial numbers, moves them to the
+   * provisioned state and issues each one a signing secret.
+   * POST /api/devices/provision
+   */
+  static async provisionDevices(req, res) {
+    try {
+      const { devices } = req.body;
+      const results = [];
+
+      for (const entry of devices) {
+        const serialNumber = Validators.sanitizeText(entry.serialNumber);
+        const deviceId = entry.deviceId
+          ? Validators.sanitizeText(entry.deviceId)
+          : serialNumber;
+
+        try {
+          if (!Validators.isValidDeviceId(deviceId)) {
+            results.push({
+              serialNumber,
+              deviceId,
+              success: false,
+              error: "Invalid device ID format",
+            });
+            continue;
+          }
+
+          let device = await Device.findOne({ serialNumber });
+          if (!device) {
+            device = new Device({
+              deviceId,
+              serialNumber,
+              hardwareModel: entry.hardwareModel,
+              firmwareVersion: entry.firmwareVersion,
+              stateHistory: [
+                { state: "manufactured", changedBy: req.user.userId },
+              ],
+            });
+          } else if (device.deviceId !== deviceId && entry.deviceId) {
+            results.push({
+              serialNumber,
+              deviceId,
+              success: false,
+              error: `Serial number is registered as device ${device.deviceId}`,
+            });
+            continue;
+          }
+
+          if (device.state !== "manufactured") {
+            results.push({
+              serialNumber,
+              deviceId: device.deviceId,
+              success: false,
+              error: `Device is already ${device.state}`,
+            });
+            continue;
+          }
+
+          if (entry.hardwareModel) device.hardwareModel = entry.hardwareModel;
+          if (entry.firmwareVersion) {
+            device.firmwareVersion = entry.firmwareVersion;
+          }
+          device.transitionTo("provisioned", req.user.userId);
+          await device.save();
+
+          const { credential, secret } = await DeviceCredential.issue(
+            device.deviceId,
+            req.user.userId
+          );
+
+          results.push({
+            serialNumber,
+            deviceId: device.deviceId,
+            success: true,
+            keyId: credential.current.keyId,
+            secret,
+          });
+        } catch (error) {
+          results.push({
+            serialNumber,
+            deviceId,
+            success: false,
+            error:
+              error.code === 11000
+                ? "Device ID or serial number already registered"
+                : error.message,
+          });
+        }
+      }
+
+      const successCount = results.filter((r) => r.success).length;
+      if (successCount > 0) {
+        mosquittoAuthService.scheduleSync("devices provisioned");
+      }
+
+      res.status(successCount > 0 ? 201 : 400).json({
+        success: successCount > 0,
+        message: `Devices provisioned: ${successCount}/${devices.length} successful. Store the secrets now, they will not be shown again`,
+        data: {
+          results,
+          successCount,
+          totalDevices: devices.length,
+        },
+      });
+    } catch (error) {
+      console.error("Error provisioning devices:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to provision devices",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * List registered devices (requires devices:read)
+   * GET /api/devices
+   */
+  static async getDevices(req, res) {
+    try {
+      const { page = 1, limit = 20, state, search } = req.query;
+
+      // Staff who belong to an organization only ever see its devices
+      const query = await DeviceAccess.getStaffScope(req.user);
+
+      if (state) {
+        query.state = state;
+      }
+      if (search) {
+        const pattern = new RegExp(
+          search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+          "i"
+        );
+        query.$or = [{ deviceId: pattern }, { serialNumber: pattern }];
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const devices = await Device.find(query)
+        .select("-stateHistory -ownerHistory")
+        .populate("owner", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean();
+
+      const totalCount = await Device.countDocuments(query);
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: devices,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching devices:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch devices",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Get a registered device with its lifecycle and owner history (requires devices:read)
+   * GET /api/devices/:deviceId
+   */
+  static async getDevice(req, res) {
+    try {
+      const { deviceId } = req.params;
+
+      const scope = await DeviceAccess.getStaffScope(req.user);
+      const device = await Device.findOne({ deviceId, ...scope })
+        .populate("owner", "name email")
+        .populate("ownerHistory.userId", "name email")
+        .lean();
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: "Device not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: device,
+      });
+    } catch (error) {
+      console.error("Error fetching device:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch device",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Decommission a device: revoke credentials and detach it from accounts (requires devices:decommission)
+   * POST /api/devices/:deviceId/decommission
+   */
+  static async decommissionDevice(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const { note = "" } = req.body;
+
+      const scope = await DeviceAccess.getStaffScope(req.user);
+      const device = await Device.findOne({ deviceId, ...scope });
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: "Device not found",
+        });
+      }
+
+      if (device.state === "decommissioned") {
+        return res.status(409).json({
+          success: false,
+          message: "Device is already decommissioned",
+        });
+      }
+
+      await device.decommission(req.user.userId, Validators.sanitizeText(note));
+
+      const credential = await DeviceCredential.findActiveByDevice(deviceId);
+      if (credential) {
+        await credential.revoke(req.user.userId);
+        mosquittoAuthService.scheduleSync("device decommissioned");
+      }
+
+      await User.updateMany(
+        { "devices.deviceId": deviceId },
+        { $pull: { devices: { deviceId } } }
+      );
+
+      res.json({
+        success: true,
+        message: "Device decommissioned successfully",
+        data: {
+          deviceId,
+          state: device.state,
+          decommissionedAt: device.decommissionedAt,
+        },
+      });
+    } catch (error) {
+      console.error("Error decommissioning device:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to decommission device",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Check a device is within the requesting staff member's organization
+   * Devices of other organizations are reported as not found
+   * Sends the error response itself and resolves false when out of scope
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<boolean>} - True if the staff member may manage the device
+   */
+  static async checkStaffScope(req, res, deviceId) {
+    const scope = await DeviceAccess.getStaffScope(req.user);
+    if (
+      !scope.organizationId ||
+      (await Device.exists({ deviceId, ...scope }))
+    ) {
+      return true;
+    }
+
+    res.status(404).json({
+      success: false,
+      message: "Device not found",
+    });
+    return false;
+  }
+
+  /**
+   * Generate a pairing code for the stick to display (device signed)
+   * POST /api/devices/pairing-code
+   */
+  static async requestPairingCode(req, res) {
+    return DeviceController.issuePairingCode(
+      req,
+      res,
+      req.device.deviceId,
+      "device"
+    );
+  }
+
+  /**
+   * Generate a pairing code from the provisioning record (requires devices:provision)
+   * POST /api/devices/:deviceId/pairing-code
+   */
+  static async createProvisioningPairingCode(req, res) {
+    return DeviceController.issuePairingCode(
+      req,
+      res,
+      req.params.deviceId,
+      "provisioning"
+    );
+  }
+
+  /**
+   * Issue a short-lived one-time pairing code for a claimable device
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} deviceId - Device ID
+   * @param {string} source - "device" or "provisioning"
+   */
+  static async issuePairingCode(req, res, deviceId, source) {
+    try {
+      if (
+        source === "provisioning" &&
+        !(await DeviceController.checkStaffScope(req, res, deviceId))
+      ) {
+        return;
+      }
+
+      const device = await Device.findProvisioned(deviceId);
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: "Device not found or not provisioned",
+        });
+      }
+
+      if (!device.isClaimable) {
+        return res.status(409).json({
+          success: false,
+          message: "Device is already claimed",
+        });
+      }
+
+      if (device.isPairingLocked) {
+        return res.status(423).json({
+          success: false,
+          message:
+            "Pairing is temporarily locked for this device due to too many failed attempts",
+        });
+      }
+
+      const { code, expiresAt } = await device.issuePairingCode(source);
+
+      await Event.create({
+        type: "PAIRING_CODE_ISSUED",
+        deviceId,
+        userId: req.user ? req.user.userId : undefined,
+        severity: "low",
+        title: "Pairing Code Issued",
+        description: `Pairing code issued for device ${deviceId} (${source})`,
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.get("user-agent"),
+        },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Pairing code generated",
+        data: {
+          deviceId,
+          pairingCode: code,
+          expiresAt,
+        },
+      });
+    } catch (error) {
+      console.error("Error issuing pairing code:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to issue pairing code",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Issue a signing secret for a device (requires devices:credentials)
+   * POST /api/devices/:deviceId/credentials
+   */
+  static async issueCredentials(req, res) {
+    try {
+      const { deviceId } = req.params;
+
+      if (!Validators.isValidDeviceId(deviceId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid device ID format",
+        });
+      }
+
+      if (!(await DeviceController.checkStaffScope(req, res, deviceId))) {
+        return;
+      }
+
+      const device = await Device.findProvisioned(deviceId);
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: "Device not found or not provisioned",
+        });
+      }
+
+      const existing = await DeviceCredential.findActiveByDevice(deviceId);
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Device already has active credentials. Rotate or revoke them instead",
+        });
+      }
+
+      const { credential, secret } = await DeviceCredential.issue(
+        deviceId,
+        req.user.userId
+      );
+      mosquittoAuthService.scheduleSync("credentials issued");
+
+      res.status(201).json({
+        success: true,
+        message:
+          "Device credentials issued. Store the secret now, it will not be shown again",
+        data: {
+          deviceId,
+          keyId: credential.current.keyId,
+          secret,
+          issuedAt: credential.current.issuedAt,
+        },
+      });
+    } catch (error) {
+      console.error("Error issuing device credentials:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to issue device credentials",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Rotate a device secret, keeping the old one valid for a grace period (requires devices:credentials)
+   * POST /api/devices/:deviceId/credentials/rotate
+   */
+  static async rotateCredentials(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const { graceMinutes } = req.body;
+
+      if (!(await DeviceController.checkStaffScope(req, res, deviceId))) {
+        return;
+      }
+
+      const credential = await DeviceCredential.findActiveByDevice(deviceId);
+      if (!credential) {
+        return res.status(404).json({
+          success: false,
+          message: "No active credentials found for this device",
+        });
+      }
+
+      const graceMs =
+        graceMinutes !== undefined
+          ? Math.max(0, parseInt(graceMinutes) || 0) * 60 * 1000
+          : undefined;
+
+      const { secret } = await credential.rotate(graceMs);
+      mosquittoAuthService.scheduleSync("credentials rotated");
+
+      res.json({
+        success: true,
+        message:
+          "Device credentials rotated. Store the secret now, it will not be shown again",
+        data: {
+          deviceId,
+          keyId: credential.current.keyId,
+          secret,
+          issuedAt: credential.current.issuedAt,
+          previousKeyId: credential.previous.keyId,
+          previousValidUntil: credential.previous.expiresAt,
+        },
+      });
+    } catch (error) {
+      console.error("Error rotating device credentials:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to rotate device credentials",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Revoke all credentials for a device (requires devices:credentials)
+   * DELETE /api/devices/:deviceId/credentials
+   */
+  static async revokeCredentials(req, res) {
+    try {
+      const { deviceId } = req.params;
+
+      if (!(await DeviceController.checkStaffScope(req, res, deviceId))) {
+        return;
+      }
+
+      const credential = await DeviceCredential.findActiveByDevice(deviceId);
+      if (!credential) {
+        return res.status(404).json({
+          success: false,
+          message: "No active credentials found for this device",
+        });
+      }
+
+      await credential.revoke(req.user.userId);
+      mosquittoAuthService.scheduleSync("credentials revoked");
+
+      res.json({
+        success: true,
+        message: "Device credentials revoked",
+        data: {
+          deviceId,
+          revokedAt: credential.revokedAt,
+        },
+      });
+    } catch (error) {
+      console.error("Error revoking device credentials:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke device credentials",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Get credential status for a device, without secrets (requires devices:credentials)
+   * GET /api/devices/:deviceId/credentials
+   */
+  static async getCredentials(req, res) {
+    try {
+      const { deviceId } = req.params;
+
+      if (!(await DeviceController.checkStaffScope(req, res, deviceId))) {
+        return;
+      }
+
+      const credential = await DeviceCredential.findOne({ deviceId });
+      if (!credential) {
+        return res.status(404).json({
+          success: false,
+          message: "No credentials found for this device",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: credential,
+      });
+    } catch (error) {
+      console.error("Error fetching device credentials:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch device credentials",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * List users who have access to a device
+   * GET /api/devices/:deviceId/members
+   */
+  static async getMembers(req, res) {
+    try {
+      const { deviceId } = req.params;
+
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "members:read"
+      );
+      if (!access.user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!access.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied to this device",
+        });
+      }
+
+      const users = await User.findDeviceMembers(deviceId).select(
+        "name email devices"
+      );
+
+      const members = users.map((member) => {
+        const membership = member.devices.find(
+          (device) => device.deviceId === deviceId
+        );
+        return {
+          userId: member._id,
+          name: member.name,
+          email: member.email,
+          role: membership.role || "owner",
+          addedBy: membership.addedBy,
+          addedAt: membership.addedAt,
+        };
+      });
+
+      res.json({
+        success: true,
+        data: {
+          deviceId,
+          members,
+          totalMembers: members.length,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching device members:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch device members",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Share a device with an existing user (owner only)
+   * POST /api/devices/:deviceId/members
+   */
+  static async addMember(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const { email, role } = req.body;
+
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "members:manage"
+      );
+      if (!access.user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!access.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the device owner can manage members",
+        });
+      }
+
+      const member = await User.findOne({
+        email: email.toLowerCase(),
+        isActive: true,
+      });
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: "No active user found with this email",
+        });
+      }
+
+      if (DeviceAccess.getRole(member, deviceId)) {
+        return res.status(409).json({
+          success: false,
+          message: "User already has access to this device",
+        });
+      }
+
+      const ownerEntry = access.user.devices.find(
+        (device) => device.deviceId === deviceId
+      );
+      await member.addDevice(
+        deviceId,
+        ownerEntry ? ownerEntry.name : "Smart Stick",
+        role,
+        access.user._id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Device shared successfully",
+        data: {
+          deviceId,
+          userId: member._id,
+          email: member.email,
+          role,
+        },
+      });
+    } catch (error) {
+      console.error("Error adding device member:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add device member",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Change a member's role, or transfer ownership (owner only)
+   * PATCH /api/devices/:deviceId/members/:userId
+   */
+  static async updateMember(req, res) {
+    try {
+      const { deviceId, userId } = req.params;
+      const { role } = req.body;
+
+      if (!Validators.isValidObjectId(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid user ID",
+        });
+      }
+
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "members:manage"
+      );
+      if (!access.user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!access.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the device owner can manage members",
+        });
+      }
+
+      const member = await User.findById(userId);
+      const memberRole = member ? DeviceAccess.getRole(member, deviceId) : null;
+      if (!memberRole) {
+        return res.status(404).json({
+          success: false,
+          message: "User is not a member of this device",
+        });
+      }
+
+      if (memberRole === "owner") {
+        return res.status(400).json({
+          success: false,
+          message: "Transfer ownership to another member instead",
+        });
+      }
+
+      // Transferring ownership demotes the current owner to caregiver first,
+      // so the owner lookup can't match the member being promoted
+      if (role === "owner") {
+        const currentOwner = await User.findByDeviceId(deviceId);
+        if (currentOwner && !currentOwner._id.equals(member._id)) {
+          currentOwner.devices.find(
+            (device) => device.deviceId === deviceId
+          ).role = "caregiver";
+          await currentOwner.save();
+        }
+      }
+
+      const membership = member.devices.find(
+        (device) => device.deviceId === deviceId
+      );
+      membership.role = role;
+      await member.save();
+
+      if (role === "owner") {
+        const device = await Device.findOne({ deviceId });
+        if (device) {
+          await device.transferOwnership(member._id);
+        }
+      }
+
+      res.json({
+        success: true,
+        message:
+          role === "owner"
+            ? "Device ownership transferred successfully"
+            : "Member role updated successfully",
+        data: {
+          deviceId,
+          userId: member._id,
+          role,
+        },
+      });
+    } catch (error) {
+      console.error("Error updating device member:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update device member",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Remove a member's access to a device (owner only)
+   * DELETE /api/devices/:deviceId/members/:userId
+   */
+  static async removeMember(req, res) {
+    try {
+      const { deviceId, userId } = req.params;
+
+      if (!Validators.isValidObjectId(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid user ID",
+        });
+      }
+
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "members:manage"
+      );
+      if (!access.user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!access.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the device owner can manage members",
+        });
+      }
+
+      const member = await User.findById(userId);
+      const memberRole = member ? DeviceAccess.getRole(member, deviceId) : null;
+      if (!memberRole) {
+        return res.status(404).json({
+          success: false,
+          message: "User is not a member of this device",
+        });
+      }
+
+      if (memberRole === "owner") {
+        return res.status(400).json({
+          success: false,
+          message:
+            "The owner cannot be removed. Remove the device from the owner's account instead",
+        });
+      }
+
+      await member.removeDevice(deviceId);
+
+      res.json({
+        success: true,
+        message: "Member removed successfully",
+        data: {
+          deviceId,
+          userId: member._id,
+        },
+      });
+    } catch (error) {
+      console.error("Error removing device member:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove device member",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = DeviceController;
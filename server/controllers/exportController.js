@@ -0,0 +1,309 @@
+const Telemetry = require("../models/Telemetry");
+const Event = require("../models/Event");
+const DeviceAccess = require("../utils/deviceAccess");
+const auditService = require("../utils/audit");
+const exportService = require("../utils/export");
+
+// Sections of a reading flattened into CSV columns, in schema order
+const TELEMETRY_SECTIONS = [
+  "sensors",
+  "gps",
+  "connectivity",
+  "deviceStatus",
+  "metadata",
+];
+
+// Columns written by the event CSV export, in order
+const EVENT_COLUMNS = [
+  "id",
+  "timestamp",
+  "deviceId",
+  "type",
+  "severity",
+  "status",
+  "title",
+  "description",
+  "lat",
+  "lon",
+  "userId",
+  "emergencyType",
+  "late",
+  "acknowledgedAt",
+  "resolvedAt",
+  "escalated",
+  "metadata",
+  "relatedEvents",
+];
+
+// Columns written by the telemetry CSV export: every scalar field of the
+// reading sections, with alerts as JSON
+const TELEMETRY_COLUMNS = ["timestamp", "deviceId", "source"];
+Telemetry.schema.eachPath((path, schemaType) => {
+  if (
+    TELEMETRY_SECTIONS.includes(path.split(".")[0]) &&
+    ["Number", "String", "Boolean", "Date"].includes(schemaType.instance)
+  ) {
+    TELEMETRY_COLUMNS.push(path);
+  }
+});
+TELEMETRY_COLUMNS.push("alerts");
+
+class ExportController {
+  /**
+   * CSV columns of the telemetry export
+   * @param {boolean} includeLocation - Whether GPS columns are included
+   * @returns {Array<string>} - Dotted paths
+   */
+  static getTelemetryColumns(includeLocation = true) {
+    return TELEMETRY_COLUMNS.filter(
+      (column) => includeLocation || !column.startsWith("gps.")
+    );
+  }
+
+  /**
+   * Check export access to a device
+   * Location data is only included when the caller may also read locations
+   * Sends the error response itself and resolves null when not allowed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} permission - Permission for the exported data
+   * @returns {Promise<{includeLocation: boolean}|null>} - Export options, or null
+   */
+  static async checkAccess(req, res, permission) {
+    const { deviceId } = req.params;
+
+    const access = await DeviceAccess.check(
+      req.user,
+      deviceId,
+      permission,
+      req
+    );
+    if (!access.user) {
+      res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+      return null;
+    }
+
+    if (!access.allowed) {
+      res.status(403).json({
+        success: false,
+        message: "Access denied to this device",
+      });
+      return null;
+    }
+
+    const locationAccess = await DeviceAccess.check(
+      req.user,
+      deviceId,
+      "location:read",
+      req
+    );
+    return { includeLocation: locationAccess.allowed };
+  }
+
+  /**
+   * Build the timestamp filter from the from/to query parameters
+   * @param {Object} query - req.query
+   * @returns {Object|null} - Filter for the timestamp field, or null for all time
+   */
+  static timeRange(query) {
+    if (!query.from && !query.to) return null;
+
+    const range = {};
+    if (query.from) range.$gte = new Date(query.from);
+    if (query.to) range.$lte = new Date(query.to);
+    return range;
+  }
+
+  /**
+   * Send the error response for a failed export
+   * Once streaming has started the status can no longer change, so the
+   * response is just ended
+   * @param {Object} res - Express response object
+   * @param {Error} error - Error raised
+   * @param {string} message - Message for the client
+   */
+  static sendError(res, error, message) {
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message,
+      error:
+        process.env.NODE_ENV === "development"
+          ? error.message
+          : "Internal server error",
+    });
+  }
+
+  /**
+   * Stream a device's telemetry, oldest first, as CSV or NDJSON
+   * GET /api/exports/:deviceId/telemetry
+   */
+  static async exportTelemetry(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const { format = "ndjson" } = req.query;
+
+      const options = await ExportController.checkAccess(
+        req,
+        res,
+        "telemetry:read"
+      );
+      if (!options) return;
+
+      const filter = { deviceId };
+      const range = ExportController.timeRange(req.query);
+      if (range) filter.timestamp = range;
+
+      // Exports of personal health data are audited
+      await auditService.record(req, "telemetry.export", {
+        target: { type: "device", id: deviceId },
+        deviceId,
+        metadata: {
+          format,
+          from: req.query.from,
+          to: req.query.to,
+          includesLocation: options.includeLocation,
+        },
+      });
+
+      // Readings not yet copied from the pre-time-series collection are missing
+      const migration = await Telemetry.getMigrationStatus(
+        range && range.$gte,
+        range && range.$lte
+      );
+      if (migration.inProgress) {
+        res.set(
+          "X-Telemetry-Migration-Pending",
+          `${migration.pendingFrom.toISOString()}/${migration.pendingTo.toISOString()}`
+        );
+      }
+
+      const columns = ExportController.getTelemetryColumns(
+        options.includeLocation
+      );
+
+      const cursor = Telemetry.find(filter)
+        .select(
+          options.includeLocation
+            ? "-__v -processed -processingErrors"
+            : "-__v -processed -processingErrors -gps"
+        )
+        .sort({ timestamp: 1 })
+        .lean()
+        .cursor({ batchSize: 1000 });
+
+      await exportService.stream(res, cursor, {
+        format,
+        filename: `telemetry-${deviceId}-${new Date()
+          .toISOString()
+          .slice(0, 10)}`,
+        columns,
+        toRow: (reading) =>
+          format === "csv" ? exportService.flatten(reading) : reading,
+      });
+    } catch (error) {
+      console.error("Error exporting telemetry:", error);
+      ExportController.sendError(res, error, "Failed to export telemetry");
+    }
+  }
+
+  /**
+   * Stream a device's events, oldest first, as CSV or NDJSON
+   * GET /api/exports/:deviceId/events
+   */
+  static async exportEvents(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const { format = "ndjson", type } = req.query;
+
+      const options = await ExportController.checkAccess(
+        req,
+        res,
+        "events:read"
+      );
+      if (!options) return;
+
+      const filter = { deviceId };
+      if (type) filter.type = type;
+      const range = ExportController.timeRange(req.query);
+      if (range) filter.timestamp = range;
+
+      // Exports of personal health data are audited
+      await auditService.record(req, "events.export", {
+        target: { type: "device", id: deviceId },
+        deviceId,
+        metadata: {
+          format,
+          type,
+          from: req.query.from,
+          to: req.query.to,
+          includesLocation: options.includeLocation,
+        },
+      });
+
+      const cursor = Event.find(filter)
+        .select(
+          options.includeLocation
+            ? "-__v"
+            : "-__v -location -metadata.sensorData.gpsAccuracy"
+        )
+        .sort({ timestamp: 1 })
+        .lean()
+        .cursor({ batchSize: 1000 });
+
+      await exportService.stream(res, cursor, {
+        format,
+        filename: `events-${deviceId}-${new Date().toISOString().slice(0, 10)}`,
+        columns: EVENT_COLUMNS,
+        toRow: (event) =>
+          format === "csv" ? ExportController.toEventRow(event) : event,
+      });
+    } catch (error) {
+      console.error("Error exporting events:", error);
+      ExportController.sendError(res, error, "Failed to export events");
+    }
+  }
+
+  /**
+   * Flatten an event into CSV cells
+   * @param {Object} event - Lean event
+   * @returns {Object} - Cell values by column
+   */
+  static toEventRow(event) {
+    const metadata = event.metadata || {};
+    const coordinates = event.location && event.location.coordinates;
+    const [acknowledgment] = event.acknowledgments || [];
+
+    return {
+      id: event._id,
+      timestamp: event.timestamp,
+      deviceId: event.deviceId,
+      type: event.type,
+      severity: event.severity,
+      status: event.status,
+      title: event.title,
+      description: event.description,
+      lat: coordinates ? coordinates[1] : null,
+      lon: coordinates ? coordinates[0] : null,
+      userId: event.userId,
+      emergencyType: metadata.emergencyType,
+      late: metadata.late,
+      acknowledgedAt: acknowledgment && acknowledgment.acknowledgedAt,
+      resolvedAt: event.resolution && event.resolution.resolvedAt,
+      escalated: event.escalation && event.escalation.escalated,
+      metadata: Object.keys(metadata).length > 0 ? metadata : null,
+      relatedEvents:
+        event.relatedEvents && event.relatedEvents.length > 0
+          ? event.relatedEvents
+          : null,
+    };
+  }
+}
+
+module.exports = ExportController;
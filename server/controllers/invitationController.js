@@ -0,0 +1,477 @@
+const Invitation = require("../models/Invitation");
+const Device = require("../models/Device");
+const User = require("../models/User");
+const AuthUtils = require("../utils/auth");
+const DeviceAccess = require("../utils/deviceAccess");
+const mailerService = require("../utils/mailer");
+const Validators = require("../utils/validators");
+const UserController = require("./userController");
+const config = require("../config");
+
+class InvitationController {
+  /**
+   * Resolve a signed invitation token to its pending invitation
+   * Sends the error response itself and resolves null when the token is unusable
+   * @param {Object} res - Express response object
+   * @param {string} token - Signed invitation token
+   * @returns {Promise<Object|null>} - Pending invitation
+   */
+  static async loadPendingInvitation(res, token) {
+    let decoded;
+    try {
+      decoded = AuthUtils.verifyPurposeToken(token, "invitation");
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message:
+          error.name === "TokenExpiredError"
+            ? "Invitation has expired"
+            : "Invalid invitation token",
+      });
+      return null;
+    }
+
+    const invitation = Validators.isValidObjectId(decoded.invitationId)
+      ? await Invitation.findById(decoded.invitationId)
+      : null;
+    if (!invitation || !invitation.matchesToken(token)) {
+      res.status(404).json({
+        success: false,
+        message: "Invitation not found",
+      });
+      return null;
+    }
+
+    const status = await invitation.refreshStatus();
+    if (status !== "pending") {
+      res.status(410).json({
+        success: false,
+        message: `Invitation is no longer valid (${status})`,
+      });
+      return null;
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Invite someone to a device by email (owner only)
+   * POST /api/devices/:deviceId/invitations
+   */
+  static async createInvitation(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const { email, role } = req.body;
+
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "members:manage"
+      );
+      if (!access.user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!access.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the device owner can invite members",
+        });
+      }
+
+      const existingMember = await User.findOne({
+        email: email.toLowerCase(),
+      });
+      if (
+        existingMember &&
+        DeviceAccess.getRole(existingMember, deviceId) !== null
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: "User already has access to this device",
+        });
+      }
+
+      if (await Invitation.findPending(deviceId, email)) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "An invitation is already pending for this email. Revoke it to send a new one",
+        });
+      }
+
+      const invitation = new Invitation({
+        deviceId,
+        email,
+        role,
+        invitedBy: access.user._id,
+        expiresAt: new Date(Date.now() + config.invitations.ttlMs),
+      });
+
+      const token = AuthUtils.generatePurposeToken(
+        { invitationId: invitation._id, deviceId },
+        "invitation",
+        Math.floor(config.invitations.ttlMs / 1000)
+      );
+      invitation.tokenHash = AuthUtils.hashToken(token);
+      await invitation.save();
+
+      const mailResult = await mailerService.sendInvitation(
+        invitation,
+        token,
+        access.user.name
+      );
+
+      res.status(201).json({
+        success: true,
+        message: mailResult.success
+          ? "Invitation sent successfully"
+          : "Invitation created, but the email could not be sent",
+        data: {
+          invitation,
+          emailSent: mailResult.success,
+        },
+      });
+    } catch (error) {
+      console.error("Error creating invitation:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create invitation",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * List invitations for a device (owner only)
+   * GET /api/devices/:deviceId/invitations
+   */
+  static async getInvitations(req, res) {
+    try {
+      const { deviceId } = req.params;
+      const { status } = req.query;
+
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "members:manage"
+      );
+      if (!access.user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!access.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the device owner can view invitations",
+        });
+      }
+
+      // Flag lapsed invitations before filtering on status
+      await Invitation.updateMany(
+        { deviceId, status: "pending", expiresAt: { $lte: new Date() } },
+        { $set: { status: "expired" } }
+      );
+
+      const query = { deviceId };
+      if (status) {
+        query.status = status;
+      }
+
+      const invitations = await Invitation.find(query)
+        .sort({ createdAt: -1 })
+        .populate("invitedBy", "name email");
+
+      res.json({
+        success: true,
+        data: {
+          deviceId,
+          invitations,
+          totalInvitations: invitations.length,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching invitations:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch invitations",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Revoke a pending invitation (owner only)
+   * DELETE /api/devices/:deviceId/invitations/:invitationId
+   */
+  static async revokeInvitation(req, res) {
+    try {
+      const { deviceId, invitationId } = req.params;
+
+      if (!Validators.isValidObjectId(invitationId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid invitation ID",
+        });
+      }
+
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "members:manage"
+      );
+      if (!access.user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!access.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the device owner can revoke invitations",
+        });
+      }
+
+      const invitation = await Invitation.findOne({
+        _id: invitationId,
+        deviceId,
+      });
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: "Invitation not found",
+        });
+      }
+
+      const status = await invitation.refreshStatus();
+      if (status !== "pending") {
+        return res.status(400).json({
+          success: false,
+          message: `Only pending invitations can be revoked (currently ${status})`,
+        });
+      }
+
+      await invitation.revoke(access.user._id);
+
+      res.json({
+        success: true,
+        message: "Invitation revoked successfully",
+        data: { invitation },
+      });
+    } catch (error) {
+      console.error("Error revoking invitation:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke invitation",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Show who sent an invitation and whether the invitee needs an account
+   * GET /api/invitations/preview?token=...
+   */
+  static async previewInvitation(req, res) {
+    try {
+      const invitation = await InvitationController.loadPendingInvitation(
+        res,
+        req.query.token
+      );
+      if (!invitation) return;
+
+      await invitation.populate("invitedBy", "name");
+      const hasAccount = await User.exists({ email: invitation.email });
+
+      res.json({
+        success: true,
+        data: {
+          deviceId: invitation.deviceId,
+          email: invitation.email,
+          role: invitation.role,
+          invitedBy: invitation.invitedBy ? invitation.invitedBy.name : null,
+          expiresAt: invitation.expiresAt,
+          requiresAccount: !hasAccount,
+        },
+      });
+    } catch (error) {
+      console.error("Error previewing invitation:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to load invitation",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Accept an invitation
+   * Existing users must be logged in as the invited email; new users
+   * send name and password and get an account through the register flow
+   * POST /api/invitations/accept
+   */
+  static async acceptInvitation(req, res) {
+    try {
+      const { token, name, password, fcmToken } = req.body;
+
+      const invitation = await InvitationController.loadPendingInvitation(
+        res,
+        token
+      );
+      if (!invitation) return;
+
+      // The inviter must still be allowed to share the device
+      const [device, inviterAccess] = await Promise.all([
+        Device.findProvisioned(invitation.deviceId),
+        DeviceAccess.check(
+          { userId: invitation.invitedBy },
+          invitation.deviceId,
+          "members:manage"
+        ),
+      ]);
+      if (!device || !inviterAccess.allowed) {
+        await invitation.revoke();
+        return res.status(410).json({
+          success: false,
+          message: "Invitation is no longer valid (revoked)",
+        });
+      }
+
+      let user = await User.findOne({ email: invitation.email });
+      let tokens = null;
+
+      if (user) {
+        if (!req.user || String(req.user.userId) !== String(user._id)) {
+          return res.status(401).json({
+            success: false,
+            message: `Log in as ${invitation.email} to accept this invitation`,
+          });
+        }
+
+        if (!user.isActive) {
+          return res.status(403).json({
+            success: false,
+            message: "Account is deactivated",
+          });
+        }
+
+        if (DeviceAccess.getRole(user, invitation.deviceId) !== null) {
+          await invitation.respond("accepted", user._id);
+          return res.status(409).json({
+            success: false,
+            message: "You already have access to this device",
+          });
+        }
+      } else {
+        if (!name || !password) {
+          return res.status(400).json({
+            success: false,
+            message: "Name and password are required to create your account",
+          });
+        }
+
+        ({ user, ...tokens } = await UserController.createAccount(
+          { name, email: invitation.email, password, fcmToken },
+          req
+        ));
+      }
+
+      const ownerEntry = inviterAccess.user.devices.find(
+        (entry) => entry.deviceId === invitation.deviceId
+      );
+      await user.addDevice(
+        invitation.deviceId,
+        ownerEntry ? ownerEntry.name : "Smart Stick",
+        invitation.role,
+        invitation.invitedBy
+      );
+      await invitation.respond("accepted", user._id);
+
+      const userResponse = user.toJSON();
+      delete userResponse.passwordHash;
+
+      res.status(tokens ? 201 : 200).json({
+        success: true,
+        message: "Invitation accepted successfully",
+        data: {
+          deviceId: invitation.deviceId,
+          role: invitation.role,
+          user: userResponse,
+          ...tokens,
+        },
+      });
+    } catch (error) {
+      console.error("Error accepting invitation:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: Object.values(error.errors).map((err) => err.message),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to accept invitation",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Decline an invitation
+   * POST /api/invitations/decline
+   */
+  static async declineInvitation(req, res) {
+    try {
+      const invitation = await InvitationController.loadPendingInvitation(
+        res,
+        req.body.token
+      );
+      if (!invitation) return;
+
+      await invitation.respond("declined");
+
+      res.json({
+        success: true,
+        message: "Invitation declined",
+      });
+    } catch (error) {
+      console.error("Error declining invitation:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to decline invitation",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = InvitationController;
@@ -0,0 +1,825 @@
+const Organization = require("../models/Organization");
+const Device = require("../models/Device");
+const Event = require("../models/Event");
+const Telemetry = require("../models/Telemetry");
+const User = require("../models/User");
+const Permissions = require("../utils/permissions");
+const Validators = require("../utils/validators");
+
+class OrganizationController {
+  /**
+   * Load the organization in the route and check the caller may use it
+   * Members can view it, its admins can manage it, and platform staff with
+   * organizations:manage can do both. Sends the error response itself and
+   * resolves null when not allowed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {boolean} adminOnly - Require organization admin rights
+   * @returns {Promise<{organization: Object, user: Object}|null>}
+   */
+  static async loadOrganization(req, res, adminOnly = true) {
+    const { orgId } = req.params;
+
+    if (!Validators.isValidObjectId(orgId)) {
+      res.status(400).json({
+        success: false,
+        message: "Invalid organization ID",
+      });
+      return null;
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+      return null;
+    }
+
+    const isMember = String(user.organizationId) === String(orgId);
+    const isPlatformStaff =
+      !user.organizationId &&
+      Permissions.hasPermission(req.user, "organizations:manage");
+    const allowed =
+      isPlatformStaff ||
+      (isMember && (!adminOnly || user.organizationRole === "admin"));
+
+    // Other tenants get the same answer as a missing organization
+    const organization = allowed ? await Organization.findById(orgId) : null;
+    if (!organization) {
+      res.status(404).json({
+        success: false,
+        message: "Organization not found",
+      });
+      return null;
+    }
+
+    return { organization, user };
+  }
+
+  /**
+   * Create an organization, optionally naming its first admin (requires organizations:manage)
+   * POST /api/organizations
+   */
+  static async createOrganization(req, res) {
+    try {
+      const { name, slug, contactEmail, contactPhone, address, adminEmail } =
+        req.body;
+
+      let admin = null;
+      if (adminEmail) {
+        admin = await User.findOne({
+          email: adminEmail.toLowerCase(),
+          isActive: true,
+        });
+        if (!admin) {
+          return res.status(404).json({
+            success: false,
+            message: "No active user found with this email",
+          });
+        }
+
+        if (admin.organizationId) {
+          return res.status(409).json({
+            success: false,
+            message: "User already belongs to an organization",
+          });
+        }
+      }
+
+      const organization = await Organization.create({
+        name: Validators.sanitizeText(name),
+        slug,
+        contactEmail,
+        contactPhone,
+        address: address ? Validators.sanitizeText(address) : undefined,
+        createdBy: req.user.userId,
+      });
+
+      if (admin) {
+        admin.organizationId = organization._id;
+        admin.organizationRole = "admin";
+        await admin.save();
+      }
+
+      console.log(`🏥 Organization ${organization.slug} created`);
+
+      res.status(201).json({
+        success: true,
+        message: "Organization created successfully",
+        data: organization,
+      });
+    } catch (error) {
+      console.error("Error creating organization:", error);
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "An organization with this slug already exists",
+        });
+      }
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: Object.values(error.errors).map((err) => err.message),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to create organization",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * List organizations (requires organizations:manage)
+   * GET /api/organizations
+   */
+  static async getOrganizations(req, res) {
+    try {
+      const { page = 1, limit = 20, search } = req.query;
+
+      const query = {};
+      if (search) {
+        const pattern = new RegExp(
+          search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+          "i"
+        );
+        query.$or = [{ name: pattern }, { slug: pattern }];
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const organizations = await Organization.find(query)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const totalCount = await Organization.countDocuments(query);
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: organizations,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching organizations:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch organizations",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Get an organization with member and device counts (members)
+   * GET /api/organizations/:orgId
+   */
+  static async getOrganization(req, res) {
+    try {
+      const context = await OrganizationController.loadOrganization(
+        req,
+        res,
+        false
+      );
+      if (!context) return;
+
+      const { organization } = context;
+      const memberCount = await User.countDocuments({
+        organizationId: organization._id,
+        isActive: true,
+      });
+      const deviceCount = await Device.countDocuments({
+        organizationId: organization._id,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...organization.toJSON(),
+          memberCount,
+          deviceCount,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching organization:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch organization",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Update organization details (organization admins)
+   * PUT /api/organizations/:orgId
+   */
+  static async updateOrganization(req, res) {
+    try {
+      const context = await OrganizationController.loadOrganization(req, res);
+      if (!context) return;
+
+      const { organization } = context;
+      const { name, contactEmail, contactPhone, address } = req.body;
+
+      if (name !== undefined) {
+        organization.name = Validators.sanitizeText(name);
+      }
+      if (contactEmail !== undefined) organization.contactEmail = contactEmail;
+      if (contactPhone !== undefined) organization.contactPhone = contactPhone;
+      if (address !== undefined) {
+        organization.address = Validators.sanitizeText(address);
+      }
+
+      await organization.save();
+
+      res.json({
+        success: true,
+        message: "Organization updated successfully",
+        data: organization,
+      });
+    } catch (error) {
+      console.error("Error updating organization:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: Object.values(error.errors).map((err) => err.message),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to update organization",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Replace the organization's emergency contacts (organization admins)
+   * PUT /api/organizations/:orgId/emergency-contacts
+   */
+  static async updateEmergencyContacts(req, res) {
+    try {
+      const { emergencyContacts } = req.body;
+
+      if (!Array.isArray(emergencyContacts)) {
+        return res.status(400).json({
+          success: false,
+          message: "Emergency contacts must be an array",
+        });
+      }
+
+      // Validate emergency contacts
+      for (const contact of emergencyContacts) {
+        if (!contact.name || !contact.phone) {
+          return res.status(400).json({
+            success: false,
+            message: "Each emergency contact must have name and phone",
+          });
+        }
+      }
+
+      const context = await OrganizationController.loadOrganization(req, res);
+      if (!context) return;
+
+      const { organization } = context;
+      organization.emergencyContacts = emergencyContacts;
+      await organization.save();
+
+      res.json({
+        success: true,
+        message: "Emergency contacts updated successfully",
+        data: organization.emergencyContacts,
+      });
+    } catch (error) {
+      console.error("Error updating organization emergency contacts:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: Object.values(error.errors).map((err) => err.message),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to update emergency contacts",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * List the organization's users (organization admins)
+   * GET /api/organizations/:orgId/members
+   */
+  static async getMembers(req, res) {
+    try {
+      const context = await OrganizationController.loadOrganization(req, res);
+      if (!context) return;
+
+      const members = await User.find({
+        organizationId: context.organization._id,
+      })
+        .select("name email organizationRole isActive devices lastLogin")
+        .sort({ name: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          organizationId: context.organization._id,
+          members: members.map((member) => ({
+            userId: member._id,
+            name: member.name,
+            email: member.email,
+            role: member.organizationRole,
+            isActive: member.isActive,
+            deviceIds: member.devices.map((device) => device.deviceId),
+            lastLogin: member.lastLogin,
+          })),
+          totalMembers: members.length,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching organization members:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch organization members",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Add an existing user to the organization (organization admins)
+   * POST /api/organizations/:orgId/members
+   */
+  static async addMember(req, res) {
+    try {
+      const { email, role = "member" } = req.body;
+
+      const context = await OrganizationController.loadOrganization(req, res);
+      if (!context) return;
+
+      const member = await User.findOne({
+        email: email.toLowerCase(),
+        isActive: true,
+      });
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: "No active user found with this email",
+        });
+      }
+
+      if (member.organizationId) {
+        return res.status(409).json({
+          success: false,
+          message: "User already belongs to an organization",
+        });
+      }
+
+      member.organizationId = context.organization._id;
+      member.organizationRole = role;
+      await member.save();
+
+      res.status(201).json({
+        success: true,
+        message: "Member added successfully",
+        data: {
+          userId: member._id,
+          name: member.name,
+          email: member.email,
+          role: member.organizationRole,
+        },
+      });
+    } catch (error) {
+      console.error("Error adding organization member:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add organization member",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Change a member's organization role (organization admins)
+   * PATCH /api/organizations/:orgId/members/:userId
+   */
+  static async updateMember(req, res) {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      if (!Validators.isValidObjectId(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid user ID",
+        });
+      }
+
+      const context = await OrganizationController.loadOrganization(req, res);
+      if (!context) return;
+
+      const member = await User.findOne({
+        _id: userId,
+        organizationId: context.organization._id,
+      });
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found",
+        });
+      }
+
+      if (
+        member.organizationRole === "admin" &&
+        role !== "admin" &&
+        (await User.findOrganizationAdmins(context.organization._id)).length ===
+          1
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "An organization must keep at least one admin",
+        });
+      }
+
+      member.organizationRole = role;
+      await member.save();
+
+      res.json({
+        success: true,
+        message: "Member role updated successfully",
+        data: {
+          userId: member._id,
+          role: member.organizationRole,
+        },
+      });
+    } catch (error) {
+      console.error("Error updating organization member:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update organization member",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Remove a user from the organization (organization admins)
+   * Devices stay with the organization until they are removed separately
+   * DELETE /api/organizations/:orgId/members/:userId
+   */
+  static async removeMember(req, res) {
+    try {
+      const { userId } = req.params;
+
+      if (!Validators.isValidObjectId(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid user ID",
+        });
+      }
+
+      const context = await OrganizationController.loadOrganization(req, res);
+      if (!context) return;
+
+      const member = await User.findOne({
+        _id: userId,
+        organizationId: context.organization._id,
+      });
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found",
+        });
+      }
+
+      if (
+        member.organizationRole === "admin" &&
+        (await User.findOrganizationAdmins(context.organization._id)).length ===
+          1
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "An organization must keep at least one admin",
+        });
+      }
+
+      member.organizationId = null;
+      member.organizationRole = null;
+      await member.save();
+
+      res.json({
+        success: true,
+        message: "Member removed successfully",
+        data: {
+          userId: member._id,
+        },
+      });
+    } catch (error) {
+      console.error("Error removing organization member:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove organization member",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * List the organization's devices (organization admins)
+   * GET /api/organizations/:orgId/devices
+   */
+  static async getDevices(req, res) {
+    try {
+      const context = await OrganizationController.loadOrganization(req, res);
+      if (!context) return;
+
+      const devices = await Device.find({
+        organizationId: context.organization._id,
+      })
+        .select("deviceId serialNumber hardwareModel state owner lastSeen")
+        .populate("owner", "name email")
+        .sort({ deviceId: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          organizationId: context.organization._id,
+          devices,
+          totalDevices: devices.length,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching organization devices:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch organization devices",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Bring a resident's device under the organization (organization admins)
+   * The device must be claimed by a member of the organization
+   * POST /api/organizations/:orgId/devices
+   */
+  static async addDevice(req, res) {
+    try {
+      const { deviceId } = req.body;
+
+      const context = await OrganizationController.loadOrganization(req, res);
+      if (!context) return;
+
+      const { organization } = context;
+      const device = await Device.findOne({ deviceId, state: "claimed" });
+      const owner = device ? await User.findById(device.owner) : null;
+
+      if (!owner || String(owner.organizationId) !== String(organization._id)) {
+        return res.status(404).json({
+          success: false,
+          message: "No device claimed by a member of this organization",
+        });
+      }
+
+      if (device.organizationId) {
+        return res.status(409).json({
+          success: false,
+          message:
+            String(device.organizationId) === String(organization._id)
+              ? "Device already belongs to this organization"
+              : "Device belongs to another organization",
+        });
+      }
+
+      device.organizationId = organization._id;
+      await device.save();
+
+      res.status(201).json({
+        success: true,
+        message: "Device added to organization successfully",
+        data: {
+          deviceId: device.deviceId,
+          organizationId: organization._id,
+        },
+      });
+    } catch (error) {
+      console.error("Error adding organization device:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add organization device",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Remove a device from the organization (organization admins)
+   * DELETE /api/organizations/:orgId/devices/:deviceId
+   */
+  static async removeDevice(req, res) {
+    try {
+      const { deviceId } = req.params;
+
+      const context = await OrganizationController.loadOrganization(req, res);
+      if (!context) return;
+
+      const device = await Device.findOneAndUpdate(
+        { deviceId, organizationId: context.organization._id },
+        { $set: { organizationId: null } },
+        { new: true }
+      );
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: "Device not found in this organization",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Device removed from organization successfully",
+        data: {
+          deviceId: device.deviceId,
+        },
+      });
+    } catch (error) {
+      console.error("Error removing organization device:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove organization device",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Organization-wide SOS and telemetry dashboard (organization admins)
+   * GET /api/organizations/:orgId/dashboard
+   */
+  static async getDashboard(req, res) {
+    try {
+      const { timeRange = 24 } = req.query; // hours
+
+      const context = await OrganizationController.loadOrganization(req, res);
+      if (!context) return;
+
+      const { organization } = context;
+      const hours = parseInt(timeRange);
+      const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+      const deviceIds = await Device.getOrganizationDeviceIds(organization._id);
+
+      const residents = await User.countDocuments({
+        organizationId: organization._id,
+        organizationRole: "member",
+        isActive: true,
+      });
+
+      const matchQuery = {
+        type: "SOS",
+        deviceId: { $in: deviceIds },
+        timestamp: { $gte: since },
+      };
+
+      const sosStats = await Event.aggregate([
+        { $match: matchQuery },
+        {
+          $group: {
+            _id: null,
+            totalSOS: { $sum: 1 },
+            open: {
+              $sum: { $cond: [{ $eq: ["$status", "active"] }, 1, 0] },
+            },
+            acknowledged: {
+              $sum: { $cond: [{ $eq: ["$status", "acknowledged"] }, 1, 0] },
+            },
+            resolved: {
+              $sum: { $cond: [{ $eq: ["$status", "resolved"] }, 1, 0] },
+            },
+          },
+        },
+      ]);
+
+      const sosByDevice = await Event.aggregate([
+        { $match: matchQuery },
+        {
+          $group: {
+            _id: "$deviceId",
+            count: { $sum: 1 },
+            lastSOS: { $max: "$timestamp" },
+          },
+        },
+        { $sort: { count: -1 } },
+      ]);
+
+      const telemetryStats = await Telemetry.getFleetStats(deviceIds, hours);
+      const reporting = new Set(telemetryStats.map((stats) => stats._id));
+      const batteryLevels = telemetryStats
+        .map((stats) => stats.latestBattery)
+        .filter((level) => typeof level === "number");
+
+      res.json({
+        success: true,
+        data: {
+          organizationId: organization._id,
+          timeRange: hours,
+          residents,
+          devices: {
+            total: deviceIds.length,
+            reporting: reporting.size,
+            silent: deviceIds.filter((deviceId) => !reporting.has(deviceId)),
+            lowBattery: telemetryStats
+              .filter(
+                (stats) =>
+                  typeof stats.latestBattery === "number" &&
+                  stats.latestBattery < 20
+              )
+              .map((stats) => stats._id),
+            avgBattery: batteryLevels.length
+              ? Math.round(
+                  batteryLevels.reduce((sum, level) => sum + level, 0) /
+                    batteryLevels.length
+                )
+              : null,
+          },
+          sos: {
+            summary:
+              sosStats.length > 0
+                ? sosStats[0]
+                : { totalSOS: 0, open: 0, acknowledged: 0, resolved: 0 },
+            deviceBreakdown: sosByDevice,
+          },
+          telemetry: telemetryStats,
+        },
+      });
+    } catch (error) {
+      console.error("Error building organization dashboard:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to build organization dashboard",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = OrganizationController;
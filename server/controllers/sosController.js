@@ -1,154 +1,44 @@
 const Event = require("../models/Event");
 const User = require("../models/User");
+const Organization = require("../models/Organization");
 const fcmService = require("../utils/fcm");
 const Validators = require("../utils/validators");
+const DeviceAccess = require("../utils/deviceAccess");
+const auditService = require("../utils/audit");
+const idempotencyService = require("../utils/idempotency");
+const ingestionService = require("../utils/ingestion");
 const mqttClient = require("../mqtt/mqttClient");
 
 class SOSController {
   /**
    * Receive SOS alert from device
+   * Repeats of a message ID get the original result without notifying anyone again
    * POST /api/sos
    */
   static async receiveSOS(req, res) {
     try {
-      const { deviceId, gps, metadata, timestamp } = req.body;
+      const deviceId = Validators.sanitizeText(req.body.deviceId);
 
-      console.log(`🚨 SOS ALERT received via HTTP from device: ${deviceId}`);
-
-      // SOS from RPi just indicates button press - no analysis needed here
-      // Create SOS event
-      const sosEvent = await Event.createSOSEvent(
-        Validators.sanitizeText(deviceId),
-        gps,
-        {
-          emergencyType: "button_press",
-          sensorData: metadata?.sensorData || metadata?.sensors || {},
-          timestamp: timestamp || new Date(),
-          trigger: "manual",
-        }
+      const { duplicate, pending, result } = await idempotencyService.run(
+        deviceId,
+        "sos",
+        idempotencyService.getRequestId(req),
+        () => SOSController.processSOS(deviceId, req.body)
       );
 
-      // Find all users associated with this device
-      const users = await User.findUsersWithFCMByDevice(deviceId);
-
-      if (users.length === 0) {
-        console.warn(`⚠️ No users found for device ${deviceId}`);
-        return res.status(200).json({
-          success: true,
-          message: "SOS alert received but no users to notify",
-          data: {
-            eventId: sosEvent._id,
-            deviceId,
-            timestamp: sosEvent.timestamp,
-          },
+      if (pending) {
+        return res.status(409).json({
+          success: false,
+          message: "This SOS alert is still being processed",
         });
       }
 
-      // Send FCM notifications to all associated users
-      const fcmTokens = users
-        .map((user) => user.fcmToken)
-        .filter((token) => token);
-
-      if (fcmTokens.length > 0) {
-        const fcmResult = await fcmService.sendSOSNotification(
-          fcmTokens,
-          deviceId,
-          gps
-        );
-
-        // Update event with notification status
-        sosEvent.notifications.fcmSent = fcmResult.success;
-        sosEvent.notifications.fcmTimestamp = new Date();
-
-        if (fcmResult.success) {
-          sosEvent.notifications.fcmResponse = JSON.stringify(fcmResult);
-          console.log(
-            `✅ SOS notifications sent successfully: ${fcmResult.successCount}/${fcmTokens.length}`
-          );
-        } else {
-          sosEvent.notifications.fcmError = fcmResult.error;
-          console.error(
-            `❌ Failed to send SOS notifications: ${fcmResult.error}`
-          );
-        }
-
-        await sosEvent.save();
-      }
-
-      // Publish SOS alert to mobile app via MQTT
-      if (mqttClient.isConnected()) {
-        try {
-          for (const user of users) {
-            // Publish to user-specific topic for mobile app
-            const topic = `smartstick/mobile/${user._id}/sos`;
-
-            const sosAlert = {
-              type: "SOS_ALERT",
-              deviceId,
-              userId: user._id,
-              timestamp: new Date().toISOString(),
-              emergencyType: "button_press",
-              trigger: "manual",
-              location: gps || {},
-              sensors: metadata?.sensorData || metadata?.sensors || {},
-              userInfo: {
-                name: user.name,
-                email: user.email,
-              },
-              emergencyContacts: user.emergencyContacts || [],
-              message: `Emergency SOS button pressed on Smart Stick device ${deviceId}`,
-            };
-
-            await mqttClient.publish(topic, sosAlert, { qos: 2, retain: true });
-
-            console.log(`📱 SOS alert published to MQTT for user: ${user._id}`);
-          }
-
-          // Also publish to general broadcast channel
-          const broadcastTopic = `smartstick/mobile/broadcast/sos`;
-          await mqttClient.publish(
-            broadcastTopic,
-            {
-              type: "SOS_ALERT",
-              deviceId,
-              timestamp: new Date().toISOString(),
-              location: gps || {},
-            },
-            { qos: 1 }
-          );
-        } catch (mqttError) {
-          console.error("❌ Error publishing SOS to MQTT:", mqttError);
-        }
-      } else {
-        console.warn("⚠️ MQTT client not connected, skipping MQTT publish");
-      }
-
-      // Log emergency contacts for manual notification if needed
-      const emergencyContacts = users.reduce((contacts, user) => {
-        return contacts.concat(user.emergencyContacts || []);
-      }, []);
-
-      if (emergencyContacts.length > 0) {
-        console.log(
-          `📞 Emergency contacts available for device ${deviceId}:`,
-          emergencyContacts.map((contact) => ({
-            name: contact.name,
-            phone: contact.phone,
-          }))
-        );
-      }
-
-      res.status(201).json({
+      res.status(duplicate ? 200 : result.status).json({
         success: true,
-        message: "SOS alert processed successfully",
-        data: {
-          eventId: sosEvent._id,
-          deviceId,
-          timestamp: sosEvent.timestamp,
-          notificationsSent: fcmTokens.length,
-          emergencyContactsAvailable: emergencyContacts.length,
-          mqttPublished: mqttClient.isConnected(),
-        },
+        message: duplicate
+          ? "Duplicate SOS alert, returning the original result"
+          : result.message,
+        data: result.data,
       });
     } catch (error) {
       console.error("Error processing SOS alert:", error);
@@ -172,6 +62,170 @@ class SOSController {
     }
   }
 
+  /**
+   * Record an SOS, notify the device's users and build the response
+   * @param {string} deviceId - Sanitized device ID
+   * @param {Object} sosData - Request body
+   * @returns {Promise<Object>} - { status, message, data }
+   */
+  static async processSOS(deviceId, { gps, metadata, timestamp }) {
+    console.log(`🚨 SOS ALERT received via HTTP from device: ${deviceId}`);
+
+    // A repeat while the device's last SOS is still open joins that incident
+    const openIncident = await ingestionService.linkRepeatedSOS(
+      deviceId,
+      gps,
+      timestamp
+    );
+    if (openIncident) {
+      return {
+        status: 200,
+        message: "SOS alert linked to the open incident",
+        data: {
+          eventId: openIncident._id,
+          deviceId,
+          timestamp: openIncident.timestamp,
+          repeatCount: openIncident.repeatCount,
+        },
+      };
+    }
+
+    // SOS from RPi just indicates button press - no analysis needed here
+    // Create SOS event
+    const sosEvent = await Event.createSOSEvent(deviceId, gps, {
+      emergencyType: "button_press",
+      sensorData: metadata?.sensorData || metadata?.sensors || {},
+      timestamp: timestamp || new Date(),
+      trigger: "manual",
+    });
+
+    // Find all users associated with this device
+    const users = await User.findUsersWithFCMByDevice(deviceId);
+    const organizationContacts =
+      await Organization.getEmergencyContactsForDevice(deviceId);
+
+    if (users.length === 0) {
+      console.warn(`⚠️ No users found for device ${deviceId}`);
+      return {
+        status: 200,
+        message: "SOS alert received but no users to notify",
+        data: {
+          eventId: sosEvent._id,
+          deviceId,
+          timestamp: sosEvent.timestamp,
+        },
+      };
+    }
+
+    // Send FCM notifications to all associated users
+    const fcmTokens = users
+      .map((user) => user.fcmToken)
+      .filter((token) => token);
+
+    if (fcmTokens.length > 0) {
+      const fcmResult = await fcmService.sendSOSNotification(
+        fcmTokens,
+        deviceId,
+        gps
+      );
+
+      // Update event with notification status
+      sosEvent.notifications.fcmSent = fcmResult.success;
+      sosEvent.notifications.fcmTimestamp = new Date();
+
+      if (fcmResult.success) {
+        sosEvent.notifications.fcmResponse = JSON.stringify(fcmResult);
+        console.log(
+          `✅ SOS notifications sent successfully: ${fcmResult.successCount}/${fcmTokens.length}`
+        );
+      } else {
+        sosEvent.notifications.fcmError = fcmResult.error;
+        console.error(
+          `❌ Failed to send SOS notifications: ${fcmResult.error}`
+        );
+      }
+
+      await sosEvent.save();
+    }
+
+    // Publish SOS alert to mobile app via MQTT
+    if (mqttClient.isConnected()) {
+      try {
+        for (const user of users) {
+          // Publish to user-specific topic for mobile app
+          const topic = `smartstick/mobile/${user._id}/sos`;
+
+          const sosAlert = {
+            type: "SOS_ALERT",
+            deviceId,
+            userId: user._id,
+            timestamp: new Date().toISOString(),
+            emergencyType: "button_press",
+            trigger: "manual",
+            location: gps || {},
+            sensors: metadata?.sensorData || metadata?.sensors || {},
+            userInfo: {
+              name: user.name,
+              email: user.email,
+            },
+            emergencyContacts: user.emergencyContacts || [],
+            organizationContacts,
+            message: `Emergency SOS button pressed on Smart Stick device ${deviceId}`,
+          };
+
+          await mqttClient.publish(topic, sosAlert, { qos: 2, retain: true });
+
+          console.log(`📱 SOS alert published to MQTT for user: ${user._id}`);
+        }
+
+        // Also publish to general broadcast channel
+        const broadcastTopic = `smartstick/mobile/broadcast/sos`;
+        await mqttClient.publish(
+          broadcastTopic,
+          {
+            type: "SOS_ALERT",
+            deviceId,
+            timestamp: new Date().toISOString(),
+            location: gps || {},
+          },
+          { qos: 1 }
+        );
+      } catch (mqttError) {
+        console.error("❌ Error publishing SOS to MQTT:", mqttError);
+      }
+    } else {
+      console.warn("⚠️ MQTT client not connected, skipping MQTT publish");
+    }
+
+    // Log emergency contacts (personal and care home) for manual notification if needed
+    const emergencyContacts = users.reduce((contacts, user) => {
+      return contacts.concat(user.emergencyContacts || []);
+    }, organizationContacts);
+
+    if (emergencyContacts.length > 0) {
+      console.log(
+        `📞 Emergency contacts available for device ${deviceId}:`,
+        emergencyContacts.map((contact) => ({
+          name: contact.name,
+          phone: contact.phone,
+        }))
+      );
+    }
+
+    return {
+      status: 201,
+      message: "SOS alert processed successfully",
+      data: {
+        eventId: sosEvent._id,
+        deviceId,
+        timestamp: sosEvent.timestamp,
+        notificationsSent: fcmTokens.length,
+        emergencyContactsAvailable: emergencyContacts.length,
+        mqttPublished: mqttClient.isConnected(),
+      },
+    };
+  }
+
   /**
    * Get SOS events for user's devices
    * GET /api/sos
@@ -196,20 +250,31 @@ class SOSController {
         });
       }
 
-      const userDeviceIds = user.devices.map((device) => device.deviceId);
+      // null when platform staff can see the whole fleet
+      const userDeviceIds = await DeviceAccess.getAccessibleDeviceIds(
+        user,
+        "events:read",
+        req.user
+      );
 
       // Build query
       const query = {
         type: "SOS",
       };
 
-      // Filter by user's devices unless admin
-      if (!user.isAdmin) {
+      // Filter by the devices the user (or their organization) can see
+      if (userDeviceIds) {
         query.deviceId = { $in: userDeviceIds };
       }
 
       // Apply additional filters
       if (deviceId) {
+        if (userDeviceIds && !userDeviceIds.includes(deviceId)) {
+          return res.status(403).json({
+            success: false,
+            message: "Access denied to this device",
+          });
+        }
         query.deviceId = deviceId;
       }
 
@@ -298,18 +363,20 @@ class SOSController {
       }
 
       // Check if user has access to this device
-      const user = await User.findById(req.user.userId);
-      if (!user) {
+      const access = await DeviceAccess.check(
+        req.user,
+        sosEvent.deviceId,
+        "events:read",
+        req
+      );
+      if (!access.user) {
         return res.status(404).json({
           success: false,
           message: "User not found",
         });
       }
 
-      const hasAccess =
-        user.devices.some((device) => device.deviceId === sosEvent.deviceId) ||
-        user.isAdmin;
-      if (!hasAccess) {
+      if (!access.allowed) {
         return res.status(403).json({
           success: false,
           message: "Access denied to this SOS event",
@@ -366,30 +433,38 @@ class SOSController {
       }
 
       // Check if user has access to this device
-      const user = await User.findById(req.user.userId);
-      if (!user) {
+      const access = await DeviceAccess.check(
+        req.user,
+        sosEvent.deviceId,
+        "sos:acknowledge",
+        req
+      );
+      if (!access.user) {
         return res.status(404).json({
           success: false,
           message: "User not found",
         });
       }
 
-      const hasAccess =
-        user.devices.some((device) => device.deviceId === sosEvent.deviceId) ||
-        user.isAdmin;
-      if (!hasAccess) {
+      if (!access.allowed) {
         return res.status(403).json({
           success: false,
           message: "Access denied to this SOS event",
         });
       }
 
-      // Acknowledge the event
+      // Acknowledge the event, noting the API key when an integration did it
       await sosEvent.acknowledge(
         req.user.userId,
-        Validators.sanitizeText(note)
+        Validators.sanitizeText(note),
+        req.user.apiKeyId
       );
 
+      await auditService.record(req, "sos.acknowledge", {
+        target: { type: "event", id: String(sosEvent._id) },
+        deviceId: sosEvent.deviceId,
+      });
+
       res.json({
         success: true,
         message: "SOS event acknowledged successfully",
@@ -397,6 +472,7 @@ class SOSController {
           eventId: sosEvent._id,
           acknowledgedAt: new Date(),
           acknowledgedBy: req.user.userId,
+          apiKeyId: req.user.apiKeyId,
         },
       });
     } catch (error) {
@@ -445,18 +521,20 @@ class SOSController {
       }
 
       // Check if user has access to this device
-      const user = await User.findById(req.user.userId);
-      if (!user) {
+      const access = await DeviceAccess.check(
+        req.user,
+        sosEvent.deviceId,
+        "sos:acknowledge",
+        req
+      );
+      if (!access.user) {
         return res.status(404).json({
           success: false,
           message: "User not found",
         });
       }
 
-      const hasAccess =
-        user.devices.some((device) => device.deviceId === sosEvent.deviceId) ||
-        user.isAdmin;
-      if (!hasAccess) {
+      if (!access.allowed) {
         return res.status(403).json({
           success: false,
           message: "Access denied to this SOS event",
@@ -470,6 +548,12 @@ class SOSController {
         actions.map((action) => Validators.sanitizeText(action))
       );
 
+      await auditService.record(req, "sos.resolve", {
+        target: { type: "event", id: String(sosEvent._id) },
+        deviceId: sosEvent.deviceId,
+        metadata: { actionCount: actions.length },
+      });
+
       res.json({
         success: true,
         message: "SOS event resolved successfully",
@@ -509,7 +593,12 @@ class SOSController {
         });
       }
 
-      const userDeviceIds = user.devices.map((device) => device.deviceId);
+      // null when platform staff can see the whole fleet
+      const userDeviceIds = await DeviceAccess.getAccessibleDeviceIds(
+        user,
+        "events:read",
+        req.user
+      );
 
       // Build query
       const since = new Date(Date.now() - parseInt(timeRange) * 60 * 60 * 1000);
@@ -518,13 +607,19 @@ class SOSController {
         timestamp: { $gte: since },
       };
 
-      // Filter by user's devices unless admin
-      if (!user.isAdmin) {
+      // Filter by the devices the user (or their organization) can see
+      if (userDeviceIds) {
         matchQuery.deviceId = { $in: userDeviceIds };
       }
 
       // Apply device filter if specified
       if (deviceId) {
+        if (userDeviceIds && !userDeviceIds.includes(deviceId)) {
+          return res.status(403).json({
+            success: false,
+            message: "Access denied to this device",
+          });
+        }
         matchQuery.deviceId = deviceId;
       }
 
@@ -650,19 +745,21 @@ class SOSController {
         });
       }
 
-      // Check if user has admin access or owns the device
-      const user = await User.findById(req.user.userId);
-      if (!user) {
+      // Check if user has access to this device
+      const access = await DeviceAccess.check(
+        req.user,
+        sosEvent.deviceId,
+        "sos:acknowledge",
+        req
+      );
+      if (!access.user) {
         return res.status(404).json({
           success: false,
           message: "User not found",
         });
       }
 
-      const hasAccess =
-        user.devices.some((device) => device.deviceId === sosEvent.deviceId) ||
-        user.isAdmin;
-      if (!hasAccess) {
+      if (!access.allowed) {
         return res.status(403).json({
           success: false,
           message: "Access denied to this SOS event",
@@ -676,6 +773,12 @@ class SOSController {
         parseInt(level)
       );
 
+      await auditService.record(req, "sos.escalate", {
+        target: { type: "event", id: String(sosEvent._id) },
+        deviceId: sosEvent.deviceId,
+        metadata: { escalatedTo: escalatedTo || null, level: parseInt(level) },
+      });
+
       res.json({
         success: true,
         message: "SOS event escalated successfully",
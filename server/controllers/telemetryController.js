@@ -1,59 +1,61 @@
 const Telemetry = require("../models/Telemetry");
-const User = require("../models/User");
+const DeviceState = require("../models/DeviceState");
+const Location = require("../models/Location");
+const TelemetryRollup = require("../models/TelemetryRollup");
 const Event = require("../models/Event");
 const Validators = require("../utils/validators");
+const DeviceAccess = require("../utils/deviceAccess");
+const auditService = require("../utils/audit");
+const ingestionService = require("../utils/ingestion");
+const idempotencyService = require("../utils/idempotency");
+const rollupService = require("../utils/rollup");
+const telemetryQueryService = require("../utils/telemetryQuery");
+const trackFormatService = require("../utils/trackFormat");
+const trackProcessingService = require("../utils/trackProcessing");
+const config = require("../config");
 
 class TelemetryController {
   /**
    * Receive telemetry data from device
+   * Repeats of a message ID are not stored again
    * POST /api/telemetry
    */
   static async receiveTelemetry(req, res) {
     try {
-      const {
-        deviceId,
-        sensors,
-        gps,
-        timestamp,
-        connectivity,
-        deviceStatus,
-        metadata,
-      } = req.body;
-
-      // Create telemetry record
-      const telemetry = new Telemetry({
-        deviceId: Validators.sanitizeText(deviceId),
-        timestamp: timestamp ? new Date(timestamp) : new Date(),
-        sensors: sensors || {},
-        gps: gps || {},
-        connectivity: connectivity || {},
-        deviceStatus: deviceStatus || {},
-        metadata: metadata || {},
-      });
-
-      // Save telemetry data
-      await telemetry.save();
+      const deviceId = Validators.sanitizeText(req.body.deviceId);
 
-      // Update user's device last seen timestamp
-      await User.findOneAndUpdate(
-        { "devices.deviceId": deviceId },
-        {
-          $set: { "devices.$.lastSeen": new Date() },
-          $setOnInsert: { "devices.$.isActive": true },
+      // Same pipeline as MQTT: store, update device state, alert and notify
+      const { duplicate, pending, result } = await idempotencyService.run(
+        deviceId,
+        "telemetry",
+        idempotencyService.getRequestId(req),
+        async () => {
+          const { telemetry } = await ingestionService.ingest(
+            deviceId,
+            req.body,
+            { source: "http" }
+          );
+          return {
+            id: telemetry._id,
+            deviceId: telemetry.deviceId,
+            timestamp: telemetry.timestamp,
+          };
         }
       );
 
-      // Check for alerts based on sensor data
-      await TelemetryController.checkForAlerts(deviceId, telemetry);
+      if (pending) {
+        return res.status(409).json({
+          success: false,
+          message: "This telemetry message is still being processed",
+        });
+      }
 
-      res.status(201).json({
+      res.status(duplicate ? 200 : 201).json({
         success: true,
-        message: "Telemetry data received successfully",
-        data: {
-          id: telemetry._id,
-          deviceId: telemetry.deviceId,
-          timestamp: telemetry.timestamp,
-        },
+        message: duplicate
+          ? "Duplicate telemetry message, returning the original result"
+          : "Telemetry data received successfully",
+        data: result,
       });
     } catch (error) {
       console.error("Error receiving telemetry:", error);
@@ -77,6 +79,94 @@ class TelemetryController {
     }
   }
 
+  /**
+   * Receive buffered readings as a JSON array or NDJSON
+   * POST /api/telemetry/batch
+   */
+  static async receiveTelemetryBatch(req, res) {
+    try {
+      const { deviceId } = req.device;
+
+      const entries = ingestionService.parseBatch(req.body);
+      if (!entries || entries.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Batch must be a JSON array or NDJSON with at least one record",
+        });
+      }
+
+      if (entries.length > config.telemetry.maxBatchRecords) {
+        return res.status(413).json({
+          success: false,
+          message: `Batch cannot exceed ${config.telemetry.maxBatchRecords} records`,
+        });
+      }
+
+      const { duplicate, pending, result } = await idempotencyService.run(
+        deviceId,
+        "telemetry-batch",
+        idempotencyService.normalizeId(req.get("idempotency-key")),
+        async () => {
+          const batch = await ingestionService.ingestBatch(deviceId, entries, {
+            source: "http",
+          });
+          return {
+            deviceId,
+            received: entries.length,
+            inserted: batch.inserted,
+            duplicates: batch.duplicates,
+            late: batch.late,
+            alerts: batch.alerts.length,
+            rejected: batch.rejected,
+          };
+        }
+      );
+
+      if (pending) {
+        return res.status(409).json({
+          success: false,
+          message: "This telemetry batch is still being processed",
+        });
+      }
+
+      if (duplicate) {
+        return res.status(200).json({
+          success: true,
+          message: "Duplicate telemetry batch, returning the original result",
+          data: result,
+        });
+      }
+
+      if (result.inserted === 0 && result.duplicates === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "No valid telemetry records in batch",
+          data: result,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message:
+          result.rejected.length > 0 || result.duplicates > 0
+            ? `Stored ${result.inserted} of ${entries.length} telemetry records`
+            : "Telemetry batch received successfully",
+        data: result,
+      });
+    } catch (error) {
+      console.error("Error receiving telemetry batch:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to process telemetry batch",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
   /**
    * Get telemetry data for a device
    * GET /api/telemetry/:deviceId
@@ -93,18 +183,20 @@ class TelemetryController {
       } = req.query;
 
       // Validate device access for the authenticated user
-      const user = await User.findById(req.user.userId);
-      if (!user) {
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "telemetry:read",
+        req
+      );
+      if (!access.user) {
         return res.status(404).json({
           success: false,
           message: "User not found",
         });
       }
 
-      const hasAccess = user.devices.some(
-        (device) => device.deviceId === deviceId
-      );
-      if (!hasAccess && !user.isAdmin) {
+      if (!access.allowed) {
         return res.status(403).json({
           success: false,
           message: "Access denied to this device",
@@ -137,6 +229,12 @@ class TelemetryController {
       const totalCount = await Telemetry.countDocuments(query);
       const totalPages = Math.ceil(totalCount / parseInt(limit));
 
+      // Readings not yet copied from the pre-time-series collection are missing
+      const migration = await Telemetry.getMigrationStatus(
+        query.timestamp && query.timestamp.$gte,
+        query.timestamp && query.timestamp.$lte
+      );
+
       res.json({
         success: true,
         data: telemetryData,
@@ -147,6 +245,7 @@ class TelemetryController {
           hasNext: parseInt(page) < totalPages,
           hasPrev: parseInt(page) > 1,
         },
+        migration,
       });
     } catch (error) {
       console.error("Error fetching telemetry:", error);
@@ -170,18 +269,20 @@ class TelemetryController {
       const { deviceId } = req.params;
 
       // Validate device access for the authenticated user
-      const user = await User.findById(req.user.userId);
-      if (!user) {
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "telemetry:read",
+        req
+      );
+      if (!access.user) {
         return res.status(404).json({
           success: false,
           message: "User not found",
         });
       }
 
-      const hasAccess = user.devices.some(
-        (device) => device.deviceId === deviceId
-      );
-      if (!hasAccess && !user.isAdmin) {
+      if (!access.allowed) {
         return res.status(403).json({
           success: false,
           message: "Access denied to this device",
@@ -214,8 +315,64 @@ class TelemetryController {
     }
   }
 
+  /**
+   * Get the latest full state of a device, merged across readings
+   * GET /api/telemetry/:deviceId/state
+   */
+  static async getDeviceState(req, res) {
+    try {
+      const { deviceId } = req.params;
+
+      // Validate device access for the authenticated user
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "telemetry:read",
+        req
+      );
+      if (!access.user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!access.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied to this device",
+        });
+      }
+
+      const state = await DeviceState.findOne({ deviceId });
+
+      if (!state) {
+        return res.status(404).json({
+          success: false,
+          message: "No telemetry data found for this device",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: state,
+      });
+    } catch (error) {
+      console.error("Error fetching device state:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch device state",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
   /**
    * Get telemetry statistics for a device
+   * Ranges reaching past the raw retention are answered from hourly or daily rollups
    * GET /api/telemetry/:deviceId/stats
    */
   static async getTelemetryStats(req, res) {
@@ -224,35 +381,52 @@ class TelemetryController {
       const { timeRange = 24 } = req.query; // hours
 
       // Validate device access for the authenticated user
-      const user = await User.findById(req.user.userId);
-      if (!user) {
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "telemetry:read",
+        req
+      );
+      if (!access.user) {
         return res.status(404).json({
           success: false,
           message: "User not found",
         });
       }
 
-      const hasAccess = user.devices.some(
-        (device) => device.deviceId === deviceId
-      );
-      if (!hasAccess && !user.isAdmin) {
+      if (!access.allowed) {
         return res.status(403).json({
           success: false,
           message: "Access denied to this device",
         });
       }
 
-      const stats = await Telemetry.getDeviceStats(
-        deviceId,
-        parseInt(timeRange)
+      const since = new Date(Date.now() - parseInt(timeRange) * 60 * 60 * 1000);
+      const tier = rollupService.tierFor(
+        since,
+        config.telemetry.retention.rawMs
       );
 
+      const stats =
+        tier === "raw"
+          ? await Telemetry.getDeviceStats(deviceId, parseInt(timeRange))
+          : await TelemetryRollup.getStats(
+              deviceId,
+              tier,
+              rollupService.bucketStart(since, tier)
+            );
+      const migration =
+        tier === "raw"
+          ? await Telemetry.getMigrationStatus(since)
+          : { inProgress: false };
+
       if (!stats || stats.length === 0) {
         return res.json({
           success: true,
           data: {
             deviceId,
             timeRange: parseInt(timeRange),
+            tier,
             count: 0,
             avgBattery: null,
             minBattery: null,
@@ -260,6 +434,7 @@ class TelemetryController {
             criticalAlerts: 0,
             firstSeen: null,
             lastSeen: null,
+            migration,
           },
         });
       }
@@ -269,7 +444,9 @@ class TelemetryController {
         data: {
           deviceId,
           timeRange: parseInt(timeRange),
+          tier,
           ...stats[0],
+          migration,
         },
       });
     } catch (error) {
@@ -286,71 +463,103 @@ class TelemetryController {
   }
 
   /**
-   * Get GPS track for a device
-   * GET /api/telemetry/:deviceId/gps-track
+   * Get downsampled series of telemetry fields, computed in the database
+   * GET /api/telemetry/:deviceId/query
    */
-  static async getGPSTrack(req, res) {
+  static async queryTelemetry(req, res) {
     try {
       const { deviceId } = req.params;
-      const { startTime, endTime, limit = 1000 } = req.query;
+      const { fields } = telemetryQueryService.parseFields(req.query.fields);
+      const aggregations = [
+        ...new Set(
+          (req.query.agg || "avg").split(",").map((value) => value.trim())
+        ),
+      ];
+
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from
+        ? new Date(req.query.from)
+        : new Date(to.getTime() - config.telemetry.query.defaultRangeMs);
+      if (from >= to) {
+        return res.status(400).json({
+          success: false,
+          message: "From must be before to",
+        });
+      }
 
       // Validate device access for the authenticated user
-      const user = await User.findById(req.user.userId);
-      if (!user) {
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "telemetry:read",
+        req
+      );
+      if (!access.user) {
         return res.status(404).json({
           success: false,
           message: "User not found",
         });
       }
 
-      const hasAccess = user.devices.some(
-        (device) => device.deviceId === deviceId
-      );
-      if (!hasAccess && !user.isAdmin) {
+      if (!access.allowed) {
         return res.status(403).json({
           success: false,
           message: "Access denied to this device",
         });
       }
 
-      let gpsData;
-
-      if (startTime && endTime) {
-        gpsData = await Telemetry.getByTimeRange(
+      // Positions need location access on top of telemetry access
+      if (fields.some((field) => field.startsWith("gps."))) {
+        const locationAccess = await DeviceAccess.check(
+          req.user,
           deviceId,
-          new Date(startTime),
-          new Date(endTime)
+          "location:read",
+          req
         );
-      } else {
-        gpsData = await Telemetry.getWithGPS(deviceId, parseInt(limit));
-      }
-
-      // Filter and format GPS data
-      const gpsTrack = gpsData
-        .filter((record) => record.gps && record.gps.lat && record.gps.lon)
-        .map((record) => ({
-          timestamp: record.timestamp,
-          lat: record.gps.lat,
-          lon: record.gps.lon,
-          altitude: record.gps.altitude,
-          accuracy: record.gps.accuracy,
-          speed: record.gps.speed,
-          heading: record.gps.heading,
-        }));
+        if (!locationAccess.allowed) {
+          return res.status(403).json({
+            success: false,
+            message: "Access denied to this device's location",
+          });
+        }
+      }
+
+      const intervalMs = telemetryQueryService.chooseInterval(
+        req.query.interval
+          ? telemetryQueryService.parseInterval(req.query.interval)
+          : null,
+        from,
+        to
+      );
+
+      const points = await telemetryQueryService.run(deviceId, {
+        fields,
+        aggregations,
+        from,
+        to,
+        intervalMs,
+      });
+      const migration = await Telemetry.getMigrationStatus(from, to);
 
       res.json({
         success: true,
         data: {
           deviceId,
-          trackPoints: gpsTrack,
-          totalPoints: gpsTrack.length,
+          from,
+          to,
+          interval: telemetryQueryService.formatInterval(intervalMs),
+          fields,
+          agg: aggregations,
+          points,
+          totalPoints: points.length,
+          migration,
         },
       });
     } catch (error) {
-      console.error("Error fetching GPS track:", error);
+      console.error("Error querying telemetry:", error);
       res.status(500).json({
         success: false,
-        message: "Failed to fetch GPS track",
+        message: "Failed to query telemetry",
         error:
           process.env.NODE_ENV === "development"
             ? error.message
@@ -360,134 +569,268 @@ class TelemetryController {
   }
 
   /**
-   * Check for alerts based on telemetry data
-   * @param {string} deviceId - Device ID
-   * @param {Object} telemetry - Telemetry data
+   * Get GPS track for a device
+   * Ranges starting before the raw fixes expire get the downsampled rollup track
+   * GET /api/telemetry/:deviceId/gps-track
    */
-  static async checkForAlerts(deviceId, telemetry) {
+  static async getGPSTrack(req, res) {
     try {
-      const alerts = [];
-
-      // Low battery alert
-      if (
-        telemetry.sensors?.battery?.level &&
-        telemetry.sensors.battery.level < 20
-      ) {
-        alerts.push({
-          type: "LOW_BATTERY",
-          severity: telemetry.sensors.battery.level < 10 ? "high" : "medium",
-          title: "Low Battery Warning",
-          description: `Device ${deviceId} battery level is ${telemetry.sensors.battery.level}%`,
-          metadata: {
-            alertThreshold: 20,
-            alertValue: telemetry.sensors.battery.level,
-            sensorData: { batteryLevel: telemetry.sensors.battery.level },
-          },
+      const { deviceId } = req.params;
+      const {
+        limit = 1000,
+        format = "json",
+        clean = "true",
+        maxAccuracy = config.location.maxAccuracyM,
+        tolerance = 0,
+      } = req.query;
+
+      if (format !== "json" && !trackFormatService.getFormat(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid format; use json, ${trackFormatService
+            .getFormats()
+            .join(", ")}`,
         });
       }
 
-      // Obstacle detection
-      const ultrasonicLeft = telemetry.sensors?.ultrasonicLeft;
-      const ultrasonicRight = telemetry.sensors?.ultrasonicRight;
-      const minDistance = Math.min(
-        ultrasonicLeft || 1000,
-        ultrasonicRight || 1000
-      );
+      if (clean !== "true" && clean !== "false") {
+        return res.status(400).json({
+          success: false,
+          message: "clean must be true or false",
+        });
+      }
 
-      if (minDistance < 30) {
-        alerts.push({
-          type: "OBSTACLE_DETECTED",
-          severity: minDistance < 15 ? "high" : "medium",
-          title: "Obstacle Detected",
-          description: `Obstacle detected at ${minDistance}cm from device ${deviceId}`,
-          metadata: {
-            alertThreshold: 30,
-            alertValue: minDistance,
-            sensorData: {
-              ultrasonicLeft,
-              ultrasonicRight,
-              minDistance,
-            },
-          },
+      const processing = {
+        clean: clean === "true",
+        maxAccuracy: Number(maxAccuracy),
+        maxSpeedMps: config.location.maxSpeedMps,
+        toleranceM: Number(tolerance),
+      };
+      if (!(processing.maxAccuracy > 0) || !(processing.toleranceM >= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: "maxAccuracy must be positive and tolerance at least 0",
         });
       }
 
-      // Fall detection based on IMU data
-      if (telemetry.sensors?.IMU?.accelerometer) {
-        const { x, y, z } = telemetry.sensors.IMU.accelerometer;
-        const magnitude = Math.sqrt(x * x + y * y + z * z);
-
-        if (magnitude > 20) {
-          // Threshold for potential fall
-          alerts.push({
-            type: "FALL_DETECTED",
-            severity: "high",
-            title: "Potential Fall Detected",
-            description: `Sudden impact detected on device ${deviceId}`,
-            metadata: {
-              alertThreshold: 20,
-              alertValue: magnitude,
-              sensorData: {
-                accelerometer: { x, y, z },
-                magnitude,
-              },
-            },
-          });
-        }
+      // Validate device access for the authenticated user
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "location:read",
+        req
+      );
+      if (!access.user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
       }
 
-      // GPS loss detection
-      if (!telemetry.gps?.lat || !telemetry.gps?.lon) {
-        // Check if previous telemetry had GPS
-        const previousTelemetry = await Telemetry.findOne({
-          deviceId,
-          timestamp: { $lt: telemetry.timestamp },
-          "gps.lat": { $exists: true },
-          "gps.lon": { $exists: true },
-        }).sort({ timestamp: -1 });
-
-        if (previousTelemetry) {
-          alerts.push({
-            type: "GPS_LOST",
-            severity: "medium",
-            title: "GPS Signal Lost",
-            description: `GPS signal lost for device ${deviceId}`,
-            metadata: {
-              sensorData: telemetry.gps || {},
-            },
+      if (!access.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied to this device",
+        });
+      }
+
+      const range = {};
+      for (const param of ["startTime", "endTime"]) {
+        if (!req.query[param]) continue;
+
+        range[param] = new Date(req.query[param]);
+        if (isNaN(range[param].getTime())) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid ${param}`,
           });
         }
       }
 
-      // Create alert events
-      for (const alertData of alerts) {
-        await Event.create({
-          ...alertData,
+      const options = {
+        ...range,
+        limit: Math.min(
+          Math.max(parseInt(limit) || 1000, 1),
+          config.location.maxTrackPoints
+        ),
+      };
+      const tier = rollupService.tierFor(
+        range.startTime,
+        config.location.retentionMs
+      );
+
+      const gpsTrack =
+        tier === "raw"
+          ? (await Location.getTrack(deviceId, options)).map((location) =>
+              location.toTrackPoint()
+            )
+          : await TelemetryRollup.getTrack(deviceId, tier, options);
+
+      const track = trackProcessingService.process(gpsTrack, {
+        ...processing,
+        gapMs: trackFormatService.gapFor(tier),
+      });
+
+      if (format !== "json") {
+        return TelemetryController.sendTrackFile(req, res, {
           deviceId,
-          timestamp: telemetry.timestamp,
+          tier,
+          format,
+          segments: track.segments,
         });
       }
+
+      const trackPoints = track.segments.flat().reverse();
+
+      res.json({
+        success: true,
+        data: {
+          deviceId,
+          tier,
+          trackPoints,
+          totalPoints: trackPoints.length,
+          stats: track.stats,
+          processing: track.processing,
+        },
+      });
     } catch (error) {
-      console.error("Error checking for alerts:", error);
+      console.error("Error fetching GPS track:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch GPS track",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
     }
   }
 
   /**
-   * Delete old telemetry data (admin only)
-   * DELETE /api/telemetry/cleanup
+   * Send a track as a GPX, KML or GeoJSON download
+   * Segments are split where fixes are far apart in time; SOS and fall events
+   * along the track become waypoints when the caller may also read events
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} track - { deviceId, tier, format, segments } with segments oldest first
    */
-  static async cleanupTelemetry(req, res) {
+  static async sendTrackFile(req, res, { deviceId, tier, format, segments }) {
+    const points = segments.flat();
+
+    let waypoints = [];
+    const eventAccess = await DeviceAccess.check(
+      req.user,
+      deviceId,
+      "events:read",
+      req
+    );
+    if (eventAccess.allowed && points.length > 0) {
+      const events = await Event.getTrackWaypoints(
+        deviceId,
+        points[0].timestamp,
+        points[points.length - 1].timestamp,
+        config.location.maxTrackPoints
+      ).lean();
+      waypoints = events.map((event) => trackFormatService.toWaypoint(event));
+    }
+
+    // Downloads of location history are audited
+    await auditService.record(req, "location.export", {
+      target: { type: "device", id: deviceId },
+      deviceId,
+      metadata: {
+        format,
+        tier,
+        startTime: req.query.startTime,
+        endTime: req.query.endTime,
+        points: points.length,
+        waypoints: waypoints.length,
+      },
+    });
+
+    const { contentType, extension } = trackFormatService.getFormat(format);
+    res.set({
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="track-${deviceId}-${new Date()
+        .toISOString()
+        .slice(0, 10)}.${extension}"`,
+    });
+    res.send(
+      trackFormatService.render(format, {
+        deviceId,
+        tier,
+        segments,
+        waypoints,
+      })
+    );
+  }
+
+  /**
+   * Get the last known position of a device
+   * GET /api/telemetry/:deviceId/location
+   */
+  static async getLastLocation(req, res) {
     try {
-      const { olderThanDays = 30 } = req.body;
+      const { deviceId } = req.params;
 
-      // Check if user is admin
-      if (!req.user.isAdmin) {
+      // Validate device access for the authenticated user
+      const access = await DeviceAccess.check(
+        req.user,
+        deviceId,
+        "location:read",
+        req
+      );
+      if (!access.user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!access.allowed) {
         return res.status(403).json({
           success: false,
-          message: "Admin access required",
+          message: "Access denied to this device",
         });
       }
 
+      const location = await Location.getLastKnown(deviceId);
+
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          message: "No location recorded for this device",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          deviceId,
+          ...location.toTrackPoint(),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching last location:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch last location",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Delete old telemetry data (requires telemetry:cleanup)
+   * DELETE /api/telemetry/cleanup
+   */
+  static async cleanupTelemetry(req, res) {
+    try {
+      const { olderThanDays = 30 } = req.body;
+
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - parseInt(olderThanDays));
 
@@ -495,6 +838,15 @@ class TelemetryController {
         timestamp: { $lt: cutoffDate },
       });
 
+      await auditService.record(req, "telemetry.cleanup", {
+        target: { type: "telemetry" },
+        metadata: {
+          olderThanDays: parseInt(olderThanDays),
+          cutoffDate,
+          deletedCount: result.deletedCount,
+        },
+      });
+
       res.json({
         success: true,
         message: `Cleaned up telemetry data older than ${olderThanDays} days`,
@@ -0,0 +1,356 @@
+const User = require("../models/User");
+const Session = require("../models/Session");
+const AuthUtils = require("../utils/auth");
+const TOTP = require("../utils/totp");
+const Permissions = require("../utils/permissions");
+const UserController = require("./userController");
+const config = require("../config");
+
+class TwoFactorController {
+  /**
+   * Get two-factor status for the current user
+   * GET /api/users/2fa
+   */
+  static async getStatus(req, res) {
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const twoFactor = user.twoFactor || {};
+
+      res.json({
+        success: true,
+        data: {
+          enabled: !!twoFactor.enabled,
+          enabledAt: twoFactor.enabledAt || null,
+          recoveryCodesRemaining: twoFactor.enabled
+            ? twoFactor.recoveryCodeHashes.length
+            : 0,
+          required: Permissions.requiresTwoFactor(user),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching two-factor status:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch two-factor status",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Start enrolment: create a secret and its QR provisioning URI
+   * POST /api/users/2fa/setup
+   */
+  static async setup(req, res) {
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (user.twoFactor && user.twoFactor.enabled) {
+        return res.status(409).json({
+          success: false,
+          message: "Two-factor authentication is already enabled",
+        });
+      }
+
+      const secret = user.startTwoFactorEnrolment();
+      await user.save();
+
+      res.json({
+        success: true,
+        message:
+          "Scan the QR code with an authenticator app, then verify a code to finish",
+        data: {
+          secret,
+          otpauthUrl: TOTP.getProvisioningUri(
+            secret,
+            user.email,
+            config.twoFactor.issuer
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Error starting two-factor setup:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to start two-factor setup",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Finish enrolment by verifying a code from the authenticator app
+   * Returns recovery codes once and upgrades the current session
+   * POST /api/users/2fa/verify
+   */
+  static async verify(req, res) {
+    try {
+      const { code } = req.body;
+
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!user.twoFactor || !user.twoFactor.pendingEncryptedSecret) {
+        return res.status(400).json({
+          success: false,
+          message: "Start two-factor setup first",
+        });
+      }
+
+      if (!user.verifyTwoFactorCode(code, true)) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid verification code",
+        });
+      }
+
+      const recoveryCodes = user.enableTwoFactor();
+      await user.save();
+
+      // This session just proved the second factor
+      const session = await Session.findByIdAndUpdate(
+        req.user.sid,
+        { $set: { mfaVerified: true } },
+        { new: true }
+      );
+
+      res.json({
+        success: true,
+        message: "Two-factor authentication enabled",
+        data: {
+          recoveryCodes,
+          token: session
+            ? UserController.generateAccessToken(user, session)
+            : undefined,
+          expiresIn: config.jwt.expiresIn,
+        },
+      });
+    } catch (error) {
+      console.error("Error verifying two-factor setup:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to verify two-factor setup",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Complete a login that returned a two-factor challenge
+   * POST /api/users/login/2fa
+   */
+  static async completeLogin(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      let challenge;
+      try {
+        challenge = AuthUtils.verifyPurposeToken(
+          challengeToken,
+          "2fa-challenge"
+        );
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          message: "Login challenge expired, please log in again",
+        });
+      }
+
+      const user = await User.findOne({
+        _id: challenge.userId,
+        isActive: true,
+      });
+      if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+        return res.status(401).json({
+          success: false,
+          message: "Login challenge expired, please log in again",
+        });
+      }
+
+      // Check if account is locked
+      if (user.isLocked) {
+        return res.status(423).json({
+          success: false,
+          message:
+            "Account is temporarily locked due to too many failed login attempts",
+        });
+      }
+
+      const isValid = recoveryCode
+        ? user.useRecoveryCode(recoveryCode)
+        : user.verifyTwoFactorCode(code);
+
+      if (!isValid) {
+        // Increment login attempts
+        await user.incLoginAttempts();
+
+        return res.status(401).json({
+          success: false,
+          message: recoveryCode
+            ? "Invalid recovery code"
+            : "Invalid verification code",
+        });
+      }
+
+      await user.save();
+
+      // Reset login attempts on successful login
+      await user.resetLoginAttempts();
+
+      const tokens = await UserController.issueTokens(user, req, true);
+
+      // Update FCM token if provided with the password step
+      if (challenge.fcmToken && challenge.fcmToken !== user.fcmToken) {
+        user.fcmToken = challenge.fcmToken;
+        await user.save();
+      }
+
+      const userResponse = user.toJSON();
+      delete userResponse.passwordHash;
+
+      res.json({
+        success: true,
+        message: "Login successful",
+        data: {
+          user: userResponse,
+          ...tokens,
+          recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length,
+        },
+      });
+    } catch (error) {
+      console.error("Error during two-factor login:", error);
+      res.status(500).json({
+        success: false,
+        message: "Login failed",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Replace recovery codes (requires a current TOTP code)
+   * POST /api/users/2fa/recovery-codes
+   */
+  static async regenerateRecoveryCodes(req, res) {
+    try {
+      const { code } = req.body;
+
+      const user = await User.findById(req.user.userId);
+      if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+
+      if (!user.verifyTwoFactorCode(code)) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid verification code",
+        });
+      }
+
+      const recoveryCodes = user.generateRecoveryCodes();
+      await user.save();
+
+      res.json({
+        success: true,
+        message: "Recovery codes regenerated. Previous codes no longer work",
+        data: { recoveryCodes },
+      });
+    } catch (error) {
+      console.error("Error regenerating recovery codes:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to regenerate recovery codes",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off (not allowed for admins when mandatory)
+   * POST /api/users/2fa/disable
+   */
+  static async disable(req, res) {
+    try {
+      const { password, code } = req.body;
+
+      const user = await User.findById(req.user.userId);
+      if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+
+      if (Permissions.requiresTwoFactor(user)) {
+        return res.status(403).json({
+          success: false,
+          message: "Two-factor authentication is required for staff accounts",
+        });
+      }
+
+      const isPasswordValid = await user.comparePassword(password);
+      if (!isPasswordValid || !user.verifyTwoFactorCode(code)) {
+        return res.status(401).json({
+          success: false,
+          message: "Password or verification code is incorrect",
+        });
+      }
+
+      user.disableTwoFactor();
+      await user.save();
+
+      res.json({
+        success: true,
+        message: "Two-factor authentication disabled",
+      });
+    } catch (error) {
+      console.error("Error disabling two-factor authentication:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to disable two-factor authentication",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+}
+
+module.exports = TwoFactorController;
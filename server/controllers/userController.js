@@ -1,9 +1,109 @@
 const User = require("../models/User");
+const Device = require("../models/Device");
+const Event = require("../models/Event");
+const Session = require("../models/Session");
 const AuthUtils = require("../utils/auth");
+const Permissions = require("../utils/permissions");
+const DeviceAccess = require("../utils/deviceAccess");
+const mailerService = require("../utils/mailer");
+const auditService = require("../utils/audit");
+const mosquittoAuthService = require("../utils/mosquitto");
 const Validators = require("../utils/validators");
 const config = require("../config");
 
 class UserController {
+  /**
+   * Open a session for a user and issue its token pair
+   * @param {Object} user - User document
+   * @param {Object} req - Express request object (client details)
+   * @param {boolean} mfaVerified - Whether a second factor was checked
+   * @returns {Promise<Object>} - { token, refreshToken, expiresIn, refreshExpiresAt }
+   */
+  static async issueTokens(user, req, mfaVerified = false) {
+    const { session, refreshToken } = await Session.start(user._id, {
+      userAgent: req.get("user-agent"),
+      ipAddress: req.ip,
+      mfaVerified,
+    });
+
+    const tokens = {
+      token: UserController.generateAccessToken(user, session),
+      refreshToken,
+      expiresIn: config.jwt.expiresIn,
+      refreshExpiresAt: session.expiresAt,
+    };
+
+    // Staff must enrol before their role permissions are usable
+    if (
+      Permissions.requiresTwoFactor(user) &&
+      !(user.twoFactor && user.twoFactor.enabled)
+    ) {
+      tokens.twoFactorSetupRequired = true;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Generate a short-lived access token bound to a session
+   * @param {Object} user - User document
+   * @param {Object} session - Session document
+   * @returns {string} - JWT token
+   */
+  static generateAccessToken(user, session) {
+    return AuthUtils.generateToken({
+      userId: user._id,
+      email: user.email,
+      roles: user.roles,
+      sid: session._id,
+      mfa: session.mfaVerified,
+    });
+  }
+
+  /**
+   * Profile fields as recorded in the audit log (the push token itself is left out)
+   * @param {Object} user - User document
+   * @returns {Object} - Plain snapshot for auditService.diff
+   */
+  static getProfileSnapshot(user) {
+    const profile = user.toObject();
+    return {
+      name: profile.name,
+      fcmToken: profile.fcmToken ? "set" : null,
+      emergencyContacts: (profile.emergencyContacts || []).map((contact) => ({
+        name: contact.name,
+        phone: contact.phone,
+        relationship: contact.relationship,
+      })),
+      preferences: profile.preferences || null,
+    };
+  }
+
+  /**
+   * Create a user account and open its first session
+   * Shared by registration and invitation acceptance
+   * @param {Object} details - { name, email, password, fcmToken }
+   * @param {Object} req - Express request object (client details)
+   * @returns {Promise<Object>} - Saved user plus the issueTokens result
+   */
+  static async createAccount({ name, email, password, fcmToken }, req) {
+    const user = new User({
+      name: Validators.sanitizeText(name),
+      email: email.toLowerCase(),
+      passwordHash: password, // Will be hashed by the pre-save middleware
+      fcmToken: fcmToken || null,
+      roles:
+        email.toLowerCase() === config.admin.email.toLowerCase()
+          ? ["super-admin"]
+          : [],
+    });
+
+    await user.save();
+
+    const tokens = await UserController.issueTokens(user, req);
+    return { user, ...tokens };
+  }
+
   /**
    * Register a new user
    * POST /api/users/register
@@ -21,23 +121,10 @@ class UserController {
         });
       }
 
-      // Create new user
-      const user = new User({
-        name: Validators.sanitizeText(name),
-        email: email.toLowerCase(),
-        passwordHash: password, // Will be hashed by the pre-save middleware
-        fcmToken: fcmToken || null,
-        isAdmin: email.toLowerCase() === config.admin.email.toLowerCase(),
-      });
-
-      await user.save();
-
-      // Generate JWT token
-      const token = AuthUtils.generateToken({
-        userId: user._id,
-        email: user.email,
-        isAdmin: user.isAdmin,
-      });
+      const { user, ...tokens } = await UserController.createAccount(
+        { name, email, password, fcmToken },
+        req
+      );
 
       // Remove sensitive data from response
       const userResponse = user.toJSON();
@@ -48,8 +135,7 @@ class UserController {
         message: "User registered successfully",
         data: {
           user: userResponse,
-          token,
-          expiresIn: config.jwt.expiresIn,
+          ...tokens,
         },
       });
     } catch (error) {
@@ -124,15 +210,28 @@ class UserController {
         });
       }
 
+      // Password is right, but the second factor is still to come
+      if (user.twoFactor && user.twoFactor.enabled) {
+        const challengeToken = AuthUtils.generatePurposeToken(
+          { userId: user._id, fcmToken: req.body.fcmToken },
+          "2fa-challenge",
+          config.twoFactor.challengeExpiresIn
+        );
+
+        return res.json({
+          success: true,
+          message: "Two-factor authentication required",
+          data: {
+            requiresTwoFactor: true,
+            challengeToken,
+          },
+        });
+      }
+
       // Reset login attempts on successful login
       await user.resetLoginAttempts();
 
-      // Generate JWT token
-      const token = AuthUtils.generateToken({
-        userId: user._id,
-        email: user.email,
-        isAdmin: user.isAdmin,
-      });
+      const tokens = await UserController.issueTokens(user, req);
 
       // Update FCM token if provided
       if (req.body.fcmToken && req.body.fcmToken !== user.fcmToken) {
@@ -149,8 +248,7 @@ class UserController {
         message: "Login successful",
         data: {
           user: userResponse,
-          token,
-          expiresIn: config.jwt.expiresIn,
+          ...tokens,
         },
       });
     } catch (error) {
@@ -166,6 +264,226 @@ class UserController {
     }
   }
 
+  /**
+   * Exchange a refresh token for a new token pair (rotates the refresh token)
+   * POST /api/users/token/refresh
+   */
+  static async refreshToken(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      const session = await Session.findByRefreshToken(refreshToken);
+      if (!session || !session.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired refresh token",
+        });
+      }
+
+      // A token a concurrent refresh has just replaced is only turned away
+      const tokenHash = AuthUtils.hashToken(refreshToken);
+      if (
+        session.refreshTokenHash !== tokenHash &&
+        session.wasJustRotatedFrom(tokenHash)
+      ) {
+        return res.status(401).json({
+          success: false,
+          message: "Refresh token was already used",
+        });
+      }
+
+      // An old token coming back means it was copied, so kill the whole session
+      if (session.refreshTokenHash !== tokenHash) {
+        await session.revoke("token_reuse");
+        console.warn(
+          `⚠️ Refresh token reuse detected for session ${session._id}, session revoked`
+        );
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired refresh token",
+        });
+      }
+
+      const user = await User.findOne({ _id: session.userId, isActive: true });
+      if (!user) {
+        await session.revoke("account_deactivated");
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired refresh token",
+        });
+      }
+
+      const newRefreshToken = await session.rotate(tokenHash, {
+        userAgent: (req.get("user-agent") || "").slice(0, 300),
+        ipAddress: req.ip,
+      });
+      if (!newRefreshToken) {
+        return res.status(401).json({
+          success: false,
+          message: "Refresh token was already used",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Token refreshed successfully",
+        data: {
+          token: UserController.generateAccessToken(user, session),
+          refreshToken: newRefreshToken,
+          expiresIn: config.jwt.expiresIn,
+          refreshExpiresAt: session.expiresAt,
+        },
+      });
+    } catch (error) {
+      console.error("Error refreshing token:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to refresh token",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Log out (revokes the current session)
+   * POST /api/users/logout
+   */
+  static async logout(req, res) {
+    try {
+      await Session.updateOne(
+        { _id: req.user.sid, userId: req.user.userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+      );
+
+      res.json({
+        success: true,
+        message: "Logged out successfully",
+      });
+    } catch (error) {
+      console.error("Error during logout:", error);
+      res.status(500).json({
+        success: false,
+        message: "Logout failed",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * List the user's active sessions
+   * GET /api/users/sessions
+   */
+  static async getSessions(req, res) {
+    try {
+      const sessions = await Session.find({
+        userId: req.user.userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }).sort({ lastUsedAt: -1 });
+
+      res.json({
+        success: true,
+        data: sessions.map((session) => ({
+          ...session.toJSON(),
+          isCurrent: String(session._id) === String(req.user.sid),
+        })),
+      });
+    } catch (error) {
+      console.error("Error fetching sessions:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch sessions",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Revoke one session
+   * DELETE /api/users/sessions/:sessionId
+   */
+  static async revokeSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      if (!Validators.isValidObjectId(sessionId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid session ID",
+        });
+      }
+
+      const session = await Session.findOne({
+        _id: sessionId,
+        userId: req.user.userId,
+      });
+      if (!session || !session.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: "Session not found",
+        });
+      }
+
+      await session.revoke("revoked");
+
+      res.json({
+        success: true,
+        message: "Session revoked successfully",
+      });
+    } catch (error) {
+      console.error("Error revoking session:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke session",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Revoke all sessions except the current one
+   * DELETE /api/users/sessions
+   */
+  static async revokeOtherSessions(req, res) {
+    try {
+      const result = await Session.revokeAllForUser(
+        req.user.userId,
+        "revoked",
+        req.user.sid
+      );
+
+      res.json({
+        success: true,
+        message: "Other sessions revoked successfully",
+        data: {
+          revokedCount: result.modifiedCount,
+        },
+      });
+    } catch (error) {
+      console.error("Error revoking sessions:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke sessions",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
   /**
    * Get user profile
    * GET /api/users/profile
@@ -213,6 +531,16 @@ class UserController {
       if (emergencyContacts) updateData.emergencyContacts = emergencyContacts;
       if (preferences) updateData.preferences = preferences;
 
+      const before = await User.findById(req.user.userId).select(
+        "name fcmToken emergencyContacts preferences"
+      );
+      if (!before) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
       const user = await User.findByIdAndUpdate(req.user.userId, updateData, {
         new: true,
         runValidators: true,
@@ -225,6 +553,14 @@ class UserController {
         });
       }
 
+      await auditService.record(req, "user.profile.update", {
+        target: { type: "user", id: String(user._id) },
+        changes: auditService.diff(
+          UserController.getProfileSnapshot(before),
+          UserController.getProfileSnapshot(user)
+        ),
+      });
+
       res.json({
         success: true,
         message: "Profile updated successfully",
@@ -283,9 +619,24 @@ class UserController {
       user.passwordHash = newPassword; // Will be hashed by pre-save middleware
       await user.save();
 
+      // Sign out everywhere, then give this client a fresh session
+      await Session.revokeAllForUser(user._id, "password_changed");
+
+      await auditService.record(req, "user.password.change", {
+        target: { type: "user", id: String(user._id) },
+      });
+
+      const tokens = await UserController.issueTokens(
+        user,
+        req,
+        !!req.user.mfa
+      );
+
       res.json({
         success: true,
-        message: "Password changed successfully",
+        message:
+          "Password changed successfully. Other sessions were signed out",
+        data: tokens,
       });
     } catch (error) {
       console.error("Error changing password:", error);
@@ -309,13 +660,129 @@ class UserController {
     }
   }
 
+  /**
+   * Request a password reset email
+   * Always answers the same way so it can't be used to discover accounts
+   * POST /api/users/password/forgot
+   */
+  static async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+
+      const user = await User.findOne({
+        email: email.toLowerCase(),
+        isActive: true,
+      });
+
+      const recentlySent =
+        user &&
+        user.passwordReset &&
+        user.passwordReset.requestedAt &&
+        Date.now() - user.passwordReset.requestedAt <
+          config.passwordReset.resendIntervalMs;
+
+      if (user && !user.isResetLocked && !recentlySent) {
+        const token = user.createPasswordResetToken();
+        await user.save();
+        await mailerService.sendPasswordReset(user, token);
+      }
+
+      res.json({
+        success: true,
+        message:
+          "If an account exists for this email, a password reset link has been sent",
+      });
+    } catch (error) {
+      console.error("Error requesting password reset:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to request password reset",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Set a new password with an emailed reset token
+   * POST /api/users/password/reset
+   */
+  static async resetPassword(req, res) {
+    try {
+      const { email, token, newPassword } = req.body;
+
+      const user = await User.findOne({
+        email: email.toLowerCase(),
+        isActive: true,
+      });
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired reset token",
+        });
+      }
+
+      // Check if resets are locked
+      if (user.isResetLocked) {
+        return res.status(423).json({
+          success: false,
+          message:
+            "Password reset is temporarily locked due to too many failed attempts",
+        });
+      }
+
+      if (!user.verifyPasswordResetToken(token)) {
+        // Increment reset attempts
+        await user.incResetAttempts();
+
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired reset token",
+        });
+      }
+
+      await user.completePasswordReset(newPassword);
+
+      // Anyone holding the old password may still be signed in
+      await Session.revokeAllForUser(user._id, "password_changed");
+
+      res.json({
+        success: true,
+        message:
+          "Password has been reset. Please log in with your new password",
+      });
+    } catch (error) {
+      console.error("Error resetting password:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: Object.values(error.errors).map((err) => err.message),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to reset password",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
   /**
    * Add device to user account
    * POST /api/users/devices
    */
   static async addDevice(req, res) {
     try {
-      const { deviceId, deviceName } = req.body;
+      const { deviceId, deviceName, pairingCode } = req.body;
 
       if (!deviceId || !Validators.isValidDeviceId(deviceId)) {
         return res.status(400).json({
@@ -332,21 +799,78 @@ class UserController {
         });
       }
 
-      // Check if device is already associated with another user
-      const existingUser = await User.findByDeviceId(deviceId);
-      if (existingUser && existingUser._id.toString() !== user._id.toString()) {
+      // Only devices known to the registry can be added
+      const device = await Device.findProvisioned(deviceId);
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: "Device not found or not provisioned",
+        });
+      }
+
+      // Check if device is already claimed by another user, who can share it
+      if (device.owner && device.owner.toString() !== user._id.toString()) {
         return res.status(409).json({
           success: false,
-          message: "Device is already associated with another user",
+          message:
+            "Device is already associated with another user. Ask the owner to share access",
         });
       }
 
+      // Claiming requires the one-time code shown on the stick
+      if (device.isClaimable) {
+        // A missing code isn't a guess, so it doesn't count towards the lockout
+        const pairingResult = pairingCode
+          ? await device.consumePairingCode(pairingCode)
+          : "missing_code";
+
+        await Event.recordPairingAttempt({
+          deviceId: device.deviceId,
+          userId: user._id,
+          success: pairingResult === "valid",
+          reason: pairingResult,
+          ipAddress: req.ip,
+          userAgent: req.get("user-agent"),
+        });
+
+        if (pairingResult === "locked") {
+          return res.status(423).json({
+            success: false,
+            message:
+              "Pairing is temporarily locked for this device due to too many failed attempts",
+          });
+        }
+
+        if (pairingResult !== "valid") {
+          return res.status(403).json({
+            success: false,
+            message:
+              pairingResult === "expired"
+                ? "Pairing code has expired. Generate a new one on the device"
+                : pairingResult === "missing_code"
+                ? "Pairing code from the device is required"
+                : "Invalid pairing code",
+          });
+        }
+      }
+
       // Add device to user
       await user.addDevice(
-        Validators.sanitizeText(deviceId),
+        device.deviceId,
         deviceName ? Validators.sanitizeText(deviceName) : "Smart Stick"
       );
 
+      const claimed = device.isClaimable;
+      if (claimed) {
+        await device.claim(user._id);
+      }
+
+      await auditService.record(req, "device.add", {
+        target: { type: "device", id: device.deviceId },
+        deviceId: device.deviceId,
+        metadata: { claimed },
+      });
+
       res.status(201).json({
         success: true,
         message: "Device added successfully",
@@ -398,6 +922,23 @@ class UserController {
       // Remove device
       await user.removeDevice(deviceId);
 
+      // When the owner leaves, drop all shared access and release ownership
+      // so the device can be claimed again
+      const device = await Device.findOne({ deviceId, owner: user._id });
+      if (device) {
+        await User.updateMany(
+          { "devices.deviceId": deviceId },
+          { $pull: { devices: { deviceId } } }
+        );
+        await device.release(user._id);
+      }
+
+      await auditService.record(req, "device.remove", {
+        target: { type: "device", id: deviceId },
+        deviceId,
+        metadata: { released: !!device },
+      });
+
       res.json({
         success: true,
         message: "Device removed successfully",
@@ -448,6 +989,99 @@ class UserController {
     }
   }
 
+  /**
+   * Issue MQTT broker credentials so the mobile app can receive its own alerts
+   * Replaces any earlier password; the plain password is only returned here
+   * POST /api/users/mqtt-credentials
+   */
+  static async issueMqttCredentials(req, res) {
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const password = user.issueMqttPassword();
+      await user.save();
+
+      mosquittoAuthService.scheduleSync("mobile credentials issued");
+      await auditService.record(req, "user.mqtt_credentials.issue", {
+        target: { type: "user", id: String(user._id) },
+      });
+
+      res.status(201).json({
+        success: true,
+        message:
+          "MQTT credentials issued. Store the password now, it will not be shown again",
+        data: {
+          username: String(user._id),
+          password,
+          topic: `smartstick/mobile/${user._id}/#`,
+          issuedAt: user.mqttCredential.issuedAt,
+        },
+      });
+    } catch (error) {
+      console.error("Error issuing MQTT credentials:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to issue MQTT credentials",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
+  /**
+   * Revoke the user's MQTT broker credentials
+   * DELETE /api/users/mqtt-credentials
+   */
+  static async revokeMqttCredentials(req, res) {
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      if (!user.mqttCredential || !user.mqttCredential.passwordHash) {
+        return res.status(404).json({
+          success: false,
+          message: "No MQTT credentials found",
+        });
+      }
+
+      user.mqttCredential = { passwordHash: null };
+      await user.save();
+
+      mosquittoAuthService.scheduleSync("mobile credentials revoked");
+      await auditService.record(req, "user.mqtt_credentials.revoke", {
+        target: { type: "user", id: String(user._id) },
+      });
+
+      res.json({
+        success: true,
+        message: "MQTT credentials revoked",
+      });
+    } catch (error) {
+      console.error("Error revoking MQTT credentials:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke MQTT credentials",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
+
   /**
    * Update emergency contacts
    * PUT /api/users/emergency-contacts
@@ -473,6 +1107,16 @@ class UserController {
         }
       }
 
+      const before = await User.findById(req.user.userId).select(
+        "name fcmToken emergencyContacts preferences"
+      );
+      if (!before) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
       const user = await User.findByIdAndUpdate(
         req.user.userId,
         { emergencyContacts },
@@ -486,6 +1130,14 @@ class UserController {
         });
       }
 
+      await auditService.record(req, "user.emergency_contacts.update", {
+        target: { type: "user", id: String(user._id) },
+        changes: auditService.diff(
+          UserController.getProfileSnapshot(before),
+          UserController.getProfileSnapshot(user)
+        ),
+      });
+
       res.json({
         success: true,
         message: "Emergency contacts updated successfully",
@@ -543,6 +1195,9 @@ class UserController {
       user.fcmToken = null; // Remove FCM token
       await user.save();
 
+      await Session.revokeAllForUser(user._id, "account_deactivated");
+      mosquittoAuthService.scheduleSync("account deactivated");
+
       res.json({
         success: true,
         message: "Account deactivated successfully",
@@ -561,21 +1216,16 @@ class UserController {
   }
 
   /**
-   * Get all users (admin only)
+   * Get all users (requires users:read)
    * GET /api/users
    */
   static async getAllUsers(req, res) {
     try {
-      if (!req.user.isAdmin) {
-        return res.status(403).json({
-          success: false,
-          message: "Admin access required",
-        });
-      }
-
       const { page = 1, limit = 20, search } = req.query;
 
-      const query = {};
+      // Staff who belong to an organization only ever see its users
+      const query = await DeviceAccess.getStaffScope(req.user);
+
       if (search) {
         query.$or = [
           { name: { $regex: search, $options: "i" } },
@@ -593,6 +1243,16 @@ class UserController {
       const totalCount = await User.countDocuments(query);
       const totalPages = Math.ceil(totalCount / parseInt(limit));
 
+      // Listing users exposes personal data, so who looked is recorded
+      await auditService.record(req, "user.list", {
+        metadata: {
+          search: search || null,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          resultCount: users.length,
+        },
+      });
+
       res.json({
         success: true,
         data: users,
@@ -616,6 +1276,100 @@ class UserController {
       });
     }
   }
+
+  /**
+   * List staff roles and their permissions
+   * GET /api/users/roles
+   */
+  static async getRoles(req, res) {
+    res.json({
+      success: true,
+      data: Permissions.getRolePermissions(),
+    });
+  }
+
+  /**
+   * Set a user's staff roles (requires roles:manage)
+   * PUT /api/users/:userId/roles
+   */
+  static async updateUserRoles(req, res) {
+    try {
+      const { userId } = req.params;
+      const { roles } = req.body;
+
+      if (!Validators.isValidObjectId(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid user ID",
+        });
+      }
+
+      // Keep at least one way back in: nobody can drop their own super-admin role
+      if (
+        String(userId) === String(req.user.userId) &&
+        req.user.roles.includes("super-admin") &&
+        !roles.includes("super-admin")
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot remove your own super-admin role",
+        });
+      }
+
+      // Staff who belong to an organization can only manage its users
+      const scope = await DeviceAccess.getStaffScope(req.user);
+      const user = await User.findOne({ _id: userId, ...scope });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      const previousRoles = [...user.roles];
+      user.roles = [...new Set(roles)];
+      await user.save();
+
+      await auditService.record(req, "user.roles.update", {
+        target: { type: "user", id: String(user._id) },
+        changes: auditService.diff(
+          { roles: previousRoles },
+          { roles: user.roles }
+        ),
+      });
+
+      // Role changes take effect on the next login
+      await Session.revokeAllForUser(user._id, "revoked");
+
+      res.json({
+        success: true,
+        message: "User roles updated successfully",
+        data: {
+          userId: user._id,
+          roles: user.roles,
+        },
+      });
+    } catch (error) {
+      console.error("Error updating user roles:", error);
+
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: Object.values(error.errors).map((err) => err.message),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to update user roles",
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
+  }
 }
 
 module.exports = UserController;
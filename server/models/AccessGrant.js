@@ -0,0 +1,181 @@
+const mongoose = require("mongoose");
+const config = require("../config");
+
+// Permissions a temporary grant can carry (never member management or reboots)
+const GRANTABLE_PERMISSIONS = [
+  "telemetry:read",
+  "location:read",
+  "events:read",
+  "sos:acknowledge",
+  "commands:send",
+];
+
+// Named scope presets accepted in place of an explicit permission list
+const SCOPE_PRESETS = {
+  full: GRANTABLE_PERMISSIONS,
+  "no-commands": [
+    "telemetry:read",
+    "location:read",
+    "events:read",
+    "sos:acknowledge",
+  ],
+  "location-only": ["location:read"],
+};
+
+const accessGrantSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: [true, "Device ID is required"],
+      trim: true,
+      maxlength: [50, "Device ID cannot exceed 50 characters"],
+    },
+
+    grantee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Grantee is required"],
+    },
+
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    startsAt: {
+      type: Date,
+      required: [true, "Start time is required"],
+    },
+
+    endsAt: {
+      type: Date,
+      required: [true, "End time is required"],
+    },
+
+    scopes: {
+      type: [{ type: String, enum: GRANTABLE_PERMISSIONS }],
+      default: GRANTABLE_PERMISSIONS,
+    },
+
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Note cannot exceed 200 characters"],
+    },
+
+    revokedAt: { type: Date },
+
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // What the grantee looked at or did, newest last (capped on write)
+    accessLog: [
+      {
+        permission: { type: String, required: true },
+        method: { type: String },
+        // Request path with its query string, e.g. /api/telemetry/stick-1?limit=50
+        path: { type: String, maxlength: 500 },
+        accessedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+// Indexes for better query performance
+accessGrantSchema.index({ deviceId: 1, grantee: 1, endsAt: -1 });
+accessGrantSchema.index({ grantee: 1, endsAt: -1 });
+
+// TTL index so lapsed grants (and their audit trail) are purged after the retention period
+accessGrantSchema.index(
+  { endsAt: 1 },
+  {
+    expireAfterSeconds: Math.floor(config.accessGrants.retentionMs / 1000),
+  }
+);
+
+// Virtual for the grant's current state
+accessGrantSchema.virtual("state").get(function () {
+  const now = Date.now();
+  if (this.revokedAt) return "revoked";
+  if (this.startsAt > now) return "scheduled";
+  if (this.endsAt <= now) return "expired";
+  return "active";
+});
+
+// Instance method to check if the grant currently includes a permission
+accessGrantSchema.methods.allows = function (permission) {
+  return this.state === "active" && this.scopes.includes(permission);
+};
+
+// Instance method to revoke the grant before it ends
+accessGrantSchema.methods.revoke = function (userId = null) {
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+  return this.save();
+};
+
+// Static method to find the grants in effect for a user, optionally on one device
+accessGrantSchema.statics.findActive = function (granteeId, deviceId = null) {
+  const now = new Date();
+  const query = {
+    grantee: granteeId,
+    startsAt: { $lte: now },
+    endsAt: { $gt: now },
+    revokedAt: null,
+  };
+  if (deviceId) {
+    query.deviceId = deviceId;
+  }
+  return this.find(query).select("-accessLog");
+};
+
+// Static method to append to a grant's audit trail without loading it
+// The request, when given, records which endpoint and query were used
+accessGrantSchema.statics.recordAccess = function (
+  grantId,
+  permission,
+  req = null
+) {
+  const entry = { permission, accessedAt: new Date() };
+  if (req) {
+    entry.method = req.method;
+    entry.path = String(req.originalUrl || req.url || "").slice(0, 500);
+  }
+
+  return this.updateOne(
+    { _id: grantId },
+    {
+      $push: {
+        accessLog: {
+          $each: [entry],
+          $slice: -config.accessGrants.maxLogEntries,
+        },
+      },
+    }
+  );
+};
+
+// Static method to expand a preset name or permission list into scopes
+accessGrantSchema.statics.resolveScopes = function (scopes) {
+  if (!scopes) return GRANTABLE_PERMISSIONS;
+  if (typeof scopes === "string") return SCOPE_PRESETS[scopes] || null;
+  return scopes.every((scope) => GRANTABLE_PERMISSIONS.includes(scope))
+    ? [...new Set(scopes)]
+    : null;
+};
+
+// Static method to list the scope presets (used by validation and clients)
+accessGrantSchema.statics.getScopePresets = function () {
+  return SCOPE_PRESETS;
+};
+
+const AccessGrant = mongoose.model("AccessGrant", accessGrantSchema);
+
+module.exports = AccessGrant;
@@ -0,0 +1,183 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const AuthUtils = require("../utils/auth");
+const config = require("../config");
+
+// Device permissions an integration key can carry (read-only apart from SOS acknowledgement)
+const API_KEY_SCOPES = [
+  "telemetry:read",
+  "location:read",
+  "events:read",
+  "sos:acknowledge",
+];
+
+// Keys look like ssk_<prefix>_<secret>; the prefix is stored in clear for lookup
+const KEY_PATTERN = new RegExp(
+  `^${config.apiKeys.keyPrefix}_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$`
+);
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Key name is required"],
+      trim: true,
+      maxlength: [100, "Key name cannot exceed 100 characters"],
+    },
+
+    // Calls made with the key act on behalf of this user
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    keyHash: {
+      type: String,
+      required: true,
+    },
+
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+
+    // Empty means every device the user can access
+    deviceIds: [
+      {
+        type: String,
+        trim: true,
+        maxlength: [50, "Device ID cannot exceed 50 characters"],
+      },
+    ],
+
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+
+    lastUsedAt: { type: Date },
+
+    lastUsedIp: { type: String },
+
+    useCount: {
+      type: Number,
+      default: 0,
+    },
+
+    revokedAt: { type: Date },
+
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.keyHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for better query performance
+apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+// Virtual for the key's current state
+apiKeySchema.virtual("state").get(function () {
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt <= Date.now()) return "expired";
+  return "active";
+});
+
+// Instance method to check a presented key against the stored hash
+apiKeySchema.methods.matchesKey = function (key) {
+  return crypto.timingSafeEqual(
+    Buffer.from(AuthUtils.hashToken(key), "hex"),
+    Buffer.from(this.keyHash, "hex")
+  );
+};
+
+// Instance method to revoke the key
+apiKeySchema.methods.revoke = function (userId = null) {
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+  return this.save();
+};
+
+// Static method to create a key and return its plain value (shown only once)
+apiKeySchema.statics.issue = async function (details) {
+  const prefix = crypto.randomBytes(6).toString("hex");
+  const key = [
+    config.apiKeys.keyPrefix,
+    prefix,
+    AuthUtils.generateRandomToken(32),
+  ].join("_");
+
+  const apiKey = await this.create({
+    ...details,
+    prefix,
+    keyHash: AuthUtils.hashToken(key),
+  });
+
+  return { apiKey, key };
+};
+
+// Static method to find the key a presented value belongs to
+apiKeySchema.statics.findByKey = async function (key) {
+  const match = KEY_PATTERN.exec(String(key));
+  if (!match) {
+    return null;
+  }
+
+  const apiKey = await this.findOne({ prefix: match[1] });
+  return apiKey && apiKey.matchesKey(key) ? apiKey : null;
+};
+
+// Static method to check if a value looks like an API key rather than a JWT
+apiKeySchema.statics.isApiKey = function (value) {
+  return (
+    typeof value === "string" &&
+    value.startsWith(`${config.apiKeys.keyPrefix}_`)
+  );
+};
+
+// Static method to record a call made with the key
+apiKeySchema.statics.recordUse = function (keyId, ipAddress) {
+  return this.updateOne(
+    { _id: keyId },
+    {
+      $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress },
+      $inc: { useCount: 1 },
+    }
+  );
+};
+
+// Static method to list the scopes a key can carry
+apiKeySchema.statics.getScopes = function () {
+  return API_KEY_SCOPES;
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,241 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// prevHash of the first entry in the chain
+const GENESIS_HASH = "0".repeat(64);
+
+// Operations that would rewrite history; the collection is append-only
+const MUTATING_QUERIES = [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+];
+
+/**
+ * Serialize a value with object keys sorted so the same entry always hashes the same
+ * @param {*} value - Plain JSON value
+ * @returns {string} - Canonical JSON
+ */
+function canonicalStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Copy a value as plain JSON (dates become strings, ObjectIds hex) so the
+ * stored entry hashes exactly like the one that was written
+ * @param {*} value - Value to copy
+ * @returns {*} - Plain JSON value
+ */
+function toPlainJSON(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Position in the hash chain, gapless from 1
+    sequence: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+
+    actor: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      email: { type: String },
+      apiKeyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ApiKey",
+      },
+      ipAddress: { type: String },
+      userAgent: { type: String },
+    },
+
+    // Dotted action name, e.g. "command.send" or "user.profile.update"
+    action: {
+      type: String,
+      required: [true, "Action is required"],
+      trim: true,
+    },
+
+    target: {
+      type: { type: String },
+      id: { type: String },
+    },
+
+    deviceId: { type: String },
+
+    requestId: { type: String },
+
+    // Only the fields that changed, as plain JSON
+    changes: {
+      before: { type: mongoose.Schema.Types.Mixed },
+      after: { type: mongoose.Schema.Types.Mixed },
+    },
+
+    metadata: { type: mongoose.Schema.Types.Mixed },
+
+    prevHash: {
+      type: String,
+      required: true,
+    },
+
+    hash: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    minimize: false, // Keep empty objects so stored entries hash as written
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for better query performance
+auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ "actor.userId": 1, timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+auditLogSchema.index({ deviceId: 1, timestamp: -1 });
+auditLogSchema.index({ "target.type": 1, "target.id": 1 });
+auditLogSchema.index({ requestId: 1 });
+
+// Existing entries can never be saved again
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Audit log entries are append-only"));
+  }
+  next();
+});
+
+// Block every query that would change or remove entries
+auditLogSchema.pre(MUTATING_QUERIES, function (next) {
+  next(new Error("Audit log entries are append-only"));
+});
+
+// Instance method to compute the entry's hash from its content and predecessor
+auditLogSchema.methods.computeHash = function () {
+  const content = canonicalStringify({
+    sequence: this.sequence,
+    timestamp: this.timestamp.toISOString(),
+    actor: {
+      userId: this.actor.userId ? String(this.actor.userId) : null,
+      email: this.actor.email || null,
+      apiKeyId: this.actor.apiKeyId ? String(this.actor.apiKeyId) : null,
+      ipAddress: this.actor.ipAddress || null,
+      userAgent: this.actor.userAgent || null,
+    },
+    action: this.action,
+    target: {
+      type: this.target.type || null,
+      id: this.target.id || null,
+    },
+    deviceId: this.deviceId || null,
+    requestId: this.requestId || null,
+    changes: {
+      before: this.changes.before ?? null,
+      after: this.changes.after ?? null,
+    },
+    metadata: this.metadata ?? null,
+  });
+
+  return crypto
+    .createHash("sha256")
+    .update(`${this.prevHash}\n${content}`)
+    .digest("hex");
+};
+
+// Static method to append an entry at the end of the chain
+// Retries when another writer claimed the same sequence number first
+auditLogSchema.statics.append = async function (entry, attempts = 5) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const last = await this.findOne()
+      .sort({ sequence: -1 })
+      .select("sequence hash")
+      .lean();
+
+    const doc = new this({
+      ...entry,
+      changes: {
+        before: toPlainJSON(entry.changes && entry.changes.before),
+        after: toPlainJSON(entry.changes && entry.changes.after),
+      },
+      metadata: toPlainJSON(entry.metadata),
+      sequence: last ? last.sequence + 1 : 1,
+      prevHash: last ? last.hash : GENESIS_HASH,
+    });
+    doc.hash = doc.computeHash();
+
+    try {
+      return await doc.save();
+    } catch (error) {
+      if (error.code !== 11000 || attempt === attempts) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Static method to recompute the chain and report the first entry that doesn't match
+auditLogSchema.statics.verifyChain = async function () {
+  let prevHash = GENESIS_HASH;
+  let expectedSequence = 1;
+  let checked = 0;
+
+  const cursor = this.find().sort({ sequence: 1 }).cursor();
+  for await (const entry of cursor) {
+    const reason =
+      entry.sequence !== expectedSequence
+        ? "missing entry"
+        : entry.prevHash !== prevHash
+        ? "broken link"
+        : entry.computeHash() !== entry.hash
+        ? "content modified"
+        : null;
+
+    if (reason) {
+      await cursor.close();
+      return {
+        valid: false,
+        checked,
+        brokenAt: { sequence: expectedSequence, entryId: entry._id, reason },
+      };
+    }
+
+    prevHash = entry.hash;
+    expectedSequence++;
+    checked++;
+  }
+
+  return { valid: true, checked, lastHash: prevHash };
+};
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+module.exports = AuditLog;
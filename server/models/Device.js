@@ -0,0 +1,333 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const AuthUtils = require("../utils/auth");
+const config = require("../config");
+
+// Pairing code alphabet without look-alike characters (0/O, 1/I/L)
+const PAIRING_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+// Allowed provisioning lifecycle transitions
+const STATE_TRANSITIONS = {
+  manufactured: ["provisioned", "decommissioned"],
+  provisioned: ["claimed", "decommissioned"],
+  claimed: ["provisioned", "decommissioned"],
+  decommissioned: [],
+};
+
+const deviceSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: [true, "Device ID is required"],
+      unique: true,
+      trim: true,
+      maxlength: [50, "Device ID cannot exceed 50 characters"],
+      match: [/^[a-zA-Z0-9_-]+$/, "Device ID contains invalid characters"],
+    },
+
+    serialNumber: {
+      type: String,
+      required: [true, "Serial number is required"],
+      unique: true,
+      trim: true,
+      maxlength: [64, "Serial number cannot exceed 64 characters"],
+    },
+
+    hardwareModel: {
+      type: String,
+      trim: true,
+      default: "smartstick-v1",
+      maxlength: [50, "Hardware model cannot exceed 50 characters"],
+    },
+
+    firmwareVersion: {
+      type: String,
+      trim: true,
+      maxlength: [30, "Firmware version cannot exceed 30 characters"],
+    },
+
+    state: {
+      type: String,
+      enum: Object.keys(STATE_TRANSITIONS),
+      default: "manufactured",
+    },
+
+    stateHistory: [
+      {
+        state: { type: String, required: true },
+        changedAt: { type: Date, default: Date.now },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        note: { type: String },
+      },
+    ],
+
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    ownerHistory: [
+      {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        claimedAt: { type: Date, default: Date.now },
+        releasedAt: { type: Date },
+      },
+    ],
+
+    // One-time claim code shown on the stick or printed from the provisioning record
+    pairing: {
+      codeHash: { type: String },
+      source: { type: String, enum: ["device", "provisioning"] },
+      issuedAt: { type: Date },
+      expiresAt: { type: Date },
+      failedAttempts: { type: Number, default: 0 },
+      lockedUntil: { type: Date },
+    },
+
+    provisionedAt: { type: Date },
+    claimedAt: { type: Date },
+    decommissionedAt: { type: Date },
+
+    lastSeen: { type: Date },
+
+    // Newest usable GPS fix (see models/Location for the history)
+    lastLocation: {
+      lat: { type: Number },
+      lon: { type: Number },
+      accuracy: { type: Number },
+      timestamp: { type: Date },
+    },
+
+    // Care home or clinic that manages the device (see models/Organization)
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        if (ret.pairing) delete ret.pairing.codeHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for better query performance
+deviceSchema.index({ state: 1 });
+deviceSchema.index({ owner: 1 });
+deviceSchema.index({ organizationId: 1 });
+
+// Virtual for checking if device can be added to an account
+deviceSchema.virtual("isClaimable").get(function () {
+  return this.state === "provisioned";
+});
+
+// Virtual for pairing lockout status
+deviceSchema.virtual("isPairingLocked").get(function () {
+  return !!(
+    this.pairing &&
+    this.pairing.lockedUntil &&
+    this.pairing.lockedUntil > Date.now()
+  );
+});
+
+// Instance method to generate a new one-time pairing code
+deviceSchema.methods.issuePairingCode = async function (source = "device") {
+  let code = "";
+  for (let i = 0; i < config.pairing.codeLength; i++) {
+    code +=
+      PAIRING_CODE_ALPHABET[crypto.randomInt(PAIRING_CODE_ALPHABET.length)];
+  }
+
+  this.pairing = {
+    codeHash: AuthUtils.hashToken(`${this.deviceId}:${code}`),
+    source,
+    issuedAt: new Date(),
+    expiresAt: new Date(Date.now() + config.pairing.codeTtlMs),
+    failedAttempts: 0,
+    lockedUntil: this.pairing ? this.pairing.lockedUntil : undefined,
+  };
+
+  await this.save();
+  return { code, expiresAt: this.pairing.expiresAt };
+};
+
+// Instance method to check and consume a pairing code
+// Returns "valid", "invalid", "expired" or "locked"
+// Every outcome is a conditional update on the stored device, not on this copy,
+// so parallel guesses all count towards the lockout and a code is only ever
+// accepted once
+deviceSchema.methods.consumePairingCode = async function (code) {
+  const Device = this.constructor;
+  const now = new Date();
+  const codeHash = AuthUtils.hashToken(
+    `${this.deviceId}:${String(code || "")
+      .toUpperCase()
+      .replace(/[\s-]/g, "")}`
+  );
+
+  const consumed = await Device.findOneAndUpdate(
+    {
+      deviceId: this.deviceId,
+      state: "provisioned",
+      "pairing.codeHash": codeHash,
+      "pairing.expiresAt": { $gt: now },
+      "pairing.lockedUntil": { $not: { $gt: now } },
+    },
+    { $set: { pairing: { failedAttempts: 0 } } },
+    { new: true }
+  );
+  if (consumed) {
+    this.pairing = consumed.pairing;
+    return "valid";
+  }
+
+  const current = await Device.findOne({ deviceId: this.deviceId }).select(
+    "state pairing"
+  );
+  const pairing = current && current.pairing;
+  if (current && current.isPairingLocked) {
+    return "locked";
+  }
+  if (!pairing || !pairing.codeHash || current.state !== "provisioned") {
+    return "invalid";
+  }
+
+  if (pairing.expiresAt <= now) {
+    await Device.updateOne(
+      { deviceId: this.deviceId, "pairing.codeHash": pairing.codeHash },
+      { $unset: { "pairing.codeHash": "" } }
+    );
+    return "expired";
+  }
+
+  // A wrong guess counts against the code it was made for
+  const maxFailedAttempts = config.pairing.maxFailedAttempts;
+  const forCode = {
+    deviceId: this.deviceId,
+    "pairing.codeHash": pairing.codeHash,
+  };
+  const counted = await Device.updateOne(
+    { ...forCode, "pairing.failedAttempts": { $lt: maxFailedAttempts - 1 } },
+    { $inc: { "pairing.failedAttempts": 1 } }
+  );
+  if (counted.modifiedCount > 0) {
+    return "invalid";
+  }
+
+  // The last allowed wrong guess burns the code and locks pairing for a while
+  const locked = await Device.updateOne(forCode, {
+    $inc: { "pairing.failedAttempts": 1 },
+    $set: {
+      "pairing.lockedUntil": new Date(Date.now() + config.pairing.lockMs),
+    },
+    $unset: { "pairing.codeHash": "" },
+  });
+  return locked.modifiedCount > 0 ? "locked" : "invalid";
+};
+
+// Instance method to move the device through its lifecycle
+deviceSchema.methods.transitionTo = function (state, userId = null, note = "") {
+  if (!STATE_TRANSITIONS[this.state].includes(state)) {
+    const error = new Error(
+      `Invalid device state transition: ${this.state} → ${state}`
+    );
+    error.status = 409;
+    throw error;
+  }
+
+  this.state = state;
+  this.stateHistory.push({
+    state,
+    changedAt: new Date(),
+    changedBy: userId,
+    note,
+  });
+
+  if (state === "provisioned" && !this.provisionedAt) {
+    this.provisionedAt = new Date();
+  } else if (state === "decommissioned") {
+    this.decommissionedAt = new Date();
+  }
+
+  return this;
+};
+
+// Instance method to claim the device for a user
+deviceSchema.methods.claim = function (userId) {
+  this.transitionTo("claimed", userId);
+  this.owner = userId;
+  this.claimedAt = new Date();
+  this.ownerHistory.push({ userId, claimedAt: new Date() });
+  return this.save();
+};
+
+// Instance method to hand ownership of a claimed device to another user
+deviceSchema.methods.transferOwnership = function (userId) {
+  this.closeOwnership();
+  this.owner = userId;
+  this.claimedAt = new Date();
+  this.ownerHistory.push({ userId, claimedAt: new Date() });
+  return this.save();
+};
+
+// Instance method to release the device back to the provisioned pool
+deviceSchema.methods.release = function (userId = null) {
+  this.closeOwnership();
+  this.organizationId = null;
+  this.transitionTo("provisioned", userId, "Released by owner");
+  return this.save();
+};
+
+// Instance method to permanently retire the device
+deviceSchema.methods.decommission = function (userId = null, note = "") {
+  this.closeOwnership();
+  this.organizationId = null;
+  this.transitionTo("decommissioned", userId, note);
+  return this.save();
+};
+
+// Instance method to close the current owner history entry
+deviceSchema.methods.closeOwnership = function () {
+  const current = this.ownerHistory.find((entry) => !entry.releasedAt);
+  if (current) {
+    current.releasedAt = new Date();
+  }
+  this.owner = null;
+  this.claimedAt = null;
+};
+
+// Static method to find a device that is provisioned or claimed
+deviceSchema.statics.findProvisioned = function (deviceId) {
+  return this.findOne({
+    deviceId,
+    state: { $in: ["provisioned", "claimed"] },
+  });
+};
+
+// Static method to list the IDs of the devices an organization manages
+deviceSchema.statics.getOrganizationDeviceIds = function (organizationId) {
+  return this.distinct("deviceId", { organizationId });
+};
+
+// Static method to list allowed transitions (used by admin tooling)
+deviceSchema.statics.getStateTransitions = function () {
+  return STATE_TRANSITIONS;
+};
+
+const Device = mongoose.model("Device", deviceSchema);
+
+module.exports = Device;
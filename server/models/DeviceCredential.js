@@ -0,0 +1,188 @@
+const mongoose = require("mongoose");
+const AuthUtils = require("../utils/auth");
+const config = require("../config");
+
+const secretSchema = new mongoose.Schema(
+  {
+    keyId: {
+      type: String,
+      required: true,
+    },
+    // AES-GCM encrypted, the server needs the plain secret to verify HMACs
+    encryptedSecret: {
+      type: String,
+      required: true,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const deviceCredentialSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: [true, "Device ID is required"],
+      unique: true,
+      trim: true,
+      maxlength: [50, "Device ID cannot exceed 50 characters"],
+    },
+
+    status: {
+      type: String,
+      enum: ["active", "revoked"],
+      default: "active",
+    },
+
+    current: {
+      type: secretSchema,
+      required: true,
+    },
+
+    // Previous secret stays valid until its expiresAt so devices can pick up a rotation
+    previous: {
+      type: secretSchema,
+      default: null,
+    },
+
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    rotatedAt: { type: Date },
+
+    revokedAt: { type: Date },
+
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    lastUsedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        if (ret.current) delete ret.current.encryptedSecret;
+        if (ret.previous) delete ret.previous.encryptedSecret;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Build a fresh secret entry
+ * @returns {{entry: Object, secret: string}} - Stored entry and the plain secret
+ */
+function createSecretEntry() {
+  const secret = AuthUtils.generateRandomToken(32);
+  return {
+    secret,
+    entry: {
+      keyId: AuthUtils.generateRandomToken(6),
+      encryptedSecret: AuthUtils.encryptSecret(secret),
+      issuedAt: new Date(),
+      expiresAt: null,
+    },
+  };
+}
+
+// Instance method to get the secrets currently accepted for signature checks
+deviceCredentialSchema.methods.getValidSecrets = function () {
+  if (this.status !== "active") {
+    return [];
+  }
+
+  const secrets = [
+    {
+      keyId: this.current.keyId,
+      secret: AuthUtils.decryptSecret(this.current.encryptedSecret),
+    },
+  ];
+
+  if (
+    this.previous &&
+    this.previous.expiresAt &&
+    this.previous.expiresAt > Date.now()
+  ) {
+    secrets.push({
+      keyId: this.previous.keyId,
+      secret: AuthUtils.decryptSecret(this.previous.encryptedSecret),
+    });
+  }
+
+  return secrets;
+};
+
+// Instance method to rotate the secret, keeping the old one for a grace period
+deviceCredentialSchema.methods.rotate = async function (
+  graceMs = config.deviceAuth.rotationGraceMs
+) {
+  const { entry, secret } = createSecretEntry();
+
+  this.previous = {
+    ...this.current.toObject(),
+    expiresAt: new Date(Date.now() + graceMs),
+  };
+  this.current = entry;
+  this.rotatedAt = new Date();
+
+  await this.save();
+  return { credential: this, secret };
+};
+
+// Instance method to revoke all secrets for this device
+deviceCredentialSchema.methods.revoke = function (userId = null) {
+  this.status = "revoked";
+  this.previous = null;
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+  return this.save();
+};
+
+// Static method to issue (or re-issue after revocation) a device secret
+deviceCredentialSchema.statics.issue = async function (
+  deviceId,
+  issuedBy = null
+) {
+  const { entry, secret } = createSecretEntry();
+
+  const credential = await this.findOneAndUpdate(
+    { deviceId },
+    {
+      $set: {
+        status: "active",
+        current: entry,
+        previous: null,
+        issuedBy,
+      },
+      $unset: { revokedAt: 1, revokedBy: 1, rotatedAt: 1 },
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  return { credential, secret };
+};
+
+// Static method to find the active credential for a device
+deviceCredentialSchema.statics.findActiveByDevice = function (deviceId) {
+  return this.findOne({ deviceId, status: "active" });
+};
+
+const DeviceCredential = mongoose.model(
+  "DeviceCredential",
+  deviceCredentialSchema
+);
+
+module.exports = DeviceCredential;
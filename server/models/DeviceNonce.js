@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+const deviceNonceSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: [true, "Device ID is required"],
+    trim: true,
+  },
+
+  // Signatures are unique per (timestamp, body), so a repeat is a replay
+  signature: {
+    type: String,
+    required: [true, "Signature is required"],
+  },
+
+  // Message ID (body messageId or Idempotency-Key) the signature was first sent with
+  messageId: {
+    type: String,
+    default: null,
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+deviceNonceSchema.index({ deviceId: 1, signature: 1 }, { unique: true });
+
+// TTL index so nonces only live as long as the signature tolerance window
+deviceNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to record a signature
+// Resolves { fresh: false } with the first use's message ID if it was already seen
+deviceNonceSchema.statics.consume = async function (
+  deviceId,
+  signature,
+  ttlMs,
+  messageId = null
+) {
+  try {
+    await this.create({
+      deviceId,
+      signature,
+      messageId,
+      expiresAt: new Date(Date.now() + ttlMs),
+    });
+    return { fresh: true, messageId };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    const first = await this.findOne({ deviceId, signature });
+    return { fresh: false, messageId: first ? first.messageId : null };
+  }
+};
+
+const DeviceNonce = mongoose.model("DeviceNonce", deviceNonceSchema);
+
+module.exports = DeviceNonce;
@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+
+// Reading sections tracked separately; each keeps the value of the newest reading that carried it
+const STATE_SECTIONS = [
+  "sensors.ultrasonicLeft",
+  "sensors.ultrasonicCenter",
+  "sensors.ultrasonicRight",
+  "sensors.IR",
+  "sensors.IMU",
+  "sensors.battery",
+  "sensors.environment",
+  "gps",
+  "connectivity",
+  "deviceStatus",
+];
+
+const deviceStateSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: [true, "Device ID is required"],
+      unique: true,
+      trim: true,
+      maxlength: [50, "Device ID cannot exceed 50 characters"],
+    },
+
+    // Latest value per section, in the Telemetry layout
+    sensors: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    gps: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    connectivity: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    deviceStatus: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    // Reading time behind each section, keyed by sensor or section name (e.g. "battery", "gps")
+    sectionTimestamps: {
+      type: Map,
+      of: Date,
+      default: {},
+    },
+
+    lastReadingAt: { type: Date },
+    lastSeen: { type: Date },
+
+    // From status messages
+    online: { type: Boolean },
+    onlineChangedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+    optimisticConcurrency: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Instance method to merge a reading's sections, skipping ones older than what is stored
+deviceStateSchema.methods.mergeReading = function (timestamp, sections) {
+  let changed = false;
+
+  for (const [path, value] of Object.entries(sections)) {
+    if (!STATE_SECTIONS.includes(path) || value === undefined) continue;
+
+    const name = path.replace(/^sensors\./, "");
+    const current = this.sectionTimestamps.get(name);
+    if (current && current > timestamp) continue;
+
+    if (name !== path) {
+      this.sensors = { ...this.sensors, [name]: value };
+    } else {
+      this[path] = value;
+    }
+    this.sectionTimestamps.set(name, timestamp);
+    changed = true;
+  }
+
+  if (!this.lastReadingAt || this.lastReadingAt < timestamp) {
+    this.lastReadingAt = timestamp;
+  }
+  this.lastSeen = new Date();
+
+  return changed;
+};
+
+// Static method to fold readings into a device's latest state
+// Readings for one device can be processed concurrently, so conflicting saves are retried
+deviceStateSchema.statics.applyReadings = async function (
+  deviceId,
+  readings,
+  attempts = 5
+) {
+  for (let attempt = 1; ; attempt++) {
+    const state = (await this.findOne({ deviceId })) || new this({ deviceId });
+    for (const { timestamp, sections } of readings) {
+      state.mergeReading(timestamp, sections);
+    }
+
+    try {
+      return await state.save();
+    } catch (error) {
+      const conflict = error.name === "VersionError" || error.code === 11000;
+      if (!conflict || attempt >= attempts) throw error;
+    }
+  }
+};
+
+// Static method to record an online/offline status message
+deviceStateSchema.statics.recordStatus = function (deviceId, online) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { deviceId },
+    { $set: { online, onlineChangedAt: now, lastSeen: now } },
+    { upsert: true, new: true }
+  );
+};
+
+const DeviceState = mongoose.model("DeviceState", deviceStateSchema);
+
+module.exports = DeviceState;
@@ -7,6 +7,7 @@ const eventSchema = new mongoose.Schema(
       required: [true, "Event type is required"],
       enum: [
         "SOS",
+        "SOS_REPEATED",
         "ALERT",
         "DEVICE_ONLINE",
         "DEVICE_OFFLINE",
@@ -20,6 +21,9 @@ const eventSchema = new mongoose.Schema(
         "COMMAND_SENT",
         "COMMAND_RECEIVED",
         "SYSTEM_ERROR",
+        "PAIRING_CODE_ISSUED",
+        "DEVICE_PAIRED",
+        "PAIRING_FAILED",
       ],
     },
 
@@ -123,6 +127,7 @@ const eventSchema = new mongoose.Schema(
       // Alert specific data
       alertThreshold: { type: Number },
       alertValue: { type: Number },
+      late: { type: Boolean }, // Raised from a backfilled reading; users were not notified
 
       // System error data
       errorCode: { type: String },
@@ -210,6 +215,11 @@ const eventSchema = new mongoose.Schema(
           default: Date.now,
         },
         note: { type: String },
+        // Set when the acknowledgment came from an integration's API key
+        apiKeyId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "ApiKey",
+        },
       },
     ],
 
@@ -233,6 +243,15 @@ const eventSchema = new mongoose.Schema(
       },
     ],
 
+    // SOS pressed again while this incident was open (each repeat is also linked
+    // as a "duplicate" SOS_REPEATED event in relatedEvents)
+    repeatCount: {
+      type: Number,
+      default: 0,
+    },
+
+    lastRepeatAt: { type: Date },
+
     archived: {
       type: Boolean,
       default: false,
@@ -287,12 +306,17 @@ eventSchema.virtual("ageInMinutes").get(function () {
 });
 
 // Instance method to acknowledge event
-eventSchema.methods.acknowledge = function (userId, note = "") {
+eventSchema.methods.acknowledge = function (
+  userId,
+  note = "",
+  apiKeyId = null
+) {
   if (!this.isAcknowledged) {
     this.acknowledgments.push({
       acknowledgedBy: userId,
       acknowledgedAt: new Date(),
       note,
+      apiKeyId,
     });
 
     if (this.status === "active") {
@@ -369,6 +393,91 @@ eventSchema.statics.createSOSEvent = function (
   return this.create(eventData);
 };
 
+// Static method to find a device's open SOS incident raised within a time window
+eventSchema.statics.findOpenSOS = function (deviceId, windowMs) {
+  return this.findOne({
+    type: "SOS",
+    deviceId,
+    status: { $in: ["active", "acknowledged"] },
+    timestamp: { $gte: new Date(Date.now() - windowMs) },
+  }).sort({ timestamp: -1 });
+};
+
+// Static method to record an SOS repeated while an incident was open
+// The repeat is stored as its own SOS_REPEATED event (kept out of SOS lists and
+// statistics) and linked both ways with the incident as a duplicate; the incident
+// counts it and takes its position if it had none
+eventSchema.statics.recordRepeatSOS = async function (
+  incident,
+  location = null,
+  timestamp = new Date()
+) {
+  const repeatedAt = new Date(timestamp);
+  const eventData = {
+    type: "SOS_REPEATED",
+    deviceId: incident.deviceId,
+    timestamp: repeatedAt,
+    severity: "high",
+    status: "ignored",
+    title: "🔁 Repeated Emergency Alert",
+    description: `SOS repeated from device ${incident.deviceId} while an incident was open`,
+    metadata: { emergencyType: "button_press", trigger: "manual" },
+    relatedEvents: [{ eventId: incident._id, relationship: "duplicate" }],
+  };
+  if (location && location.lat && location.lon) {
+    eventData.location = {
+      type: "Point",
+      coordinates: [location.lon, location.lat],
+    };
+  }
+
+  const repeat = await this.create(eventData);
+
+  const update = {
+    $push: {
+      relatedEvents: { eventId: repeat._id, relationship: "duplicate" },
+    },
+    $inc: { repeatCount: 1 },
+    $max: { lastRepeatAt: repeatedAt },
+  };
+
+  const located =
+    incident.location &&
+    incident.location.coordinates &&
+    incident.location.coordinates.length === 2;
+  if (!located && eventData.location) {
+    update.$set = { location: eventData.location };
+  }
+
+  return this.findByIdAndUpdate(incident._id, update, { new: true });
+};
+
+// Static method to record a device pairing attempt
+eventSchema.statics.recordPairingAttempt = function ({
+  deviceId,
+  userId = null,
+  success,
+  reason = "",
+  ipAddress,
+  userAgent,
+}) {
+  return this.create({
+    type: success ? "DEVICE_PAIRED" : "PAIRING_FAILED",
+    deviceId,
+    userId,
+    severity: success ? "low" : "medium",
+    title: success ? "Device Paired" : "Device Pairing Failed",
+    description: success
+      ? `Device ${deviceId} was paired to a user account`
+      : `Pairing attempt for device ${deviceId} failed (${reason})`,
+    metadata: {
+      ipAddress,
+      userAgent,
+      additionalData: new Map(Object.entries({ reason })),
+    },
+  });
+};
+
 // Static method to get active events for a device
 eventSchema.statics.getActiveByDevice = function (deviceId) {
   return this.find({
@@ -400,6 +509,23 @@ eventSchema.statics.getByTypeAndTimeRange = function (
   return this.find(query).sort({ timestamp: -1 });
 };
 
+// Static method to get a device's located SOS and fall events in a time range, oldest first
+eventSchema.statics.getTrackWaypoints = function (
+  deviceId,
+  startTime,
+  endTime,
+  limit = 1000
+) {
+  return this.find({
+    deviceId,
+    type: { $in: ["SOS", "FALL_DETECTED"] },
+    timestamp: { $gte: startTime, $lte: endTime },
+    "location.coordinates": { $size: 2 },
+  })
+    .sort({ timestamp: 1 })
+    .limit(limit);
+};
+
 // Static method to get critical unresolved events
 eventSchema.statics.getCriticalUnresolved = function () {
   return this.find({
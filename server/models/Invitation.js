@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+const AuthUtils = require("../utils/auth");
+
+const invitationSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: [true, "Device ID is required"],
+      trim: true,
+      maxlength: [50, "Device ID cannot exceed 50 characters"],
+    },
+
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      trim: true,
+      lowercase: true,
+    },
+
+    role: {
+      type: String,
+      enum: ["caregiver", "viewer"],
+      default: "caregiver",
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Hash of the signed token that was mailed out, so only the latest send is valid
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "revoked", "expired"],
+      default: "pending",
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    respondedAt: { type: Date },
+
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.tokenHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for better query performance
+invitationSchema.index({ deviceId: 1, status: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+
+// Virtual for checking if invitation is past its expiry
+invitationSchema.virtual("isExpired").get(function () {
+  return this.expiresAt < Date.now();
+});
+
+// Instance method to check a presented token against the stored hash
+invitationSchema.methods.matchesToken = function (token) {
+  return this.tokenHash === AuthUtils.hashToken(token);
+};
+
+// Instance method to mark a lapsed pending invitation as expired
+invitationSchema.methods.refreshStatus = async function () {
+  if (this.status === "pending" && this.isExpired) {
+    this.status = "expired";
+    await this.save();
+  }
+  return this.status;
+};
+
+// Instance method to record the invitee's answer
+invitationSchema.methods.respond = function (status, userId = null) {
+  this.status = status;
+  this.respondedAt = new Date();
+  if (status === "accepted") {
+    this.acceptedBy = userId;
+  }
+  return this.save();
+};
+
+// Instance method to withdraw a pending invitation
+invitationSchema.methods.revoke = function (userId = null) {
+  this.status = "revoked";
+  this.revokedBy = userId;
+  this.respondedAt = new Date();
+  return this.save();
+};
+
+// Static method to find the open invitation for an email on a device
+invitationSchema.statics.findPending = function (deviceId, email) {
+  return this.findOne({
+    deviceId,
+    email: email.toLowerCase(),
+    status: "pending",
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+
+module.exports = Invitation;
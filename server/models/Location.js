@@ -0,0 +1,144 @@
+const mongoose = require("mongoose");
+const config = require("../config");
+
+const locationSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: [true, "Device ID is required"],
+      trim: true,
+      maxlength: [50, "Device ID cannot exceed 50 characters"],
+    },
+
+    // Time of the fix as reported by the device
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+
+    location: {
+      type: {
+        type: String,
+        enum: ["Point"],
+        default: "Point",
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        required: true,
+        validate: {
+          validator: function (coords) {
+            return (
+              coords.length === 2 &&
+              coords[0] >= -180 &&
+              coords[0] <= 180 && // longitude
+              coords[1] >= -90 &&
+              coords[1] <= 90
+            ); // latitude
+          },
+          message: "Invalid coordinates",
+        },
+      },
+    },
+
+    altitude: { type: Number },
+    accuracy: { type: Number }, // in metres
+    speed: { type: Number },
+    heading: { type: Number },
+    satellites: { type: Number },
+
+    // Transport the fix arrived on
+    source: {
+      type: String,
+      enum: ["http", "mqtt"],
+      default: "mqtt",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for better query performance
+// One fix per device per timestamp, so redelivered messages aren't stored twice
+locationSchema.index({ deviceId: 1, timestamp: -1 }, { unique: true });
+locationSchema.index({ location: "2dsphere" });
+
+// TTL index to automatically delete old location history
+locationSchema.index(
+  { timestamp: 1 },
+  { expireAfterSeconds: Math.floor(config.location.retentionMs / 1000) }
+);
+
+// Virtual for latitude
+locationSchema.virtual("lat").get(function () {
+  return this.location.coordinates[1];
+});
+
+// Virtual for longitude
+locationSchema.virtual("lon").get(function () {
+  return this.location.coordinates[0];
+});
+
+// Instance method to format the fix as a track point
+locationSchema.methods.toTrackPoint = function () {
+  return {
+    timestamp: this.timestamp,
+    lat: this.lat,
+    lon: this.lon,
+    altitude: this.altitude,
+    accuracy: this.accuracy,
+    speed: this.speed,
+    heading: this.heading,
+    satellites: this.satellites,
+  };
+};
+
+// Static method to store fixes, ignoring ones already stored for the same time
+locationSchema.statics.recordMany = function (deviceId, fixes) {
+  return this.bulkWrite(
+    fixes.map(({ timestamp, lat, lon, source, ...details }) => ({
+      updateOne: {
+        filter: { deviceId, timestamp },
+        update: {
+          $setOnInsert: {
+            location: { type: "Point", coordinates: [lon, lat] },
+            source,
+            ...details,
+          },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+};
+
+// Static method to get a device's track, newest fix first
+locationSchema.statics.getTrack = function (
+  deviceId,
+  { startTime, endTime, limit = 1000 } = {}
+) {
+  const filter = { deviceId };
+  if (startTime || endTime) {
+    filter.timestamp = {};
+    if (startTime) filter.timestamp.$gte = startTime;
+    if (endTime) filter.timestamp.$lte = endTime;
+  }
+
+  return this.find(filter).sort({ timestamp: -1 }).limit(limit);
+};
+
+// Static method to get a device's last known position
+locationSchema.statics.getLastKnown = function (deviceId) {
+  return this.findOne({ deviceId }).sort({ timestamp: -1 });
+};
+
+const Location = mongoose.model("Location", locationSchema);
+
+module.exports = Location;
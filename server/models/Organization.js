@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+const Device = require("./Device");
+
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Organization name is required"],
+      trim: true,
+      minlength: [2, "Name must be at least 2 characters long"],
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+
+    slug: {
+      type: String,
+      required: [true, "Slug is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: [50, "Slug cannot exceed 50 characters"],
+      match: [
+        /^[a-z0-9]+(-[a-z0-9]+)*$/,
+        "Slug may only contain lowercase letters, numbers and dashes",
+      ],
+    },
+
+    contactEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+
+    contactPhone: {
+      type: String,
+      trim: true,
+      maxlength: [30, "Phone cannot exceed 30 characters"],
+    },
+
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Address cannot exceed 200 characters"],
+    },
+
+    // Contacted for every resident's SOS alongside their personal contacts
+    emergencyContacts: [
+      {
+        name: {
+          type: String,
+          required: true,
+        },
+        phone: {
+          type: String,
+          required: true,
+        },
+        email: {
+          type: String,
+          required: false,
+        },
+        relationship: {
+          type: String,
+          enum: ["family", "friend", "caregiver", "medical", "other"],
+          default: "other",
+        },
+      },
+    ],
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Static method to get the organization emergency contacts for a device
+organizationSchema.statics.getEmergencyContactsForDevice = async function (
+  deviceId
+) {
+  const device = await Device.findOne({ deviceId })
+    .select("organizationId")
+    .lean();
+  if (!device || !device.organizationId) {
+    return [];
+  }
+
+  const organization = await this.findOne({
+    _id: device.organizationId,
+    isActive: true,
+  })
+    .select("emergencyContacts")
+    .lean();
+  return organization ? organization.emergencyContacts : [];
+};
+
+const Organization = mongoose.model("Organization", organizationSchema);
+
+module.exports = Organization;
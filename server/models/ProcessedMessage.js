@@ -0,0 +1,176 @@
+const mongoose = require("mongoose");
+
+const processedMessageSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: [true, "Device ID is required"],
+      trim: true,
+    },
+
+    // What the message was, so IDs only need to be unique per kind
+    kind: {
+      type: String,
+      enum: ["telemetry", "telemetry-batch", "sos", "command-response"],
+      required: true,
+    },
+
+    // messageId field or Idempotency-Key header sent by the device
+    messageId: {
+      type: String,
+      required: [true, "Message ID is required"],
+    },
+
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+
+    // Result returned for the first delivery, replayed for repeats
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    // When the current delivery started processing the message
+    claimedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    duplicateCount: {
+      type: Number,
+      default: 0,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+processedMessageSchema.index(
+  { deviceId: 1, kind: 1, messageId: 1 },
+  { unique: true }
+);
+
+// TTL index so message IDs are only remembered for the idempotency window
+processedMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to claim a message ID for processing
+// Resolves { claimed: false } with the first delivery's record when the ID was already seen.
+// A receipt still processing after processingTimeoutMs was left by a delivery
+// that crashed, so the next repeat takes it over instead.
+processedMessageSchema.statics.claim = async function (
+  deviceId,
+  kind,
+  messageId,
+  ttlMs,
+  processingTimeoutMs
+) {
+  try {
+    const receipt = await this.create({
+      deviceId,
+      kind,
+      messageId,
+      expiresAt: new Date(Date.now() + ttlMs),
+    });
+    return { claimed: true, receipt };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    const now = new Date();
+    const abandoned = await this.findOneAndUpdate(
+      {
+        deviceId,
+        kind,
+        messageId,
+        status: "processing",
+        claimedAt: { $lt: new Date(now.getTime() - processingTimeoutMs) },
+      },
+      {
+        $set: { claimedAt: now, expiresAt: new Date(now.getTime() + ttlMs) },
+      },
+      { new: true }
+    );
+    if (abandoned) {
+      return { claimed: true, receipt: abandoned };
+    }
+
+    const receipt = await this.findOneAndUpdate(
+      { deviceId, kind, messageId },
+      { $inc: { duplicateCount: 1 } },
+      { new: true }
+    );
+    return { claimed: false, receipt };
+  }
+};
+
+// Static method to find which of a device's message IDs were already processed
+processedMessageSchema.statics.findSeen = async function (
+  deviceId,
+  kind,
+  messageIds
+) {
+  if (messageIds.length === 0) {
+    return new Set();
+  }
+
+  const receipts = await this.find({
+    deviceId,
+    kind,
+    messageId: { $in: messageIds },
+  }).select("messageId");
+
+  return new Set(receipts.map((receipt) => receipt.messageId));
+};
+
+// Static method to remember messages processed in bulk (batch uploads)
+// IDs stored concurrently by another delivery are skipped
+processedMessageSchema.statics.recordMany = async function (
+  deviceId,
+  kind,
+  results,
+  ttlMs
+) {
+  const expiresAt = new Date(Date.now() + ttlMs);
+
+  try {
+    await this.insertMany(
+      results.map(({ messageId, result }) => ({
+        deviceId,
+        kind,
+        messageId,
+        status: "completed",
+        result,
+        expiresAt,
+      })),
+      { ordered: false }
+    );
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+// Instance method to store the result of a successfully processed message
+processedMessageSchema.methods.complete = function (result) {
+  this.status = "completed";
+  this.result = result;
+  return this.save();
+};
+
+const ProcessedMessage = mongoose.model(
+  "ProcessedMessage",
+  processedMessageSchema
+);
+
+module.exports = ProcessedMessage;
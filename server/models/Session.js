@@ -0,0 +1,209 @@
+const mongoose = require("mongoose");
+const AuthUtils = require("../utils/auth");
+const config = require("../config");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+
+    // Only the hash of the latest refresh token is kept; it changes on every refresh
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+
+    // The token replaced by the last rotation, so a client racing its own refresh isn't taken for a thief
+    previousRefreshTokenHash: { type: String },
+
+    rotatedAt: { type: Date },
+
+    userAgent: {
+      type: String,
+      maxlength: [300, "User agent cannot exceed 300 characters"],
+    },
+
+    ipAddress: { type: String },
+
+    // Set when the login (or a later enrolment) passed a second factor
+    mfaVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    revokedAt: { type: Date },
+
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "revoked",
+        "password_changed",
+        "account_deactivated",
+        "token_reuse",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.refreshTokenHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for better query performance
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// TTL index so sessions disappear once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the session can still be used
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+/**
+ * Build a refresh token for a session
+ * The session ID prefix lets a replayed old token be traced back to its session
+ * @param {string} sessionId - Session ID
+ * @returns {string} - Refresh token
+ */
+function createRefreshToken(sessionId) {
+  return `${sessionId}.${AuthUtils.generateRandomToken(32)}`;
+}
+
+// Instance method to swap the refresh token for a new one
+// Given the presented token's hash, the swap only happens while that token is still
+// current, so of two concurrent refreshes one wins and the other resolves null
+sessionSchema.methods.rotate = async function (
+  currentHash = null,
+  details = {}
+) {
+  const refreshToken = createRefreshToken(this._id);
+  const now = new Date();
+  const update = {
+    ...details,
+    refreshTokenHash: AuthUtils.hashToken(refreshToken),
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + config.jwt.refreshExpiresInMs),
+  };
+
+  if (!currentHash) {
+    this.set(update);
+    await this.save();
+    return refreshToken;
+  }
+
+  const rotated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      refreshTokenHash: currentHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        ...update,
+        previousRefreshTokenHash: currentHash,
+        rotatedAt: now,
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    return null;
+  }
+
+  this.set(rotated.toObject());
+  return refreshToken;
+};
+
+// Instance method to check if a token was only just replaced by a concurrent refresh
+sessionSchema.methods.wasJustRotatedFrom = function (tokenHash) {
+  return (
+    !!this.previousRefreshTokenHash &&
+    this.previousRefreshTokenHash === tokenHash &&
+    !!this.rotatedAt &&
+    Date.now() - this.rotatedAt.getTime() <= config.jwt.refreshReuseGraceMs
+  );
+};
+
+// Instance method to end the session
+sessionSchema.methods.revoke = function (reason = "revoked") {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to open a session and return its first refresh token
+sessionSchema.statics.start = async function (userId, details = {}) {
+  const session = new this({
+    userId,
+    userAgent: details.userAgent ? details.userAgent.slice(0, 300) : undefined,
+    ipAddress: details.ipAddress,
+    mfaVerified: !!details.mfaVerified,
+    refreshTokenHash: "pending",
+    expiresAt: new Date(Date.now() + config.jwt.refreshExpiresInMs),
+  });
+
+  const refreshToken = await session.rotate();
+  return { session, refreshToken };
+};
+
+// Static method to find the session a refresh token belongs to
+sessionSchema.statics.findByRefreshToken = function (refreshToken) {
+  const [sessionId] = String(refreshToken).split(".");
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return Promise.resolve(null);
+  }
+  return this.findById(sessionId);
+};
+
+// Static method to check that a session is still usable (used on every request)
+sessionSchema.statics.isActiveSession = async function (sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false;
+  }
+  return !!(await this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }));
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function (
+  userId,
+  reason = "revoked",
+  exceptSessionId = null
+) {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
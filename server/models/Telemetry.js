@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const config = require("../config");
 
 const telemetrySchema = new mongoose.Schema(
   {
@@ -15,6 +16,16 @@ const telemetrySchema = new mongoose.Schema(
       required: true,
     },
 
+    // Transport the reading arrived on
+    source: {
+      type: String,
+      enum: ["http", "mqtt"],
+      default: "http",
+    },
+
+    // Start of the interval for snapshots assembled from per-sensor messages
+    bucketStart: { type: Date },
+
     sensors: {
       ultrasonicLeft: {
         type: Number,
@@ -22,6 +33,12 @@ const telemetrySchema = new mongoose.Schema(
         max: [1000, "Ultrasonic left sensor value cannot exceed 1000 cm"],
       },
 
+      ultrasonicCenter: {
+        type: Number,
+        min: [0, "Ultrasonic center sensor value cannot be negative"],
+        max: [1000, "Ultrasonic center sensor value cannot exceed 1000 cm"],
+      },
+
       ultrasonicRight: {
         type: Number,
         min: [0, "Ultrasonic right sensor value cannot be negative"],
@@ -144,6 +161,8 @@ const telemetrySchema = new mongoose.Schema(
         },
         message: { type: String },
         timestamp: { type: Date, default: Date.now },
+        // As sent by the device; readings are never updated, so alerts are
+        // acknowledged on the Event raised for them
         acknowledged: { type: Boolean, default: false },
       },
     ],
@@ -162,6 +181,17 @@ const telemetrySchema = new mongoose.Schema(
   },
   {
     timestamps: true,
+    // Stored as a time-series collection: MongoDB groups each device's readings
+    // into compressed buckets. Documents are inserted once and never updated;
+    // queries should filter on deviceId and a timestamp range, and range
+    // predicates on measurements let whole buckets be skipped.
+    timeseries: {
+      timeField: "timestamp",
+      metaField: "deviceId",
+      granularity: "seconds",
+    },
+    // Raw readings expire once they have been rolled up
+    expireAfterSeconds: Math.floor(config.telemetry.retention.rawMs / 1000),
     toJSON: {
       transform: function (doc, ret) {
         delete ret.__v;
@@ -173,16 +203,16 @@ const telemetrySchema = new mongoose.Schema(
 
 // Indexes for better query performance
 telemetrySchema.index({ deviceId: 1, timestamp: -1 });
-telemetrySchema.index({ timestamp: -1 });
-telemetrySchema.index({ "gps.lat": 1, "gps.lon": 1 });
-telemetrySchema.index({ processed: 1 });
-telemetrySchema.index({ "alerts.type": 1, "alerts.acknowledged": 1 });
-
-// TTL index to automatically delete old telemetry data after 30 days
-telemetrySchema.index(
-  { timestamp: 1 },
-  { expireAfterSeconds: 30 * 24 * 60 * 60 }
-);
+telemetrySchema.index({ createdAt: 1 }); // Finds the hours the rollup job must rebuild
+
+// Where migrateToTimeSeries moves a regular telemetry collection
+const LEGACY_COLLECTION = "telemetries_legacy";
+
+// Matches readings carrying a GPS fix; unlike $exists, bounds can skip buckets without one
+const HAS_FIX = {
+  "gps.lat": { $gte: -90, $lte: 90 },
+  "gps.lon": { $gte: -180, $lte: 180 },
+};
 
 // Virtual for GPS coordinates as GeoJSON
 telemetrySchema.virtual("location").get(function () {
@@ -207,16 +237,6 @@ telemetrySchema.methods.getUnacknowledgedAlerts = function () {
   return this.alerts.filter((alert) => !alert.acknowledged);
 };
 
-// Instance method to acknowledge an alert
-telemetrySchema.methods.acknowledgeAlert = function (alertId) {
-  const alert = this.alerts.id(alertId);
-  if (alert) {
-    alert.acknowledged = true;
-    return this.save();
-  }
-  return Promise.resolve(this);
-};
-
 // Static method to get latest telemetry for a device
 telemetrySchema.statics.getLatestByDevice = function (deviceId, limit = 1) {
   return this.find({ deviceId }).sort({ timestamp: -1 }).limit(limit);
@@ -239,13 +259,20 @@ telemetrySchema.statics.getByTimeRange = function (
 
 // Static method to get telemetry with GPS data
 telemetrySchema.statics.getWithGPS = function (deviceId, limit = 100) {
-  return this.find({
+  return this.find({ deviceId, ...HAS_FIX })
+    .sort({ timestamp: -1 })
+    .limit(limit);
+};
+
+// Static method to find the last reading with a GPS fix before a time
+telemetrySchema.statics.findPreviousFix = function (deviceId, before) {
+  return this.findOne({
     deviceId,
-    "gps.lat": { $exists: true },
-    "gps.lon": { $exists: true },
+    timestamp: { $lt: before },
+    ...HAS_FIX,
   })
     .sort({ timestamp: -1 })
-    .limit(limit);
+    .select("timestamp");
 };
 
 // Static method to get devices with low battery
@@ -257,6 +284,7 @@ telemetrySchema.statics.getLowBatteryDevices = function (threshold = 20) {
         timestamp: { $gte: new Date(Date.now() - 60 * 60 * 1000) }, // last hour
       },
     },
+    { $sort: { timestamp: -1 } },
     {
       $group: {
         _id: "$deviceId",
@@ -302,6 +330,199 @@ telemetrySchema.statics.getDeviceStats = function (deviceId, timeRange = 24) {
   ]);
 };
 
+// Static method to get the latest readings and totals for a group of devices
+telemetrySchema.statics.getFleetStats = function (deviceIds, timeRange = 24) {
+  const since = new Date(Date.now() - timeRange * 60 * 60 * 1000);
+
+  return this.aggregate([
+    {
+      $match: {
+        deviceId: { $in: deviceIds },
+        timestamp: { $gte: since },
+      },
+    },
+    { $sort: { timestamp: -1 } },
+    {
+      $group: {
+        _id: "$deviceId",
+        count: { $sum: 1 },
+        latestBattery: { $first: "$sensors.battery.level" },
+        avgBattery: { $avg: "$sensors.battery.level" },
+        criticalAlerts: {
+          $sum: {
+            $size: {
+              $filter: {
+                input: "$alerts",
+                cond: { $eq: ["$$this.severity", "critical"] },
+              },
+            },
+          },
+        },
+        lastSeen: { $first: "$timestamp" },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+};
+
+// Static method to get a downsampled series of numeric fields, one point per
+// interval, oldest first. Each field is reduced with every aggregation; the
+// result keys are f<field index>_<aggregation>.
+telemetrySchema.statics.getSeries = function (
+  deviceId,
+  { fields, aggregations, from, to, unit, binSize, limit }
+) {
+  const group = {
+    _id: { $dateTrunc: { date: "$timestamp", unit, binSize } },
+  };
+
+  fields.forEach((field, index) => {
+    const value = `$${field}`;
+    const isNumber = { $isNumber: value };
+    // Earliest and latest values come from the smallest and largest { t, v } pair
+    const timed = { $cond: [isNumber, { t: "$timestamp", v: value }, null] };
+
+    for (const aggregation of aggregations) {
+      const key = `f${index}_${aggregation}`;
+      switch (aggregation) {
+        case "count":
+          group[key] = { $sum: { $cond: [isNumber, 1, 0] } };
+          break;
+        case "first":
+          group[key] = { $min: timed };
+          break;
+        case "last":
+          group[key] = { $max: timed };
+          break;
+        default:
+          group[key] = { [`$${aggregation}`]: value };
+      }
+    }
+  });
+
+  return this.aggregate([
+    {
+      $match: {
+        deviceId,
+        timestamp: { $gte: from, $lt: to },
+        $or: fields.map((field) => ({ [field]: { $type: "number" } })),
+      },
+    },
+    { $group: group },
+    { $sort: { _id: 1 } },
+    { $limit: limit },
+  ]);
+};
+
+// Static method to insert plain documents, skipping _ids already stored
+// Time-series collections can't enforce a unique _id, so a copy that is retried
+// after a crash checks first
+telemetrySchema.statics.insertNew = async function (docs) {
+  if (docs.length === 0) return 0;
+
+  const times = docs.map((doc) => doc.timestamp.getTime());
+  const stored = await this.collection
+    .find(
+      {
+        _id: { $in: docs.map((doc) => doc._id) },
+        timestamp: {
+          $gte: new Date(Math.min(...times)),
+          $lte: new Date(Math.max(...times)),
+        },
+      },
+      { projection: { _id: 1 } }
+    )
+    .toArray();
+  const storedIds = new Set(stored.map((doc) => String(doc._id)));
+
+  const fresh = docs.filter((doc) => !storedIds.has(String(doc._id)));
+  if (fresh.length > 0) {
+    await this.collection.insertMany(fresh, { ordered: false });
+  }
+  return fresh.length;
+};
+
+// Static method to replace a regular telemetry collection with a time-series one
+// The old collection is renamed aside and copied over by copyLegacyReadings
+telemetrySchema.statics.migrateToTimeSeries = async function () {
+  // Let Mongoose finish its own collection and index setup first
+  await this.init();
+
+  const db = this.db.db;
+  const name = this.collection.collectionName;
+  const [existing] = await db.listCollections({ name }).toArray();
+
+  if (existing && existing.type !== "timeseries") {
+    await db.renameCollection(name, LEGACY_COLLECTION);
+    console.log(`📦 Moved regular ${name} collection to ${LEGACY_COLLECTION}`);
+  }
+
+  await this.createCollection();
+  await this.createIndexes();
+};
+
+// Static method to copy readings from the pre-time-series collection, oldest
+// first, dropping it once empty. Readings past the raw retention are skipped.
+// Safe to interrupt: copied readings are deleted from the old collection, and a
+// batch copied twice is not inserted twice.
+telemetrySchema.statics.copyLegacyReadings = async function (batchSize = 1000) {
+  const db = this.db.db;
+  const [legacy] = await db
+    .listCollections({ name: LEGACY_COLLECTION })
+    .toArray();
+  if (!legacy) return 0;
+
+  const source = db.collection(LEGACY_COLLECTION);
+  const cutoff = new Date(Date.now() - config.telemetry.retention.rawMs);
+  let copied = 0;
+
+  for (;;) {
+    const batch = await source
+      .find({ timestamp: { $gte: cutoff } })
+      .sort({ timestamp: 1 })
+      .limit(batchSize)
+      .toArray();
+    if (batch.length === 0) break;
+
+    copied += await this.insertNew(batch);
+    await source.deleteMany({ _id: { $in: batch.map((doc) => doc._id) } });
+  }
+
+  await source.drop();
+  console.log(`✅ Copied ${copied} reading(s) into time-series telemetry`);
+  return copied;
+};
+
+// Static method to report readings in a time range that are still waiting in the
+// pre-time-series collection, so history reads can flag that they are incomplete
+// Resolves { inProgress: false } once nothing in the range is left to copy
+telemetrySchema.statics.getMigrationStatus = async function (
+  startTime = null,
+  endTime = null
+) {
+  const cutoff = new Date(Date.now() - config.telemetry.retention.rawMs);
+  const timestamp = {
+    $gte: startTime && startTime > cutoff ? new Date(startTime) : cutoff,
+  };
+  if (endTime) timestamp.$lte = new Date(endTime);
+
+  const source = this.db.db.collection(LEGACY_COLLECTION);
+  const edge = async (direction) => {
+    const [reading] = await source
+      .find({ timestamp }, { projection: { timestamp: 1 } })
+      .sort({ timestamp: direction })
+      .limit(1)
+      .toArray();
+    return reading ? reading.timestamp : null;
+  };
+
+  const pendingFrom = await edge(1);
+  if (!pendingFrom) {
+    return { inProgress: false };
+  }
+  return { inProgress: true, pendingFrom, pendingTo: await edge(-1) };
+};
+
 const Telemetry = mongoose.model("Telemetry", telemetrySchema);
 
 module.exports = Telemetry;
@@ -0,0 +1,225 @@
+const mongoose = require("mongoose");
+
+const telemetryRollupSchema = new mongoose.Schema(
+  {
+    deviceId: {
+      type: String,
+      required: [true, "Device ID is required"],
+      trim: true,
+      maxlength: [50, "Device ID cannot exceed 50 characters"],
+    },
+
+    granularity: {
+      type: String,
+      enum: ["hour", "day"],
+      required: true,
+    },
+
+    // Start of the hour or UTC day the rollup covers
+    bucketStart: {
+      type: Date,
+      required: true,
+    },
+
+    sampleCount: { type: Number, default: 0 },
+    firstReadingAt: { type: Date },
+    lastReadingAt: { type: Date },
+
+    battery: {
+      samples: { type: Number, default: 0 },
+      min: { type: Number },
+      avg: { type: Number },
+      max: { type: Number },
+    },
+
+    // Metres between consecutive GPS fixes
+    distanceM: { type: Number, default: 0 },
+
+    obstacles: {
+      count: { type: Number, default: 0 }, // readings with an obstacle within the alert threshold
+      minDistance: { type: Number }, // cm
+    },
+
+    activity: {
+      samples: { type: Number, default: 0 }, // readings with an accelerometer value
+      activeSamples: { type: Number, default: 0 },
+      maxMagnitude: { type: Number }, // m/s²
+    },
+
+    uptime: {
+      max: { type: Number }, // seconds
+      restarts: { type: Number, default: 0 },
+    },
+
+    // Readings on which each link was connected
+    connectivity: {
+      wifi: { type: Number, default: 0 },
+      cellular: { type: Number, default: 0 },
+      bluetooth: { type: Number, default: 0 },
+    },
+
+    criticalAlerts: { type: Number, default: 0 },
+
+    // Downsampled GPS track, kept after raw fixes expire
+    track: [
+      {
+        _id: false,
+        timestamp: { type: Date },
+        lat: { type: Number },
+        lon: { type: Number },
+        accuracy: { type: Number },
+      },
+    ],
+
+    // Set from the retention of the granularity
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for better query performance
+telemetryRollupSchema.index(
+  { deviceId: 1, granularity: 1, bucketStart: -1 },
+  { unique: true }
+);
+
+// TTL index to automatically delete rollups past their retention
+telemetryRollupSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to store a rollup, replacing an earlier one for the same bucket
+telemetryRollupSchema.statics.upsertBucket = function (
+  deviceId,
+  granularity,
+  bucketStart,
+  summary,
+  retentionMs
+) {
+  return this.findOneAndUpdate(
+    { deviceId, granularity, bucketStart },
+    {
+      $set: {
+        ...summary,
+        expiresAt: new Date(bucketStart.getTime() + retentionMs),
+      },
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+// Static method to get summary statistics from the rollups of one granularity
+telemetryRollupSchema.statics.getStats = function (
+  deviceId,
+  granularity,
+  since
+) {
+  return this.aggregate([
+    {
+      $match: {
+        deviceId,
+        granularity,
+        bucketStart: { $gte: since },
+      },
+    },
+    {
+      $group: {
+        _id: "$deviceId",
+        count: { $sum: "$sampleCount" },
+        batterySamples: { $sum: "$battery.samples" },
+        batteryTotal: {
+          $sum: { $multiply: ["$battery.avg", "$battery.samples"] },
+        },
+        minBattery: { $min: "$battery.min" },
+        maxBattery: { $max: "$battery.max" },
+        criticalAlerts: { $sum: "$criticalAlerts" },
+        firstSeen: { $min: "$firstReadingAt" },
+        lastSeen: { $max: "$lastReadingAt" },
+        distanceM: { $sum: "$distanceM" },
+        obstacles: { $sum: "$obstacles.count" },
+        activitySamples: { $sum: "$activity.samples" },
+        activeSamples: { $sum: "$activity.activeSamples" },
+        restarts: { $sum: "$uptime.restarts" },
+        maxUptime: { $max: "$uptime.max" },
+      },
+    },
+    {
+      $project: {
+        count: 1,
+        avgBattery: {
+          $cond: [
+            { $gt: ["$batterySamples", 0] },
+            { $divide: ["$batteryTotal", "$batterySamples"] },
+            null,
+          ],
+        },
+        minBattery: 1,
+        maxBattery: 1,
+        criticalAlerts: 1,
+        firstSeen: 1,
+        lastSeen: 1,
+        distanceM: 1,
+        obstacles: 1,
+        activeRatio: {
+          $cond: [
+            { $gt: ["$activitySamples", 0] },
+            { $divide: ["$activeSamples", "$activitySamples"] },
+            null,
+          ],
+        },
+        restarts: 1,
+        maxUptime: 1,
+      },
+    },
+  ]);
+};
+
+// Static method to get the downsampled track of one granularity, newest point first
+telemetryRollupSchema.statics.getTrack = async function (
+  deviceId,
+  granularity,
+  { startTime, endTime, limit = 1000 } = {}
+) {
+  const bucketMs = (granularity === "day" ? 24 : 1) * 60 * 60 * 1000;
+  const filter = { deviceId, granularity };
+  if (startTime || endTime) {
+    filter.bucketStart = {};
+    if (startTime) {
+      filter.bucketStart.$gt = new Date(startTime.getTime() - bucketMs);
+    }
+    if (endTime) filter.bucketStart.$lte = endTime;
+  }
+
+  const points = [];
+  const cursor = this.find(filter, { track: 1 })
+    .sort({ bucketStart: -1 })
+    .lean()
+    .cursor();
+
+  for await (const rollup of cursor) {
+    for (const point of [...rollup.track].reverse()) {
+      if (endTime && point.timestamp > endTime) continue;
+      if (startTime && point.timestamp < startTime) return points;
+      points.push(point);
+      if (points.length >= limit) return points;
+    }
+  }
+
+  return points;
+};
+
+const TelemetryRollup = mongoose.model(
+  "TelemetryRollup",
+  telemetryRollupSchema
+);
+
+module.exports = TelemetryRollup;
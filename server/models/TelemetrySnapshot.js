@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+const Telemetry = require("./Telemetry");
+
+// Snapshots assembled from per-sensor messages are merged in place, which the
+// time-series telemetry collection doesn't allow. They are kept here, with the
+// same fields, until their interval has closed and are then moved to telemetry.
+const telemetrySnapshotSchema = Telemetry.schema.clone();
+telemetrySnapshotSchema.set("timeseries", undefined);
+telemetrySnapshotSchema.set("expireAfterSeconds", undefined);
+telemetrySnapshotSchema.clearIndexes();
+
+telemetrySnapshotSchema.add({
+  // Set while a flush is moving the snapshot
+  flushClaim: { type: mongoose.Schema.Types.ObjectId },
+  claimedAt: { type: Date },
+});
+
+// Indexes for better query performance
+// One open snapshot per device per interval
+telemetrySnapshotSchema.index(
+  { deviceId: 1, bucketStart: 1 },
+  { unique: true }
+);
+telemetrySnapshotSchema.index({ bucketStart: 1 });
+telemetrySnapshotSchema.index({ flushClaim: 1 });
+
+// Static method to move snapshots of intervals that started before a time into telemetry
+// Each flush claims its snapshots first, so concurrent servers don't move the
+// same one; claims older than claimTimeoutMs are taken over from a flush that died
+telemetrySnapshotSchema.statics.flushClosed = async function (
+  before,
+  claimTimeoutMs
+) {
+  const now = new Date();
+  const claim = new mongoose.Types.ObjectId();
+
+  await this.updateMany(
+    {
+      bucketStart: { $lt: before },
+      $or: [
+        { flushClaim: null },
+        { claimedAt: { $lt: new Date(now.getTime() - claimTimeoutMs) } },
+      ],
+    },
+    { $set: { flushClaim: claim, claimedAt: now } }
+  );
+
+  const snapshots = await this.find({ flushClaim: claim }).lean();
+  if (snapshots.length === 0) return 0;
+
+  // createdAt is when the reading reached telemetry, which the rollup job watches
+  await Telemetry.insertNew(
+    snapshots.map(({ flushClaim, claimedAt, __v, ...snapshot }) => ({
+      ...snapshot,
+      createdAt: now,
+      updatedAt: now,
+    }))
+  );
+  await this.deleteMany({ flushClaim: claim });
+
+  return snapshots.length;
+};
+
+const TelemetrySnapshot = mongoose.model(
+  "TelemetrySnapshot",
+  telemetrySnapshotSchema
+);
+
+module.exports = TelemetrySnapshot;
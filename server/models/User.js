@@ -1,5 +1,10 @@
 const mongoose = require("mongoose");
+const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
+const AuthUtils = require("../utils/auth");
+const TOTP = require("../utils/totp");
+const Permissions = require("../utils/permissions");
+const config = require("../config");
 
 const userSchema = new mongoose.Schema(
   {
@@ -40,6 +45,15 @@ const userSchema = new mongoose.Schema(
           type: String,
           default: "Smart Stick",
         },
+        role: {
+          type: String,
+          enum: ["owner", "caregiver", "viewer"],
+          default: "owner",
+        },
+        addedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
         isActive: {
           type: Boolean,
           default: true,
@@ -82,9 +96,23 @@ const userSchema = new mongoose.Schema(
       },
     ],
 
-    isAdmin: {
-      type: Boolean,
-      default: false,
+    // Staff roles (see utils/permissions); regular users have none
+    roles: {
+      type: [{ type: String, enum: Permissions.getRoleNames() }],
+      default: [],
+    },
+
+    // Care home or clinic the user belongs to; its admins manage the organization
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+
+    organizationRole: {
+      type: String,
+      enum: ["admin", "member", null],
+      default: null,
     },
 
     isActive: {
@@ -128,12 +156,47 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+
+    // TOTP two-factor authentication; secrets are encrypted, recovery codes hashed
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      encryptedSecret: { type: String },
+      pendingEncryptedSecret: { type: String },
+      recoveryCodeHashes: [{ type: String }],
+      lastUsedCounter: { type: Number, default: 0 },
+      enabledAt: { type: Date },
+    },
+
+    // Broker login for the mobile app (username is the user ID); Mosquitto-format hash
+    mqttCredential: {
+      passwordHash: { type: String, default: null },
+      issuedAt: { type: Date },
+    },
+
+    // Pending password reset; only the hash of the emailed token is stored
+    passwordReset: {
+      tokenHash: { type: String },
+      requestedAt: { type: Date },
+      expiresAt: { type: Date },
+      attempts: { type: Number, default: 0 },
+      lockUntil: { type: Date },
+    },
   },
   {
     timestamps: true,
     toJSON: {
       transform: function (doc, ret) {
         delete ret.passwordHash;
+        delete ret.passwordReset;
+        if (ret.mqttCredential) {
+          ret.mqttCredential = { issuedAt: ret.mqttCredential.issuedAt };
+        }
+        if (ret.twoFactor) {
+          ret.twoFactor = {
+            enabled: ret.twoFactor.enabled,
+            enabledAt: ret.twoFactor.enabledAt,
+          };
+        }
         delete ret.__v;
         return ret;
       },
@@ -145,12 +208,22 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ email: 1 });
 userSchema.index({ "devices.deviceId": 1 });
 userSchema.index({ fcmToken: 1 });
+userSchema.index({ organizationId: 1, createdAt: -1 });
 
 // Virtual for account lock status
 userSchema.virtual("isLocked").get(function () {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// Virtual for password reset lock status
+userSchema.virtual("isResetLocked").get(function () {
+  return !!(
+    this.passwordReset &&
+    this.passwordReset.lockUntil &&
+    this.passwordReset.lockUntil > Date.now()
+  );
+});
+
 // Pre-save middleware to hash password
 userSchema.pre("save", async function (next) {
   // Only hash the password if it has been modified (or is new)
@@ -206,8 +279,161 @@ userSchema.methods.resetLoginAttempts = function () {
   });
 };
 
+// Instance method to start a password reset, returns the plain token to email
+userSchema.methods.createPasswordResetToken = function () {
+  const token = AuthUtils.generateRandomToken(32);
+
+  this.passwordReset = {
+    ...(this.passwordReset ? this.passwordReset.toObject() : {}),
+    tokenHash: AuthUtils.hashToken(token),
+    requestedAt: new Date(),
+    expiresAt: new Date(Date.now() + config.passwordReset.tokenTtlMs),
+  };
+
+  return token;
+};
+
+// Instance method to check a reset token (single use, so callers clear it on success)
+userSchema.methods.verifyPasswordResetToken = function (token) {
+  if (
+    !this.passwordReset ||
+    !this.passwordReset.tokenHash ||
+    this.passwordReset.expiresAt < Date.now()
+  ) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(
+    Buffer.from(AuthUtils.hashToken(token), "hex"),
+    Buffer.from(this.passwordReset.tokenHash, "hex")
+  );
+};
+
+// Instance method to increment failed reset attempts (same rules as login attempts)
+userSchema.methods.incResetAttempts = function () {
+  // If we have a previous lock that has expired, restart at 1
+  if (
+    this.passwordReset.lockUntil &&
+    this.passwordReset.lockUntil < Date.now()
+  ) {
+    return this.updateOne({
+      $unset: { "passwordReset.lockUntil": 1 },
+      $set: { "passwordReset.attempts": 1 },
+    });
+  }
+
+  const updates = { $inc: { "passwordReset.attempts": 1 } };
+
+  // After 5 attempts, burn the token and lock resets for 2 hours
+  if ((this.passwordReset.attempts || 0) + 1 >= 5 && !this.isResetLocked) {
+    updates.$set = {
+      "passwordReset.lockUntil": Date.now() + 2 * 60 * 60 * 1000, // 2 hours
+    };
+    updates.$unset = { "passwordReset.tokenHash": 1 };
+  }
+
+  return this.updateOne(updates);
+};
+
+// Instance method to set a new password from a reset and clear any lockout
+userSchema.methods.completePasswordReset = function (newPassword) {
+  this.passwordHash = newPassword; // Will be hashed by pre-save middleware
+  this.passwordReset = { attempts: 0 };
+  this.loginAttempts = 0;
+  this.accountLocked = false;
+  this.lockUntil = null;
+  return this.save();
+};
+
+// Instance method to start 2FA enrolment, returns the plain secret to show once
+userSchema.methods.startTwoFactorEnrolment = function () {
+  const secret = TOTP.generateSecret();
+  this.twoFactor = {
+    ...(this.twoFactor ? this.twoFactor.toObject() : {}),
+    pendingEncryptedSecret: AuthUtils.encryptSecret(secret),
+  };
+  return secret;
+};
+
+// Instance method to check a TOTP code against the active (or pending) secret
+// Each time step can only be used once to stop replayed codes
+userSchema.methods.verifyTwoFactorCode = function (code, pending = false) {
+  const encrypted = pending
+    ? this.twoFactor.pendingEncryptedSecret
+    : this.twoFactor.encryptedSecret;
+  if (!encrypted) {
+    return false;
+  }
+
+  const counter = TOTP.verify(AuthUtils.decryptSecret(encrypted), code);
+  if (counter === null || counter <= (this.twoFactor.lastUsedCounter || 0)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedCounter = counter;
+  return true;
+};
+
+// Instance method to consume a recovery code
+userSchema.methods.useRecoveryCode = function (code) {
+  const hash = AuthUtils.hashToken(
+    String(code || "")
+      .toLowerCase()
+      .replace(/[\s-]/g, "")
+  );
+  const index = this.twoFactor.recoveryCodeHashes.indexOf(hash);
+  if (index === -1) {
+    return false;
+  }
+
+  this.twoFactor.recoveryCodeHashes.splice(index, 1);
+  return true;
+};
+
+// Instance method to replace recovery codes, returns the plain codes to show once
+userSchema.methods.generateRecoveryCodes = function () {
+  const codes = [];
+  for (let i = 0; i < config.twoFactor.recoveryCodeCount; i++) {
+    codes.push(crypto.randomBytes(5).toString("hex"));
+  }
+
+  this.twoFactor.recoveryCodeHashes = codes.map((code) =>
+    AuthUtils.hashToken(code)
+  );
+  return codes.map((code) => `${code.slice(0, 5)}-${code.slice(5)}`);
+};
+
+// Instance method to activate the pending 2FA secret
+userSchema.methods.enableTwoFactor = function () {
+  this.twoFactor.encryptedSecret = this.twoFactor.pendingEncryptedSecret;
+  this.twoFactor.pendingEncryptedSecret = undefined;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  return this.generateRecoveryCodes();
+};
+
+// Instance method to turn 2FA off
+userSchema.methods.disableTwoFactor = function () {
+  this.twoFactor = { enabled: false, recoveryCodeHashes: [] };
+};
+
+// Instance method to issue a new broker password, replacing the previous one
+userSchema.methods.issueMqttPassword = function () {
+  const password = AuthUtils.generateRandomToken(24);
+  this.mqttCredential = {
+    passwordHash: AuthUtils.hashMosquittoPassword(password),
+    issuedAt: new Date(),
+  };
+  return password;
+};
+
 // Instance method to add device
-userSchema.methods.addDevice = function (deviceId, deviceName = "Smart Stick") {
+userSchema.methods.addDevice = function (
+  deviceId,
+  deviceName = "Smart Stick",
+  role = "owner",
+  addedBy = null
+) {
   // Check if device already exists
   const existingDevice = this.devices.find(
     (device) => device.deviceId === deviceId
@@ -215,12 +441,15 @@ userSchema.methods.addDevice = function (deviceId, deviceName = "Smart Stick") {
   if (existingDevice) {
     existingDevice.isActive = true;
     existingDevice.lastSeen = new Date();
+    existingDevice.role = role;
     return this.save();
   }
 
   this.devices.push({
     deviceId,
     name: deviceName,
+    role,
+    addedBy: addedBy || this._id,
     isActive: true,
     addedAt: new Date(),
     lastSeen: new Date(),
@@ -245,9 +474,43 @@ userSchema.methods.updateDeviceLastSeen = function (deviceId) {
   return Promise.resolve(this);
 };
 
-// Static method to find user by device ID
+// Static method to find the owner of a device
 userSchema.statics.findByDeviceId = function (deviceId) {
-  return this.findOne({ "devices.deviceId": deviceId, isActive: true });
+  return this.findOne({
+    devices: {
+      // Entries without a role predate device sharing and belong to the owner
+      $elemMatch: { deviceId, role: { $in: ["owner", null] } },
+    },
+    isActive: true,
+  });
+};
+
+// Static method to find all members (owner, caregivers, viewers) of a device
+userSchema.statics.findDeviceMembers = function (deviceId) {
+  return this.find({ "devices.deviceId": deviceId, isActive: true });
+};
+
+// Static method to find the admins of an organization
+userSchema.statics.findOrganizationAdmins = function (organizationId) {
+  return this.find({
+    organizationId,
+    organizationRole: "admin",
+    isActive: true,
+  });
+};
+
+// Static method to move accounts from the old isAdmin flag to the super-admin role
+userSchema.statics.migrateLegacyAdmins = async function () {
+  // Raw collection access, the isAdmin path is no longer in the schema
+  const result = await this.collection.updateMany(
+    { isAdmin: true },
+    { $addToSet: { roles: "super-admin" }, $unset: { isAdmin: "" } }
+  );
+  await this.collection.updateMany(
+    { isAdmin: { $exists: true } },
+    { $unset: { isAdmin: "" } }
+  );
+  return result.modifiedCount;
 };
 
 // Static method to find users with FCM tokens for a device
@@ -1,9 +1,12 @@
 const mqtt = require("mqtt");
 const config = require("../config");
 const Event = require("../models/Event");
-const Telemetry = require("../models/Telemetry");
 const User = require("../models/User");
+const DeviceState = require("../models/DeviceState");
+const Organization = require("../models/Organization");
 const fcmService = require("../utils/fcm");
+const ingestionService = require("../utils/ingestion");
+const idempotencyService = require("../utils/idempotency");
 
 class MQTTClient {
   constructor() {
@@ -127,6 +130,12 @@ class MQTTClient {
         this.handleTelemetryMessage.bind(this)
       );
 
+      // Subscribe to buffered readings replayed after a connectivity gap
+      await this.subscribe(
+        "smartstick/+/telemetry/batch",
+        this.handleTelemetryBatchMessage.bind(this)
+      );
+
       // Subscribe to all SOS alerts from RPi
       await this.subscribe(
         "smartstick/+/sos",
@@ -240,32 +249,17 @@ class MQTTClient {
    * @param {string} message - Message payload
    */
   async handleSonarData(topic, message) {
-    try {
-      const deviceId = this.extractDeviceId(topic);
-      const sonarData = JSON.parse(message);
-
-      console.log(`📡 Sonar data from device ${deviceId}:`, sonarData);
-
-      // Expected format: { left: 150, center: 200, right: 180, timestamp: "..." }
-      const telemetryData = {
-        sensors: {
-          ultrasonicLeft: sonarData.left,
-          ultrasonicCenter: sonarData.center,
-          ultrasonicRight: sonarData.right,
-        },
-      };
-
-      // Create telemetry record (just store the raw data)
-      await this.saveTelemetryData(
-        deviceId,
-        telemetryData,
-        sonarData.timestamp
-      );
-
-      console.log(`✅ Sonar data processed for device: ${deviceId}`);
-    } catch (error) {
-      console.error("❌ Error handling sonar data:", error);
-    }
+    // Expected format: { left: 150, center: 200, right: 180, timestamp: "..." }
+    const sonarData = JSON.parse(message);
+    await this.ingest(
+      topic,
+      {
+        sonar: sonarData,
+        timestamp: sonarData.timestamp,
+        messageId: sonarData.messageId,
+      },
+      { partial: true }
+    );
   }
 
   /**
@@ -274,26 +268,17 @@ class MQTTClient {
    * @param {string} message - Message payload
    */
   async handleIRData(topic, message) {
-    try {
-      const deviceId = this.extractDeviceId(topic);
-      const irData = JSON.parse(message);
-
-      console.log(`📡 IR sensor data from device ${deviceId}:`, irData);
-
-      // Expected format: { value: 1024, detected: true, timestamp: "..." }
-      const telemetryData = {
-        sensors: {
-          irSensor: irData.value,
-          irDetected: irData.detected,
-        },
-      };
-
-      await this.saveTelemetryData(deviceId, telemetryData, irData.timestamp);
-
-      console.log(`✅ IR data processed for device: ${deviceId}`);
-    } catch (error) {
-      console.error("❌ Error handling IR data:", error);
-    }
+    // Expected format: { value: 1024, detected: true, timestamp: "..." }
+    const irData = JSON.parse(message);
+    await this.ingest(
+      topic,
+      {
+        ir: irData,
+        timestamp: irData.timestamp,
+        messageId: irData.messageId,
+      },
+      { partial: true }
+    );
   }
 
   /**
@@ -301,76 +286,19 @@ class MQTTClient {
    * @param {string} topic - MQTT topic (smartstick/{deviceId}/sensors/gps)
    * @param {string} message - Message payload
    */
-/**
- * Handle GPS data from Raspberry Pi
- * @param {string} topic - MQTT topic (smartstick/{deviceId}/sensors/gps)
- * @param {string} message - Message payload
- */
-async handleGPSData(topic, message) {
-  try {
-    const deviceId = this.extractDeviceId(topic);
-    const gpsData = JSON.parse(message);
-
-    console.log(`📍 GPS data from device ${deviceId}:`, gpsData);
-
+  async handleGPSData(topic, message) {
     // Expected format: { latitude, longitude, altitude, speed, accuracy, heading, timestamp }
-    const telemetryData = {
-      gps: {
-        latitude: gpsData.latitude,
-        longitude: gpsData.longitude,
-        altitude: gpsData.altitude,
-        speed: gpsData.speed,
-        accuracy: gpsData.accuracy,
-        heading: gpsData.heading,
-      },
-    };
-
-    // Save to database
-    await this.saveTelemetryData(deviceId, telemetryData, gpsData.timestamp);
-
-    // Update user's device location
-    await User.findOneAndUpdate(
-      { "devices.deviceId": deviceId },
+    const gpsData = JSON.parse(message);
+    await this.ingest(
+      topic,
       {
-        $set: {
-          "devices.$.lastSeen": new Date(),
-          "devices.$.lastLocation": {
-            latitude: gpsData.latitude,
-            longitude: gpsData.longitude,
-          },
-        },
-      }
+        gps: gpsData,
+        timestamp: gpsData.timestamp,
+        messageId: gpsData.messageId,
+      },
+      { partial: true }
     );
-
-    console.log(`✅ GPS data processed for device: ${deviceId}`);
-
-    // ---------------------------------------------------------
-    // 🔥 NEW CODE — RE-PUBLISH GPS TO MOBILE APP
-    // ---------------------------------------------------------
-    const mobileTopic = `smartstick/mobile/${deviceId}/sensors/gps`;
-
-    const mobilePayload = {
-      type: "GPS_UPDATE",
-      deviceId,
-      timestamp: gpsData.timestamp || new Date().toISOString(),
-      latitude: gpsData.latitude,
-      longitude: gpsData.longitude,
-      altitude: gpsData.altitude || 0,
-      speed: gpsData.speed || 0,
-      accuracy: gpsData.accuracy || 0,
-      heading: gpsData.heading || 0,
-    };
-
-    await this.publish(mobileTopic, mobilePayload, { qos: 1 });
-
-    console.log(`📡 GPS forwarded to mobile topic: ${mobileTopic}`);
-    // ---------------------------------------------------------
-
-  } catch (error) {
-    console.error("❌ Error handling GPS data:", error);
   }
-}
-
 
   /**
    * Handle IMU sensor data from Raspberry Pi
@@ -378,115 +306,109 @@ async handleGPSData(topic, message) {
    * @param {string} message - Message payload
    */
   async handleIMUData(topic, message) {
-    try {
-      const deviceId = this.extractDeviceId(topic);
-      const imuData = JSON.parse(message);
-
-      console.log(`📊 IMU data from device ${deviceId}:`, imuData);
-
-      // Expected format: { acceleration: {x, y, z}, gyroscope: {x, y, z}, magnetometer: {x, y, z}, temperature: 25, timestamp: "..." }
-      const telemetryData = {
-        sensors: {
-          IMU: {
-            accelerometer: imuData.acceleration || imuData.accelerometer,
-            gyroscope: imuData.gyroscope,
-            magnetometer: imuData.magnetometer,
-            temperature: imuData.temperature,
-          },
-        },
-      };
-
-      // Just save raw IMU data
-      await this.saveTelemetryData(deviceId, telemetryData, imuData.timestamp);
+    // Expected format: { acceleration: {x, y, z}, gyroscope: {x, y, z}, magnetometer: {x, y, z}, temperature: 25, timestamp: "..." }
+    const imuData = JSON.parse(message);
+    await this.ingest(
+      topic,
+      {
+        imu: imuData,
+        timestamp: imuData.timestamp,
+        messageId: imuData.messageId,
+      },
+      { partial: true }
+    );
+  }
 
-      console.log(`✅ IMU data processed for device: ${deviceId}`);
-    } catch (error) {
-      console.error("❌ Error handling IMU data:", error);
-    }
+  /**
+   * Handle telemetry messages from devices (combined data)
+   * @param {string} topic - MQTT topic
+   * @param {string} message - Message payload
+   */
+  async handleTelemetryMessage(topic, message) {
+    await this.ingest(topic, JSON.parse(message));
   }
 
   /**
-   * Save telemetry data to database
-   * @param {string} deviceId - Device ID
-   * @param {Object} telemetryData - Partial telemetry data
-   * @param {string} timestamp - Timestamp from sensor
+   * Handle buffered readings (JSON array or NDJSON) from a device that was offline
+   * @param {string} topic - MQTT topic (smartstick/{deviceId}/telemetry/batch)
+   * @param {string} message - Message payload
    */
-  async saveTelemetryData(deviceId, telemetryData, timestamp) {
+  async handleTelemetryBatchMessage(topic, message) {
+    const deviceId = this.extractDeviceId(topic);
+
     try {
-      // Create or update telemetry record
-      const telemetry = new Telemetry({
-        deviceId,
-        timestamp: timestamp || new Date(),
-        sensors: telemetryData.sensors || {},
-        gps: telemetryData.gps || {},
-        connectivity: telemetryData.connectivity || {},
-        deviceStatus: telemetryData.deviceStatus || {},
-        metadata: telemetryData.metadata || {},
-      });
+      const entries = ingestionService.parseBatch(message);
+      if (!entries || entries.length === 0) {
+        console.error(`❌ Unreadable telemetry batch from device ${deviceId}`);
+        return;
+      }
 
-      await telemetry.save();
+      if (entries.length > config.telemetry.maxBatchRecords) {
+        console.error(
+          `❌ Telemetry batch from device ${deviceId} exceeds ${config.telemetry.maxBatchRecords} records`
+        );
+        return;
+      }
 
-      // Update user's device last seen
-      await User.findOneAndUpdate(
-        { "devices.deviceId": deviceId },
-        {
-          $set: { "devices.$.lastSeen": new Date() },
-          $setOnInsert: { "devices.$.isActive": true },
-        }
+      const result = await ingestionService.ingestBatch(deviceId, entries, {
+        source: "mqtt",
+      });
+
+      console.log(
+        `✅ Telemetry batch processed for device ${deviceId}: ${result.inserted} stored (${result.late} late), ${result.duplicates} duplicate, ${result.rejected.length} rejected`
       );
+      for (const { index, errors } of result.rejected) {
+        console.warn(
+          `⚠️ Batch record ${index} from device ${deviceId} rejected:`,
+          errors.map((error) => error.msg).join("; ")
+        );
+      }
     } catch (error) {
-      console.error("❌ Error saving telemetry data:", error);
+      console.error(
+        `❌ Error ingesting telemetry batch from device ${deviceId}:`,
+        error
+      );
     }
   }
 
   /**
-   * Handle telemetry messages from devices (combined data)
-   * @param {string} topic - MQTT topic
-   * @param {string} message - Message payload
+   * Pass a device reading to the ingestion pipeline shared with POST /api/telemetry
+   * The broker ACL only lets a device publish under its own ID
+   * @param {string} topic - MQTT topic the reading arrived on
+   * @param {Object} payload - Reading in the combined or per-sensor format, with an optional messageId
+   * @param {Object} options - { partial: true } for single-sensor messages, merged into snapshots
    */
-  async handleTelemetryMessage(topic, message) {
-    try {
-      const deviceId = this.extractDeviceId(topic);
-      const telemetryData = JSON.parse(message);
-
-      console.log(`📦 Combined telemetry from device ${deviceId}`);
+  async ingest(topic, payload, { partial = false } = {}) {
+    const deviceId = this.extractDeviceId(topic);
 
-      // Create telemetry record
-      const telemetry = new Telemetry({
+    try {
+      // QoS 1 can deliver a message twice; a repeated messageId is not stored again
+      const { duplicate } = await idempotencyService.run(
         deviceId,
-        timestamp: telemetryData.timestamp || new Date(),
-        sensors: telemetryData.sensors || {},
-        gps: telemetryData.gps || {},
-        connectivity: telemetryData.connectivity || {},
-        deviceStatus: telemetryData.deviceStatus || {},
-        metadata: telemetryData.metadata || {},
-      });
-
-      await telemetry.save();
-
-      // Update user's device last seen
-      await User.findOneAndUpdate(
-        { "devices.deviceId": deviceId },
-        {
-          $set: { "devices.$.lastSeen": new Date() },
-          $setOnInsert: { "devices.$.isActive": true },
+        "telemetry",
+        idempotencyService.normalizeId(payload.messageId),
+        async () => {
+          const { telemetry } = await ingestionService.ingest(
+            deviceId,
+            payload,
+            { source: "mqtt", partial }
+          );
+          return {
+            id: telemetry._id,
+            deviceId,
+            timestamp: telemetry.timestamp,
+          };
         }
       );
 
-      // Check for low battery alert
-      if (telemetryData.sensors?.battery?.level < 20) {
-        await this.handleLowBatteryAlert(
-          deviceId,
-          telemetryData.sensors.battery.level
-        );
+      if (!duplicate) {
+        console.log(`✅ Telemetry processed for device: ${deviceId}`);
       }
-
-      // Check for critical sensor readings
-      await this.checkCriticalSensorReadings(deviceId, telemetryData);
-
-      console.log(`✅ Telemetry processed for device: ${deviceId}`);
     } catch (error) {
-      console.error("❌ Error handling telemetry message:", error);
+      console.error(
+        `❌ Error ingesting telemetry from device ${deviceId}:`,
+        error
+      );
     }
   }
 
@@ -502,50 +424,84 @@ async handleGPSData(topic, message) {
 
       console.log(`🚨 SOS ALERT from device via MQTT: ${deviceId}`);
 
-      // SOS from RPi just indicates button press - no analysis needed
-      // Create SOS event
-      const sosEvent = await Event.createSOSEvent(deviceId, sosData.gps, {
-        emergencyType: "button_press",
-        sensorData: sosData.sensors || {},
-        timestamp: sosData.timestamp || new Date(),
-        trigger: "manual",
-      });
+      // A redelivered message (same messageId) must not page anyone twice
+      await idempotencyService.run(
+        deviceId,
+        "sos",
+        idempotencyService.normalizeId(sosData.messageId),
+        () => this.processSOS(deviceId, sosData)
+      );
+    } catch (error) {
+      console.error("❌ Error handling SOS message:", error);
+    }
+  }
 
-      // Find users associated with this device
-      const users = await User.findUsersWithFCMByDevice(deviceId);
+  /**
+   * Record an SOS received over MQTT and notify the device's users
+   * @param {string} deviceId - Device ID
+   * @param {Object} sosData - SOS payload
+   * @returns {Promise<Object>} - { eventId, duplicateOf } for the idempotency record
+   */
+  async processSOS(deviceId, sosData) {
+    // A repeat while the device's last SOS is still open joins that incident
+    const openIncident = await ingestionService.linkRepeatedSOS(
+      deviceId,
+      sosData.gps,
+      sosData.timestamp
+    );
+    if (openIncident) {
+      return { eventId: openIncident._id, duplicateOf: openIncident._id };
+    }
 
-      if (users.length > 0) {
-        // Send FCM notifications to all associated users (mobile app)
-        const fcmTokens = users
-          .map((user) => user.fcmToken)
-          .filter((token) => token);
+    // SOS from RPi just indicates button press - no analysis needed
+    // Create SOS event
+    const sosEvent = await Event.createSOSEvent(deviceId, sosData.gps, {
+      emergencyType: "button_press",
+      sensorData: sosData.sensors || {},
+      timestamp: sosData.timestamp || new Date(),
+      trigger: "manual",
+    });
 
-        if (fcmTokens.length > 0) {
-          const fcmResult = await fcmService.sendSOSNotification(
-            fcmTokens,
-            deviceId,
-            sosData.gps
-          );
+    // Find users associated with this device
+    const users = await User.findUsersWithFCMByDevice(deviceId);
 
-          // Update event with notification status
-          sosEvent.notifications.fcmSent = fcmResult.success;
-          sosEvent.notifications.fcmTimestamp = new Date();
-          if (fcmResult.success) {
-            sosEvent.notifications.fcmResponse = JSON.stringify(fcmResult);
-          } else {
-            sosEvent.notifications.fcmError = fcmResult.error;
-          }
-          await sosEvent.save();
-        }
+    if (users.length > 0) {
+      // Send FCM notifications to all associated users (mobile app)
+      const fcmTokens = users
+        .map((user) => user.fcmToken)
+        .filter((token) => token);
+
+      if (fcmTokens.length > 0) {
+        const fcmResult = await fcmService.sendSOSNotification(
+          fcmTokens,
+          deviceId,
+          sosData.gps
+        );
 
-        // Publish SOS alert to mobile app via MQTT
-        await this.publishSOSToMobileApp(deviceId, sosData, users);
+        // Update event with notification status
+        sosEvent.notifications.fcmSent = fcmResult.success;
+        sosEvent.notifications.fcmTimestamp = new Date();
+        if (fcmResult.success) {
+          sosEvent.notifications.fcmResponse = JSON.stringify(fcmResult);
+        } else {
+          sosEvent.notifications.fcmError = fcmResult.error;
+        }
+        await sosEvent.save();
       }
 
-      console.log(`✅ SOS alert processed for device: ${deviceId}`);
-    } catch (error) {
-      console.error("❌ Error handling SOS message:", error);
+      // Publish SOS alert to mobile app via MQTT
+      const organizationContacts =
+        await Organization.getEmergencyContactsForDevice(deviceId);
+      await this.publishSOSToMobileApp(
+        deviceId,
+        sosData,
+        users,
+        organizationContacts
+      );
     }
+
+    console.log(`✅ SOS alert processed for device: ${deviceId}`);
+    return { eventId: sosEvent._id, duplicateOf: null };
   }
 
   /**
@@ -553,8 +509,14 @@ async handleGPSData(topic, message) {
    * @param {string} deviceId - Device ID
    * @param {Object} sosData - SOS data from RPi (just button press notification)
    * @param {Array} users - Associated users
+   * @param {Array} organizationContacts - Emergency contacts of the device's organization
    */
-  async publishSOSToMobileApp(deviceId, sosData, users) {
+  async publishSOSToMobileApp(
+    deviceId,
+    sosData,
+    users,
+    organizationContacts = []
+  ) {
     try {
       for (const user of users) {
         // Publish to user-specific topic for mobile app
@@ -574,6 +536,7 @@ async handleGPSData(topic, message) {
             email: user.email,
           },
           emergencyContacts: user.emergencyContacts || [],
+          organizationContacts,
           message: `Emergency SOS button pressed on Smart Stick device ${deviceId}`,
         };
 
@@ -638,6 +601,8 @@ async handleGPSData(topic, message) {
           },
         }
       );
+
+      await DeviceState.recordStatus(deviceId, !!statusData.online);
     } catch (error) {
       console.error("❌ Error handling status message:", error);
     }
@@ -655,19 +620,27 @@ async handleGPSData(topic, message) {
 
       console.log(`📬 Response from device: ${deviceId}`, responseData);
 
-      // Create command response event
-      await Event.create({
-        type: "COMMAND_RECEIVED",
+      // Create command response event, once per messageId
+      await idempotencyService.run(
         deviceId,
-        severity: "low",
-        title: "Command Response",
-        description: `Device ${deviceId} responded to command`,
-        metadata: {
-          command: responseData.command,
-          commandResponse: responseData.response || responseData.status,
-          additionalData: new Map(Object.entries(responseData)),
-        },
-      });
+        "command-response",
+        idempotencyService.normalizeId(responseData.messageId),
+        async () => {
+          const event = await Event.create({
+            type: "COMMAND_RECEIVED",
+            deviceId,
+            severity: "low",
+            title: "Command Response",
+            description: `Device ${deviceId} responded to command`,
+            metadata: {
+              command: responseData.command,
+              commandResponse: responseData.response || responseData.status,
+              additionalData: new Map(Object.entries(responseData)),
+            },
+          });
+          return { eventId: event._id };
+        }
+      );
     } catch (error) {
       console.error("❌ Error handling response message:", error);
     }
@@ -713,244 +686,6 @@ async handleGPSData(topic, message) {
     }
   }
 
-  /**
-   * Handle obstacle alert from sonar sensors
-   * @param {string} deviceId - Device ID
-   * @param {number} distance - Minimum distance detected
-   * @param {Object} sonarData - Full sonar data
-   */
-  async handleObstacleAlert(deviceId, distance, sonarData) {
-    try {
-      // Check if we already have a recent obstacle alert
-      const recentAlert = await Event.findOne({
-        type: "OBSTACLE_DETECTED",
-        deviceId,
-        timestamp: { $gte: new Date(Date.now() - 5 * 1000) }, // Last 5 seconds
-      });
-
-      if (recentAlert) {
-        return; // Don't spam alerts
-      }
-
-      // Create obstacle detection event
-      await Event.create({
-        type: "OBSTACLE_DETECTED",
-        deviceId,
-        severity: distance < 20 ? "high" : "medium",
-        title: "Obstacle Detected",
-        description: `Obstacle detected at ${distance}cm from device ${deviceId}`,
-        metadata: {
-          sensorData: {
-            minDistance: distance,
-            sonarLeft: sonarData.left,
-            sonarCenter: sonarData.center,
-            sonarRight: sonarData.right,
-          },
-          alertValue: distance,
-          alertThreshold: 30,
-        },
-      });
-
-      console.log(
-        `⚠️ Obstacle alert created for device ${deviceId}: ${distance}cm`
-      );
-    } catch (error) {
-      console.error("❌ Error handling obstacle alert:", error);
-    }
-  }
-
-  /**
-   * Handle fall detection from IMU
-   * @param {string} deviceId - Device ID
-   * @param {number} magnitude - Acceleration magnitude
-   * @param {Object} imuData - Full IMU data
-   */
-  async handleFallDetection(deviceId, magnitude, imuData) {
-    try {
-      console.log(
-        `🚨 Fall detected on device ${deviceId}: ${magnitude.toFixed(2)} m/s²`
-      );
-
-      // Create fall detection event
-      const fallEvent = await Event.create({
-        type: "FALL_DETECTED",
-        deviceId,
-        severity: "critical",
-        title: "Fall Detected",
-        description: `Sudden impact detected on device ${deviceId} (${magnitude.toFixed(
-          2
-        )} m/s²)`,
-        metadata: {
-          sensorData: imuData,
-          alertValue: magnitude,
-          alertThreshold: 20,
-        },
-      });
-
-      // Send notification to users
-      const users = await User.findUsersWithFCMByDevice(deviceId);
-      const fcmTokens = users
-        .map((user) => user.fcmToken)
-        .filter((token) => token);
-
-      if (fcmTokens.length > 0) {
-        await fcmService.sendMulticastNotification(
-          fcmTokens,
-          "⚠️ Fall Detected",
-          `A fall has been detected on your Smart Stick. Impact: ${magnitude.toFixed(
-            1
-          )} m/s²`,
-          {
-            type: "fall_detected",
-            deviceId,
-            magnitude: magnitude.toString(),
-            severity: "critical",
-          }
-        );
-      }
-
-      // Publish fall alert to mobile app
-      for (const user of users) {
-        const topic = `smartstick/mobile/${user._id}/alert`;
-        await this.publish(
-          topic,
-          {
-            type: "FALL_ALERT",
-            deviceId,
-            userId: user._id,
-            timestamp: new Date().toISOString(),
-            magnitude,
-            imuData,
-          },
-          { qos: 1 }
-        );
-      }
-
-      console.log(`✅ Fall detection processed for device: ${deviceId}`);
-    } catch (error) {
-      console.error("❌ Error handling fall detection:", error);
-    }
-  }
-
-  /**
-   * Handle low battery alert
-   * @param {string} deviceId - Device ID
-   * @param {number} batteryLevel - Battery level percentage
-   */
-  async handleLowBatteryAlert(deviceId, batteryLevel) {
-    try {
-      // Check if we already have a recent low battery alert
-      const recentAlert = await Event.findOne({
-        type: "LOW_BATTERY",
-        deviceId,
-        timestamp: { $gte: new Date(Date.now() - 60 * 60 * 1000) }, // Last hour
-      });
-
-      if (recentAlert) {
-        return; // Don't spam alerts
-      }
-
-      // Create low battery event
-      await Event.create({
-        type: "LOW_BATTERY",
-        deviceId,
-        severity: batteryLevel < 10 ? "high" : "medium",
-        title: "Low Battery Warning",
-        description: `Device ${deviceId} battery level is ${batteryLevel}%`,
-        metadata: {
-          alertThreshold: 20,
-          alertValue: batteryLevel,
-          sensorData: { batteryLevel },
-        },
-      });
-
-      // Send notification to users
-      const users = await User.findUsersWithFCMByDevice(deviceId);
-      const fcmTokens = users
-        .map((user) => user.fcmToken)
-        .filter((token) => token);
-
-      if (fcmTokens.length > 0) {
-        await fcmService.sendMulticastNotification(
-          fcmTokens,
-          "Low Battery Warning",
-          `Your Smart Stick battery is at ${batteryLevel}%. Please charge soon.`,
-          {
-            type: "low_battery",
-            deviceId,
-            batteryLevel: batteryLevel.toString(),
-          }
-        );
-      }
-    } catch (error) {
-      console.error("❌ Error handling low battery alert:", error);
-    }
-  }
-
-  /**
-   * Check for critical sensor readings and create alerts
-   * @param {string} deviceId - Device ID
-   * @param {Object} telemetryData - Telemetry data
-   */
-  async checkCriticalSensorReadings(deviceId, telemetryData) {
-    try {
-      const alerts = [];
-
-      // Check for obstacles (close proximity readings)
-      if (
-        telemetryData.sensors?.ultrasonicLeft < 30 ||
-        telemetryData.sensors?.ultrasonicRight < 30
-      ) {
-        alerts.push({
-          type: "OBSTACLE_DETECTED",
-          severity: "medium",
-          title: "Obstacle Detected",
-          description: `Obstacle detected near device ${deviceId}`,
-          metadata: {
-            sensorData: telemetryData.sensors,
-            alertValue: Math.min(
-              telemetryData.sensors.ultrasonicLeft || 1000,
-              telemetryData.sensors.ultrasonicRight || 1000
-            ),
-            alertThreshold: 30,
-          },
-        });
-      }
-
-      // Check for fall detection (if IMU data suggests sudden impact)
-      if (telemetryData.sensors?.IMU?.accelerometer) {
-        const { x, y, z } = telemetryData.sensors.IMU.accelerometer;
-        const magnitude = Math.sqrt(x * x + y * y + z * z);
-
-        if (magnitude > 20) {
-          // Threshold for potential fall
-          alerts.push({
-            type: "FALL_DETECTED",
-            severity: "high",
-            title: "Potential Fall Detected",
-            description: `Sudden impact detected on device ${deviceId}`,
-            metadata: {
-              sensorData: telemetryData.sensors,
-              alertValue: magnitude,
-              alertThreshold: 20,
-            },
-          });
-        }
-      }
-
-      // Create alert events
-      for (const alert of alerts) {
-        await Event.create({
-          ...alert,
-          deviceId,
-          timestamp: new Date(),
-        });
-      }
-    } catch (error) {
-      console.error("❌ Error checking critical sensor readings:", error);
-    }
-  }
-
   /**
    * Extract device ID from MQTT topic
    * @param {string} topic - MQTT topic
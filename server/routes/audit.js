@@ -0,0 +1,31 @@
+const express = require("express");
+const AuditController = require("../controllers/auditController");
+const AuthUtils = require("../utils/auth");
+
+const router = express.Router();
+
+// GET /api/audit - Search audit log entries (requires audit:read)
+router.get(
+  "/",
+  AuthUtils.authenticateToken,
+  AuthUtils.requirePermission("audit:read"),
+  AuditController.getAuditLogs
+);
+
+// GET /api/audit/export - Stream audit log entries as NDJSON or CSV (requires audit:read)
+router.get(
+  "/export",
+  AuthUtils.authenticateToken,
+  AuthUtils.requirePermission("audit:read"),
+  AuditController.exportAuditLogs
+);
+
+// GET /api/audit/verify - Check the audit log hash chain (requires audit:read)
+router.get(
+  "/verify",
+  AuthUtils.authenticateToken,
+  AuthUtils.requirePermission("audit:read"),
+  AuditController.verifyAuditLog
+);
+
+module.exports = router;
@@ -12,11 +12,11 @@ router.get(
   CommandController.getAvailableCommands
 );
 
-// POST /api/commands/bulk - Send bulk commands to multiple devices (admin only)
+// POST /api/commands/bulk - Send bulk commands to multiple devices (requires commands:bulk)
 router.post(
   "/bulk",
   AuthUtils.authenticateToken,
-  AuthUtils.requireAdmin,
+  AuthUtils.requirePermission("commands:bulk"),
   CommandController.sendBulkCommands
 );
 
@@ -0,0 +1,172 @@
+const express = require("express");
+const DeviceController = require("../controllers/deviceController");
+const InvitationController = require("../controllers/invitationController");
+const AccessGrantController = require("../controllers/accessGrantController");
+const AuthUtils = require("../utils/auth");
+const Validators = require("../utils/validators");
+const DeviceAuth = require("../utils/deviceAuth");
+
+const router = express.Router();
+
+// GET /api/devices - List registered devices (requires devices:read)
+router.get(
+  "/",
+  AuthUtils.authenticateToken,
+  AuthUtils.requirePermission("devices:read"),
+  DeviceController.getDevices
+);
+
+// POST /api/devices/provision - Provision devices in bulk (requires devices:provision)
+router.post(
+  "/provision",
+  AuthUtils.authenticateToken,
+  AuthUtils.requirePermission("devices:provision"),
+  Validators.validateDeviceProvisioning(),
+  DeviceController.provisionDevices
+);
+
+// POST /api/devices/pairing-code - Stick requests a pairing code to display (requires device signature)
+router.post(
+  "/pairing-code",
+  DeviceAuth.verifySignature,
+  DeviceController.requestPairingCode
+);
+
+// GET /api/devices/:deviceId - Get device registry record (requires devices:read)
+router.get(
+  "/:deviceId",
+  AuthUtils.authenticateToken,
+  AuthUtils.requirePermission("devices:read"),
+  DeviceController.getDevice
+);
+
+// POST /api/devices/:deviceId/pairing-code - Generate pairing code from provisioning record (requires devices:provision)
+router.post(
+  "/:deviceId/pairing-code",
+  AuthUtils.authenticateToken,
+  AuthUtils.requirePermission("devices:provision"),
+  DeviceController.createProvisioningPairingCode
+);
+
+// POST /api/devices/:deviceId/decommission - Decommission a device (requires devices:decommission)
+router.post(
+  "/:deviceId/decommission",
+  AuthUtils.authenticateToken,
+  AuthUtils.requirePermission("devices:decommission"),
+  DeviceController.decommissionDevice
+);
+
+// GET /api/devices/:deviceId/credentials - Get device credential status (requires devices:credentials)
+router.get(
+  "/:deviceId/credentials",
+  AuthUtils.authenticateToken,
+  AuthUtils.requirePermission("devices:credentials"),
+  DeviceController.getCredentials
+);
+
+// POST /api/devices/:deviceId/credentials - Issue device signing secret (requires devices:credentials)
+router.post(
+  "/:deviceId/credentials",
+  AuthUtils.authenticateToken,
+  AuthUtils.requirePermission("devices:credentials"),
+  DeviceController.issueCredentials
+);
+
+// POST /api/devices/:deviceId/credentials/rotate - Rotate device signing secret (requires devices:credentials)
+router.post(
+  "/:deviceId/credentials/rotate",
+  AuthUtils.authenticateToken,
+  AuthUtils.requirePermission("devices:credentials"),
+  DeviceController.rotateCredentials
+);
+
+// DELETE /api/devices/:deviceId/credentials - Revoke device signing secret (requires devices:credentials)
+router.delete(
+  "/:deviceId/credentials",
+  AuthUtils.authenticateToken,
+  AuthUtils.requirePermission("devices:credentials"),
+  DeviceController.revokeCredentials
+);
+
+// GET /api/devices/:deviceId/members - List users with access to a device (requires auth)
+router.get(
+  "/:deviceId/members",
+  AuthUtils.authenticateToken,
+  DeviceController.getMembers
+);
+
+// POST /api/devices/:deviceId/members - Share device with a caregiver or viewer (owner only)
+router.post(
+  "/:deviceId/members",
+  AuthUtils.authenticateToken,
+  Validators.validateDeviceMember(),
+  DeviceController.addMember
+);
+
+// PATCH /api/devices/:deviceId/members/:userId - Change member role or transfer ownership (owner only)
+router.patch(
+  "/:deviceId/members/:userId",
+  AuthUtils.authenticateToken,
+  Validators.validateDeviceMemberRole(),
+  DeviceController.updateMember
+);
+
+// DELETE /api/devices/:deviceId/members/:userId - Revoke a member's access (owner only)
+router.delete(
+  "/:deviceId/members/:userId",
+  AuthUtils.authenticateToken,
+  DeviceController.removeMember
+);
+
+// GET /api/devices/:deviceId/invitations - List sharing invitations (owner only)
+router.get(
+  "/:deviceId/invitations",
+  AuthUtils.authenticateToken,
+  InvitationController.getInvitations
+);
+
+// POST /api/devices/:deviceId/invitations - Invite a caregiver or viewer by email (owner only)
+router.post(
+  "/:deviceId/invitations",
+  AuthUtils.authenticateToken,
+  Validators.validateDeviceMember(),
+  InvitationController.createInvitation
+);
+
+// DELETE /api/devices/:deviceId/invitations/:invitationId - Revoke a pending invitation (owner only)
+router.delete(
+  "/:deviceId/invitations/:invitationId",
+  AuthUtils.authenticateToken,
+  InvitationController.revokeInvitation
+);
+
+// GET /api/devices/:deviceId/grants - List temporary access grants (owner only)
+router.get(
+  "/:deviceId/grants",
+  AuthUtils.authenticateToken,
+  AccessGrantController.getGrants
+);
+
+// POST /api/devices/:deviceId/grants - Grant time-limited access to a user (owner only)
+router.post(
+  "/:deviceId/grants",
+  AuthUtils.authenticateToken,
+  Validators.validateAccessGrant(),
+  AccessGrantController.createGrant
+);
+
+// GET /api/devices/:deviceId/grants/:grantId - Get grant with its access log (owner only)
+router.get(
+  "/:deviceId/grants/:grantId",
+  AuthUtils.authenticateToken,
+  AccessGrantController.getGrant
+);
+
+// DELETE /api/devices/:deviceId/grants/:grantId - End a grant early (owner only)
+router.delete(
+  "/:deviceId/grants/:grantId",
+  AuthUtils.authenticateToken,
+  AccessGrantController.revokeGrant
+);
+
+module.exports = router;
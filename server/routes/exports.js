@@ -0,0 +1,24 @@
+const express = require("express");
+const ExportController = require("../controllers/exportController");
+const AuthUtils = require("../utils/auth");
+const Validators = require("../utils/validators");
+
+const router = express.Router();
+
+// GET /api/exports/:deviceId/telemetry - Stream a device's telemetry as NDJSON or CSV (requires auth or API key)
+router.get(
+  "/:deviceId/telemetry",
+  AuthUtils.authenticateTokenOrApiKey("telemetry:read"),
+  Validators.validateExport(),
+  ExportController.exportTelemetry
+);
+
+// GET /api/exports/:deviceId/events - Stream a device's events as NDJSON or CSV (requires auth or API key)
+router.get(
+  "/:deviceId/events",
+  AuthUtils.authenticateTokenOrApiKey("events:read"),
+  Validators.validateExport(),
+  ExportController.exportEvents
+);
+
+module.exports = router;
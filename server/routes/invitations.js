@@ -0,0 +1,26 @@
+const express = require("express");
+const InvitationController = require("../controllers/invitationController");
+const AuthUtils = require("../utils/auth");
+const Validators = require("../utils/validators");
+
+const router = express.Router();
+
+// GET /api/invitations/preview - Show invitation details for a token
+router.get("/preview", InvitationController.previewInvitation);
+
+// POST /api/invitations/accept - Accept invitation, creating an account if needed (auth required for existing accounts)
+router.post(
+  "/accept",
+  AuthUtils.optionalAuthentication,
+  Validators.validateInvitationResponse(),
+  InvitationController.acceptInvitation
+);
+
+// POST /api/invitations/decline - Decline an invitation
+router.post(
+  "/decline",
+  Validators.validateInvitationResponse(),
+  InvitationController.declineInvitation
+);
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require("express");
+const OrganizationController = require("../controllers/organizationController");
+const AuthUtils = require("../utils/auth");
+const Validators = require("../utils/validators");
+
+const router = express.Router();
+
+// GET /api/organizations - List organizations (requires organizations:manage)
+router.get(
+  "/",
+  AuthUtils.authenticateToken,
+  AuthUtils.requirePermission("organizations:manage"),
+  OrganizationController.getOrganizations
+);
+
+// POST /api/organizations - Create an organization (requires organizations:manage)
+router.post(
+  "/",
+  AuthUtils.authenticateToken,
+  AuthUtils.requirePermission("organizations:manage"),
+  Validators.validateOrganization(),
+  OrganizationController.createOrganization
+);
+
+// GET /api/organizations/:orgId - Get organization details (requires membership)
+router.get(
+  "/:orgId",
+  AuthUtils.authenticateToken,
+  OrganizationController.getOrganization
+);
+
+// PUT /api/organizations/:orgId - Update organization details (requires org admin)
+router.put(
+  "/:orgId",
+  AuthUtils.authenticateToken,
+  Validators.validateOrganizationUpdate(),
+  OrganizationController.updateOrganization
+);
+
+// PUT /api/organizations/:orgId/emergency-contacts - Replace organization emergency contacts (requires org admin)
+router.put(
+  "/:orgId/emergency-contacts",
+  AuthUtils.authenticateToken,
+  OrganizationController.updateEmergencyContacts
+);
+
+// GET /api/organizations/:orgId/dashboard - Organization-wide SOS and telemetry stats (requires org admin)
+router.get(
+  "/:orgId/dashboard",
+  AuthUtils.authenticateToken,
+  OrganizationController.getDashboard
+);
+
+// GET /api/organizations/:orgId/members - List organization users (requires org admin)
+router.get(
+  "/:orgId/members",
+  AuthUtils.authenticateToken,
+  OrganizationController.getMembers
+);
+
+// POST /api/organizations/:orgId/members - Add a user by email (requires org admin)
+router.post(
+  "/:orgId/members",
+  AuthUtils.authenticateToken,
+  Validators.validateOrganizationMember(),
+  OrganizationController.addMember
+);
+
+// PATCH /api/organizations/:orgId/members/:userId - Change a member's role (requires org admin)
+router.patch(
+  "/:orgId/members/:userId",
+  AuthUtils.authenticateToken,
+  Validators.validateOrganizationMemberRole(),
+  OrganizationController.updateMember
+);
+
+// DELETE /api/organizations/:orgId/members/:userId - Remove a member (requires org admin)
+router.delete(
+  "/:orgId/members/:userId",
+  AuthUtils.authenticateToken,
+  OrganizationController.removeMember
+);
+
+// GET /api/organizations/:orgId/devices - List organization devices (requires org admin)
+router.get(
+  "/:orgId/devices",
+  AuthUtils.authenticateToken,
+  OrganizationController.getDevices
+);
+
+// POST /api/organizations/:orgId/devices - Add a member's device (requires org admin)
+router.post(
+  "/:orgId/devices",
+  AuthUtils.authenticateToken,
+  Validators.validateOrganizationDevice(),
+  OrganizationController.addDevice
+);
+
+// DELETE /api/organizations/:orgId/devices/:deviceId - Remove a device (requires org admin)
+router.delete(
+  "/:orgId/devices/:deviceId",
+  AuthUtils.authenticateToken,
+  OrganizationController.removeDevice
+);
+
+module.exports = router;
@@ -2,25 +2,43 @@ const express = require("express");
 const SOSController = require("../controllers/sosController");
 const AuthUtils = require("../utils/auth");
 const Validators = require("../utils/validators");
+const DeviceAuth = require("../utils/deviceAuth");
 
 const router = express.Router();
 
-// POST /api/sos - Receive SOS alert from device (no auth required for devices)
-router.post("/", Validators.validateSOS(), SOSController.receiveSOS);
+// POST /api/sos - Receive SOS alert from device (requires device signature)
+router.post(
+  "/",
+  Validators.validateSOS(),
+  DeviceAuth.verifySignature,
+  SOSController.receiveSOS
+);
 
-// GET /api/sos - Get SOS events for user's devices (requires auth)
-router.get("/", AuthUtils.authenticateToken, SOSController.getSOSEvents);
+// GET /api/sos - Get SOS events for user's devices (requires auth or API key)
+router.get(
+  "/",
+  AuthUtils.authenticateTokenOrApiKey("events:read"),
+  SOSController.getSOSEvents
+);
 
-// GET /api/sos/stats - Get SOS statistics (requires auth)
-router.get("/stats", AuthUtils.authenticateToken, SOSController.getSOSStats);
+// GET /api/sos/stats - Get SOS statistics (requires auth or API key)
+router.get(
+  "/stats",
+  AuthUtils.authenticateTokenOrApiKey("events:read"),
+  SOSController.getSOSStats
+);
 
-// GET /api/sos/:eventId - Get specific SOS event details (requires auth)
-router.get("/:eventId", AuthUtils.authenticateToken, SOSController.getSOSEvent);
+// GET /api/sos/:eventId - Get specific SOS event details (requires auth or API key)
+router.get(
+  "/:eventId",
+  AuthUtils.authenticateTokenOrApiKey("events:read"),
+  SOSController.getSOSEvent
+);
 
-// POST /api/sos/:eventId/acknowledge - Acknowledge SOS event (requires auth)
+// POST /api/sos/:eventId/acknowledge - Acknowledge SOS event (requires auth or API key)
 router.post(
   "/:eventId/acknowledge",
-  AuthUtils.authenticateToken,
+  AuthUtils.authenticateTokenOrApiKey("sos:acknowledge"),
   SOSController.acknowledgeSOS
 );
 
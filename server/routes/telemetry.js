@@ -2,49 +2,88 @@ const express = require("express");
 const TelemetryController = require("../controllers/telemetryController");
 const AuthUtils = require("../utils/auth");
 const Validators = require("../utils/validators");
+const DeviceAuth = require("../utils/deviceAuth");
 
 const router = express.Router();
 
-// POST /api/telemetry - Receive telemetry data from device (no auth required for devices)
+// POST /api/telemetry - Receive telemetry data from device (requires device signature)
 router.post(
   "/",
   Validators.validateTelemetry(),
+  DeviceAuth.verifySignature,
   TelemetryController.receiveTelemetry
 );
 
-// GET /api/telemetry/:deviceId - Get telemetry data for a device (requires auth)
+// POST /api/telemetry/batch - Receive buffered readings as a JSON array or NDJSON (requires device signature and X-Device-Id)
+router.post(
+  "/batch",
+  express.text({
+    type: "application/x-ndjson",
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+  Validators.validateTelemetryBatch(),
+  DeviceAuth.verifySignature,
+  TelemetryController.receiveTelemetryBatch
+);
+
+// GET /api/telemetry/:deviceId - Get telemetry data for a device (requires auth or API key)
 router.get(
   "/:deviceId",
-  AuthUtils.authenticateToken,
+  AuthUtils.authenticateTokenOrApiKey("telemetry:read"),
   TelemetryController.getTelemetryByDevice
 );
 
-// GET /api/telemetry/:deviceId/latest - Get latest telemetry for a device (requires auth)
+// GET /api/telemetry/:deviceId/latest - Get latest telemetry for a device (requires auth or API key)
 router.get(
   "/:deviceId/latest",
-  AuthUtils.authenticateToken,
+  AuthUtils.authenticateTokenOrApiKey("telemetry:read"),
   TelemetryController.getLatestTelemetry
 );
 
-// GET /api/telemetry/:deviceId/stats - Get telemetry statistics for a device (requires auth)
+// GET /api/telemetry/:deviceId/state - Get the latest value of every sensor for a device (requires auth or API key)
+router.get(
+  "/:deviceId/state",
+  AuthUtils.authenticateTokenOrApiKey("telemetry:read"),
+  TelemetryController.getDeviceState
+);
+
+// GET /api/telemetry/:deviceId/stats - Get telemetry statistics for a device (requires auth or API key)
 router.get(
   "/:deviceId/stats",
-  AuthUtils.authenticateToken,
+  AuthUtils.authenticateTokenOrApiKey("telemetry:read"),
   TelemetryController.getTelemetryStats
 );
 
-// GET /api/telemetry/:deviceId/gps-track - Get GPS track for a device (requires auth)
+// GET /api/telemetry/:deviceId/query - Get downsampled series of telemetry fields (requires auth or API key)
+router.get(
+  "/:deviceId/query",
+  AuthUtils.authenticateTokenOrApiKey("telemetry:read"),
+  Validators.validateTelemetryQuery(),
+  TelemetryController.queryTelemetry
+);
+
+// GET /api/telemetry/:deviceId/gps-track - Get GPS track for a device (requires auth or API key)
 router.get(
   "/:deviceId/gps-track",
-  AuthUtils.authenticateToken,
+  AuthUtils.authenticateTokenOrApiKey("location:read"),
   TelemetryController.getGPSTrack
 );
 
-// DELETE /api/telemetry/cleanup - Clean up old telemetry data (admin only)
+// GET /api/telemetry/:deviceId/location - Get last known position of a device (requires auth or API key)
+router.get(
+  "/:deviceId/location",
+  AuthUtils.authenticateTokenOrApiKey("location:read"),
+  TelemetryController.getLastLocation
+);
+
+// DELETE /api/telemetry/cleanup - Clean up old telemetry data (requires telemetry:cleanup)
 router.delete(
   "/cleanup",
   AuthUtils.authenticateToken,
-  AuthUtils.requireAdmin,
+  AuthUtils.requirePermission("telemetry:cleanup"),
   TelemetryController.cleanupTelemetry
 );
 
@@ -1,10 +1,56 @@
 const express = require("express");
+const rateLimit = require("express-rate-limit");
 const UserController = require("../controllers/userController");
+const AccessGrantController = require("../controllers/accessGrantController");
+const TwoFactorController = require("../controllers/twoFactorController");
+const ApiKeyController = require("../controllers/apiKeyController");
 const AuthUtils = require("../utils/auth");
 const Validators = require("../utils/validators");
+const Event = require("../models/Event");
+const config = require("../config");
 
 const router = express.Router();
 
+// Rate limit device pairing attempts per user to stop code guessing
+const pairingLimiter = rateLimit({
+  windowMs: config.pairing.rateLimit.windowMs,
+  max: config.pairing.rateLimit.maxRequests,
+  keyGenerator: (req) => (req.user ? String(req.user.userId) : req.ip),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: async (req, res, next, options) => {
+    if (typeof req.body?.deviceId === "string") {
+      await Event.recordPairingAttempt({
+        deviceId: req.body.deviceId.slice(0, 50),
+        userId: req.user.userId,
+        success: false,
+        reason: "rate_limited",
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      }).catch((error) =>
+        console.error("Error recording pairing attempt:", error)
+      );
+    }
+
+    res.status(options.statusCode).json({
+      success: false,
+      message: "Too many pairing attempts, please try again later",
+    });
+  },
+});
+
+// Rate limit password reset requests and attempts per client
+const passwordResetLimiter = rateLimit({
+  windowMs: config.passwordReset.rateLimit.windowMs,
+  max: config.passwordReset.rateLimit.maxRequests,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: "Too many password reset attempts, please try again later",
+  },
+});
+
 // POST /api/users/register - Register a new user
 router.post(
   "/register",
@@ -15,6 +61,94 @@ router.post(
 // POST /api/users/login - User login
 router.post("/login", Validators.validateUserLogin(), UserController.login);
 
+// POST /api/users/login/2fa - Complete login with a TOTP or recovery code
+router.post(
+  "/login/2fa",
+  Validators.validateTwoFactorLogin(),
+  TwoFactorController.completeLogin
+);
+
+// GET /api/users/2fa - Get two-factor status (requires auth)
+router.get("/2fa", AuthUtils.authenticateToken, TwoFactorController.getStatus);
+
+// POST /api/users/2fa/setup - Start two-factor enrolment (requires auth)
+router.post(
+  "/2fa/setup",
+  AuthUtils.authenticateToken,
+  TwoFactorController.setup
+);
+
+// POST /api/users/2fa/verify - Confirm enrolment with a code (requires auth)
+router.post(
+  "/2fa/verify",
+  AuthUtils.authenticateToken,
+  Validators.validateTwoFactorCode(),
+  TwoFactorController.verify
+);
+
+// POST /api/users/2fa/recovery-codes - Regenerate recovery codes (requires auth)
+router.post(
+  "/2fa/recovery-codes",
+  AuthUtils.authenticateToken,
+  Validators.validateTwoFactorCode(),
+  TwoFactorController.regenerateRecoveryCodes
+);
+
+// POST /api/users/2fa/disable - Turn off two-factor authentication (requires auth)
+router.post(
+  "/2fa/disable",
+  AuthUtils.authenticateToken,
+  Validators.validateTwoFactorCode(),
+  TwoFactorController.disable
+);
+
+// POST /api/users/password/forgot - Email a password reset link
+router.post(
+  "/password/forgot",
+  passwordResetLimiter,
+  Validators.validatePasswordResetRequest(),
+  UserController.forgotPassword
+);
+
+// POST /api/users/password/reset - Set a new password with a reset token
+router.post(
+  "/password/reset",
+  passwordResetLimiter,
+  Validators.validatePasswordReset(),
+  UserController.resetPassword
+);
+
+// POST /api/users/token/refresh - Exchange a refresh token for a new token pair
+router.post(
+  "/token/refresh",
+  Validators.validateRefreshToken(),
+  UserController.refreshToken
+);
+
+// POST /api/users/logout - Log out of the current session (requires auth)
+router.post("/logout", AuthUtils.authenticateToken, UserController.logout);
+
+// GET /api/users/sessions - List active sessions (requires auth)
+router.get(
+  "/sessions",
+  AuthUtils.authenticateToken,
+  UserController.getSessions
+);
+
+// DELETE /api/users/sessions - Revoke all other sessions (requires auth)
+router.delete(
+  "/sessions",
+  AuthUtils.authenticateToken,
+  UserController.revokeOtherSessions
+);
+
+// DELETE /api/users/sessions/:sessionId - Revoke a session (requires auth)
+router.delete(
+  "/sessions/:sessionId",
+  AuthUtils.authenticateToken,
+  UserController.revokeSession
+);
+
 // GET /api/users/profile - Get user profile (requires auth)
 router.get("/profile", AuthUtils.authenticateToken, UserController.getProfile);
 
@@ -35,10 +169,11 @@ router.put(
 // GET /api/users/devices - Get user's devices (requires auth)
 router.get("/devices", AuthUtils.authenticateToken, UserController.getDevices);
 
-// POST /api/users/devices - Add device to user account (requires auth)
+// POST /api/users/devices - Add device to user account with its pairing code (requires auth)
 router.post(
   "/devices",
   AuthUtils.authenticateToken,
+  pairingLimiter,
   Validators.validateDeviceId(),
   UserController.addDevice
 );
@@ -50,6 +185,49 @@ router.delete(
   UserController.removeDevice
 );
 
+// GET /api/users/grants - Get temporary device access held by the user (requires auth)
+router.get(
+  "/grants",
+  AuthUtils.authenticateToken,
+  AccessGrantController.getMyGrants
+);
+
+// GET /api/users/api-keys - List API keys (requires auth)
+router.get(
+  "/api-keys",
+  AuthUtils.authenticateToken,
+  ApiKeyController.getApiKeys
+);
+
+// POST /api/users/api-keys - Create an API key for an integration (requires auth)
+router.post(
+  "/api-keys",
+  AuthUtils.authenticateToken,
+  Validators.validateApiKey(),
+  ApiKeyController.createApiKey
+);
+
+// DELETE /api/users/api-keys/:keyId - Revoke an API key (requires auth)
+router.delete(
+  "/api-keys/:keyId",
+  AuthUtils.authenticateToken,
+  ApiKeyController.revokeApiKey
+);
+
+// POST /api/users/mqtt-credentials - Issue broker credentials for the mobile app (requires auth)
+router.post(
+  "/mqtt-credentials",
+  AuthUtils.authenticateToken,
+  UserController.issueMqttCredentials
+);
+
+// DELETE /api/users/mqtt-credentials - Revoke broker credentials (requires auth)
+router.delete(
+  "/mqtt-credentials",
+  AuthUtils.authenticateToken,
+  UserController.revokeMqttCredentials
+);
+
 // PUT /api/users/emergency-contacts - Update emergency contacts (requires auth)
 router.put(
   "/emergency-contacts",
@@ -64,12 +242,24 @@ router.delete(
   UserController.deactivateAccount
 );
 
-// GET /api/users - Get all users (admin only)
+// GET /api/users - Get all users (requires users:read)
 router.get(
   "/",
   AuthUtils.authenticateToken,
-  AuthUtils.requireAdmin,
+  AuthUtils.requirePermission("users:read"),
   UserController.getAllUsers
 );
 
+// GET /api/users/roles - List staff roles and their permissions (requires auth)
+router.get("/roles", AuthUtils.authenticateToken, UserController.getRoles);
+
+// PUT /api/users/:userId/roles - Set a user's staff roles (requires roles:manage)
+router.put(
+  "/:userId/roles",
+  AuthUtils.authenticateToken,
+  AuthUtils.requirePermission("roles:manage"),
+  Validators.validateUserRoles(),
+  UserController.updateUserRoles
+);
+
 module.exports = router;
@@ -1,3 +1,4 @@
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
@@ -9,18 +10,41 @@ const rateLimit = require("express-rate-limit");
 const config = require("./config");
 const database = require("./utils/db");
 const fcmService = require("./utils/fcm");
+const mailerService = require("./utils/mailer");
+const mosquittoAuthService = require("./utils/mosquitto");
 const mqttClient = require("./mqtt/mqttClient");
+const ingestionService = require("./utils/ingestion");
+const rollupService = require("./utils/rollup");
 
 // Import routes
 const telemetryRoutes = require("./routes/telemetry");
 const sosRoutes = require("./routes/sos");
 const userRoutes = require("./routes/users");
 const commandRoutes = require("./routes/commands");
+const deviceRoutes = require("./routes/devices");
+const invitationRoutes = require("./routes/invitations");
+const organizationRoutes = require("./routes/organizations");
+const auditRoutes = require("./routes/audit");
+const exportRoutes = require("./routes/exports");
 
 // Import models (to ensure they are registered)
-require("./models/User");
-require("./models/Telemetry");
+const User = require("./models/User");
+const Telemetry = require("./models/Telemetry");
 require("./models/Event");
+require("./models/Device");
+require("./models/DeviceCredential");
+require("./models/DeviceNonce");
+require("./models/Invitation");
+require("./models/AccessGrant");
+require("./models/Session");
+require("./models/ApiKey");
+require("./models/Organization");
+require("./models/AuditLog");
+require("./models/DeviceState");
+require("./models/Location");
+require("./models/ProcessedMessage");
+require("./models/TelemetryRollup");
+require("./models/TelemetrySnapshot");
 
 const app = express();
 
@@ -47,6 +71,17 @@ app.use(cors(config.cors));
 // Compression middleware
 app.use(compression());
 
+// Request ID (kept from a proxy when sane) for tracing and the audit log
+app.use((req, res, next) => {
+  const incoming = req.get("x-request-id");
+  req.id =
+    incoming && /^[\w.:-]{1,100}$/.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+});
+
 // Request logging
 if (config.isDevelopment()) {
   app.use(morgan("dev"));
@@ -68,8 +103,15 @@ const limiter = rateLimit({
 
 app.use("/api/", limiter);
 
-// Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
+// Body parsing middleware (raw body is kept for device signature checks)
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Health check endpoint
@@ -84,6 +126,7 @@ app.get("/health", (req, res) => {
       database: database.isConnected(),
       mqtt: mqttClient.isConnected(),
       fcm: fcmService.isReady(),
+      mail: mailerService.isReady(),
     },
   };
 
@@ -117,6 +160,11 @@ app.get("/api", (req, res) => {
         sos: "/api/sos",
         users: "/api/users",
         commands: "/api/commands",
+        devices: "/api/devices",
+        invitations: "/api/invitations",
+        organizations: "/api/organizations",
+        audit: "/api/audit",
+        exports: "/api/exports",
       },
       documentation: {
         health: "GET /health",
@@ -131,6 +179,11 @@ app.use("/api/telemetry", telemetryRoutes);
 app.use("/api/sos", sosRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/commands", commandRoutes);
+app.use("/api/devices", deviceRoutes);
+app.use("/api/invitations", invitationRoutes);
+app.use("/api/organizations", organizationRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/exports", exportRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -177,6 +230,10 @@ async function gracefulShutdown(signal) {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
 
   try {
+    // Stop scheduled rollups and snapshot flushes
+    rollupService.stop();
+    ingestionService.stop();
+
     // Close MQTT connection
     if (mqttClient.isConnected()) {
       console.log("Closing MQTT connection...");
@@ -223,12 +280,39 @@ async function startServer() {
     // Connect to database
     await database.connect();
 
+    // Move accounts still using the old isAdmin flag onto staff roles
+    const migratedAdmins = await User.migrateLegacyAdmins();
+    if (migratedAdmins > 0) {
+      console.log(
+        `🔑 Migrated ${migratedAdmins} admin account(s) to super-admin`
+      );
+    }
+
+    // Store telemetry in a time-series collection, copying readings from a
+    // regular one in the background
+    await Telemetry.migrateToTimeSeries();
+    Telemetry.copyLegacyReadings().catch((error) =>
+      console.error("❌ Failed to copy legacy telemetry:", error)
+    );
+
     // Initialize FCM service
     fcmService.initialize();
 
+    // Initialize mail transport
+    mailerService.initialize();
+
+    // Write broker logins and ACLs before connecting with the server's own account
+    await mosquittoAuthService.initialize();
+
     // Connect to MQTT broker
     await mqttClient.connect();
 
+    // Move closed per-sensor snapshots into telemetry
+    ingestionService.start();
+
+    // Apply retention settings and start the hourly and daily telemetry rollups
+    await rollupService.start();
+
     // Start HTTP server
     const server = app.listen(config.port, () => {
       console.log(`\n✅ Smart Stick Cloud API is running!`);
@@ -1,7 +1,60 @@
 const request = require("supertest");
+const { SMTPServer } = require("smtp-server");
 const app = require("../server");
+const config = require("../config");
+const AuthUtils = require("../utils/auth");
+const mailerService = require("../utils/mailer");
+const TOTP = require("../utils/totp");
+const Permissions = require("../utils/permissions");
+const DeviceAccess = require("../utils/deviceAccess");
+const AuditLog = require("../models/AuditLog");
+const User = require("../models/User");
+const Event = require("../models/Event");
+const DeviceCredential = require("../models/DeviceCredential");
+const DeviceNonce = require("../models/DeviceNonce");
+const ProcessedMessage = require("../models/ProcessedMessage");
+const DeviceAuth = require("../utils/deviceAuth");
+const mosquittoAuthService = require("../utils/mosquitto");
+const Device = require("../models/Device");
+const AccessGrant = require("../models/AccessGrant");
+const Session = require("../models/Session");
+const DeviceController = require("../controllers/deviceController");
+const UserController = require("../controllers/userController");
+const AccessGrantController = require("../controllers/accessGrantController");
+const DeviceState = require("../models/DeviceState");
+const Telemetry = require("../models/Telemetry");
+const TelemetrySnapshot = require("../models/TelemetrySnapshot");
+const ingestionService = require("../utils/ingestion");
+const auditService = require("../utils/audit");
+const idempotencyService = require("../utils/idempotency");
+const rollupService = require("../utils/rollup");
+const telemetryQueryService = require("../utils/telemetryQuery");
+const exportService = require("../utils/export");
+const trackFormatService = require("../utils/trackFormat");
+const trackProcessingService = require("../utils/trackProcessing");
+
+/**
+ * Minimal Express response that records the status and JSON body
+ * @returns {Object} - Response stub
+ */
+function mockResponse() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
 
 describe("Smart Stick API", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
   describe("Health Check", () => {
     it("should return health status", async () => {
       const res = await request(app).get("/health").expect(200);
@@ -27,7 +80,7 @@ describe("Smart Stick API", () => {
   });
 
   describe("Telemetry Endpoint", () => {
-    it("should accept telemetry data", async () => {
+    it("should reject unsigned telemetry data", async () => {
       const telemetryData = {
         deviceId: "test-device-001",
         sensors: {
@@ -51,14 +104,25 @@ describe("Smart Stick API", () => {
       const res = await request(app)
         .post("/api/telemetry")
         .send(telemetryData)
-        .expect(201);
+        .expect(401);
 
-      expect(res.body).toHaveProperty("success", true);
+      expect(res.body).toHaveProperty("success", false);
+      expect(res.body).toHaveProperty("message", "Device signature required");
+    });
+
+    it("should reject telemetry signed outside the allowed window", async () => {
+      const res = await request(app)
+        .post("/api/telemetry")
+        .set("X-Timestamp", String(Date.now() - 60 * 60 * 1000))
+        .set("X-Signature", "a".repeat(64))
+        .send({ deviceId: "test-device-001", sensors: {} })
+        .expect(401);
+
+      expect(res.body).toHaveProperty("success", false);
       expect(res.body).toHaveProperty(
         "message",
-        "Telemetry data received successfully"
+        "Request timestamp outside allowed window"
       );
-      expect(res.body.data).toHaveProperty("deviceId", telemetryData.deviceId);
     });
 
     it("should validate telemetry data", async () => {
@@ -79,8 +143,537 @@ describe("Smart Stick API", () => {
     });
   });
 
+  describe("Telemetry Ingestion", () => {
+    it("should store MQTT per-sensor readings like HTTP telemetry", () => {
+      const gps = ingestionService.normalize({
+        gps: { latitude: 40.7128, longitude: -74.006, accuracy: 5 },
+      });
+      const sonar = ingestionService.normalize({
+        sonar: { left: 120, center: 25, right: 300 },
+        timestamp: "2024-01-01T12:00:00Z",
+      });
+
+      expect(gps.gps).toMatchObject({ lat: 40.7128, lon: -74.006 });
+      expect(gps.gpsReported).toBe(true);
+      expect(sonar.sensors).toMatchObject({
+        ultrasonicLeft: 120,
+        ultrasonicCenter: 25,
+        ultrasonicRight: 300,
+      });
+      expect(sonar.timestamp.toISOString()).toBe("2024-01-01T12:00:00.000Z");
+      expect(sonar.gpsReported).toBe(false);
+    });
+
+    it("should keep the newest value of each sensor in the device state", () => {
+      const state = new DeviceState({ deviceId: "test-device-001" });
+      const earlier = new Date("2024-01-01T12:00:00Z");
+      const later = new Date("2024-01-01T12:00:05Z");
+
+      state.mergeReading(later, { "sensors.battery": { level: 80 } });
+      state.mergeReading(earlier, {
+        "sensors.battery": { level: 90 },
+        "sensors.IR": 40,
+      });
+
+      expect(state.sensors).toEqual({ battery: { level: 80 }, IR: 40 });
+      expect(state.sectionTimestamps.get("IR")).toEqual(earlier);
+      expect(state.lastReadingAt).toEqual(later);
+    });
+
+    it("should report invalid batch records by position", async () => {
+      const entries = ingestionService.parseBatch(
+        [
+          '{"sensors":{"battery":{"level":80}}}',
+          "not json",
+          '{"deviceId":"other-device","sensors":{}}',
+          '{"gps":{"lat":40.7}}',
+        ].join("\n")
+      );
+
+      const errors = [];
+      for (const entry of entries) {
+        errors.push(
+          await ingestionService.checkBatchRecord("test-device-001", entry)
+        );
+      }
+
+      expect(entries).toHaveLength(4);
+      expect(errors[0]).toEqual([]);
+      expect(errors[1]).toEqual([{ msg: "Invalid JSON" }]);
+      expect(errors[2][0]).toHaveProperty("path", "deviceId");
+      expect(errors[3][0]).toHaveProperty("path", "sensors");
+    });
+
+    it("should only use precise GPS fixes as positions", () => {
+      const fix = (gps) => ({ gps: { lat: 40.7128, lon: -74.006, ...gps } });
+
+      expect(ingestionService.isUsableFix(fix({}))).toBe(true);
+      expect(
+        ingestionService.isUsableFix(fix({ accuracy: 5, satellites: 9 }))
+      ).toBe(true);
+      expect(ingestionService.isUsableFix(fix({ accuracy: 500 }))).toBe(false);
+      expect(ingestionService.isUsableFix(fix({ satellites: 2 }))).toBe(false);
+      expect(ingestionService.isUsableFix({ gps: { satellites: 9 } })).toBe(
+        false
+      );
+    });
+  });
+
+  describe("Duplicate Suppression", () => {
+    it("should process messages without an ID every time", async () => {
+      let runs = 0;
+      const handler = async () => ({ run: ++runs });
+
+      await idempotencyService.run("test-device-001", "sos", null, handler);
+      const second = await idempotencyService.run(
+        "test-device-001",
+        "sos",
+        idempotencyService.normalizeId("   "),
+        handler
+      );
+
+      expect(runs).toBe(2);
+      expect(second).toEqual({
+        duplicate: false,
+        pending: false,
+        result: { run: 2 },
+      });
+      expect(idempotencyService.normalizeId(" msg-1 ")).toBe("msg-1");
+      expect(idempotencyService.normalizeId("x".repeat(129))).toBeNull();
+    });
+
+    it("should accept a replayed signature only under its original Idempotency-Key", async () => {
+      jest.spyOn(DeviceCredential, "findActiveByDevice").mockResolvedValue({
+        _id: "credential-1",
+        getValidSecrets: () => [{ keyId: "key-1", secret: "device-secret" }],
+      });
+      jest.spyOn(DeviceCredential, "updateOne").mockResolvedValue({});
+      jest
+        .spyOn(DeviceNonce, "consume")
+        .mockResolvedValue({ fresh: false, messageId: "retry-1" });
+
+      const timestamp = String(Date.now());
+      const rawBody = JSON.stringify({ deviceId: "stick-1" });
+      const replay = (idempotencyKey) => {
+        const headers = {
+          "x-timestamp": timestamp,
+          "x-signature": DeviceAuth.computeSignature(
+            "device-secret",
+            timestamp,
+            rawBody
+          ),
+          "idempotency-key": idempotencyKey,
+        };
+        return {
+          headers,
+          get: (name) => headers[name.toLowerCase()],
+          body: JSON.parse(rawBody),
+          rawBody,
+        };
+      };
+
+      const next = jest.fn();
+      await DeviceAuth.verifySignature(replay("retry-1"), mockResponse(), next);
+      expect(next).toHaveBeenCalled();
+
+      const res = mockResponse();
+      await DeviceAuth.verifySignature(replay("retry-2"), res, jest.fn());
+      expect(res.statusCode).toBe(409);
+    });
+
+    it("should run a message again when its first delivery never finished", async () => {
+      const receipt = { _id: "receipt-1", complete: jest.fn() };
+      jest
+        .spyOn(ProcessedMessage, "create")
+        .mockRejectedValue(
+          Object.assign(new Error("duplicate"), { code: 11000 })
+        );
+      const takeOver = jest
+        .spyOn(ProcessedMessage, "findOneAndUpdate")
+        .mockResolvedValue(receipt);
+
+      const outcome = await idempotencyService.run(
+        "stick-1",
+        "sos",
+        "msg-1",
+        async () => ({ eventId: "event-1" })
+      );
+
+      expect(outcome).toEqual({
+        duplicate: false,
+        pending: false,
+        result: { eventId: "event-1" },
+      });
+      expect(takeOver.mock.calls[0][0]).toMatchObject({
+        status: "processing",
+        claimedAt: { $lt: expect.any(Date) },
+      });
+      expect(receipt.complete).toHaveBeenCalledWith({ eventId: "event-1" });
+    });
+
+    it("should record a repeated SOS and link it both ways with the open incident", async () => {
+      const incident = new Event({
+        type: "SOS",
+        deviceId: "stick-1",
+        title: "🚨 Emergency Alert",
+        description: "SOS alert triggered from device stick-1",
+      });
+      jest.spyOn(Event, "findOpenSOS").mockResolvedValue(incident);
+      const create = jest
+        .spyOn(Event, "create")
+        .mockImplementation(async (data) => new Event(data));
+      const update = jest
+        .spyOn(Event, "findByIdAndUpdate")
+        .mockImplementation(async (id, changes) => {
+          incident.repeatCount += changes.$inc.repeatCount;
+          incident.relatedEvents.push(changes.$push.relatedEvents);
+          return incident;
+        });
+
+      const linked = await ingestionService.linkRepeatedSOS(
+        "stick-1",
+        { lat: 40.7128, lon: -74.006 },
+        "2024-01-01T10:00:00Z"
+      );
+
+      const repeat = await create.mock.results[0].value;
+      expect(repeat.type).toBe("SOS_REPEATED");
+      expect(repeat.timestamp).toEqual(new Date("2024-01-01T10:00:00Z"));
+      expect(repeat.relatedEvents[0].eventId).toEqual(incident._id);
+      expect(repeat.relatedEvents[0].relationship).toBe("duplicate");
+
+      expect(linked.repeatCount).toBe(1);
+      expect(linked.relatedEvents[0].eventId).toEqual(repeat._id);
+      expect(linked.relatedEvents[0].relationship).toBe("duplicate");
+      expect(update).toHaveBeenCalledWith(
+        incident._id,
+        expect.objectContaining({
+          $set: {
+            location: { type: "Point", coordinates: [-74.006, 40.7128] },
+          },
+        }),
+        { new: true }
+      );
+    });
+  });
+
+  describe("Telemetry Storage", () => {
+    it("should bucket telemetry by device and stage snapshots separately", () => {
+      expect(Telemetry.schema.get("timeseries")).toMatchObject({
+        timeField: "timestamp",
+        metaField: "deviceId",
+      });
+      // Time-series collections can't hold unique indexes
+      expect(
+        Telemetry.schema.indexes().some(([, options]) => options.unique)
+      ).toBe(false);
+
+      expect(TelemetrySnapshot.schema.get("timeseries")).toBeUndefined();
+      expect(TelemetrySnapshot.schema.indexes()).toContainEqual([
+        { deviceId: 1, bucketStart: 1 },
+        expect.objectContaining({ unique: true }),
+      ]);
+    });
+
+    it("should report the part of a range still being copied from the old collection", async () => {
+      const pending = [
+        new Date("2024-01-01T10:00:00Z"),
+        new Date("2024-01-01T12:00:00Z"),
+      ];
+      const find = jest.fn(() => ({
+        sort: ({ timestamp }) => ({
+          limit: () => ({
+            toArray: async () =>
+              pending.length > 0
+                ? [{ timestamp: timestamp === 1 ? pending[0] : pending[1] }]
+                : [],
+          }),
+        }),
+      }));
+      const collection = jest.fn(() => ({ find }));
+      const nativeDb = Telemetry.db.db;
+      Telemetry.db.db = { collection };
+      jest
+        .spyOn(Date, "now")
+        .mockReturnValue(new Date("2024-01-02T00:00:00Z").getTime());
+
+      try {
+        const from = new Date("2024-01-01T00:00:00Z");
+        expect(await Telemetry.getMigrationStatus(from)).toEqual({
+          inProgress: true,
+          pendingFrom: pending[0],
+          pendingTo: pending[1],
+        });
+        expect(collection).toHaveBeenCalledWith("telemetries_legacy");
+        expect(find).toHaveBeenCalledWith(
+          { timestamp: { $gte: from } },
+          { projection: { timestamp: 1 } }
+        );
+
+        pending.length = 0;
+        expect(await Telemetry.getMigrationStatus(from)).toEqual({
+          inProgress: false,
+        });
+      } finally {
+        Telemetry.db.db = nativeDb;
+      }
+    });
+  });
+
+  describe("Telemetry Queries", () => {
+    it("should expand fields and keep series within the point cap", () => {
+      const { fields, unknown } = telemetryQueryService.parseFields(
+        "sensors.battery.level, gps,sensors.battery.charging,nope"
+      );
+
+      expect(fields).toContain("sensors.battery.level");
+      expect(fields).toContain("gps.lat");
+      expect(fields).toContain("gps.satellites");
+      expect(unknown).toEqual(["sensors.battery.charging", "nope"]);
+
+      const day = 24 * 60 * 60 * 1000;
+      expect(telemetryQueryService.parseInterval("5m")).toBe(5 * 60 * 1000);
+      expect(telemetryQueryService.parseInterval("0h")).toBeNull();
+      const from = new Date("2024-01-01T00:00:00Z");
+      const after = (ms) => new Date(from.getTime() + ms);
+      expect(
+        telemetryQueryService.chooseInterval(5 * 60 * 1000, from, after(day))
+      ).toBe(5 * 60 * 1000);
+      // 1s over a week is too many points: the next standard step that fits
+      expect(
+        telemetryQueryService.formatInterval(
+          telemetryQueryService.chooseInterval(1000, from, after(7 * day))
+        )
+      ).toBe("15m");
+    });
+
+    it("should count the partial bins of ranges not aligned to the interval", () => {
+      const maxPoints = config.telemetry.query.maxPoints;
+      const minute = 60 * 1000;
+      // maxPoints minutes long, but starting mid-minute it touches one bin more
+      const from = new Date("2024-01-01T00:00:30Z");
+      const to = new Date(from.getTime() + maxPoints * minute);
+
+      expect(telemetryQueryService.countBins(minute, from, to)).toBe(
+        maxPoints + 1
+      );
+      const intervalMs = telemetryQueryService.chooseInterval(minute, from, to);
+      expect(intervalMs).toBe(5 * minute);
+      expect(
+        telemetryQueryService.countBins(intervalMs, from, to)
+      ).toBeLessThanOrEqual(maxPoints);
+
+      const aligned = new Date("2024-01-01T00:00:00Z");
+      expect(
+        telemetryQueryService.chooseInterval(
+          minute,
+          aligned,
+          new Date(aligned.getTime() + maxPoints * minute)
+        )
+      ).toBe(minute);
+    });
+
+    it("should reject unauthenticated series queries", async () => {
+      await request(app)
+        .get("/api/telemetry/test-device-001/query?fields=gps")
+        .expect(401);
+    });
+  });
+
+  describe("Data Exports", () => {
+    it("should flatten readings into escaped CSV cells", () => {
+      const row = exportService.flatten({
+        timestamp: new Date("2024-01-01T00:00:00Z"),
+        sensors: { IMU: { accelerometer: { x: 0.5 } } },
+        connectivity: { wifi: { ssid: '=HYPERLINK("x"),"home"' } },
+        alerts: [{ type: "low_battery" }],
+      });
+
+      expect(row["sensors.IMU.accelerometer.x"]).toBe(0.5);
+      expect(
+        exportService.toCsvRow(row, [
+          "timestamp",
+          "sensors.IMU.accelerometer.x",
+          "gps.lat",
+          "connectivity.wifi.ssid",
+          "alerts",
+        ])
+      ).toBe(
+        '2024-01-01T00:00:00.000Z,0.5,,"\'=HYPERLINK(""x""),""home""","[{""type"":""low_battery""}]"\n'
+      );
+    });
+
+    it("should require authentication for exports", async () => {
+      await request(app)
+        .get("/api/exports/test-device-001/telemetry?format=csv")
+        .expect(401);
+    });
+  });
+
+  describe("GPS Tracks", () => {
+    it("should split tracks on time gaps and render waypoints", () => {
+      const at = (minute) => new Date(Date.UTC(2024, 0, 1, 10, minute));
+      const segments = trackFormatService.splitSegments(
+        [
+          { timestamp: at(30), lat: 40.2, lon: -74.2 },
+          { timestamp: at(1), lat: 40.1, lon: -74.1 },
+          { timestamp: at(0), lat: 40, lon: -74, altitude: 10 },
+        ],
+        5 * 60 * 1000
+      );
+      expect(segments.map((segment) => segment.length)).toEqual([2, 1]);
+
+      const track = {
+        deviceId: "test-device-001",
+        tier: "raw",
+        segments,
+        waypoints: [
+          {
+            timestamp: at(1),
+            lat: 40.1,
+            lon: -74.1,
+            type: "SOS",
+            name: "Fell <near> road & bridge",
+          },
+        ],
+      };
+      const gpx = trackFormatService.render("gpx", track);
+      expect(gpx.match(/<trkseg>/g)).toHaveLength(2);
+      expect(gpx).toContain("<name>Fell &lt;near&gt; road &amp; bridge</name>");
+      expect(gpx.indexOf("<wpt")).toBeLessThan(gpx.indexOf("<trk>"));
+
+      const geojson = JSON.parse(trackFormatService.render("geojson", track));
+      expect(geojson.features[0].geometry.coordinates[0][0]).toEqual([
+        -74, 40, 10,
+      ]);
+      expect(geojson.features[0].properties.coordTimes[1]).toEqual([
+        "2024-01-01T10:30:00.000Z",
+      ]);
+      expect(geojson.features[1].geometry.type).toBe("Point");
+    });
+
+    it("should drop bad fixes and jumps, simplify and measure tracks", () => {
+      const at = (second) => new Date(Date.UTC(2024, 0, 1, 10, 0, second));
+      const track = trackProcessingService.process(
+        [
+          { timestamp: at(0), lat: 40, lon: -74, accuracy: 5 },
+          { timestamp: at(10), lat: 40.0001, lon: -74, accuracy: 5 },
+          { timestamp: at(20), lat: 41, lon: -74, accuracy: 5 },
+          { timestamp: at(30), lat: 40.0002, lon: -74, accuracy: 0 },
+          { timestamp: at(40), lat: 40.0003, lon: -74, accuracy: 80 },
+          { timestamp: at(50), lat: 40.0004, lon: -74, accuracy: 5 },
+        ],
+        {
+          clean: true,
+          maxAccuracy: 50,
+          maxSpeedMps: 50,
+          toleranceM: 1,
+          gapMs: 5 * 60 * 1000,
+        }
+      );
+
+      expect(track.processing.removed).toEqual({
+        inaccurate: 2,
+        outliers: 1,
+        simplified: 1,
+      });
+      expect(track.segments[0].map((point) => point.lat)).toEqual([
+        40, 40.0004,
+      ]);
+      expect(track.stats.distanceM).toBe(44);
+      expect(track.stats.movingTimeS).toBe(50);
+      expect(track.stats.boundingBox).toEqual({
+        minLat: 40,
+        minLon: -74,
+        maxLat: 40.0004,
+        maxLon: -74,
+      });
+    });
+
+    it("should drop jumps at the first and last fix", () => {
+      const at = (second) => new Date(Date.UTC(2024, 0, 1, 10, 0, second));
+      const walk = [
+        { timestamp: at(10), lat: 40, lon: -74 },
+        { timestamp: at(20), lat: 40.0001, lon: -74 },
+        { timestamp: at(30), lat: 40.0002, lon: -74 },
+      ];
+      const options = { maxAccuracy: 50, maxSpeedMps: 50 };
+
+      const leading = trackProcessingService.clean(
+        [{ timestamp: at(0), lat: 41, lon: -74 }, ...walk],
+        options
+      );
+      expect(leading.outliers).toBe(1);
+      expect(leading.points).toEqual(walk);
+
+      const trailing = trackProcessingService.clean(
+        [...walk, { timestamp: at(40), lat: 41, lon: -74 }],
+        options
+      );
+      expect(trailing.outliers).toBe(1);
+      expect(trailing.points).toEqual(walk);
+
+      // Two fixes alone can't tell which one jumped, so both are kept
+      expect(
+        trackProcessingService.clean(
+          [walk[0], { timestamp: at(20), lat: 41, lon: -74 }],
+          options
+        ).outliers
+      ).toBe(0);
+    });
+
+    it("should require authentication for track downloads", async () => {
+      await request(app)
+        .get("/api/telemetry/test-device-001/gps-track?format=gpx")
+        .expect(401);
+    });
+  });
+
+  describe("Telemetry Rollups", () => {
+    it("should summarize hours and combine them into a day", () => {
+      const at = (minute) => new Date(Date.UTC(2024, 0, 1, 10, minute));
+      const hour = rollupService.summarize(
+        [
+          {
+            timestamp: at(0),
+            sensors: { battery: { level: 80 }, ultrasonicCenter: 20 },
+            deviceStatus: { uptime: 600 },
+          },
+          {
+            timestamp: at(30),
+            sensors: {
+              battery: { level: 60 },
+              IMU: { accelerometer: { x: 0, y: 0, z: 14 } },
+            },
+            deviceStatus: { uptime: 30 },
+            connectivity: { wifi: { connected: true } },
+          },
+        ],
+        [
+          { timestamp: at(0), lat: 0, lon: 0 },
+          { timestamp: at(30), lat: 0.001, lon: 0 },
+        ]
+      );
+
+      expect(hour.battery).toEqual({ samples: 2, min: 60, avg: 70, max: 80 });
+      expect(hour.obstacles.count).toBe(1);
+      expect(hour.activity.activeSamples).toBe(1);
+      expect(hour.uptime).toEqual({ max: 600, restarts: 1 });
+      expect(Math.round(hour.distanceM)).toBe(111);
+
+      const day = rollupService.combine([
+        hour,
+        { ...hour, battery: { samples: 2, min: 40, avg: 50, max: 60 } },
+      ]);
+      expect(day.sampleCount).toBe(4);
+      expect(day.battery).toEqual({ samples: 4, min: 40, avg: 60, max: 80 });
+      expect(Math.round(day.distanceM)).toBe(222);
+      expect(rollupService.tierFor(new Date(), 60 * 1000)).toBe("raw");
+    });
+  });
+
   describe("SOS Endpoint", () => {
-    it("should accept SOS alerts", async () => {
+    it("should reject unsigned SOS alerts", async () => {
       const sosData = {
         deviceId: "test-device-001",
         gps: {
@@ -93,14 +686,10 @@ describe("Smart Stick API", () => {
         timestamp: new Date().toISOString(),
       };
 
-      const res = await request(app).post("/api/sos").send(sosData).expect(201);
+      const res = await request(app).post("/api/sos").send(sosData).expect(401);
 
-      expect(res.body).toHaveProperty("success", true);
-      expect(res.body).toHaveProperty(
-        "message",
-        "SOS alert processed successfully"
-      );
-      expect(res.body.data).toHaveProperty("deviceId", sosData.deviceId);
+      expect(res.body).toHaveProperty("success", false);
+      expect(res.body).toHaveProperty("message", "Device signature required");
     });
 
     it("should validate SOS data", async () => {
@@ -161,6 +750,892 @@ describe("Smart Stick API", () => {
     });
   });
 
+  describe("Invitations", () => {
+    it("should reject invalid invitation tokens", async () => {
+      const res = await request(app)
+        .post("/api/invitations/decline")
+        .send({ token: "not-a-token" })
+        .expect(400);
+
+      expect(res.body).toHaveProperty("success", false);
+      expect(res.body).toHaveProperty("message", "Invalid invitation token");
+    });
+
+    it("should not accept access tokens as invitation tokens", async () => {
+      const token = AuthUtils.generateToken({ userId: "user-1" });
+
+      const res = await request(app)
+        .post("/api/invitations/decline")
+        .send({ token })
+        .expect(400);
+
+      expect(res.body).toHaveProperty("message", "Invalid invitation token");
+    });
+
+    it("should deliver invitation emails over SMTP", async () => {
+      const received = [];
+      const smtpServer = new SMTPServer({
+        authOptional: true,
+        disabledCommands: ["STARTTLS"],
+        onData(stream, session, callback) {
+          let data = "";
+          stream.on("data", (chunk) => (data += chunk));
+          stream.on("end", () => {
+            received.push({ to: session.envelope.rcptTo, data });
+            callback();
+          });
+        },
+      });
+      await new Promise((resolve) =>
+        smtpServer.listen(0, "127.0.0.1", resolve)
+      );
+
+      try {
+        mailerService.initialize({
+          transport: "smtp",
+          smtp: { host: "127.0.0.1", port: smtpServer.server.address().port },
+        });
+
+        const result = await mailerService.sendInvitation(
+          {
+            email: "caregiver@example.com",
+            deviceId: "test-device-001",
+            role: "caregiver",
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+          },
+          "signed-token",
+          "Test Owner"
+        );
+
+        expect(result).toHaveProperty("success", true);
+        expect(received).toHaveLength(1);
+        expect(received[0].to[0].address).toBe("caregiver@example.com");
+        expect(received[0].data).toContain("test-device-001");
+        expect(received[0].data).toContain(
+          "Subject: Test Owner invited you to a Smart Stick"
+        );
+      } finally {
+        mailerService.initialize({ transport: "memory" });
+        await new Promise((resolve) => smtpServer.close(resolve));
+      }
+    });
+  });
+
+  describe("Two-Factor Authentication", () => {
+    it("should generate RFC 6238 codes", () => {
+      const secret = TOTP.base32Encode(Buffer.from("12345678901234567890"));
+
+      expect(TOTP.generate(secret, 59 * 1000)).toBe("287082");
+      expect(TOTP.generate(secret, 1111111109 * 1000)).toBe("081804");
+      expect(TOTP.verify(secret, "287082", 1, 59 * 1000)).toBe(1);
+      expect(TOTP.verify(secret, "287082", 1, 200 * 1000)).toBeNull();
+    });
+
+    it("should reject expired login challenges", async () => {
+      const res = await request(app)
+        .post("/api/users/login/2fa")
+        .send({ challengeToken: "invalid-challenge", code: "123456" })
+        .expect(401);
+
+      expect(res.body).toHaveProperty("success", false);
+      expect(res.body).toHaveProperty(
+        "message",
+        "Login challenge expired, please log in again"
+      );
+    });
+  });
+
+  describe("Role-Based Access Control", () => {
+    it("should let support staff view users but not command the fleet", () => {
+      const support = { roles: ["support"], mfa: true };
+
+      expect(Permissions.hasPermission(support, "users:read")).toBe(true);
+      expect(Permissions.hasPermission(support, "commands:reboot")).toBe(false);
+      expect(Permissions.hasPermission(support, "commands:bulk")).toBe(false);
+    });
+
+    it("should only apply staff permissions after two-factor login", () => {
+      expect(
+        Permissions.hasPermission(
+          { roles: ["super-admin"], mfa: false },
+          "users:read"
+        )
+      ).toBe(false);
+      expect(
+        Permissions.hasPermission({ roles: [], mfa: true }, "users:read")
+      ).toBe(false);
+    });
+  });
+
+  describe("Organizations", () => {
+    it("should only give fleet-wide access to platform staff and org admins", async () => {
+      const staff = { roles: ["support"], mfa: true };
+      const resident = { organizationId: "org-1", organizationRole: "member" };
+
+      expect(
+        await DeviceAccess.fleetAllows(
+          staff,
+          { organizationId: null },
+          "stick-1",
+          "events:read"
+        )
+      ).toBe(true);
+      expect(
+        await DeviceAccess.fleetAllows(
+          { roles: [] },
+          resident,
+          "stick-1",
+          "events:read"
+        )
+      ).toBe(false);
+    });
+  });
+
+  describe("Device Sharing", () => {
+    it("should leave the new owner as the only owner after a transfer", async () => {
+      const owner = new User({
+        email: "owner@example.com",
+        password: "Password123",
+        name: "Owner",
+        devices: [{ deviceId: "stick-1", role: "owner" }],
+      });
+      const member = new User({
+        email: "member@example.com",
+        password: "Password123",
+        name: "Member",
+        devices: [{ deviceId: "stick-1", role: "caregiver" }],
+      });
+      const users = [member, owner];
+
+      jest
+        .spyOn(User, "findById")
+        .mockImplementation(async (id) =>
+          users.find((user) => user._id.equals(id))
+        );
+      // Same match as the real query: the first user owning the device
+      jest
+        .spyOn(User, "findByDeviceId")
+        .mockImplementation(async (deviceId) =>
+          users.find((user) =>
+            user.devices.some(
+              (device) =>
+                device.deviceId === deviceId &&
+                [null, "owner"].includes(device.role)
+            )
+          )
+        );
+      jest.spyOn(User.prototype, "save").mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Device, "findOne").mockResolvedValue(null);
+
+      const res = mockResponse();
+      await DeviceController.updateMember(
+        {
+          user: { userId: owner._id },
+          params: { deviceId: "stick-1", userId: String(member._id) },
+          body: { role: "owner" },
+        },
+        res
+      );
+
+      expect(res.statusCode).toBe(200);
+      expect(DeviceAccess.getRole(member, "stick-1")).toBe("owner");
+      expect(DeviceAccess.getRole(owner, "stick-1")).toBe("caregiver");
+    });
+  });
+
+  describe("Device Registry", () => {
+    const staffToken = () =>
+      AuthUtils.generateToken({
+        userId: String(new User()._id),
+        sid: "session-1",
+        roles: ["super-admin"],
+        mfa: true,
+      });
+
+    beforeEach(() => {
+      jest.spyOn(Session, "isActiveSession").mockResolvedValue(true);
+      jest.spyOn(mosquittoAuthService, "scheduleSync").mockReturnValue();
+      jest.spyOn(DeviceCredential, "issue").mockResolvedValue({
+        credential: { current: { keyId: "key-1" } },
+        secret: "secret",
+      });
+    });
+
+    it("should provision new serial numbers and report duplicates", async () => {
+      const registry = [];
+      jest
+        .spyOn(Device, "findOne")
+        .mockImplementation(
+          async ({ serialNumber }) =>
+            registry.find((device) => device.serialNumber === serialNumber) ||
+            null
+        );
+      // Unique deviceId and serialNumber, as the real indexes enforce
+      jest
+        .spyOn(Device.prototype, "save")
+        .mockImplementation(async function () {
+          const clash = registry.find(
+            (device) =>
+              device !== this &&
+              (device.deviceId === this.deviceId ||
+                device.serialNumber === this.serialNumber)
+          );
+          if (clash) {
+            throw Object.assign(new Error("E11000"), { code: 11000 });
+          }
+          if (!registry.includes(this)) registry.push(this);
+          return this;
+        });
+
+      const res = mockResponse();
+      await DeviceController.provisionDevices(
+        {
+          user: { userId: new User()._id },
+          body: {
+            devices: [
+              { serialNumber: "SN-1", deviceId: "stick-a" },
+              { serialNumber: "SN-1", deviceId: "stick-a" },
+              { serialNumber: "SN-2", deviceId: "stick-a" },
+              { serialNumber: "SN-3" },
+            ],
+          },
+        },
+        res
+      );
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.successCount).toBe(2);
+      expect(
+        res.body.data.results.map(({ success, error }) => error || success)
+      ).toEqual([
+        true,
+        "Device is already provisioned",
+        "Device ID or serial number already registered",
+        true,
+      ]);
+      expect(res.body.data.results[3].deviceId).toBe("SN-3");
+      expect(registry.map((device) => device.state)).toEqual([
+        "provisioned",
+        "provisioned",
+      ]);
+      expect(mosquittoAuthService.scheduleSync).toHaveBeenCalledTimes(1);
+    });
+
+    it("should cap bulk provisioning at 500 devices", async () => {
+      const devices = (count) =>
+        Array.from({ length: count }, (_, i) => ({ serialNumber: `SN-${i}` }));
+      jest.spyOn(Device, "findOne").mockResolvedValue(null);
+      jest.spyOn(Device.prototype, "save").mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+
+      const tooMany = await request(app)
+        .post("/api/devices/provision")
+        .set("Authorization", `Bearer ${staffToken()}`)
+        .send({ devices: devices(501) })
+        .expect(400);
+      expect(JSON.stringify(tooMany.body)).toContain(
+        "Devices must be an array of 1 to 500 entries"
+      );
+      expect(Device.prototype.save).not.toHaveBeenCalled();
+
+      const full = await request(app)
+        .post("/api/devices/provision")
+        .set("Authorization", `Bearer ${staffToken()}`)
+        .send({ devices: devices(500) })
+        .expect(201);
+      expect(full.body.data.successCount).toBe(500);
+    });
+
+    it("should only allow lifecycle transitions in the state machine", () => {
+      const device = new Device({ deviceId: "stick-b", serialNumber: "SN-B" });
+
+      device.transitionTo("provisioned");
+      expect(device.state).toBe("provisioned");
+      expect(device.provisionedAt).toBeInstanceOf(Date);
+      expect(device.stateHistory[device.stateHistory.length - 1].state).toBe(
+        "provisioned"
+      );
+
+      let error;
+      try {
+        device.transitionTo("manufactured");
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).toBe(
+        "Invalid device state transition: provisioned → manufactured"
+      );
+      expect(error.status).toBe(409);
+      expect(device.state).toBe("provisioned");
+
+      device.transitionTo("decommissioned");
+      expect(() => device.transitionTo("provisioned")).toThrow(
+        "Invalid device state transition: decommissioned → provisioned"
+      );
+    });
+
+    it("should decommission a device and detach it everywhere", async () => {
+      const ownerId = new User()._id;
+      const device = new Device({
+        deviceId: "stick-c",
+        serialNumber: "SN-C",
+        state: "claimed",
+        owner: ownerId,
+        ownerHistory: [{ userId: ownerId }],
+      });
+      const credential = { revoke: jest.fn().mockResolvedValue(null) };
+      jest.spyOn(DeviceAccess, "getStaffScope").mockResolvedValue({});
+      jest.spyOn(Device, "findOne").mockResolvedValue(device);
+      jest.spyOn(Device.prototype, "save").mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      jest
+        .spyOn(DeviceCredential, "findActiveByDevice")
+        .mockResolvedValue(credential);
+      jest.spyOn(User, "updateMany").mockResolvedValue({ modifiedCount: 1 });
+
+      const req = {
+        user: { userId: new User()._id },
+        params: { deviceId: "stick-c" },
+        body: { note: "Water damage" },
+      };
+      const res = mockResponse();
+      await DeviceController.decommissionDevice(req, res);
+
+      expect(res.statusCode).toBe(200);
+      expect(device.state).toBe("decommissioned");
+      expect(device.owner).toBeNull();
+      expect(device.ownerHistory[0].releasedAt).toBeInstanceOf(Date);
+      expect(credential.revoke).toHaveBeenCalledWith(req.user.userId);
+      expect(User.updateMany).toHaveBeenCalledWith(
+        { "devices.deviceId": "stick-c" },
+        { $pull: { devices: { deviceId: "stick-c" } } }
+      );
+
+      const again = mockResponse();
+      await DeviceController.decommissionDevice(req, again);
+      expect(again.statusCode).toBe(409);
+    });
+
+    it("should only add devices known to the registry", async () => {
+      const user = new User({
+        email: "registry@example.com",
+        password: "Password123",
+        name: "Registry User",
+      });
+      jest.spyOn(User, "findById").mockResolvedValue(user);
+      jest.spyOn(Device, "findProvisioned").mockResolvedValue(null);
+      jest.spyOn(User.prototype, "addDevice");
+
+      const res = await request(app)
+        .post("/api/users/devices")
+        .set(
+          "Authorization",
+          `Bearer ${AuthUtils.generateToken({
+            userId: String(user._id),
+            sid: "session-1",
+          })}`
+        )
+        .send({ deviceId: "stick-unknown", pairingCode: "ABCD2345" })
+        .expect(404);
+
+      expect(res.body).toHaveProperty(
+        "message",
+        "Device not found or not provisioned"
+      );
+      expect(Device.findProvisioned).toHaveBeenCalledWith("stick-unknown");
+      expect(User.prototype.addDevice).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Device Pairing", () => {
+    const deviceId = "stick-9";
+    const code = "ABCD2345";
+    let stored;
+    let attempts;
+
+    /**
+     * Store a provisioned device with a pairing code and mock the queries on
+     * it with the same conditions the real ones use
+     * @param {Object} pairing - Pairing fields to override
+     */
+    function storeDevice(pairing = {}) {
+      stored = new Device({
+        deviceId,
+        serialNumber: "SN-9",
+        state: "provisioned",
+        pairing: {
+          codeHash: AuthUtils.hashToken(`${deviceId}:${code}`),
+          expiresAt: new Date(Date.now() + 60 * 1000),
+          failedAttempts: 0,
+          ...pairing,
+        },
+      });
+
+      // Each request loads its own copy, as findOne would
+      jest
+        .spyOn(Device, "findProvisioned")
+        .mockImplementation(async () => new Device(stored.toObject()));
+      jest
+        .spyOn(Device, "findOneAndUpdate")
+        .mockImplementation(async (filter) => {
+          const { pairing: current } = stored;
+          if (
+            stored.state !== filter.state ||
+            current.codeHash !== filter["pairing.codeHash"] ||
+            !(current.expiresAt > filter["pairing.expiresAt"].$gt) ||
+            stored.isPairingLocked
+          ) {
+            return null;
+          }
+          stored.pairing = { failedAttempts: 0 };
+          return stored;
+        });
+      jest
+        .spyOn(Device, "findOne")
+        .mockImplementation(() => ({ select: async () => stored }));
+      jest
+        .spyOn(Device, "updateOne")
+        .mockImplementation(async (filter, update) => {
+          const { pairing: current } = stored;
+          const below = filter["pairing.failedAttempts"];
+          if (
+            current.codeHash !== filter["pairing.codeHash"] ||
+            (below && !(current.failedAttempts < below.$lt))
+          ) {
+            return { modifiedCount: 0 };
+          }
+          if (update.$inc) current.failedAttempts += 1;
+          if (update.$set) {
+            current.lockedUntil = update.$set["pairing.lockedUntil"];
+          }
+          if (update.$unset) current.codeHash = undefined;
+          return { modifiedCount: 1 };
+        });
+      jest.spyOn(Device.prototype, "claim").mockResolvedValue(null);
+    }
+
+    /**
+     * Add the device to a new signed-in user's account
+     * @param {Object} body - Request body overrides
+     * @returns {Promise<Object>} - Supertest response
+     */
+    function addDevice(body = {}) {
+      const user = new User({
+        email: `pairing-${Math.random()}@example.com`,
+        password: "Password123",
+        name: "Pairing User",
+      });
+      return request(app)
+        .post("/api/users/devices")
+        .set(
+          "Authorization",
+          `Bearer ${AuthUtils.generateToken({
+            userId: String(user._id),
+            sid: "session-1",
+          })}`
+        )
+        .send({ deviceId, ...body })
+        .then((res) => Object.assign(res, { user }));
+    }
+
+    beforeEach(() => {
+      attempts = [];
+      jest.spyOn(Session, "isActiveSession").mockResolvedValue(true);
+      jest
+        .spyOn(User, "findById")
+        .mockImplementation(async (id) => new User({ _id: id }));
+      jest.spyOn(User.prototype, "addDevice").mockResolvedValue(null);
+      jest
+        .spyOn(Event, "recordPairingAttempt")
+        .mockImplementation(async (attempt) => attempts.push(attempt));
+      jest.spyOn(auditService, "record").mockResolvedValue(null);
+    });
+
+    it("should reject missing and wrong pairing codes", async () => {
+      storeDevice();
+
+      const missing = await addDevice();
+      expect(missing.status).toBe(403);
+      expect(missing.body).toHaveProperty(
+        "message",
+        "Pairing code from the device is required"
+      );
+
+      const wrong = await addDevice({ pairingCode: "ZZZZ9999" });
+      expect(wrong.status).toBe(403);
+      expect(wrong.body).toHaveProperty("message", "Invalid pairing code");
+      // Only the wrong guess counts towards the lockout
+      expect(stored.pairing.failedAttempts).toBe(1);
+      expect(User.prototype.addDevice).not.toHaveBeenCalled();
+    });
+
+    it("should reject expired pairing codes", async () => {
+      storeDevice({ expiresAt: new Date(Date.now() - 1000) });
+
+      const res = await addDevice({ pairingCode: code });
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toMatch(/expired/);
+      expect(stored.pairing.codeHash).toBeUndefined();
+    });
+
+    it("should lock pairing once the failed attempt limit is reached", async () => {
+      storeDevice();
+      const { maxFailedAttempts } = config.pairing;
+
+      const statuses = [];
+      for (let i = 0; i < maxFailedAttempts; i++) {
+        statuses.push((await addDevice({ pairingCode: "ZZZZ9999" })).status);
+      }
+
+      expect(statuses.slice(0, -1).every((status) => status === 403)).toBe(
+        true
+      );
+      expect(statuses[statuses.length - 1]).toBe(423);
+      expect(stored.isPairingLocked).toBe(true);
+      expect(stored.pairing.codeHash).toBeUndefined();
+      // Burnt: the right code no longer works either
+      expect((await addDevice({ pairingCode: code })).status).toBe(423);
+    });
+
+    it("should accept a pairing code only once", async () => {
+      storeDevice();
+
+      const first = await addDevice({ pairingCode: code.toLowerCase() });
+      // Loaded before the first request claimed the device
+      const second = await addDevice({ pairingCode: code });
+
+      expect(first.status).toBe(201);
+      expect(second.status).toBe(403);
+      expect(User.prototype.addDevice).toHaveBeenCalledTimes(1);
+      expect(Device.prototype.claim).toHaveBeenCalledTimes(1);
+      expect(Device.prototype.claim).toHaveBeenCalledWith(first.user._id);
+    });
+
+    it("should record pairing events for successful and failed attempts", async () => {
+      storeDevice();
+
+      await addDevice({ pairingCode: "ZZZZ9999" });
+      await addDevice({ pairingCode: code });
+
+      expect(attempts).toEqual([
+        expect.objectContaining({
+          deviceId,
+          success: false,
+          reason: "invalid",
+        }),
+        expect.objectContaining({ deviceId, success: true, reason: "valid" }),
+      ]);
+    });
+  });
+
+  describe("Temporary Access Grants", () => {
+    const hour = 60 * 60 * 1000;
+    let grantee;
+    let grants;
+
+    /**
+     * Store a grant on stick-1 for the grantee
+     * @param {Object} fields - Grant fields to override
+     * @returns {Object} - Grant document
+     */
+    function storeGrant(fields = {}) {
+      const grant = new AccessGrant({
+        deviceId: "stick-1",
+        grantee: grantee._id,
+        grantedBy: new User()._id,
+        startsAt: new Date(Date.now() - hour),
+        endsAt: new Date(Date.now() + hour),
+        ...fields,
+      });
+      grants.push(grant);
+      return grant;
+    }
+
+    /**
+     * Check the grantee's access to stick-1 as an API request would
+     * @param {string} permission - Device permission
+     * @returns {Promise<Object>} - DeviceAccess result
+     */
+    function checkAccess(permission) {
+      return DeviceAccess.check(
+        { userId: grantee._id },
+        "stick-1",
+        permission,
+        {
+          method: "GET",
+          originalUrl: "/api/telemetry/stick-1/gps-track?format=gpx",
+        }
+      );
+    }
+
+    beforeEach(() => {
+      grantee = new User({
+        email: "grantee@example.com",
+        password: "Password123",
+        name: "Grantee",
+      });
+      grants = [];
+      jest.spyOn(User, "findById").mockResolvedValue(grantee);
+      // Same conditions as the real query: started, not ended, not revoked
+      jest.spyOn(AccessGrant, "find").mockImplementation((filter) => ({
+        select: async () =>
+          grants.filter(
+            (grant) =>
+              grant.grantee.equals(filter.grantee) &&
+              grant.deviceId === filter.deviceId &&
+              grant.startsAt <= filter.startsAt.$lte &&
+              grant.endsAt > filter.endsAt.$gt &&
+              !grant.revokedAt
+          ),
+      }));
+      jest
+        .spyOn(AccessGrant, "updateOne")
+        .mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it("should deny grants before they start and after they end", async () => {
+      storeGrant({
+        startsAt: new Date(Date.now() + hour),
+        endsAt: new Date(Date.now() + 2 * hour),
+      });
+      storeGrant({
+        startsAt: new Date(Date.now() - 2 * hour),
+        endsAt: new Date(Date.now() - hour),
+      });
+
+      expect(grants.map((grant) => grant.state)).toEqual([
+        "scheduled",
+        "expired",
+      ]);
+      expect((await checkAccess("location:read")).allowed).toBe(false);
+      expect(AccessGrant.updateOne).not.toHaveBeenCalled();
+    });
+
+    it("should refuse commands under a location-only grant", async () => {
+      storeGrant({ scopes: AccessGrant.resolveScopes("location-only") });
+
+      expect((await checkAccess("commands:send")).allowed).toBe(false);
+      expect((await checkAccess("telemetry:read")).allowed).toBe(false);
+      expect((await checkAccess("location:read")).allowed).toBe(true);
+    });
+
+    it("should stop working once revoked", async () => {
+      const grant = storeGrant();
+      jest.spyOn(AccessGrant.prototype, "save").mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      expect((await checkAccess("location:read")).allowed).toBe(true);
+
+      await grant.revoke(grant.grantedBy);
+
+      expect(grant.state).toBe("revoked");
+      expect((await checkAccess("location:read")).allowed).toBe(false);
+    });
+
+    it("should log each use of a grant for the owner to read", async () => {
+      const grant = storeGrant();
+
+      const access = await checkAccess("location:read");
+
+      expect(access.grant).toBe(grant);
+      expect(AccessGrant.updateOne).toHaveBeenCalledWith(
+        { _id: grant._id },
+        {
+          $push: {
+            accessLog: {
+              $each: [
+                {
+                  permission: "location:read",
+                  method: "GET",
+                  path: "/api/telemetry/stick-1/gps-track?format=gpx",
+                  accessedAt: expect.any(Date),
+                },
+              ],
+              $slice: -config.accessGrants.maxLogEntries,
+            },
+          },
+        }
+      );
+
+      // The owner's view of the grant includes its access log
+      grant.accessLog.push(
+        AccessGrant.updateOne.mock.calls[0][1].$push.accessLog.$each[0]
+      );
+      jest.spyOn(AccessGrantController, "checkManageAccess").mockResolvedValue({
+        allowed: true,
+      });
+      jest.spyOn(AccessGrant, "findOne").mockReturnValue({
+        populate: () => ({ populate: async () => grant }),
+      });
+      const res = mockResponse();
+      await AccessGrantController.getGrant(
+        { params: { deviceId: "stick-1", grantId: String(grant._id) } },
+        res
+      );
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.accessLog[0]).toMatchObject({
+        permission: "location:read",
+        method: "GET",
+        path: "/api/telemetry/stick-1/gps-track?format=gpx",
+      });
+    });
+  });
+
+  describe("Tenant Isolation", () => {
+    const mongoose = require("mongoose");
+    const orgA = new mongoose.Types.ObjectId();
+    const orgB = new mongoose.Types.ObjectId();
+    const staff = { userId: new mongoose.Types.ObjectId(), roles: ["admin"] };
+    // Records of organization B only match lookups that aren't scoped to A
+    const inOrgB = (filter) =>
+      !filter.organizationId || filter.organizationId.equals(orgB);
+
+    beforeEach(() => {
+      jest.spyOn(User, "findById").mockReturnValue({
+        select: async () => ({ _id: staff.userId, organizationId: orgA }),
+      });
+      jest
+        .spyOn(Device, "exists")
+        .mockImplementation(async (filter) =>
+          inOrgB(filter) ? { _id: "device-1" } : null
+        );
+    });
+
+    it("should hide other organizations' devices from organization staff", async () => {
+      const findOne = jest
+        .spyOn(Device, "findOne")
+        .mockImplementation((filter) => {
+          const chain = {
+            populate: () => chain,
+            lean: async () =>
+              inOrgB(filter)
+                ? { deviceId: "stick-b", organizationId: orgB }
+                : null,
+          };
+          return chain;
+        });
+      const findCredential = jest.spyOn(DeviceCredential, "findActiveByDevice");
+
+      const res = mockResponse();
+      await DeviceController.getDevice(
+        { user: staff, params: { deviceId: "stick-b" } },
+        res
+      );
+      expect(res.statusCode).toBe(404);
+      expect(findOne.mock.calls[0][0]).toEqual({
+        deviceId: "stick-b",
+        organizationId: orgA,
+      });
+
+      const rotate = mockResponse();
+      await DeviceController.rotateCredentials(
+        { user: staff, params: { deviceId: "stick-b" }, body: {} },
+        rotate
+      );
+      expect(rotate.statusCode).toBe(404);
+      expect(findCredential).not.toHaveBeenCalled();
+    });
+
+    it("should not let organization staff change another organization's user roles", async () => {
+      const target = new User({
+        email: "resident@example.com",
+        password: "Password123",
+        name: "Resident",
+        organizationId: orgB,
+      });
+      jest
+        .spyOn(User, "findOne")
+        .mockImplementation(async (filter) => (inOrgB(filter) ? target : null));
+      const save = jest.spyOn(User.prototype, "save");
+
+      const res = mockResponse();
+      await UserController.updateUserRoles(
+        {
+          user: staff,
+          params: { userId: String(target._id) },
+          body: { roles: ["support"] },
+        },
+        res
+      );
+
+      expect(res.statusCode).toBe(404);
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("MQTT Broker Auth", () => {
+    it("should hash passwords in Mosquitto's PBKDF2-SHA512 format", () => {
+      const salt = Buffer.alloc(12, 1);
+      const hash = AuthUtils.hashMosquittoPassword("device-password", salt);
+      const [, version, iterations, encodedSalt, digest] = hash.split("$");
+
+      expect(version).toBe("7");
+      expect(iterations).toBe("101");
+      expect(Buffer.from(encodedSalt, "base64")).toEqual(salt);
+      expect(Buffer.from(digest, "base64")).toHaveLength(64);
+      expect(AuthUtils.hashMosquittoPassword("device-password", salt)).toBe(
+        hash
+      );
+    });
+
+    it("should keep accepting the previous secret during a rotation's grace period", async () => {
+      jest
+        .spyOn(DeviceCredential, "findOneAndUpdate")
+        .mockImplementation(
+          async (filter, update) =>
+            new DeviceCredential({ ...filter, ...update.$set })
+        );
+      const { credential } = await DeviceCredential.issue("stick-1");
+      const previousKeyId = credential.current.keyId;
+      jest.spyOn(credential, "save").mockResolvedValue(credential);
+      await credential.rotate(60 * 60 * 1000);
+
+      const [oldSecret, newSecret] = [
+        ...credential.getValidSecrets(),
+      ].reverse();
+      const logins = mosquittoAuthService.getDeviceLogins(credential);
+      expect(logins.map((login) => login.username)).toEqual([
+        "stick-1",
+        `stick-1.${credential.current.keyId}`,
+        `stick-1.${previousKeyId}`,
+      ]);
+      expect(logins[0].password).toBe(
+        mosquittoAuthService.getDevicePassword(oldSecret.secret)
+      );
+      expect(logins[1].password).toBe(
+        mosquittoAuthService.getDevicePassword(newSecret.secret)
+      );
+
+      credential.previous.expiresAt = new Date(Date.now() - 1000);
+      expect(
+        mosquittoAuthService.getDeviceLogins(credential).map((l) => l.username)
+      ).toEqual(["stick-1", `stick-1.${credential.current.keyId}`]);
+    });
+  });
+
+  describe("Audit Log", () => {
+    it("should change an entry's hash when its content is altered", () => {
+      const entry = new AuditLog({
+        sequence: 1,
+        timestamp: new Date("2024-01-01T00:00:00Z"),
+        actor: { email: "staff@example.com", ipAddress: "10.0.0.1" },
+        action: "telemetry.cleanup",
+        metadata: { deletedCount: 10 },
+        prevHash: "0".repeat(64),
+      });
+      const hash = entry.computeHash();
+
+      entry.metadata = { deletedCount: 0 };
+      expect(entry.computeHash()).not.toBe(hash);
+    });
+  });
+
   describe("Protected Routes", () => {
     it("should require authentication for protected routes", async () => {
       const res = await request(app).get("/api/users/profile").expect(401);
@@ -178,6 +1653,133 @@ describe("Smart Stick API", () => {
       expect(res.body).toHaveProperty("success", false);
       expect(res.body).toHaveProperty("message", "Invalid token");
     });
+
+    it("should reject access tokens without a session", async () => {
+      const token = AuthUtils.generateToken({ userId: "user-1" });
+
+      const res = await request(app)
+        .get("/api/users/profile")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(401);
+
+      expect(res.body).toHaveProperty("message", "Session expired or revoked");
+    });
+
+    it("should validate password reset data", async () => {
+      const res = await request(app)
+        .post("/api/users/password/reset")
+        .send({ email: "test@example.com", token: "abc", newPassword: "123" })
+        .expect(400);
+
+      expect(res.body).toHaveProperty("success", false);
+      expect(res.body).toHaveProperty("message", "Validation failed");
+    });
+
+    it("should reject unknown refresh tokens", async () => {
+      const res = await request(app)
+        .post("/api/users/token/refresh")
+        .send({ refreshToken: "not-a-session.token" })
+        .expect(401);
+
+      expect(res.body).toHaveProperty(
+        "message",
+        "Invalid or expired refresh token"
+      );
+    });
+
+    it("should let only one of two concurrent refreshes rotate the token", async () => {
+      const user = { _id: "user-1", email: "a@b.c", roles: ["user"] };
+      const refreshToken = "64b000000000000000000001.current";
+      const stored = () =>
+        new Session({
+          _id: "64b000000000000000000001",
+          userId: user._id,
+          refreshTokenHash: AuthUtils.hashToken(refreshToken),
+          expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        });
+      jest.spyOn(Session, "findById").mockImplementation(async () => stored());
+      jest.spyOn(User, "findOne").mockResolvedValue(user);
+      const revoke = jest.spyOn(Session.prototype, "revoke");
+      jest
+        .spyOn(Session, "findOneAndUpdate")
+        .mockImplementationOnce(async (filter, update) =>
+          Object.assign(stored(), update.$set)
+        )
+        .mockResolvedValueOnce(null);
+
+      const req = () => ({
+        body: { refreshToken },
+        ip: "127.0.0.1",
+        get: () => "jest",
+      });
+      const first = mockResponse();
+      const second = mockResponse();
+      await Promise.all([
+        UserController.refreshToken(req(), first),
+        UserController.refreshToken(req(), second),
+      ]);
+
+      expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          refreshTokenHash: AuthUtils.hashToken(refreshToken),
+          revokedAt: null,
+        }),
+        expect.anything(),
+        { new: true }
+      );
+      expect(first.body).toHaveProperty("success", true);
+      expect(second.statusCode).toBe(401);
+      expect(revoke).not.toHaveBeenCalled();
+    });
+
+    it("should only revoke sessions for refresh tokens older than the grace period", async () => {
+      const previous = "64b000000000000000000002.previous";
+      const session = new Session({
+        _id: "64b000000000000000000002",
+        userId: "user-1",
+        refreshTokenHash: AuthUtils.hashToken("64b000000000000000000002.next"),
+        previousRefreshTokenHash: AuthUtils.hashToken(previous),
+        rotatedAt: new Date(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      });
+      jest.spyOn(Session, "findById").mockResolvedValue(session);
+      const revoke = jest
+        .spyOn(Session.prototype, "revoke")
+        .mockResolvedValue(session);
+
+      const res = mockResponse();
+      await UserController.refreshToken(
+        { body: { refreshToken: previous } },
+        res
+      );
+      expect(res.statusCode).toBe(401);
+      expect(revoke).not.toHaveBeenCalled();
+
+      session.rotatedAt = new Date(Date.now() - 60 * 1000);
+      await UserController.refreshToken(
+        { body: { refreshToken: previous } },
+        mockResponse()
+      );
+      expect(revoke).toHaveBeenCalledWith("token_reuse");
+    });
+
+    it("should reject malformed API keys", async () => {
+      const res = await request(app)
+        .get("/api/sos")
+        .set("X-API-Key", "ssk_not-a-real-key")
+        .expect(401);
+
+      expect(res.body).toHaveProperty("message", "Invalid or expired API key");
+    });
+
+    it("should not accept API keys on user-only routes", async () => {
+      const res = await request(app)
+        .get("/api/users/profile")
+        .set("Authorization", `Bearer ssk_${"a".repeat(12)}_${"b".repeat(43)}`)
+        .expect(401);
+
+      expect(res.body).toHaveProperty("message", "Invalid token");
+    });
   });
 });
 
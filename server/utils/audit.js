@@ -0,0 +1,68 @@
+const AuditLog = require("../models/AuditLog");
+
+class AuditService {
+  constructor() {
+    // Appends run one at a time so this instance never races itself for a sequence number
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Record a security-relevant action taken by the requester
+   * Failures are logged rather than thrown so auditing never breaks the request
+   * @param {Object} req - Express request object (actor, IP, user agent, request id)
+   * @param {string} action - Dotted action name, e.g. "command.send"
+   * @param {Object} details - { target: {type, id}, deviceId, changes: {before, after}, metadata }
+   * @returns {Promise<Object|null>} - Saved entry, or null if it could not be written
+   */
+  record(req, action, details = {}) {
+    const principal = req.user || {};
+    const entry = {
+      timestamp: new Date(),
+      actor: {
+        userId: principal.userId,
+        email: principal.email,
+        apiKeyId: principal.apiKeyId,
+        ipAddress: req.ip,
+        userAgent: req.get ? req.get("user-agent") : undefined,
+      },
+      action,
+      target: details.target || {},
+      deviceId: details.deviceId,
+      requestId: req.id,
+      changes: details.changes,
+      metadata: details.metadata,
+    };
+
+    const append = this.queue.then(() => AuditLog.append(entry));
+    this.queue = append.catch(() => {});
+
+    return append.catch((error) => {
+      console.error(`❌ Failed to write audit entry (${action}):`, error);
+      return null;
+    });
+  }
+
+  /**
+   * Reduce two snapshots to the fields that differ
+   * @param {Object} before - Values before the change
+   * @param {Object} after - Values after the change
+   * @returns {{before: Object, after: Object}} - Changed fields only
+   */
+  diff(before = {}, after = {}) {
+    const changes = { before: {}, after: {} };
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const key of keys) {
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changes.before[key] = before[key];
+        changes.after[key] = after[key];
+      }
+    }
+    return changes;
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
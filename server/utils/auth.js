@@ -1,6 +1,8 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
 const config = require("../config");
+const Permissions = require("./permissions");
 
 class AuthUtils {
   /**
@@ -48,13 +50,67 @@ class AuthUtils {
     });
   }
 
+  /**
+   * Generate a single-purpose JWT (invitations and other emailed links)
+   * These use their own audience so they can never be used as access tokens
+   * @param {Object} payload - Data to encode
+   * @param {string} purpose - Token purpose, e.g. "invitation"
+   * @param {string|number} expiresIn - Token lifetime
+   * @returns {string} - JWT token
+   */
+  static generatePurposeToken(payload, purpose, expiresIn) {
+    return jwt.sign({ ...payload, purpose }, config.jwt.secret, {
+      expiresIn,
+      issuer: "smartstick-api",
+      audience: `smartstick-${purpose}`,
+    });
+  }
+
+  /**
+   * Verify a single-purpose JWT
+   * @param {string} token - JWT token
+   * @param {string} purpose - Expected token purpose
+   * @returns {Object} - Decoded payload
+   */
+  static verifyPurposeToken(token, purpose) {
+    const decoded = jwt.verify(token, config.jwt.secret, {
+      issuer: "smartstick-api",
+      audience: `smartstick-${purpose}`,
+    });
+
+    if (decoded.purpose !== purpose) {
+      throw new jwt.JsonWebTokenError("invalid token purpose");
+    }
+    return decoded;
+  }
+
+  /**
+   * Middleware that attaches req.user when a valid token is sent,
+   * but lets anonymous requests through
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  static optionalAuthentication(req, res, next) {
+    const authHeader = req.headers["authorization"];
+    const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
+
+    if (!token) {
+      return next();
+    }
+
+    return AuthUtils.authenticateToken(req, res, next);
+  }
+
   /**
    * Middleware to authenticate JWT tokens
+   * Access tokens carry a session ID (sid), so revoked sessions are rejected
+   * before the token itself expires
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next function
    */
-  static authenticateToken(req, res, next) {
+  static async authenticateToken(req, res, next) {
     const authHeader = req.headers["authorization"];
     const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
 
@@ -67,6 +123,16 @@ class AuthUtils {
 
     try {
       const decoded = AuthUtils.verifyToken(token);
+
+      // Required here because the Session model itself depends on AuthUtils
+      const Session = require("../models/Session");
+      if (!decoded.sid || !(await Session.isActiveSession(decoded.sid))) {
+        return res.status(401).json({
+          success: false,
+          message: "Session expired or revoked",
+        });
+      }
+
       req.user = decoded;
       next();
     } catch (error) {
@@ -92,19 +158,100 @@ class AuthUtils {
   }
 
   /**
-   * Middleware to check if user is admin
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
-   * @param {Function} next - Express next function
+   * Middleware factory accepting either a bearer JWT or an API key that
+   * carries the given scope (sent as X-API-Key or as the bearer token)
+   * Key principals get no staff roles and keep the key's scopes and device
+   * restrictions on req.user so DeviceAccess can enforce them
+   * @param {string} scope - Scope the key must hold, e.g. "events:read"
+   * @returns {Function} - Express middleware
    */
-  static requireAdmin(req, res, next) {
-    if (!req.user || !req.user.isAdmin) {
-      return res.status(403).json({
-        success: false,
-        message: "Admin access required",
-      });
-    }
-    next();
+  static authenticateTokenOrApiKey(scope) {
+    return async (req, res, next) => {
+      // Required here because the ApiKey and User models depend on AuthUtils
+      const ApiKey = require("../models/ApiKey");
+      const User = require("../models/User");
+
+      const authHeader = req.headers["authorization"];
+      const bearer = authHeader && authHeader.split(" ")[1];
+      const key =
+        req.headers["x-api-key"] || (ApiKey.isApiKey(bearer) ? bearer : null);
+
+      if (!key) {
+        return AuthUtils.authenticateToken(req, res, next);
+      }
+
+      try {
+        const apiKey = await ApiKey.findByKey(key);
+        if (!apiKey || apiKey.state !== "active") {
+          return res.status(401).json({
+            success: false,
+            message: "Invalid or expired API key",
+          });
+        }
+
+        if (!(await User.exists({ _id: apiKey.userId, isActive: true }))) {
+          return res.status(401).json({
+            success: false,
+            message: "Invalid or expired API key",
+          });
+        }
+
+        if (!apiKey.scopes.includes(scope)) {
+          return res.status(403).json({
+            success: false,
+            message: `API key is missing scope: ${scope}`,
+          });
+        }
+
+        await ApiKey.recordUse(apiKey._id, req.ip);
+        console.log(
+          `🔑 ${req.method} ${req.originalUrl} via API key ${apiKey.prefix} (${apiKey.name}) for user ${apiKey.userId}`
+        );
+
+        req.user = {
+          userId: String(apiKey.userId),
+          roles: [],
+          mfa: false,
+          apiKeyId: String(apiKey._id),
+          scopes: apiKey.scopes,
+          deviceIds: apiKey.deviceIds,
+        };
+        req.apiKey = apiKey;
+        next();
+      } catch (error) {
+        console.error("API key verification error:", error);
+        return res.status(500).json({
+          success: false,
+          message: "API key verification failed",
+        });
+      }
+    };
+  }
+
+  /**
+   * Middleware factory requiring a staff permission (see utils/permissions)
+   * @param {string} permission - Permission name, e.g. "commands:bulk"
+   * @returns {Function} - Express middleware
+   */
+  static requirePermission(permission) {
+    return (req, res, next) => {
+      if (!Permissions.hasPermission(req.user, permission)) {
+        const needsTwoFactor =
+          req.user &&
+          Array.isArray(req.user.roles) &&
+          req.user.roles.length > 0 &&
+          !req.user.mfa &&
+          config.twoFactor.requiredForStaff;
+
+        return res.status(403).json({
+          success: false,
+          message: needsTwoFactor
+            ? "Two-factor authentication required for staff access"
+            : `Permission required: ${permission}`,
+        });
+      }
+      next();
+    };
   }
 
   /**
@@ -121,6 +268,88 @@ class AuthUtils {
     }
     return result;
   }
+
+  /**
+   * Generate a cryptographically secure random token
+   * @param {number} bytes - Number of random bytes
+   * @returns {string} - URL-safe base64 token
+   */
+  static generateRandomToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString("base64url");
+  }
+
+  /**
+   * Hash an opaque token for storage (tokens are high-entropy, so no salt)
+   * @param {string} token - Plain token
+   * @returns {string} - SHA-256 hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  /**
+   * Hash a password in Mosquitto's password_file format (PBKDF2-SHA512, "$7$")
+   * @param {string} password - Plain password
+   * @param {Buffer} salt - 12 byte salt, random unless given
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {string} - $7$iterations$salt$hash (base64)
+   */
+  static hashMosquittoPassword(
+    password,
+    salt = crypto.randomBytes(12),
+    iterations = config.mosquitto.hashIterations
+  ) {
+    const hash = crypto.pbkdf2Sync(password, salt, iterations, 64, "sha512");
+    return `$7$${iterations}$${salt.toString("base64")}$${hash.toString(
+      "base64"
+    )}`;
+  }
+
+  /**
+   * Encrypt a secret that the server must be able to read back later
+   * @param {string} plainText - Secret to encrypt
+   * @returns {string} - iv:authTag:cipherText (base64)
+   */
+  static encryptSecret(plainText) {
+    const key = crypto
+      .createHash("sha256")
+      .update(config.encryption.key)
+      .digest();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const encrypted = Buffer.concat([
+      cipher.update(plainText, "utf8"),
+      cipher.final(),
+    ]);
+
+    return [
+      iv.toString("base64"),
+      cipher.getAuthTag().toString("base64"),
+      encrypted.toString("base64"),
+    ].join(":");
+  }
+
+  /**
+   * Decrypt a secret produced by encryptSecret
+   * @param {string} payload - iv:authTag:cipherText (base64)
+   * @returns {string} - Plain text secret
+   */
+  static decryptSecret(payload) {
+    const [iv, authTag, encrypted] = payload
+      .split(":")
+      .map((part) => Buffer.from(part, "base64"));
+    const key = crypto
+      .createHash("sha256")
+      .update(config.encryption.key)
+      .digest();
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([
+      decipher.update(encrypted),
+      decipher.final(),
+    ]).toString("utf8");
+  }
 }
 
 module.exports = AuthUtils;
@@ -0,0 +1,234 @@
+const User = require("../models/User");
+const Device = require("../models/Device");
+const AccessGrant = require("../models/AccessGrant");
+const Permissions = require("./permissions");
+
+// Device permissions granted by each membership role
+const ROLE_PERMISSIONS = {
+  viewer: ["telemetry:read", "location:read", "events:read", "members:read"],
+  caregiver: [
+    "telemetry:read",
+    "location:read",
+    "events:read",
+    "members:read",
+    "sos:acknowledge",
+    "commands:send",
+  ],
+  owner: [
+    "telemetry:read",
+    "location:read",
+    "events:read",
+    "members:read",
+    "sos:acknowledge",
+    "commands:send",
+    "commands:reboot",
+    "members:manage",
+  ],
+};
+
+class DeviceAccess {
+  /**
+   * Get the membership role a user holds on a device
+   * @param {Object} user - User document
+   * @param {string} deviceId - Device ID
+   * @returns {string|null} - owner, caregiver, viewer or null
+   */
+  static getRole(user, deviceId) {
+    const membership = user.devices.find(
+      (device) => device.deviceId === deviceId
+    );
+    // Entries created before roles existed belong to the device owner
+    return membership ? membership.role || "owner" : null;
+  }
+
+  /**
+   * Check if a membership role includes a permission
+   * @param {string|null} role - Membership role
+   * @param {string} permission - Device permission (e.g. "commands:send")
+   * @returns {boolean} - True if allowed
+   */
+  static roleAllows(role, permission) {
+    return !!role && ROLE_PERMISSIONS[role].includes(permission);
+  }
+
+  /**
+   * Get IDs of the devices on which a user holds a permission
+   * @param {Object} user - User document
+   * @param {string} permission - Device permission
+   * @returns {Array<string>} - Device IDs
+   */
+  static getDeviceIds(user, permission = "events:read") {
+    return user.devices
+      .filter((device) =>
+        DeviceAccess.roleAllows(device.role || "owner", permission)
+      )
+      .map((device) => device.deviceId);
+  }
+
+  /**
+   * Check if an API key principal's scopes and device list cover an action
+   * Principals authenticated with a JWT are never restricted here
+   * @param {Object} principal - Authenticated principal (req.user)
+   * @param {string} deviceId - Device ID
+   * @param {string} permission - Device permission
+   * @returns {boolean} - True if the key allows it
+   */
+  static apiKeyAllows(principal, deviceId, permission) {
+    if (!principal.apiKeyId) {
+      return true;
+    }
+
+    return (
+      principal.scopes.includes(permission) &&
+      (principal.deviceIds.length === 0 ||
+        principal.deviceIds.includes(deviceId))
+    );
+  }
+
+  /**
+   * Check if a user belongs to an organization as one of its admins
+   * @param {Object} user - User document
+   * @returns {boolean} - True for organization admins
+   */
+  static isOrganizationAdmin(user) {
+    return !!user.organizationId && user.organizationRole === "admin";
+  }
+
+  /**
+   * Filter that keeps staff who belong to an organization to its records
+   * Applied to every registry and user lookup made with staff permissions
+   * @param {Object} principal - Authenticated principal (req.user)
+   * @returns {Promise<Object>} - { organizationId } for organization staff, {} for platform staff
+   */
+  static async getStaffScope(principal) {
+    const staff = await User.findById(principal.userId).select(
+      "organizationId"
+    );
+    return staff && staff.organizationId
+      ? { organizationId: staff.organizationId }
+      : {};
+  }
+
+  /**
+   * Check if fleet-wide rights reach a device
+   * Staff permissions cover every device for platform staff, but only their
+   * organization's devices when the staff member belongs to one. Organization
+   * admins act as caregivers on every device their organization manages
+   * @param {Object} principal - Authenticated principal (req.user)
+   * @param {Object} user - User document
+   * @param {string} deviceId - Device ID
+   * @param {string} permission - Device permission
+   * @returns {Promise<boolean>} - True if allowed
+   */
+  static async fleetAllows(principal, user, deviceId, permission) {
+    const isStaff = Permissions.hasPermission(principal, permission);
+    if (!user.organizationId) {
+      return isStaff;
+    }
+
+    const isOrgAdmin =
+      DeviceAccess.isOrganizationAdmin(user) &&
+      DeviceAccess.roleAllows("caregiver", permission);
+    if (!isStaff && !isOrgAdmin) {
+      return false;
+    }
+
+    return !!(await Device.exists({
+      deviceId,
+      organizationId: user.organizationId,
+    }));
+  }
+
+  /**
+   * Get IDs of the devices on which a user holds a permission, including
+   * devices shared through an active temporary grant and, for organization
+   * admins and staff, every device of their organization
+   * @param {Object} user - User document
+   * @param {string} permission - Device permission
+   * @param {Object} principal - Authenticated principal; API keys narrow the result
+   * @returns {Promise<Array<string>|null>} - Device IDs, or null for every device (platform staff)
+   */
+  static async getAccessibleDeviceIds(
+    user,
+    permission = "events:read",
+    principal = {}
+  ) {
+    const isStaff = Permissions.hasPermission(principal, permission);
+    if (isStaff && !user.organizationId) {
+      return null;
+    }
+
+    const grants = await AccessGrant.findActive(user._id);
+    const grantedIds = grants
+      .filter((grant) => grant.allows(permission))
+      .map((grant) => grant.deviceId);
+
+    const organizationIds =
+      isStaff ||
+      (DeviceAccess.isOrganizationAdmin(user) &&
+        DeviceAccess.roleAllows("caregiver", permission))
+        ? await Device.getOrganizationDeviceIds(user.organizationId)
+        : [];
+
+    return [
+      ...new Set([
+        ...DeviceAccess.getDeviceIds(user, permission),
+        ...grantedIds,
+        ...organizationIds,
+      ]),
+    ].filter((deviceId) =>
+      DeviceAccess.apiKeyAllows(principal, deviceId, permission)
+    );
+  }
+
+  /**
+   * Resolve whether the authenticated user may perform an action on a device
+   * Membership roles and fleet-wide rights (staff permissions, organization
+   * admins) are checked first; otherwise an active temporary grant with the
+   * permission in scope allows the action and is audited. Calls made with an
+   * API key are also limited to the key's scopes and devices
+   * @param {Object} principal - Authenticated principal (req.user)
+   * @param {string} deviceId - Device ID
+   * @param {string} permission - Device permission
+   * @param {Object} [req] - Express request, recorded in a grant's access log
+   * @returns {Promise<{user: Object|null, role: string|null, grant: Object|null, allowed: boolean}>}
+   */
+  static async check(principal, deviceId, permission, req = null) {
+    const user = await User.findById(principal.userId);
+    if (!user) {
+      return { user: null, role: null, grant: null, allowed: false };
+    }
+
+    const role = DeviceAccess.getRole(user, deviceId);
+    if (!DeviceAccess.apiKeyAllows(principal, deviceId, permission)) {
+      return { user, role, grant: null, allowed: false };
+    }
+
+    if (
+      DeviceAccess.roleAllows(role, permission) ||
+      (await DeviceAccess.fleetAllows(principal, user, deviceId, permission))
+    ) {
+      return { user, role, grant: null, allowed: true };
+    }
+
+    const grant = (await AccessGrant.findActive(user._id, deviceId)).find(
+      (candidate) => candidate.allows(permission)
+    );
+    if (!grant) {
+      return { user, role, grant: null, allowed: false };
+    }
+
+    await AccessGrant.recordAccess(grant._id, permission, req);
+    return { user, role, grant, allowed: true };
+  }
+
+  /**
+   * Get the list of roles and their permissions
+   * @returns {Object} - Role to permissions map
+   */
+  static getRolePermissions() {
+    return ROLE_PERMISSIONS;
+  }
+}
+
+module.exports = DeviceAccess;
@@ -0,0 +1,119 @@
+const { once } = require("events");
+
+// Leading characters spreadsheets treat as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class ExportService {
+  /**
+   * Flatten nested objects into dotted keys; arrays, dates and IDs stay whole
+   * @param {Object} doc - Lean document
+   * @param {string} prefix - Key prefix for nested calls
+   * @param {Object} out - Accumulator
+   * @returns {Object} - e.g. { "sensors.IMU.accelerometer.x": 0.1 }
+   */
+  flatten(doc, prefix = "", out = {}) {
+    for (const [key, value] of Object.entries(doc || {})) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (
+        value &&
+        typeof value === "object" &&
+        !Array.isArray(value) &&
+        !(value instanceof Date) &&
+        !value._bsontype
+      ) {
+        this.flatten(value, path, out);
+      } else {
+        out[path] = value;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Format one CSV cell
+   * Text that a spreadsheet would run as a formula is prefixed with a quote
+   * @param {*} value - Cell value
+   * @returns {string} - Escaped cell
+   */
+  csvCell(value) {
+    if (value == null) return "";
+
+    let text;
+    if (value instanceof Date) {
+      text = value.toISOString();
+    } else if (typeof value === "object" && !value._bsontype) {
+      text = JSON.stringify(value);
+    } else {
+      text = String(value);
+      if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+      }
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Format a CSV line
+   * @param {Object} values - Cell values by column
+   * @param {Array<string>} columns - Columns, in order
+   * @returns {string} - One CSV line including the trailing newline
+   */
+  toCsvRow(values, columns) {
+    return (
+      columns.map((column) => this.csvCell(values[column])).join(",") + "\n"
+    );
+  }
+
+  /**
+   * Stream a cursor to the response as CSV or NDJSON, one document at a time
+   * Waits for the client to drain before reading on, and stops reading if the
+   * client disconnects, so exports of any size run in constant memory.
+   * @param {Object} res - Express response object
+   * @param {Object} cursor - Mongoose query cursor of lean documents
+   * @param {Object} options - { format: "csv" | "ndjson", filename, columns, toRow }
+   *   toRow maps a document to the object written: CSV cells by column, or the NDJSON record
+   * @returns {Promise<number>} - Documents written
+   */
+  async stream(res, cursor, { format, filename, columns, toRow }) {
+    res.set({
+      "Content-Type":
+        format === "csv"
+          ? "text/csv; charset=utf-8"
+          : "application/x-ndjson; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${filename}.${format}"`,
+    });
+
+    if (format === "csv") {
+      res.write(columns.join(",") + "\n");
+    }
+
+    let written = 0;
+    try {
+      for await (const doc of cursor) {
+        if (res.destroyed) break;
+
+        const row = toRow(doc);
+        const line =
+          format === "csv"
+            ? this.toCsvRow(row, columns)
+            : JSON.stringify(row) + "\n";
+        written++;
+
+        if (!res.write(line)) {
+          await Promise.race([once(res, "drain"), once(res, "close")]);
+        }
+      }
+    } finally {
+      await cursor.close().catch(() => {});
+    }
+
+    res.end();
+    return written;
+  }
+}
+
+// Create singleton instance
+const exportService = new ExportService();
+
+module.exports = exportService;
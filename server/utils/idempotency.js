@@ -0,0 +1,88 @@
+const ProcessedMessage = require("../models/ProcessedMessage");
+const config = require("../config");
+
+class IdempotencyService {
+  /**
+   * Read a message ID from a device payload
+   * @param {*} value - messageId field or Idempotency-Key header
+   * @returns {string|null} - Trimmed ID, or null when missing or unusable
+   */
+  normalizeId(value) {
+    if (typeof value !== "string" && typeof value !== "number") {
+      return null;
+    }
+
+    const id = String(value).trim();
+    return id.length > 0 && id.length <= config.idempotency.maxKeyLength
+      ? id
+      : null;
+  }
+
+  /**
+   * Message ID of an HTTP device request: the Idempotency-Key header, or the
+   * body's messageId
+   * @param {Object} req - Express request object
+   * @returns {string|null} - Message ID
+   */
+  getRequestId(req) {
+    return (
+      this.normalizeId(req.get("idempotency-key")) ||
+      this.normalizeId(req.body && req.body.messageId)
+    );
+  }
+
+  /**
+   * Process a device message at most once per message ID
+   * The first delivery runs the handler and its result is remembered; repeats
+   * get that result back without running it again. Messages without an ID are
+   * always processed. A failed run forgets the ID so the device can retry, and
+   * one that never finished (the server crashed) is run again by the first
+   * repeat after config.idempotency.processingTimeoutMs.
+   * @param {string} deviceId - Device ID
+   * @param {string} kind - "telemetry", "telemetry-batch", "sos" or "command-response"
+   * @param {string|null} messageId - ID sent by the device
+   * @param {Function} handler - Async function returning a JSON-serializable result
+   * @returns {Promise<Object>} - { duplicate, pending, result }; pending means the first delivery is still running
+   */
+  async run(deviceId, kind, messageId, handler) {
+    if (!messageId) {
+      return { duplicate: false, pending: false, result: await handler() };
+    }
+
+    const { claimed, receipt } = await ProcessedMessage.claim(
+      deviceId,
+      kind,
+      messageId,
+      config.idempotency.ttlMs,
+      config.idempotency.processingTimeoutMs
+    );
+
+    if (!claimed) {
+      const completed = !!receipt && receipt.status === "completed";
+      console.log(
+        `🔁 Duplicate ${kind} message ${messageId} from device ${deviceId}${
+          completed ? "" : " (first delivery still processing)"
+        }`
+      );
+      return {
+        duplicate: true,
+        pending: !completed,
+        result: completed ? receipt.result : null,
+      };
+    }
+
+    try {
+      const result = await handler();
+      await receipt.complete(result);
+      return { duplicate: false, pending: false, result };
+    } catch (error) {
+      await ProcessedMessage.deleteOne({ _id: receipt._id }).catch(() => {});
+      throw error;
+    }
+  }
+}
+
+// Create singleton instance
+const idempotencyService = new IdempotencyService();
+
+module.exports = idempotencyService;
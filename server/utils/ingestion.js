@@ -0,0 +1,889 @@
+const Telemetry = require("../models/Telemetry");
+const TelemetrySnapshot = require("../models/TelemetrySnapshot");
+const Event = require("../models/Event");
+const Device = require("../models/Device");
+const DeviceState = require("../models/DeviceState");
+const Location = require("../models/Location");
+const ProcessedMessage = require("../models/ProcessedMessage");
+const User = require("../models/User");
+const fcmService = require("./fcm");
+const Validators = require("./validators");
+const idempotencyService = require("./idempotency");
+const config = require("../config");
+
+// Push and mobile app alerts sent for telemetry alerts; other alert types are only recorded
+const NOTIFICATIONS = {
+  FALL_DETECTED: {
+    title: "⚠️ Fall Detected",
+    body: (event) =>
+      `A fall has been detected on your Smart Stick. Impact: ${event.metadata.alertValue.toFixed(
+        1
+      )} m/s²`,
+    data: (event) => ({
+      type: "fall_detected",
+      magnitude: event.metadata.alertValue.toString(),
+    }),
+    mqttType: "FALL_ALERT",
+  },
+  LOW_BATTERY: {
+    title: "Low Battery Warning",
+    body: (event) =>
+      `Your Smart Stick battery is at ${event.metadata.alertValue}%. Please charge soon.`,
+    data: (event) => ({
+      type: "low_battery",
+      batteryLevel: event.metadata.alertValue.toString(),
+    }),
+    mqttType: "LOW_BATTERY_ALERT",
+    preference: "lowBattery", // user.preferences.notifications key
+  },
+};
+
+/**
+ * Parse a device timestamp, falling back to the time of receipt
+ * @param {*} value - ISO 8601 string or epoch milliseconds
+ * @returns {Date} - Reading time
+ */
+function parseTimestamp(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : new Date();
+}
+
+/**
+ * Pick the first defined value
+ * @param {...*} values - Candidates
+ * @returns {*} - First value that is not undefined or null
+ */
+function firstDefined(...values) {
+  return values.find((value) => value !== undefined && value !== null);
+}
+
+class IngestionService {
+  constructor() {
+    this.flushTimer = null;
+  }
+
+  /**
+   * Start moving closed snapshots into telemetry periodically
+   */
+  start() {
+    const tick = () =>
+      this.flushSnapshots().catch((error) =>
+        console.error("❌ Telemetry snapshot flush failed:", error)
+      );
+
+    this.flushTimer = setInterval(tick, config.telemetry.snapshotBucketMs);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Stop the periodic snapshot flush
+   */
+  stop() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  /**
+   * Move snapshots whose interval has closed into telemetry
+   * A snapshot is kept open for one more interval, for messages that arrive late
+   * @returns {Promise<number>} - Snapshots moved
+   */
+  flushSnapshots() {
+    const bucketMs = config.telemetry.snapshotBucketMs;
+    return TelemetrySnapshot.flushClosed(
+      new Date(Date.now() - 2 * bucketMs),
+      config.telemetry.snapshotClaimTimeoutMs
+    );
+  }
+
+  /**
+   * Map a device payload onto the Telemetry schema
+   * Accepts the combined format as well as the field names used by the MQTT
+   * per-sensor messages (sonar left/center/right, ir value, latitude/longitude,
+   * IMU acceleration), so both transports store the same reading
+   * @param {Object} payload - Raw payload from the device
+   * @returns {Object} - Telemetry fields plus gpsReported
+   */
+  normalize(payload = {}) {
+    const sensors = { ...(payload.sensors || {}) };
+
+    const sonar = sensors.sonar || payload.sonar;
+    if (sonar) {
+      sensors.ultrasonicLeft = firstDefined(sensors.ultrasonicLeft, sonar.left);
+      sensors.ultrasonicCenter = firstDefined(
+        sensors.ultrasonicCenter,
+        sonar.center
+      );
+      sensors.ultrasonicRight = firstDefined(
+        sensors.ultrasonicRight,
+        sonar.right
+      );
+      delete sensors.sonar;
+    }
+
+    const ir = sensors.ir || payload.ir;
+    if (ir) {
+      sensors.IR = firstDefined(sensors.IR, ir.value);
+      delete sensors.ir;
+    }
+
+    const imu = sensors.IMU || payload.imu;
+    if (imu) {
+      sensors.IMU = {
+        accelerometer: imu.accelerometer || imu.acceleration,
+        gyroscope: imu.gyroscope,
+        magnetometer: imu.magnetometer,
+        temperature: imu.temperature,
+      };
+    }
+
+    let gps = {};
+    const rawGps = payload.gps;
+    if (rawGps) {
+      gps = {
+        lat: firstDefined(rawGps.lat, rawGps.latitude),
+        lon: firstDefined(rawGps.lon, rawGps.longitude),
+        altitude: rawGps.altitude,
+        accuracy: rawGps.accuracy,
+        speed: rawGps.speed,
+        heading: rawGps.heading,
+        satellites: rawGps.satellites,
+      };
+    }
+
+    return {
+      timestamp: parseTimestamp(payload.timestamp),
+      sensors,
+      gps,
+      connectivity: payload.connectivity || {},
+      deviceStatus: payload.deviceStatus || {},
+      metadata: payload.metadata || {},
+      gpsReported: !!rawGps,
+    };
+  }
+
+  /**
+   * Store a reading from either transport, update device state, run the alert
+   * rules and notify the device's users
+   * Complete readings are stored as they are; partial ones (a single sensor) are
+   * merged into the device's snapshot for their time bucket
+   * @param {string} deviceId - Device ID (authenticated by signature or broker login)
+   * @param {Object} payload - Raw payload from the device
+   * @param {Object} options - { source: "http" | "mqtt", partial: boolean }
+   * @returns {Promise<{telemetry: Object, alerts: Array<Object>}>} - Stored document and alert events
+   */
+  async ingest(deviceId, payload, { source = "http", partial = false } = {}) {
+    const { gpsReported, ...reading } = this.normalize(payload);
+
+    // The reading as sent, cast to the schema; alert rules only look at what it carries
+    const current = new Telemetry({ deviceId, source, ...reading });
+    await current.validate();
+
+    const sections = this.getSections(current, reading);
+
+    const telemetry = partial
+      ? await this.mergeIntoSnapshot(deviceId, current, sections)
+      : await current.save();
+
+    await this.updateDeviceState(deviceId, [
+      { timestamp: current.timestamp, sections },
+    ]);
+
+    await this.recordLocations(deviceId, [current]);
+
+    const alerts = await this.checkAlerts(deviceId, current, {
+      gpsReported,
+    });
+
+    // Replayed readings are history: their alerts are recorded but nobody is notified
+    if (!this.isLate(current)) {
+      await this.dispatch(deviceId, current, alerts);
+    }
+
+    return { telemetry, alerts };
+  }
+
+  /**
+   * Split a batch body into records
+   * Accepts a parsed JSON array, or text holding a JSON array or NDJSON
+   * (one record per line, blank lines ignored)
+   * @param {Array|string|Buffer} body - Request body or MQTT payload
+   * @returns {Array<Object>|null} - { record } or { error } per record, null if the body is unusable
+   */
+  parseBatch(body) {
+    if (Array.isArray(body)) {
+      return body.map((record) => ({ record }));
+    }
+
+    const text = Buffer.isBuffer(body) ? body.toString("utf8") : body;
+    if (typeof text !== "string") {
+      return null;
+    }
+
+    if (text.trim().startsWith("[")) {
+      try {
+        const records = JSON.parse(text);
+        return Array.isArray(records)
+          ? records.map((record) => ({ record }))
+          : null;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return text
+      .split(/\r?\n/)
+      .filter((line) => line.trim())
+      .map((line) => {
+        try {
+          return { record: JSON.parse(line) };
+        } catch (error) {
+          return { error: "Invalid JSON" };
+        }
+      });
+  }
+
+  /**
+   * Validate one batch record against the single-reading rules
+   * @param {string} deviceId - Authenticated device ID
+   * @param {Object} entry - { record } or { error } from parseBatch
+   * @returns {Promise<Array<Object>>} - Errors ({ path, msg }), empty when valid
+   */
+  async checkBatchRecord(deviceId, { record, error }) {
+    if (error) {
+      return [{ msg: error }];
+    }
+
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+      return [{ msg: "Record must be a JSON object" }];
+    }
+
+    // Records may omit the device ID, but can't name a different device
+    if (
+      record.deviceId !== undefined &&
+      String(record.deviceId).trim() !== deviceId
+    ) {
+      return [{ path: "deviceId", msg: "Record belongs to another device" }];
+    }
+
+    return Validators.checkTelemetryRecord(record);
+  }
+
+  /**
+   * Store a batch of buffered readings from a store-and-forward device
+   * Valid records are bulk inserted; invalid ones are reported by index and skipped,
+   * and records whose messageId was already delivered are counted as duplicates.
+   * Alerts run oldest first; those raised by late readings are marked late, and
+   * only readings that are still live notify users
+   * @param {string} deviceId - Authenticated device ID
+   * @param {Array<Object>} entries - Records from parseBatch
+   * @param {Object} options - { source: "http" | "mqtt" }
+   * @returns {Promise<Object>} - { inserted, duplicates, late, rejected: [{ index, errors }], alerts }
+   */
+  async ingestBatch(deviceId, entries, { source = "http" } = {}) {
+    let accepted = [];
+    const rejected = [];
+
+    for (const [index, entry] of entries.entries()) {
+      const errors = await this.checkBatchRecord(deviceId, entry);
+      if (errors.length > 0) {
+        rejected.push({ index, errors });
+        continue;
+      }
+
+      const { gpsReported, ...reading } = this.normalize(entry.record);
+      const telemetry = new Telemetry({ deviceId, source, ...reading });
+      try {
+        await telemetry.validate();
+      } catch (error) {
+        if (error.name !== "ValidationError") throw error;
+        rejected.push({
+          index,
+          errors: Object.values(error.errors).map((err) => ({
+            path: err.path,
+            msg: err.message,
+          })),
+        });
+        continue;
+      }
+
+      accepted.push({
+        telemetry,
+        reading,
+        gpsReported,
+        messageId: idempotencyService.normalizeId(entry.record.messageId),
+      });
+    }
+
+    // Records the device already delivered, here or in an earlier upload, are skipped
+    const seen = await ProcessedMessage.findSeen(
+      deviceId,
+      "telemetry",
+      accepted.map(({ messageId }) => messageId).filter(Boolean)
+    );
+    let duplicates = 0;
+    accepted = accepted.filter(({ messageId }) => {
+      if (!messageId) return true;
+      if (seen.has(messageId)) {
+        duplicates++;
+        return false;
+      }
+      seen.add(messageId);
+      return true;
+    });
+
+    if (accepted.length === 0) {
+      return { inserted: 0, duplicates, late: 0, rejected, alerts: [] };
+    }
+
+    // Oldest first, so alert deduplication and GPS loss see readings in order
+    accepted.sort((a, b) => a.telemetry.timestamp - b.telemetry.timestamp);
+    const readings = accepted.map(({ telemetry }) => telemetry);
+
+    await Telemetry.insertMany(readings, { ordered: false });
+
+    await ProcessedMessage.recordMany(
+      deviceId,
+      "telemetry",
+      accepted
+        .filter(({ messageId }) => messageId)
+        .map(({ telemetry, messageId }) => ({
+          messageId,
+          result: {
+            id: telemetry._id,
+            deviceId,
+            timestamp: telemetry.timestamp,
+          },
+        })),
+      config.idempotency.ttlMs
+    );
+
+    await this.updateDeviceState(
+      deviceId,
+      accepted.map(({ telemetry, reading }) => ({
+        timestamp: telemetry.timestamp,
+        sections: this.getSections(telemetry, reading),
+      }))
+    );
+
+    await this.recordLocations(deviceId, readings);
+
+    const alerts = [];
+    for (const { telemetry, gpsReported } of accepted) {
+      alerts.push(
+        ...(await this.checkAlerts(deviceId, telemetry, { gpsReported }))
+      );
+    }
+
+    // Users hear about live alerts only, and see the newest live position
+    const live = readings.filter((telemetry) => !this.isLate(telemetry));
+    if (live.length > 0) {
+      await this.dispatch(
+        deviceId,
+        live[live.length - 1],
+        alerts.filter((event) => !event.metadata.late)
+      );
+    }
+
+    return {
+      inserted: readings.length,
+      duplicates,
+      late: readings.length - live.length,
+      rejected,
+      alerts,
+    };
+  }
+
+  /**
+   * Pick the sections a reading actually carries, with schema-cast values
+   * Schema defaults (e.g. battery.charging) don't count as reported
+   * @param {Object} telemetry - Unsaved telemetry document for the reading
+   * @param {Object} reading - Normalized reading
+   * @returns {Object} - Values keyed by path ("sensors.battery", "gps", ...)
+   */
+  getSections(telemetry, reading) {
+    const cast = telemetry.toObject();
+    const sections = {};
+
+    for (const [key, value] of Object.entries(reading.sensors)) {
+      if (value === undefined || !cast.sensors) continue;
+      if (cast.sensors[key] !== undefined) {
+        sections[`sensors.${key}`] = cast.sensors[key];
+      }
+    }
+
+    // A report without a usable fix leaves the last known position in place
+    if (this.isUsableFix(telemetry)) {
+      sections.gps = cast.gps;
+    }
+
+    for (const key of ["connectivity", "deviceStatus"]) {
+      if (Object.keys(reading[key]).length > 0 && cast[key]) {
+        sections[key] = cast[key];
+      }
+    }
+
+    return sections;
+  }
+
+  /**
+   * Merge a partial reading into the device's snapshot for its time bucket,
+   * creating the snapshot for the first message of the interval
+   * Snapshots stay in a staging collection until flushSnapshots moves them
+   * @param {string} deviceId - Device ID
+   * @param {Object} telemetry - Unsaved telemetry document for the reading
+   * @param {Object} sections - Sections the reading carries
+   * @returns {Promise<Object>} - Snapshot after the merge
+   */
+  async mergeIntoSnapshot(deviceId, telemetry, sections) {
+    const bucketMs = config.telemetry.snapshotBucketMs;
+    const bucketStart = new Date(
+      Math.floor(telemetry.timestamp.getTime() / bucketMs) * bucketMs
+    );
+
+    const update = {
+      $setOnInsert: { timestamp: bucketStart, source: telemetry.source },
+    };
+    if (Object.keys(sections).length > 0) {
+      update.$set = sections;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await TelemetrySnapshot.findOneAndUpdate(
+          { deviceId, bucketStart },
+          update,
+          { upsert: true, new: true, runValidators: true }
+        );
+      } catch (error) {
+        // Two messages opening the same bucket race on the upsert; the loser merges into the winner
+        if (error.code !== 11000 || attempt >= 2) throw error;
+      }
+    }
+  }
+
+  /**
+   * Record that the device was seen and fold readings into its latest state
+   * @param {string} deviceId - Device ID
+   * @param {Array<Object>} readings - { timestamp, sections } per reading
+   */
+  async updateDeviceState(deviceId, readings) {
+    const now = new Date();
+
+    await Device.updateOne({ deviceId }, { $set: { lastSeen: now } });
+    await User.updateMany(
+      { "devices.deviceId": deviceId },
+      { $set: { "devices.$.lastSeen": now } }
+    );
+    await DeviceState.applyReadings(deviceId, readings);
+  }
+
+  /**
+   * Add usable GPS fixes to the location history and move the device's last
+   * known position forward
+   * @param {string} deviceId - Device ID
+   * @param {Array<Object>} readings - Telemetry documents
+   * @returns {Promise<number>} - Number of fixes recorded
+   */
+  async recordLocations(deviceId, readings) {
+    const fixes = [];
+    for (const telemetry of readings) {
+      if (this.isUsableFix(telemetry)) {
+        fixes.push({
+          ...telemetry.toObject().gps,
+          timestamp: telemetry.timestamp,
+          source: telemetry.source,
+        });
+      } else if (this.hasFix(telemetry)) {
+        console.log(
+          `📍 Ignoring imprecise GPS fix from device ${deviceId} (accuracy ${telemetry.gps.accuracy}m, ${telemetry.gps.satellites} satellites)`
+        );
+      }
+    }
+
+    if (fixes.length === 0) {
+      return 0;
+    }
+
+    await Location.recordMany(deviceId, fixes);
+
+    // Fixes can arrive out of order; only a newer one replaces the last known position
+    const { lat, lon, accuracy, timestamp } = fixes.reduce((newest, fix) =>
+      fix.timestamp > newest.timestamp ? fix : newest
+    );
+    await Device.updateOne(
+      {
+        deviceId,
+        $or: [
+          { "lastLocation.timestamp": { $lt: timestamp } },
+          { "lastLocation.timestamp": { $exists: false } },
+        ],
+      },
+      { $set: { lastLocation: { lat, lon, accuracy, timestamp } } }
+    );
+
+    return fixes.length;
+  }
+
+  /**
+   * Run every alert rule against a reading and record the alerts it raises
+   * @param {string} deviceId - Device ID
+   * @param {Object} telemetry - Telemetry document for the reading
+   * @param {Object} context - { gpsReported }
+   * @returns {Promise<Array<Object>>} - Created alert events
+   */
+  async checkAlerts(deviceId, telemetry, { gpsReported }) {
+    const rules = config.alerts;
+    const sensors = telemetry.sensors || {};
+    const events = [];
+
+    try {
+      // Low battery
+      const batteryLevel = sensors.battery && sensors.battery.level;
+      if (
+        typeof batteryLevel === "number" &&
+        batteryLevel < rules.lowBattery.threshold
+      ) {
+        events.push(
+          await this.raiseAlert(
+            deviceId,
+            telemetry,
+            {
+              type: "LOW_BATTERY",
+              severity:
+                batteryLevel < rules.lowBattery.highSeverityBelow
+                  ? "high"
+                  : "medium",
+              title: "Low Battery Warning",
+              description: `Device ${deviceId} battery level is ${batteryLevel}%`,
+              metadata: {
+                alertThreshold: rules.lowBattery.threshold,
+                alertValue: batteryLevel,
+                sensorData: { batteryLevel },
+              },
+            },
+            rules.lowBattery.dedupMs
+          )
+        );
+      }
+
+      // Obstacle detection on any ultrasonic sensor
+      const distances = [
+        sensors.ultrasonicLeft,
+        sensors.ultrasonicCenter,
+        sensors.ultrasonicRight,
+      ].filter((distance) => typeof distance === "number");
+      const minDistance = distances.length ? Math.min(...distances) : null;
+      if (minDistance !== null && minDistance < rules.obstacle.threshold) {
+        events.push(
+          await this.raiseAlert(
+            deviceId,
+            telemetry,
+            {
+              type: "OBSTACLE_DETECTED",
+              severity:
+                minDistance < rules.obstacle.highSeverityBelow
+                  ? "high"
+                  : "medium",
+              title: "Obstacle Detected",
+              description: `Obstacle detected at ${minDistance}cm from device ${deviceId}`,
+              metadata: {
+                alertThreshold: rules.obstacle.threshold,
+                alertValue: minDistance,
+                sensorData: {
+                  ultrasonicLeft: sensors.ultrasonicLeft,
+                  ultrasonicRight: sensors.ultrasonicRight,
+                },
+                additionalData: {
+                  ultrasonicCenter: sensors.ultrasonicCenter,
+                },
+              },
+            },
+            rules.obstacle.dedupMs
+          )
+        );
+      }
+
+      // Fall detection from a sudden IMU acceleration
+      const accelerometer = sensors.IMU && sensors.IMU.accelerometer;
+      if (accelerometer && typeof accelerometer.x === "number") {
+        const { x, y = 0, z = 0 } = accelerometer;
+        const magnitude = Math.sqrt(x * x + y * y + z * z);
+
+        if (magnitude > rules.fall.threshold) {
+          events.push(
+            await this.raiseAlert(
+              deviceId,
+              telemetry,
+              {
+                type: "FALL_DETECTED",
+                severity: "critical",
+                title: "Fall Detected",
+                description: `Sudden impact detected on device ${deviceId} (${magnitude.toFixed(
+                  2
+                )} m/s²)`,
+                metadata: {
+                  alertThreshold: rules.fall.threshold,
+                  alertValue: magnitude,
+                  additionalData: { accelerometer: { x, y, z } },
+                },
+              },
+              rules.fall.dedupMs
+            )
+          );
+        }
+      }
+
+      // GPS loss: the device reports GPS without a fix after having one,
+      // raised once per loss rather than on every reading
+      if (gpsReported && !this.hasFix(telemetry)) {
+        const previousFix = await Telemetry.findPreviousFix(
+          deviceId,
+          telemetry.timestamp
+        );
+
+        if (previousFix) {
+          events.push(
+            await this.raiseAlert(
+              deviceId,
+              telemetry,
+              {
+                type: "GPS_LOST",
+                severity: "medium",
+                title: "GPS Signal Lost",
+                description: `GPS signal lost for device ${deviceId}`,
+                metadata: {},
+              },
+              telemetry.timestamp - previousFix.timestamp
+            )
+          );
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Error checking alerts for device ${deviceId}:`, error);
+    }
+
+    return events.filter(Boolean);
+  }
+
+  /**
+   * Join an SOS to the device's open incident, if its last SOS is still open
+   * and recent, instead of opening a new incident and paging everyone again
+   * Shared by the HTTP and MQTT SOS paths
+   * @param {string} deviceId - Device ID
+   * @param {Object} gps - Position sent with the SOS, if any
+   * @param {*} timestamp - Device time of the SOS
+   * @returns {Promise<Object|null>} - Updated open incident, or null to open a new one
+   */
+  async linkRepeatedSOS(deviceId, gps, timestamp) {
+    const openIncident = await Event.findOpenSOS(
+      deviceId,
+      config.sos.duplicateWindowMs
+    );
+    if (!openIncident) {
+      return null;
+    }
+
+    const incident = await Event.recordRepeatSOS(
+      openIncident,
+      gps,
+      parseTimestamp(timestamp)
+    );
+    console.log(
+      `🔁 Repeated SOS from device ${deviceId} linked to open incident ${openIncident._id}`
+    );
+    return incident || openIncident;
+  }
+
+  /**
+   * Create an alert event unless the same alert was raised recently
+   * @param {string} deviceId - Device ID
+   * @param {Object} telemetry - Reading that triggered the alert
+   * @param {Object} alert - Event fields (type, severity, title, description, metadata)
+   * @param {number} dedupMs - Skip if the same alert exists within this window before the reading
+   * @returns {Promise<Object|null>} - Created event, or null when deduplicated
+   */
+  async raiseAlert(deviceId, telemetry, alert, dedupMs) {
+    const recent = await Event.exists({
+      type: alert.type,
+      deviceId,
+      timestamp: {
+        $gte: new Date(telemetry.timestamp.getTime() - dedupMs),
+        $lte: telemetry.timestamp,
+      },
+    });
+    if (recent) {
+      return null;
+    }
+
+    const eventData = {
+      ...alert,
+      deviceId,
+      timestamp: telemetry.timestamp,
+    };
+    if (this.isLate(telemetry)) {
+      eventData.metadata = { ...alert.metadata, late: true };
+    }
+    if (this.hasFix(telemetry)) {
+      eventData.location = {
+        type: "Point",
+        coordinates: [telemetry.gps.lon, telemetry.gps.lat],
+      };
+    }
+
+    const event = await Event.create(eventData);
+    console.log(
+      `⚠️ ${alert.type} alert for device ${deviceId}${
+        eventData.metadata.late ? " (late)" : ""
+      }`
+    );
+    return event;
+  }
+
+  /**
+   * Notify the device's users about alerts and forward location fixes to their apps
+   * @param {string} deviceId - Device ID
+   * @param {Object} telemetry - Telemetry document for the reading
+   * @param {Array<Object>} alerts - Alert events raised by this reading
+   */
+  async dispatch(deviceId, telemetry, alerts) {
+    // Required here to avoid a circular import (the MQTT client ingests through this service)
+    const mqttClient = require("../mqtt/mqttClient");
+
+    const notifiable = alerts.filter((event) => NOTIFICATIONS[event.type]);
+    const publishLocation = this.isUsableFix(telemetry);
+    if (notifiable.length === 0 && !publishLocation) {
+      return;
+    }
+
+    try {
+      const users = await User.findDeviceMembers(deviceId);
+
+      for (const event of notifiable) {
+        const notification = NOTIFICATIONS[event.type];
+        const recipients = users.filter(
+          (user) =>
+            user.isActive &&
+            (!notification.preference ||
+              !user.preferences ||
+              !user.preferences.notifications ||
+              user.preferences.notifications[notification.preference] !== false)
+        );
+
+        const fcmTokens = recipients
+          .map((user) => user.fcmToken)
+          .filter((token) => token);
+        if (fcmTokens.length > 0) {
+          await fcmService.sendMulticastNotification(
+            fcmTokens,
+            notification.title,
+            notification.body(event),
+            {
+              ...notification.data(event),
+              deviceId,
+              eventId: event._id.toString(),
+              severity: event.severity,
+            }
+          );
+        }
+
+        if (mqttClient.isConnected()) {
+          for (const user of recipients) {
+            await mqttClient.publish(
+              `smartstick/mobile/${user._id}/alert`,
+              {
+                type: notification.mqttType,
+                eventId: event._id,
+                deviceId,
+                userId: user._id,
+                severity: event.severity,
+                title: event.title,
+                description: event.description,
+                alertValue: event.metadata.alertValue,
+                timestamp: event.timestamp.toISOString(),
+              },
+              { qos: 1 }
+            );
+          }
+        }
+      }
+
+      // Live location for the apps of everyone who can see the device
+      if (publishLocation && mqttClient.isConnected()) {
+        const { lat, lon, altitude, speed, accuracy, heading } = telemetry.gps;
+        for (const user of users) {
+          await mqttClient.publish(
+            `smartstick/mobile/${user._id}/location`,
+            {
+              type: "GPS_UPDATE",
+              deviceId,
+              timestamp: telemetry.timestamp.toISOString(),
+              latitude: lat,
+              longitude: lon,
+              altitude: altitude || 0,
+              speed: speed || 0,
+              accuracy: accuracy || 0,
+              heading: heading || 0,
+            },
+            { qos: 1 }
+          );
+        }
+      }
+    } catch (error) {
+      console.error(
+        `❌ Error dispatching notifications for device ${deviceId}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Check if a reading arrived too long after it was taken to act on
+   * @param {Object} telemetry - Telemetry document
+   * @returns {boolean} - True for backfilled readings
+   */
+  isLate(telemetry) {
+    return (
+      Date.now() - telemetry.timestamp.getTime() > config.telemetry.lateAfterMs
+    );
+  }
+
+  /**
+   * Check if a reading carries a GPS fix precise enough to use as a position
+   * Accuracy and satellite count are only checked when the device reports them
+   * @param {Object} telemetry - Telemetry document
+   * @returns {boolean} - True when the fix passes config.location limits
+   */
+  isUsableFix(telemetry) {
+    if (!this.hasFix(telemetry)) {
+      return false;
+    }
+
+    const { accuracy, satellites } = telemetry.gps;
+    const limits = config.location;
+    return !(
+      (typeof accuracy === "number" && accuracy > limits.maxAccuracyM) ||
+      (typeof satellites === "number" && satellites < limits.minSatellites)
+    );
+  }
+
+  /**
+   * Check if a reading carries a GPS fix
+   * @param {Object} telemetry - Telemetry document
+   * @returns {boolean} - True when latitude and longitude are present
+   */
+  hasFix(telemetry) {
+    return !!(
+      telemetry.gps &&
+      typeof telemetry.gps.lat === "number" &&
+      typeof telemetry.gps.lon === "number"
+    );
+  }
+}
+
+// Create singleton instance
+const ingestionService = new IngestionService();
+
+module.exports = ingestionService;
@@ -0,0 +1,140 @@
+const nodemailer = require("nodemailer");
+const config = require("../config");
+
+class MailerService {
+  constructor() {
+    this.transporter = null;
+    this.transportName = null;
+    this.outbox = []; // Sent messages, kept only by the memory transport
+  }
+
+  /**
+   * Create the configured mail transport
+   * Supported transports: "console" (log only), "memory" (keep in outbox)
+   * and "smtp" (any SMTP server, e.g. MailHog locally)
+   * @param {Object} options - Overrides for config.mail
+   */
+  initialize(options = {}) {
+    const mailConfig = { ...config.mail, ...options };
+    const smtp = { ...config.mail.smtp, ...options.smtp };
+
+    switch (mailConfig.transport) {
+      case "smtp":
+        this.transporter = nodemailer.createTransport({
+          host: smtp.host,
+          port: smtp.port,
+          secure: smtp.secure,
+          auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+          ignoreTLS: !smtp.secure && !smtp.user,
+        });
+        break;
+      case "memory":
+      case "console":
+        this.transporter = nodemailer.createTransport({ jsonTransport: true });
+        break;
+      default:
+        throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+    }
+
+    this.transportName = mailConfig.transport;
+    this.from = mailConfig.from;
+    this.outbox = [];
+    console.log(`✅ Mailer initialized (${this.transportName} transport)`);
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} - Send result
+   */
+  async sendMail(message) {
+    if (!this.transporter) {
+      this.initialize();
+    }
+
+    try {
+      const info = await this.transporter.sendMail({
+        from: this.from,
+        ...message,
+      });
+
+      if (this.transportName === "memory") {
+        this.outbox.push({ ...message, messageId: info.messageId });
+      } else if (this.transportName === "console") {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}`);
+        console.log(message.text);
+      }
+
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error("❌ Failed to send mail:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send a device sharing invitation
+   * @param {Object} invitation - Invitation document
+   * @param {string} token - Signed invitation token
+   * @param {string} inviterName - Name of the user who sent the invitation
+   * @returns {Promise<Object>} - Send result
+   */
+  async sendInvitation(invitation, token, inviterName) {
+    const link = `${config.invitations.acceptUrl}?token=${encodeURIComponent(
+      token
+    )}`;
+
+    return this.sendMail({
+      to: invitation.email,
+      subject: `${inviterName} invited you to a Smart Stick`,
+      text: [
+        `${inviterName} invited you to help look after Smart Stick ${invitation.deviceId} as a ${invitation.role}.`,
+        "",
+        `Accept the invitation: ${link}`,
+        "",
+        `This invitation expires on ${invitation.expiresAt.toUTCString()}.`,
+        "If you weren't expecting it, you can ignore this email.",
+      ].join("\n"),
+    });
+  }
+
+  /**
+   * Send a password reset link
+   * @param {Object} user - User document
+   * @param {string} token - One-time reset token
+   * @returns {Promise<Object>} - Send result
+   */
+  async sendPasswordReset(user, token) {
+    const link = `${config.passwordReset.resetUrl}?email=${encodeURIComponent(
+      user.email
+    )}&token=${encodeURIComponent(token)}`;
+
+    return this.sendMail({
+      to: user.email,
+      subject: "Reset your Smart Stick password",
+      text: [
+        `Hi ${user.name},`,
+        "",
+        `Reset your password: ${link}`,
+        "",
+        `This link can be used once and expires in ${Math.round(
+          config.passwordReset.tokenTtlMs / 60000
+        )} minutes.`,
+        "If you didn't ask for a reset, you can ignore this email.",
+      ].join("\n"),
+    });
+  }
+
+  /**
+   * Check if mailer is ready
+   * @returns {boolean} - True if a transport is configured
+   */
+  isReady() {
+    return !!this.transporter;
+  }
+}
+
+// Create singleton instance
+const mailerService = new MailerService();
+
+module.exports = mailerService;
@@ -0,0 +1,331 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const { exec } = require("child_process");
+const DeviceCredential = require("../models/DeviceCredential");
+const User = require("../models/User");
+const AuthUtils = require("./auth");
+const config = require("../config");
+
+// Longest delay setTimeout supports
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const FILE_HEADER =
+  "# Generated by Smart Stick Cloud API from the device and user registry. Do not edit.";
+
+class MosquittoAuthService {
+  constructor() {
+    this.queue = Promise.resolve(); // Rewrites run one at a time
+    this.timer = null;
+    this.reasons = new Set();
+    this.graceTimer = null; // Resync when a rotated secret's grace period ends
+  }
+
+  /**
+   * Check if the broker files are configured
+   * @returns {boolean} - True when both file paths are set
+   */
+  isEnabled() {
+    return !!(config.mosquitto.passwordFile && config.mosquitto.aclFile);
+  }
+
+  /**
+   * Write the broker files at startup, before the server connects to the broker
+   */
+  async initialize() {
+    if (!this.isEnabled()) {
+      console.warn(
+        "⚠️ Mosquitto auth files not configured (MOSQUITTO_PASSWORD_FILE, MOSQUITTO_ACL_FILE)"
+      );
+      return;
+    }
+
+    if (!config.mqtt.options.username || !config.mqtt.options.password) {
+      console.warn(
+        "⚠️ MQTT_USERNAME/MQTT_PASSWORD not set, the server will not be able to log in to the broker"
+      );
+    }
+
+    if (!config.mosquitto.reloadCommand) {
+      console.log(
+        "ℹ️ MOSQUITTO_RELOAD_COMMAND not set, the broker must pick up auth file changes itself"
+      );
+    }
+
+    await this.sync("startup");
+  }
+
+  /**
+   * Derive a device's broker password from its signing secret
+   * Devices compute the same value, so no second secret has to be provisioned
+   * @param {string} secret - Plain device secret
+   * @returns {string} - Hex HMAC-SHA256 of "mqtt"
+   */
+  getDevicePassword(secret) {
+    return crypto.createHmac("sha256", secret).update("mqtt").digest("hex");
+  }
+
+  /**
+   * Stable per-account salt for passwords the server derives on every rewrite,
+   * so unchanged accounts produce unchanged files
+   * @param {string} label - Account label
+   * @returns {Buffer} - 12 byte salt
+   */
+  deriveSalt(label) {
+    return crypto
+      .createHmac("sha256", config.encryption.key)
+      .update(`mosquitto:${label}`)
+      .digest()
+      .subarray(0, 12);
+  }
+
+  /**
+   * Broker logins of a device
+   * Every secret still accepted for signed requests has a login named
+   * `{deviceId}.{keyId}`. The plain `deviceId` login follows the oldest of them,
+   * so devices that haven't been given a rotated secret yet stay connected
+   * until its grace period ends, as they do over HTTP.
+   * @param {Object} credential - Active DeviceCredential document
+   * @returns {Array<Object>} - { username, password, keyId }
+   */
+  getDeviceLogins(credential) {
+    const { deviceId } = credential;
+    const secrets = credential.getValidSecrets();
+    const oldest = secrets[secrets.length - 1];
+
+    return [
+      {
+        username: deviceId,
+        password: this.getDevicePassword(oldest.secret),
+        keyId: oldest.keyId,
+      },
+      ...secrets.map(({ keyId, secret }) => ({
+        username: `${deviceId}.${keyId}`,
+        password: this.getDevicePassword(secret),
+        keyId,
+      })),
+    ];
+  }
+
+  /**
+   * Build the password_file and acl_file contents
+   * @returns {Promise<Object>} - { passwordFile, aclFile, devices, users, graceEndsAt }
+   */
+  async buildFiles() {
+    const passwords = [];
+    const acl = [FILE_HEADER, ""];
+
+    // The API server itself reads device topics and publishes to everyone
+    const { username, password } = config.mqtt.options;
+    if (username && password) {
+      passwords.push(
+        `${username}:${AuthUtils.hashMosquittoPassword(
+          password,
+          this.deriveSalt(`server:${username}`)
+        )}`
+      );
+      acl.push(
+        `user ${username}`,
+        "topic readwrite smartstick/#",
+        "topic readwrite stick/#",
+        ""
+      );
+    }
+
+    // Devices publish under their own ID and read only their own commands
+    const credentials = await DeviceCredential.find({ status: "active" }).sort({
+      deviceId: 1,
+    });
+    let devices = 0;
+    let graceEndsAt = null;
+    for (const credential of credentials) {
+      const { deviceId } = credential;
+      let logins;
+      try {
+        logins = this.getDeviceLogins(credential);
+      } catch (error) {
+        console.error(`❌ Cannot read secret for device ${deviceId}:`, error);
+        continue;
+      }
+
+      for (const { username, password, keyId } of logins) {
+        passwords.push(
+          `${username}:${AuthUtils.hashMosquittoPassword(
+            password,
+            this.deriveSalt(`device:${username}:${keyId}`)
+          )}`
+        );
+        acl.push(
+          `user ${username}`,
+          `topic write smartstick/${deviceId}/#`,
+          `topic read smartstick/${deviceId}/command`,
+          `topic read smartstick/${deviceId}/config`,
+          `topic read stick/${deviceId}/command`,
+          ""
+        );
+      }
+      devices++;
+
+      // A third login means a previous secret is still in its grace period
+      if (logins.length > 2) {
+        const expiresAt = credential.previous.expiresAt;
+        if (!graceEndsAt || expiresAt < graceEndsAt) {
+          graceEndsAt = expiresAt;
+        }
+      }
+    }
+
+    // Mobile app users only receive their own alerts
+    const users = await User.find({
+      isActive: true,
+      "mqttCredential.passwordHash": { $ne: null },
+    })
+      .select("mqttCredential")
+      .sort({ _id: 1 });
+    for (const user of users) {
+      const userId = String(user._id);
+      passwords.push(`${userId}:${user.mqttCredential.passwordHash}`);
+      acl.push(
+        `user ${userId}`,
+        `topic read smartstick/mobile/${userId}/#`,
+        ""
+      );
+    }
+
+    return {
+      passwordFile: passwords.join("\n") + "\n",
+      aclFile: acl.join("\n"),
+      devices,
+      users: users.length,
+      graceEndsAt,
+    };
+  }
+
+  /**
+   * Replace a file atomically, unless it already has this content
+   * @param {string} file - Path to write
+   * @param {string} content - New content
+   * @returns {Promise<boolean>} - True if the file changed
+   */
+  async writeIfChanged(file, content) {
+    const existing = await fs.readFile(file, "utf8").catch((error) => {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    });
+    if (existing === content) {
+      return false;
+    }
+
+    const tempFile = `${file}.tmp`;
+    await fs.writeFile(tempFile, content, { mode: 0o644 });
+    await fs.rename(tempFile, file);
+    return true;
+  }
+
+  /**
+   * Ask the broker to re-read its password and ACL files
+   * @returns {Promise<boolean>} - True if the reload command succeeded
+   */
+  reload() {
+    const command = config.mosquitto.reloadCommand;
+    if (!command) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      exec(command, { timeout: 10000 }, (error) => {
+        if (error) {
+          console.error("❌ Failed to reload Mosquitto:", error.message);
+          return resolve(false);
+        }
+        console.log("🔄 Mosquitto reloaded");
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * Regenerate the broker files now and reload the broker if they changed
+   * @param {string} reason - What triggered the rewrite (for the log)
+   * @returns {Promise<Object>} - { changed, devices, users }
+   */
+  sync(reason = "manual") {
+    const run = this.queue.then(async () => {
+      const files = await this.buildFiles();
+      const passwordChanged = await this.writeIfChanged(
+        config.mosquitto.passwordFile,
+        files.passwordFile
+      );
+      const aclChanged = await this.writeIfChanged(
+        config.mosquitto.aclFile,
+        files.aclFile
+      );
+      const changed = passwordChanged || aclChanged;
+      this.scheduleGraceEnd(files.graceEndsAt);
+
+      if (changed) {
+        console.log(
+          `🔐 Mosquitto auth files updated (${reason}): ${files.devices} device(s), ${files.users} user(s)`
+        );
+        await this.reload();
+      }
+
+      return { changed, devices: files.devices, users: files.users };
+    });
+
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Rewrite the files when the next rotation grace period ends, so the
+   * previous secret stops working on the broker when it does over HTTP
+   * @param {Date|null} graceEndsAt - Earliest end of a grace period, or null for none
+   */
+  scheduleGraceEnd(graceEndsAt) {
+    clearTimeout(this.graceTimer);
+    this.graceTimer = null;
+    if (!graceEndsAt) {
+      return;
+    }
+
+    // setTimeout can't wait longer than about 24 days; a resync then re-arms it
+    const delay = Math.min(
+      Math.max(graceEndsAt.getTime() - Date.now(), 0) + 1000,
+      MAX_TIMER_MS
+    );
+    this.graceTimer = setTimeout(
+      () => this.scheduleSync("rotation grace period ended"),
+      delay
+    );
+    this.graceTimer.unref();
+  }
+
+  /**
+   * Regenerate the broker files shortly, batching changes made close together
+   * Never throws, so callers can fire and forget after a registry change
+   * @param {string} reason - What changed, e.g. "credentials issued"
+   */
+  scheduleSync(reason) {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    this.reasons.add(reason);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      const reasons = [...this.reasons].join(", ");
+      this.reasons.clear();
+      this.timer = null;
+
+      this.sync(reasons).catch((error) => {
+        console.error("❌ Failed to update Mosquitto auth files:", error);
+      });
+    }, config.mosquitto.syncDelayMs);
+    this.timer.unref();
+  }
+}
+
+// Create singleton instance
+const mosquittoAuthService = new MosquittoAuthService();
+
+module.exports = mosquittoAuthService;
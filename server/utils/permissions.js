@@ -0,0 +1,108 @@
+const config = require("../config");
+
+// Fleet-wide device permissions share names with device membership permissions
+// (see DeviceAccess), so holding one here applies it to every device
+const SUPPORT_PERMISSIONS = [
+  "users:read",
+  "devices:read",
+  "telemetry:read",
+  "location:read",
+  "events:read",
+  "members:read",
+];
+
+const OPERATOR_PERMISSIONS = [
+  ...SUPPORT_PERMISSIONS,
+  "devices:provision",
+  "devices:credentials",
+  "sos:acknowledge",
+  "commands:send",
+];
+
+const FLEET_ADMIN_PERMISSIONS = [
+  ...OPERATOR_PERMISSIONS,
+  "devices:decommission",
+  "commands:reboot",
+  "commands:bulk",
+  "telemetry:cleanup",
+];
+
+const SUPER_ADMIN_PERMISSIONS = [
+  ...FLEET_ADMIN_PERMISSIONS,
+  "members:manage",
+  "users:manage",
+  "roles:manage",
+  "organizations:manage",
+  "audit:read",
+];
+
+// Staff roles and the permissions each one grants
+const ROLE_PERMISSIONS = {
+  support: SUPPORT_PERMISSIONS,
+  operator: OPERATOR_PERMISSIONS,
+  "fleet-admin": FLEET_ADMIN_PERMISSIONS,
+  "super-admin": SUPER_ADMIN_PERMISSIONS,
+};
+
+class Permissions {
+  /**
+   * Get the permissions granted by a set of staff roles
+   * @param {Array<string>} roles - Role names
+   * @returns {Array<string>} - Unique permission names
+   */
+  static getPermissionsForRoles(roles = []) {
+    return [...new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role] || []))];
+  }
+
+  /**
+   * Check if an authenticated principal holds a permission
+   * When 2FA is mandatory for staff, roles only count on sessions that passed it
+   * @param {Object} principal - Decoded token (req.user)
+   * @param {string} permission - Permission name (e.g. "commands:bulk")
+   * @returns {boolean} - True if allowed
+   */
+  static hasPermission(principal, permission) {
+    if (!principal || !Array.isArray(principal.roles)) {
+      return false;
+    }
+
+    if (config.twoFactor.requiredForStaff && !principal.mfa) {
+      return false;
+    }
+
+    return principal.roles.some((role) =>
+      (ROLE_PERMISSIONS[role] || []).includes(permission)
+    );
+  }
+
+  /**
+   * Check if a user must use two-factor authentication
+   * @param {Object} user - User document
+   * @returns {boolean} - True for staff accounts when the policy is on
+   */
+  static requiresTwoFactor(user) {
+    return (
+      config.twoFactor.requiredForStaff &&
+      Array.isArray(user.roles) &&
+      user.roles.length > 0
+    );
+  }
+
+  /**
+   * Get the list of staff roles
+   * @returns {Array<string>} - Role names
+   */
+  static getRoleNames() {
+    return Object.keys(ROLE_PERMISSIONS);
+  }
+
+  /**
+   * Get the list of roles and their permissions
+   * @returns {Object} - Role to permissions map
+   */
+  static getRolePermissions() {
+    return ROLE_PERMISSIONS;
+  }
+}
+
+module.exports = Permissions;
@@ -0,0 +1,482 @@
+const mongoose = require("mongoose");
+const Telemetry = require("../models/Telemetry");
+const Location = require("../models/Location");
+const TelemetryRollup = require("../models/TelemetryRollup");
+const config = require("../config");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const GRAVITY = 9.81; // m/s²
+const EARTH_RADIUS_M = 6371000;
+const RUN_OVERLAP_MS = 60 * 1000;
+
+class RollupService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastRunAt = null;
+  }
+
+  /**
+   * Apply the configured retention and start rolling up telemetry periodically
+   */
+  async start() {
+    await this.ensureRetention();
+
+    const tick = () =>
+      this.run().catch((error) =>
+        console.error("❌ Telemetry rollup failed:", error)
+      );
+
+    tick();
+    this.timer = setInterval(tick, config.rollups.intervalMs);
+    this.timer.unref();
+    console.log("✅ Telemetry rollups scheduled");
+  }
+
+  /**
+   * Stop the periodic rollup
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Retention of a tier
+   * @param {string} granularity - "hour" or "day"
+   * @returns {number} - Retention in milliseconds
+   */
+  retentionFor(granularity) {
+    return granularity === "day"
+      ? config.telemetry.retention.dailyMs
+      : config.telemetry.retention.hourlyMs;
+  }
+
+  /**
+   * Tier that still holds data from a point in time
+   * @param {Date} [startTime] - Start of the requested range
+   * @param {number} rawRetentionMs - How long the raw data is kept
+   * @returns {string} - "raw", "hour" or "day"
+   */
+  tierFor(startTime, rawRetentionMs) {
+    if (!startTime) return "raw";
+
+    const age = Date.now() - startTime.getTime();
+    if (age <= rawRetentionMs) return "raw";
+    return age <= config.telemetry.retention.hourlyMs ? "hour" : "day";
+  }
+
+  /**
+   * Start of the hour or UTC day containing a time
+   * @param {Date} date - Time
+   * @param {string} granularity - "hour" or "day"
+   * @returns {Date} - Bucket start
+   */
+  bucketStart(date, granularity) {
+    const bucketMs = granularity === "day" ? DAY_MS : HOUR_MS;
+    return new Date(Math.floor(date.getTime() / bucketMs) * bucketMs);
+  }
+
+  /**
+   * Distance between two positions
+   * @param {Object} a - { lat, lon }
+   * @param {Object} b - { lat, lon }
+   * @returns {number} - Great-circle distance in metres
+   */
+  distance(a, b) {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const h =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  /**
+   * Keep at most a number of evenly spaced points, always including the last
+   * @param {Array} points - Points, oldest first
+   * @param {number} max - Maximum points to keep
+   * @returns {Array} - Downsampled points
+   */
+  downsample(points, max) {
+    if (points.length <= max) return points;
+
+    const step = (points.length - 1) / (max - 1);
+    return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+  }
+
+  /**
+   * Summarize one hour of raw readings
+   * @param {Array} readings - Plain telemetry objects, oldest first
+   * @param {Array} fixes - Accepted GPS fixes { timestamp, lat, lon, accuracy }, oldest first
+   * @returns {Object} - Rollup fields
+   */
+  summarize(readings, fixes = []) {
+    const summary = {
+      sampleCount: readings.length,
+      firstReadingAt: readings.length ? readings[0].timestamp : null,
+      lastReadingAt: readings.length
+        ? readings[readings.length - 1].timestamp
+        : null,
+      battery: { samples: 0, min: null, avg: null, max: null },
+      distanceM: 0,
+      obstacles: { count: 0, minDistance: null },
+      activity: { samples: 0, activeSamples: 0, maxMagnitude: null },
+      uptime: { max: null, restarts: 0 },
+      connectivity: { wifi: 0, cellular: 0, bluetooth: 0 },
+      criticalAlerts: 0,
+      track: [],
+    };
+
+    let batteryTotal = 0;
+    let lastUptime = null;
+    const min = (a, b) => (a === null ? b : Math.min(a, b));
+    const max = (a, b) => (a === null ? b : Math.max(a, b));
+
+    for (const reading of readings) {
+      const sensors = reading.sensors || {};
+
+      const level = sensors.battery && sensors.battery.level;
+      if (typeof level === "number") {
+        summary.battery.samples++;
+        summary.battery.min = min(summary.battery.min, level);
+        summary.battery.max = max(summary.battery.max, level);
+        batteryTotal += level;
+      }
+
+      const distances = [
+        sensors.ultrasonicLeft,
+        sensors.ultrasonicCenter,
+        sensors.ultrasonicRight,
+      ].filter((distance) => typeof distance === "number");
+      if (distances.length) {
+        const closest = Math.min(...distances);
+        summary.obstacles.minDistance = min(
+          summary.obstacles.minDistance,
+          closest
+        );
+        if (closest < config.alerts.obstacle.threshold) {
+          summary.obstacles.count++;
+        }
+      }
+
+      const accel = sensors.IMU && sensors.IMU.accelerometer;
+      if (
+        accel &&
+        ["x", "y", "z"].every((axis) => typeof accel[axis] === "number")
+      ) {
+        const magnitude = Math.sqrt(accel.x ** 2 + accel.y ** 2 + accel.z ** 2);
+        summary.activity.samples++;
+        summary.activity.maxMagnitude = max(
+          summary.activity.maxMagnitude,
+          magnitude
+        );
+        if (Math.abs(magnitude - GRAVITY) > config.rollups.activityThreshold) {
+          summary.activity.activeSamples++;
+        }
+      }
+
+      const uptime = reading.deviceStatus && reading.deviceStatus.uptime;
+      if (typeof uptime === "number") {
+        // Uptime going backwards means the stick rebooted
+        if (lastUptime !== null && uptime < lastUptime) {
+          summary.uptime.restarts++;
+        }
+        summary.uptime.max = max(summary.uptime.max, uptime);
+        lastUptime = uptime;
+      }
+
+      const connectivity = reading.connectivity || {};
+      for (const link of ["wifi", "cellular", "bluetooth"]) {
+        if (connectivity[link] && connectivity[link].connected) {
+          summary.connectivity[link]++;
+        }
+      }
+
+      summary.criticalAlerts += (reading.alerts || []).filter(
+        (alert) => alert.severity === "critical"
+      ).length;
+    }
+
+    if (summary.battery.samples > 0) {
+      summary.battery.avg = batteryTotal / summary.battery.samples;
+    }
+
+    for (let i = 1; i < fixes.length; i++) {
+      summary.distanceM += this.distance(fixes[i - 1], fixes[i]);
+    }
+
+    summary.track = this.downsample(
+      fixes.map(({ timestamp, lat, lon, accuracy }) => ({
+        timestamp,
+        lat,
+        lon,
+        accuracy,
+      })),
+      config.rollups.trackPoints.hour
+    );
+
+    return summary;
+  }
+
+  /**
+   * Combine hourly rollups into a daily one
+   * @param {Array} rollups - Hourly rollup fields, oldest first
+   * @returns {Object} - Rollup fields
+   */
+  combine(rollups) {
+    const pick = (values, fn) => {
+      const present = values.filter((value) => typeof value === "number");
+      return present.length ? fn(...present) : null;
+    };
+    const sum = (fn) => rollups.reduce((total, r) => total + (fn(r) || 0), 0);
+    const dates = (field) =>
+      rollups.map((r) => r[field]).filter((date) => date);
+
+    const batterySamples = sum((r) => r.battery.samples);
+    const firstDates = dates("firstReadingAt");
+    const lastDates = dates("lastReadingAt");
+
+    return {
+      sampleCount: sum((r) => r.sampleCount),
+      firstReadingAt: firstDates.length ? firstDates[0] : null,
+      lastReadingAt: lastDates.length ? lastDates[lastDates.length - 1] : null,
+      battery: {
+        samples: batterySamples,
+        min: pick(
+          rollups.map((r) => r.battery.min),
+          Math.min
+        ),
+        avg:
+          batterySamples > 0
+            ? sum((r) => r.battery.avg * r.battery.samples) / batterySamples
+            : null,
+        max: pick(
+          rollups.map((r) => r.battery.max),
+          Math.max
+        ),
+      },
+      distanceM: sum((r) => r.distanceM),
+      obstacles: {
+        count: sum((r) => r.obstacles.count),
+        minDistance: pick(
+          rollups.map((r) => r.obstacles.minDistance),
+          Math.min
+        ),
+      },
+      activity: {
+        samples: sum((r) => r.activity.samples),
+        activeSamples: sum((r) => r.activity.activeSamples),
+        maxMagnitude: pick(
+          rollups.map((r) => r.activity.maxMagnitude),
+          Math.max
+        ),
+      },
+      uptime: {
+        max: pick(
+          rollups.map((r) => r.uptime.max),
+          Math.max
+        ),
+        restarts: sum((r) => r.uptime.restarts),
+      },
+      connectivity: {
+        wifi: sum((r) => r.connectivity.wifi),
+        cellular: sum((r) => r.connectivity.cellular),
+        bluetooth: sum((r) => r.connectivity.bluetooth),
+      },
+      criticalAlerts: sum((r) => r.criticalAlerts),
+      track: this.downsample(
+        rollups.flatMap((r) => r.track || []),
+        config.rollups.trackPoints.day
+      ),
+    };
+  }
+
+  /**
+   * Rebuild the hourly rollup of a device from its raw readings and fixes
+   * @param {string} deviceId - Device ID
+   * @param {Date} hourStart - Start of the hour
+   * @returns {Promise<Object|null>} - Rollup, or null when the hour has no data
+   */
+  async rollupHour(deviceId, hourStart) {
+    const range = {
+      $gte: hourStart,
+      $lt: new Date(hourStart.getTime() + HOUR_MS),
+    };
+
+    const [readings, locations] = await Promise.all([
+      Telemetry.find({ deviceId, timestamp: range })
+        .sort({ timestamp: 1 })
+        .lean(),
+      Location.find({ deviceId, timestamp: range })
+        .sort({ timestamp: 1 })
+        .lean(),
+    ]);
+
+    if (readings.length === 0 && locations.length === 0) {
+      return null;
+    }
+
+    const fixes = locations.map((location) => ({
+      timestamp: location.timestamp,
+      lat: location.location.coordinates[1],
+      lon: location.location.coordinates[0],
+      accuracy: location.accuracy,
+    }));
+
+    return TelemetryRollup.upsertBucket(
+      deviceId,
+      "hour",
+      hourStart,
+      this.summarize(readings, fixes),
+      this.retentionFor("hour")
+    );
+  }
+
+  /**
+   * Rebuild the daily rollup of a device from its hourly rollups
+   * @param {string} deviceId - Device ID
+   * @param {Date} dayStart - Start of the UTC day
+   * @returns {Promise<Object|null>} - Rollup, or null when the day has no data
+   */
+  async rollupDay(deviceId, dayStart) {
+    const hourlies = await TelemetryRollup.find({
+      deviceId,
+      granularity: "hour",
+      bucketStart: {
+        $gte: dayStart,
+        $lt: new Date(dayStart.getTime() + DAY_MS),
+      },
+    })
+      .sort({ bucketStart: 1 })
+      .lean();
+
+    if (hourlies.length === 0) {
+      return null;
+    }
+
+    return TelemetryRollup.upsertBucket(
+      deviceId,
+      "day",
+      dayStart,
+      this.combine(hourlies),
+      this.retentionFor("day")
+    );
+  }
+
+  /**
+   * Roll up every device hour that received raw readings since the last run,
+   * then the days containing them
+   * Readings are never updated in place, so their createdAt marks the hours to
+   * rebuild; runs overlap slightly to catch inserts that were in flight.
+   * @returns {Promise<Object|null>} - { hours, days } rebuilt, or null if a run is already in progress
+   */
+  async run() {
+    if (this.running) return null;
+    this.running = true;
+
+    try {
+      const startedAt = new Date();
+      const since = this.lastRunAt
+        ? new Date(this.lastRunAt.getTime() - RUN_OVERLAP_MS)
+        : new Date(startedAt.getTime() - config.rollups.lookbackMs);
+
+      const dirtyHours = await Telemetry.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        {
+          $group: {
+            _id: {
+              deviceId: "$deviceId",
+              hour: { $dateTrunc: { date: "$timestamp", unit: "hour" } },
+            },
+          },
+        },
+        { $sort: { "_id.hour": 1 } },
+      ]);
+
+      const dirtyDays = new Map();
+      for (const { _id } of dirtyHours) {
+        await this.rollupHour(_id.deviceId, _id.hour);
+
+        const day = this.bucketStart(_id.hour, "day");
+        dirtyDays.set(`${_id.deviceId}|${day.getTime()}`, {
+          deviceId: _id.deviceId,
+          day,
+        });
+      }
+
+      for (const { deviceId, day } of dirtyDays.values()) {
+        await this.rollupDay(deviceId, day);
+      }
+
+      this.lastRunAt = startedAt;
+
+      if (dirtyHours.length > 0) {
+        console.log(
+          `📈 Rolled up ${dirtyHours.length} hour(s) and ${dirtyDays.size} day(s) of telemetry`
+        );
+      }
+
+      return { hours: dirtyHours.length, days: dirtyDays.size };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Apply the configured retention to data stored under an earlier setting
+   * Collections and TTL indexes keep the expiry they were created with, and
+   * rollups carry the expiry computed when they were written.
+   */
+  async ensureRetention() {
+    const commands = [
+      // Time-series telemetry expires through a collection option
+      {
+        collMod: Telemetry.collection.collectionName,
+        expireAfterSeconds: Math.floor(config.telemetry.retention.rawMs / 1000),
+      },
+      {
+        collMod: Location.collection.collectionName,
+        index: {
+          keyPattern: { timestamp: 1 },
+          expireAfterSeconds: Math.floor(config.location.retentionMs / 1000),
+        },
+      },
+    ];
+
+    for (const command of commands) {
+      try {
+        await mongoose.connection.db.command(command);
+      } catch (error) {
+        // A new collection is created from the schema with the configured expiry
+        if (!["NamespaceNotFound", "IndexNotFound"].includes(error.codeName)) {
+          console.error(
+            `❌ Failed to update ${command.collMod} retention:`,
+            error.message
+          );
+        }
+      }
+    }
+
+    for (const granularity of ["hour", "day"]) {
+      await TelemetryRollup.updateMany({ granularity }, [
+        {
+          $set: {
+            expiresAt: {
+              $add: ["$bucketStart", this.retentionFor(granularity)],
+            },
+          },
+        },
+      ]);
+    }
+  }
+}
+
+// Create singleton instance
+const rollupService = new RollupService();
+
+module.exports = rollupService;
@@ -0,0 +1,198 @@
+const Telemetry = require("../models/Telemetry");
+const config = require("../config");
+
+const UNITS = {
+  s: { unit: "second", ms: 1000 },
+  m: { unit: "minute", ms: 60 * 1000 },
+  h: { unit: "hour", ms: 60 * 60 * 1000 },
+  d: { unit: "day", ms: 24 * 60 * 60 * 1000 },
+};
+
+// Intervals tried, smallest first, when the requested one gives too many points
+const STEPS = [
+  "1s",
+  "5s",
+  "10s",
+  "30s",
+  "1m",
+  "5m",
+  "10m",
+  "15m",
+  "30m",
+  "1h",
+  "3h",
+  "6h",
+  "12h",
+  "1d",
+  "7d",
+  "30d",
+];
+
+// $dateTrunc aligns bins of more than one unit to this date
+const BIN_REFERENCE_MS = Date.UTC(2000, 0, 1);
+
+const AGGREGATIONS = ["avg", "min", "max", "sum", "count", "first", "last"];
+
+class TelemetryQueryService {
+  constructor() {
+    this.numericFields = null;
+  }
+
+  /**
+   * Numeric telemetry fields that can be queried
+   * @returns {Array<string>} - Dotted paths, e.g. "sensors.battery.level"
+   */
+  getNumericFields() {
+    if (!this.numericFields) {
+      this.numericFields = [];
+      Telemetry.schema.eachPath((path, schemaType) => {
+        if (schemaType.instance === "Number" && path !== "__v") {
+          this.numericFields.push(path);
+        }
+      });
+    }
+    return this.numericFields;
+  }
+
+  /**
+   * Aggregations a series can be reduced with
+   * @returns {Array<string>} - Aggregation names
+   */
+  getAggregations() {
+    return AGGREGATIONS;
+  }
+
+  /**
+   * Expand a comma-separated field list; a section ("gps", "sensors.IMU")
+   * stands for every numeric field under it
+   * @param {string} value - e.g. "sensors.battery.level,gps"
+   * @returns {Object} - { fields, unknown } with duplicates removed
+   */
+  parseFields(value) {
+    const numericFields = this.getNumericFields();
+    const fields = new Set();
+    const unknown = [];
+
+    for (const name of String(value).split(",")) {
+      const field = name.trim();
+      if (!field) continue;
+
+      const matches = numericFields.filter(
+        (path) => path === field || path.startsWith(`${field}.`)
+      );
+      if (matches.length === 0) {
+        unknown.push(field);
+      }
+      matches.forEach((path) => fields.add(path));
+    }
+
+    return { fields: [...fields], unknown };
+  }
+
+  /**
+   * Parse an interval such as "30s", "5m", "1h" or "1d"
+   * @param {string} value - Interval
+   * @returns {number|null} - Milliseconds, or null if unusable
+   */
+  parseInterval(value) {
+    const match = /^(\d+)([smhd])$/.exec(String(value).trim());
+    if (!match || parseInt(match[1]) === 0) return null;
+    return parseInt(match[1]) * UNITS[match[2]].ms;
+  }
+
+  /**
+   * Format milliseconds as the largest whole unit
+   * @param {number} ms - Interval
+   * @returns {string} - e.g. "5m"
+   */
+  formatInterval(ms) {
+    for (const suffix of ["d", "h", "m", "s"]) {
+      if (ms % UNITS[suffix].ms === 0) {
+        return `${ms / UNITS[suffix].ms}${suffix}`;
+      }
+    }
+    return `${Math.ceil(ms / 1000)}s`;
+  }
+
+  /**
+   * Number of aligned bins a range touches; a range that doesn't start on a bin
+   * boundary spans one more than its length alone suggests
+   * @param {number} intervalMs - Bin size
+   * @param {Date} from - Range start (inclusive)
+   * @param {Date} to - Range end (exclusive)
+   * @returns {number} - Bin count
+   */
+  countBins(intervalMs, from, to) {
+    if (to <= from) return 0;
+    const binOf = (ms) => Math.floor((ms - BIN_REFERENCE_MS) / intervalMs);
+    return binOf(to.getTime() - 1) - binOf(from.getTime()) + 1;
+  }
+
+  /**
+   * Interval for a range: the requested one if its bins stay within the point
+   * cap, otherwise the smallest standard interval whose bins do
+   * @param {number|null} requestedMs - Requested interval, null to choose one
+   * @param {Date} from - Range start (inclusive)
+   * @param {Date} to - Range end (exclusive)
+   * @returns {number} - Interval in milliseconds
+   */
+  chooseInterval(requestedMs, from, to) {
+    const maxPoints = config.telemetry.query.maxPoints;
+    const fits = (ms) => this.countBins(ms, from, to) <= maxPoints;
+
+    if (requestedMs && fits(requestedMs)) {
+      return requestedMs;
+    }
+
+    const step = STEPS.map((value) => this.parseInterval(value)).find(
+      (ms) => ms >= (requestedMs || 0) && fits(ms)
+    );
+    if (step) {
+      return step;
+    }
+
+    // Ranges too long for the largest step get whole days
+    let days = Math.ceil((to - from) / maxPoints / UNITS.d.ms);
+    while (!fits(days * UNITS.d.ms)) days++;
+    return days * UNITS.d.ms;
+  }
+
+  /**
+   * Get a downsampled series from raw telemetry, computed in the database
+   * @param {string} deviceId - Device ID
+   * @param {Object} query - { fields, aggregations, from, to, intervalMs }
+   * @returns {Promise<Array<Object>>} - { timestamp, [field]: { [aggregation]: value } } per interval
+   */
+  async run(deviceId, { fields, aggregations, from, to, intervalMs }) {
+    const suffix = this.formatInterval(intervalMs).slice(-1);
+    const rows = await Telemetry.getSeries(deviceId, {
+      fields,
+      aggregations,
+      from,
+      to,
+      unit: UNITS[suffix].unit,
+      binSize: intervalMs / UNITS[suffix].ms,
+      limit: config.telemetry.query.maxPoints,
+    });
+
+    return rows.map((row) => {
+      const point = { timestamp: row._id };
+      fields.forEach((field, index) => {
+        point[field] = {};
+        for (const aggregation of aggregations) {
+          let value = row[`f${index}_${aggregation}`];
+          if (value && (aggregation === "first" || aggregation === "last")) {
+            value = value.v;
+          }
+          point[field][aggregation] = value === undefined ? null : value;
+        }
+      });
+      return point;
+    });
+  }
+}
+
+// Create singleton instance
+const telemetryQueryService = new TelemetryQueryService();
+
+module.exports = telemetryQueryService;
@@ -0,0 +1,159 @@
+const crypto = require("crypto");
+
+// RFC 4648 base32 alphabet used by authenticator apps
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+class TOTP {
+  /**
+   * Encode bytes as base32 (no padding)
+   * @param {Buffer} buffer - Bytes to encode
+   * @returns {string} - Base32 string
+   */
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  /**
+   * Decode a base32 string (case-insensitive, spaces and padding ignored)
+   * @param {string} input - Base32 string
+   * @returns {Buffer} - Decoded bytes
+   */
+  static base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/[\s=]/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error(`Invalid base32 character: ${char}`);
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Generate a new random shared secret
+   * @returns {string} - Base32 secret (160 bits)
+   */
+  static generateSecret() {
+    return TOTP.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Compute the time step for a timestamp
+   * @param {number} time - Epoch milliseconds
+   * @param {number} step - Step length in seconds
+   * @returns {number} - Time step counter
+   */
+  static getCounter(time = Date.now(), step = 30) {
+    return Math.floor(time / 1000 / step);
+  }
+
+  /**
+   * Generate the HOTP code for a counter (RFC 4226)
+   * @param {string} secret - Base32 secret
+   * @param {number} counter - Counter value
+   * @param {number} digits - Code length
+   * @returns {string} - Zero padded code
+   */
+  static generateHOTP(secret, counter, digits = 6) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto
+      .createHmac("sha1", TOTP.base32Decode(secret))
+      .update(counterBuffer)
+      .digest();
+
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** digits).padStart(digits, "0");
+  }
+
+  /**
+   * Generate the current TOTP code (RFC 6238)
+   * @param {string} secret - Base32 secret
+   * @param {number} time - Epoch milliseconds
+   * @returns {string} - 6 digit code
+   */
+  static generate(secret, time = Date.now()) {
+    return TOTP.generateHOTP(secret, TOTP.getCounter(time));
+  }
+
+  /**
+   * Verify a code, allowing for clock drift
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number} window - Steps accepted either side of now
+   * @param {number} time - Epoch milliseconds
+   * @returns {number|null} - Matching counter (to block reuse) or null
+   */
+  static verify(secret, code, window = 1, time = Date.now()) {
+    const candidate = String(code || "").replace(/\s/g, "");
+    if (!/^\d{6}$/.test(candidate)) {
+      return null;
+    }
+
+    const current = TOTP.getCounter(time);
+    for (
+      let counter = current - window;
+      counter <= current + window;
+      counter++
+    ) {
+      const expected = TOTP.generateHOTP(secret, counter);
+      if (
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))
+      ) {
+        return counter;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build the otpauth:// URI that authenticator apps read from a QR code
+   * @param {string} secret - Base32 secret
+   * @param {string} accountName - Account label (email)
+   * @param {string} issuer - Service name
+   * @returns {string} - Provisioning URI
+   */
+  static getProvisioningUri(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: "SHA1",
+      digits: "6",
+      period: "30",
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+}
+
+module.exports = TOTP;
@@ -0,0 +1,281 @@
+const config = require("../config");
+
+const FORMATS = {
+  gpx: { contentType: "application/gpx+xml; charset=utf-8", extension: "gpx" },
+  kml: {
+    contentType: "application/vnd.google-earth.kml+xml; charset=utf-8",
+    extension: "kml",
+  },
+  geojson: {
+    contentType: "application/geo+json; charset=utf-8",
+    extension: "geojson",
+  },
+};
+
+const XML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&apos;",
+};
+
+class TrackFormatService {
+  /**
+   * File formats a track can be downloaded as
+   * @returns {Array<string>} - Format names
+   */
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Content type and file extension of a format
+   * @param {string} format - Format name
+   * @returns {Object|null} - { contentType, extension }, or null if unknown
+   */
+  getFormat(format) {
+    return FORMATS[format] || null;
+  }
+
+  /**
+   * Largest time between two fixes that still counts as one segment
+   * Rollup tiers keep a few points per bucket, so their gaps are at least
+   * twice that spacing
+   * @param {string} tier - "raw", "hour" or "day"
+   * @returns {number} - Milliseconds
+   */
+  gapFor(tier) {
+    const gapMs = config.location.segmentGapMs;
+    if (tier === "raw") return gapMs;
+
+    const bucketMs = (tier === "day" ? 24 : 1) * 60 * 60 * 1000;
+    return Math.max(gapMs, (2 * bucketMs) / config.rollups.trackPoints[tier]);
+  }
+
+  /**
+   * Sort points oldest first and split them where fixes are too far apart in time
+   * @param {Array<Object>} points - Track points in any order
+   * @param {number} gapMs - Largest gap inside a segment
+   * @returns {Array<Array<Object>>} - Segments, oldest first
+   */
+  splitSegments(points, gapMs) {
+    const sorted = [...points].sort(
+      (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+    );
+
+    const segments = [];
+    let previous = null;
+    for (const point of sorted) {
+      if (
+        !previous ||
+        new Date(point.timestamp) - new Date(previous.timestamp) > gapMs
+      ) {
+        segments.push([]);
+      }
+      segments[segments.length - 1].push(point);
+      previous = point;
+    }
+    return segments;
+  }
+
+  /**
+   * Escape text for XML content and attributes
+   * @param {*} value - Text
+   * @returns {string} - Escaped text
+   */
+  escapeXml(value) {
+    return String(value == null ? "" : value).replace(
+      /[&<>"']/g,
+      (char) => XML_ENTITIES[char]
+    );
+  }
+
+  /**
+   * Turn an event into a waypoint
+   * @param {Object} event - Lean event with a location
+   * @returns {Object} - { timestamp, lat, lon, type, name, description, severity, eventId }
+   */
+  toWaypoint(event) {
+    const [lon, lat] = event.location.coordinates;
+    return {
+      timestamp: event.timestamp,
+      lat,
+      lon,
+      type: event.type,
+      name: event.title || event.type,
+      description: event.description,
+      severity: event.severity,
+      eventId: String(event._id),
+    };
+  }
+
+  /**
+   * Render a track
+   * @param {string} format - "gpx", "kml" or "geojson"
+   * @param {Object} track - { deviceId, tier, segments, waypoints }
+   * @returns {string} - File contents
+   */
+  render(format, track) {
+    switch (format) {
+      case "gpx":
+        return this.toGpx(track);
+      case "kml":
+        return this.toKml(track);
+      case "geojson":
+        return JSON.stringify(this.toGeoJSON(track));
+      default:
+        throw new Error(`Unknown track format: ${format}`);
+    }
+  }
+
+  /**
+   * Render a track as GPX 1.1, one trkseg per segment and a wpt per waypoint
+   * @param {Object} track - { deviceId, segments, waypoints }
+   * @returns {string} - GPX document
+   */
+  toGpx({ deviceId, segments, waypoints = [] }) {
+    const x = (value) => this.escapeXml(value);
+    const time = (value) => `<time>${new Date(value).toISOString()}</time>`;
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="Smart Stick Cloud" xmlns="http://www.topografix.com/GPX/1/1">',
+      `  <metadata><name>${x(deviceId)}</name>${time(new Date())}</metadata>`,
+    ];
+
+    // GPX requires waypoints before tracks
+    for (const waypoint of waypoints) {
+      lines.push(
+        `  <wpt lat="${waypoint.lat}" lon="${waypoint.lon}">${time(
+          waypoint.timestamp
+        )}<name>${x(waypoint.name)}</name><desc>${x(
+          waypoint.description
+        )}</desc><type>${x(waypoint.type)}</type></wpt>`
+      );
+    }
+
+    lines.push(`  <trk><name>${x(deviceId)}</name>`);
+    for (const segment of segments) {
+      lines.push("    <trkseg>");
+      for (const point of segment) {
+        const elevation =
+          point.altitude != null ? `<ele>${point.altitude}</ele>` : "";
+        lines.push(
+          `      <trkpt lat="${point.lat}" lon="${
+            point.lon
+          }">${elevation}${time(point.timestamp)}</trkpt>`
+        );
+      }
+      lines.push("    </trkseg>");
+    }
+    lines.push("  </trk>", "</gpx>");
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Render a track as KML 2.2, a gx:Track per segment and a Placemark per waypoint
+   * @param {Object} track - { deviceId, segments, waypoints }
+   * @returns {string} - KML document
+   */
+  toKml({ deviceId, segments, waypoints = [] }) {
+    const x = (value) => this.escapeXml(value);
+    const when = (value) => `<when>${new Date(value).toISOString()}</when>`;
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+      "  <Document>",
+      `    <name>${x(deviceId)}</name>`,
+      "    <Placemark>",
+      `      <name>${x(deviceId)}</name>`,
+      "      <gx:MultiTrack>",
+      "        <altitudeMode>clampToGround</altitudeMode>",
+      "        <gx:interpolate>0</gx:interpolate>",
+    ];
+
+    // A gx:Track lists every time first, then the coordinates in the same order
+    for (const segment of segments) {
+      lines.push("        <gx:Track>");
+      for (const point of segment) {
+        lines.push(`          ${when(point.timestamp)}`);
+      }
+      for (const point of segment) {
+        lines.push(
+          `          <gx:coord>${point.lon} ${point.lat} ${
+            point.altitude != null ? point.altitude : 0
+          }</gx:coord>`
+        );
+      }
+      lines.push("        </gx:Track>");
+    }
+    lines.push("      </gx:MultiTrack>", "    </Placemark>");
+
+    for (const waypoint of waypoints) {
+      lines.push(
+        "    <Placemark>",
+        `      <name>${x(waypoint.name)}</name>`,
+        `      <description>${x(waypoint.description)}</description>`,
+        `      <TimeStamp>${when(waypoint.timestamp)}</TimeStamp>`,
+        `      <Point><coordinates>${waypoint.lon},${waypoint.lat}</coordinates></Point>`,
+        "    </Placemark>"
+      );
+    }
+    lines.push("  </Document>", "</kml>");
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Render a track as a GeoJSON FeatureCollection: a MultiLineString with the
+   * fix times of each segment in coordTimes, and a Point per waypoint
+   * @param {Object} track - { deviceId, tier, segments, waypoints }
+   * @returns {Object} - FeatureCollection
+   */
+  toGeoJSON({ deviceId, tier, segments, waypoints = [] }) {
+    const position = (point) =>
+      point.altitude != null
+        ? [point.lon, point.lat, point.altitude]
+        : [point.lon, point.lat];
+
+    return {
+      type: "FeatureCollection",
+      features: [
+        {
+          type: "Feature",
+          geometry: {
+            type: "MultiLineString",
+            coordinates: segments.map((segment) => segment.map(position)),
+          },
+          properties: {
+            deviceId,
+            tier,
+            coordTimes: segments.map((segment) =>
+              segment.map((point) => new Date(point.timestamp).toISOString())
+            ),
+          },
+        },
+        ...waypoints.map((waypoint) => ({
+          type: "Feature",
+          geometry: {
+            type: "Point",
+            coordinates: [waypoint.lon, waypoint.lat],
+          },
+          properties: {
+            deviceId,
+            eventId: waypoint.eventId,
+            type: waypoint.type,
+            severity: waypoint.severity,
+            name: waypoint.name,
+            description: waypoint.description,
+            timestamp: new Date(waypoint.timestamp).toISOString(),
+          },
+        })),
+      ],
+    };
+  }
+}
+
+// Create singleton instance
+const trackFormatService = new TrackFormatService();
+
+module.exports = trackFormatService;
@@ -0,0 +1,267 @@
+const config = require("../config");
+const rollupService = require("./rollup");
+const trackFormatService = require("./trackFormat");
+
+const EARTH_RADIUS_M = 6371000;
+
+class TrackProcessingService {
+  /**
+   * Time between two points
+   * @param {Object} a - { timestamp }
+   * @param {Object} b - { timestamp }
+   * @returns {number} - Seconds from a to b
+   */
+  seconds(a, b) {
+    return (new Date(b.timestamp) - new Date(a.timestamp)) / 1000;
+  }
+
+  /**
+   * Speed needed to get from one fix to another
+   * Fixes at the same time count as infinitely fast unless they are at the same place
+   * @param {Object} a - { timestamp, lat, lon }
+   * @param {Object} b - { timestamp, lat, lon }
+   * @returns {number} - Metres per second
+   */
+  speed(a, b) {
+    const distance = rollupService.distance(a, b);
+    const seconds = Math.abs(this.seconds(a, b));
+    if (seconds === 0) return distance === 0 ? 0 : Infinity;
+    return distance / seconds;
+  }
+
+  /**
+   * Drop unusable fixes and GPS jumps
+   * A fix is a jump when reaching it from the previous kept fix and leaving it
+   * for the next one both need more than maxSpeedMps; a real move to a new
+   * place is kept because the fixes after it agree with it. The first and last
+   * fixes only have one neighbour, so they are jumps when the move to it is too
+   * fast while that neighbour agrees with the fix on its other side
+   * @param {Array<Object>} points - Track points, oldest first
+   * @param {Object} options - { maxAccuracy, maxSpeedMps }
+   * @returns {Object} - { points, inaccurate, outliers } with the counts dropped
+   */
+  clean(points, { maxAccuracy, maxSpeedMps }) {
+    const accurate = points.filter(
+      (point) =>
+        // Zero accuracy and 0,0 are what receivers report without a real fix
+        point.accuracy !== 0 &&
+        !(point.lat === 0 && point.lon === 0) &&
+        (point.accuracy == null || point.accuracy <= maxAccuracy)
+    );
+
+    const tooFast = (from, to) => this.speed(from, to) > maxSpeedMps;
+    const kept = [];
+    for (let i = 0; i < accurate.length; i++) {
+      const point = accurate[i];
+      const previous = kept[kept.length - 1];
+      const next = accurate[i + 1];
+
+      let jump;
+      if (previous && next) {
+        jump = tooFast(previous, point) && tooFast(point, next);
+      } else if (next) {
+        const afterNext = accurate[i + 2];
+        jump = !!afterNext && tooFast(point, next) && !tooFast(next, afterNext);
+      } else if (previous) {
+        const beforePrevious = kept[kept.length - 2];
+        jump =
+          !!beforePrevious &&
+          tooFast(previous, point) &&
+          !tooFast(beforePrevious, previous);
+      }
+
+      if (!jump) {
+        kept.push(point);
+      }
+    }
+
+    return {
+      points: kept,
+      inaccurate: points.length - accurate.length,
+      outliers: accurate.length - kept.length,
+    };
+  }
+
+  /**
+   * Distance from a point to the line between two others
+   * Uses a flat projection around the segment, which is accurate at track scale
+   * @param {Object} point - { lat, lon }
+   * @param {Object} start - { lat, lon }
+   * @param {Object} end - { lat, lon }
+   * @returns {number} - Metres
+   */
+  distanceToSegment(point, start, end) {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const scale = Math.cos(toRad((start.lat + end.lat) / 2));
+    const project = ({ lat, lon }) => ({
+      x: toRad(lon) * scale * EARTH_RADIUS_M,
+      y: toRad(lat) * EARTH_RADIUS_M,
+    });
+
+    const p = project(point);
+    const a = project(start);
+    const b = project(end);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    const t =
+      lengthSquared === 0
+        ? 0
+        : Math.max(
+            0,
+            Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared)
+          );
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+  }
+
+  /**
+   * Simplify a segment with the Douglas-Peucker algorithm
+   * @param {Array<Object>} points - Segment points, oldest first
+   * @param {number} toleranceM - Largest distance a dropped point may be from the simplified line
+   * @returns {Array<Object>} - Kept points, always including the first and last
+   */
+  simplify(points, toleranceM) {
+    if (!toleranceM || points.length <= 2) return points;
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = keep[points.length - 1] = true;
+
+    // Ranges still to check, as [first, last] indexes
+    const ranges = [[0, points.length - 1]];
+    while (ranges.length > 0) {
+      const [first, last] = ranges.pop();
+      let farthest = -1;
+      let farthestDistance = toleranceM;
+
+      for (let i = first + 1; i < last; i++) {
+        const distance = this.distanceToSegment(
+          points[i],
+          points[first],
+          points[last]
+        );
+        if (distance > farthestDistance) {
+          farthest = i;
+          farthestDistance = distance;
+        }
+      }
+
+      if (farthest !== -1) {
+        keep[farthest] = true;
+        ranges.push([first, farthest], [farthest, last]);
+      }
+    }
+
+    return points.filter((_, i) => keep[i]);
+  }
+
+  /**
+   * Distance, moving time, average speed and bounding box of a track
+   * Distances aren't counted across gaps between segments
+   * @param {Array<Array<Object>>} segments - Segments of points, oldest first
+   * @returns {Object} - { distanceM, movingTimeS, durationS, averageSpeedMps, boundingBox }
+   */
+  getStats(segments) {
+    const stats = {
+      distanceM: 0,
+      movingTimeS: 0,
+      durationS: 0,
+      averageSpeedMps: null,
+      boundingBox: null,
+    };
+
+    for (const segment of segments) {
+      for (let i = 0; i < segment.length; i++) {
+        const point = segment[i];
+        const box = stats.boundingBox;
+        stats.boundingBox = box
+          ? {
+              minLat: Math.min(box.minLat, point.lat),
+              minLon: Math.min(box.minLon, point.lon),
+              maxLat: Math.max(box.maxLat, point.lat),
+              maxLon: Math.max(box.maxLon, point.lon),
+            }
+          : {
+              minLat: point.lat,
+              minLon: point.lon,
+              maxLat: point.lat,
+              maxLon: point.lon,
+            };
+
+        if (i === 0) continue;
+
+        const distance = rollupService.distance(segment[i - 1], point);
+        const seconds = this.seconds(segment[i - 1], point);
+        stats.distanceM += distance;
+        stats.durationS += seconds;
+        if (
+          seconds > 0 &&
+          distance / seconds >= config.location.movingSpeedMps
+        ) {
+          stats.movingTimeS += seconds;
+        }
+      }
+    }
+
+    stats.distanceM = Math.round(stats.distanceM);
+    stats.movingTimeS = Math.round(stats.movingTimeS);
+    stats.durationS = Math.round(stats.durationS);
+    if (stats.movingTimeS > 0) {
+      stats.averageSpeedMps = +(stats.distanceM / stats.movingTimeS).toFixed(2);
+    }
+
+    return stats;
+  }
+
+  /**
+   * Clean and simplify a track and compute its statistics
+   * Statistics come from the cleaned fixes, before simplification shortens the line
+   * @param {Array<Object>} points - Track points in any order
+   * @param {Object} options - { clean, maxAccuracy, maxSpeedMps, toleranceM, gapMs }
+   * @returns {Object} - { segments, stats, processing }
+   */
+  process(points, { clean, maxAccuracy, maxSpeedMps, toleranceM, gapMs }) {
+    const sorted = [...points].sort(
+      (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+    );
+
+    const cleaned = clean
+      ? this.clean(sorted, { maxAccuracy, maxSpeedMps })
+      : { points: sorted, inaccurate: 0, outliers: 0 };
+
+    const segments = trackFormatService.splitSegments(cleaned.points, gapMs);
+    const simplified = segments.map((segment) =>
+      this.simplify(segment, toleranceM)
+    );
+    const simplifiedPoints = simplified.reduce(
+      (total, segment) => total + segment.length,
+      0
+    );
+
+    return {
+      segments: simplified,
+      stats: {
+        ...this.getStats(segments),
+        pointCount: simplifiedPoints,
+        segmentCount: simplified.length,
+      },
+      processing: {
+        clean,
+        maxAccuracy: clean ? maxAccuracy : null,
+        maxSpeedMps: clean ? maxSpeedMps : null,
+        tolerance: toleranceM,
+        rawPoints: points.length,
+        removed: {
+          inaccurate: cleaned.inaccurate,
+          outliers: cleaned.outliers,
+          simplified: cleaned.points.length - simplifiedPoints,
+        },
+      },
+    };
+  }
+}
+
+// Create singleton instance
+const trackProcessingService = new TrackProcessingService();
+
+module.exports = trackProcessingService;
@@ -1,4 +1,7 @@
-const { body, validationResult } = require("express-validator");
+const { body, header, query, validationResult } = require("express-validator");
+const Permissions = require("./permissions");
+const telemetryQueryService = require("./telemetryQuery");
+const config = require("../config");
 
 class Validators {
   /**
@@ -76,6 +79,126 @@ class Validators {
           "Device ID is required and must be less than 50 characters"
         ),
 
+      ...Validators.telemetryRecordRules(),
+
+      Validators.idempotencyKeyRule(),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Telemetry batch validation rules (records are validated one by one later)
+   */
+  static validateTelemetryBatch() {
+    return [Validators.idempotencyKeyRule(), Validators.handleValidationErrors];
+  }
+
+  /**
+   * Telemetry series query validation rules
+   */
+  static validateTelemetryQuery() {
+    return [
+      query("fields")
+        .isString()
+        .withMessage("Fields are required")
+        .bail()
+        .custom((value) => {
+          const { fields, unknown } = telemetryQueryService.parseFields(value);
+          if (unknown.length > 0) {
+            throw new Error(
+              `Unknown or non-numeric fields: ${unknown.join(", ")}`
+            );
+          }
+          if (fields.length === 0) {
+            throw new Error("Fields are required");
+          }
+          if (fields.length > config.telemetry.query.maxFields) {
+            throw new Error(
+              `Cannot query more than ${config.telemetry.query.maxFields} fields`
+            );
+          }
+          return true;
+        }),
+
+      query("interval")
+        .optional()
+        .custom((value) => telemetryQueryService.parseInterval(value) !== null)
+        .withMessage(
+          'Interval must be a number and a unit (s, m, h or d), e.g. "5m"'
+        ),
+
+      query("agg")
+        .optional()
+        .isString()
+        .bail()
+        .custom((value) =>
+          value
+            .split(",")
+            .every((aggregation) =>
+              telemetryQueryService
+                .getAggregations()
+                .includes(aggregation.trim())
+            )
+        )
+        .withMessage(
+          `Aggregations must be among: ${telemetryQueryService
+            .getAggregations()
+            .join(", ")}`
+        ),
+
+      query("from")
+        .optional()
+        .isISO8601()
+        .withMessage("From must be a valid ISO 8601 date"),
+
+      query("to")
+        .optional()
+        .isISO8601()
+        .withMessage("To must be a valid ISO 8601 date"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Telemetry and event export validation rules
+   */
+  static validateExport() {
+    return [
+      query("format")
+        .optional()
+        .isIn(["ndjson", "csv"])
+        .withMessage("Format must be ndjson or csv"),
+
+      query("from")
+        .optional()
+        .isISO8601()
+        .withMessage("From must be a valid ISO 8601 date"),
+
+      query("to")
+        .optional()
+        .isISO8601()
+        .withMessage("To must be a valid ISO 8601 date"),
+
+      query("type")
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage("Type must be an event type"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Rules for the reading itself, shared by single and batch ingestion
+   */
+  static telemetryRecordRules() {
+    return [
+      Validators.messageIdRule(),
+
       body("sensors").isObject().withMessage("Sensors data must be an object"),
 
       body("sensors.ultrasonicLeft")
@@ -85,6 +208,13 @@ class Validators {
           "Ultrasonic left sensor value must be between 0 and 1000 cm"
         ),
 
+      body("sensors.ultrasonicCenter")
+        .optional()
+        .isFloat({ min: 0, max: 1000 })
+        .withMessage(
+          "Ultrasonic center sensor value must be between 0 and 1000 cm"
+        ),
+
       body("sensors.ultrasonicRight")
         .optional()
         .isFloat({ min: 0, max: 1000 })
@@ -121,11 +251,52 @@ class Validators {
         .optional()
         .isISO8601()
         .withMessage("Timestamp must be a valid ISO 8601 date"),
-
-      Validators.handleValidationErrors,
     ];
   }
 
+  /**
+   * Optional device message ID used to suppress duplicate deliveries
+   */
+  static messageIdRule() {
+    return body("messageId")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: config.idempotency.maxKeyLength })
+      .withMessage(
+        `Message ID must be a string of at most ${config.idempotency.maxKeyLength} characters`
+      );
+  }
+
+  /**
+   * Optional Idempotency-Key header, the HTTP alternative to messageId
+   */
+  static idempotencyKeyRule() {
+    return header("idempotency-key")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: config.idempotency.maxKeyLength })
+      .withMessage(
+        `Idempotency-Key must be at most ${config.idempotency.maxKeyLength} characters`
+      );
+  }
+
+  /**
+   * Validate one record of a telemetry batch outside the request pipeline
+   * @param {Object} record - Telemetry record
+   * @returns {Promise<Array<Object>>} - Validation errors ({ path, msg }), empty when valid
+   */
+  static async checkTelemetryRecord(record) {
+    const context = { body: record };
+    for (const rule of Validators.telemetryRecordRules()) {
+      await rule.run(context);
+    }
+
+    return validationResult(context)
+      .array()
+      .map(({ path, msg }) => ({ path, msg }));
+  }
+
   /**
    * SOS alert validation rules
    */
@@ -163,6 +334,10 @@ class Validators {
         .isISO8601()
         .withMessage("Timestamp must be a valid ISO 8601 date"),
 
+      Validators.messageIdRule(),
+
+      Validators.idempotencyKeyRule(),
+
       Validators.handleValidationErrors,
     ];
   }
@@ -196,12 +371,173 @@ class Validators {
   }
 
   /**
-   * Device ID parameter validation
+   * Device claim validation (device ID plus its pairing code)
+   * Unknown and unprovisioned IDs are answered 404 by the controller
    */
   static validateDeviceId() {
     return [
       body("deviceId")
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage("Device ID must be between 1 and 50 characters"),
+
+      // Only needed to claim an unowned device; a missing one is refused there
+      body("pairingCode")
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ min: 4, max: 16 })
+        .withMessage("Pairing code must be between 4 and 16 characters"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Device member validation rules (sharing a device)
+   */
+  static validateDeviceMember() {
+    return [
+      body("email")
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage("Valid email is required"),
+
+      body("role")
+        .isIn(["caregiver", "viewer"])
+        .withMessage("Role must be one of: caregiver, viewer"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Device member role update validation rules
+   */
+  static validateDeviceMemberRole() {
+    return [
+      body("role")
+        .isIn(["owner", "caregiver", "viewer"])
+        .withMessage("Role must be one of: owner, caregiver, viewer"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Organization creation validation rules
+   */
+  static validateOrganization() {
+    return [
+      body("name")
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage("Name must be between 2 and 100 characters"),
+
+      body("slug")
+        .trim()
+        .toLowerCase()
+        .isLength({ min: 2, max: 50 })
+        .withMessage("Slug must be between 2 and 50 characters")
+        .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+        .withMessage(
+          "Slug may only contain lowercase letters, numbers and dashes"
+        ),
+
+      ...Validators.organizationDetailRules(),
+
+      body("adminEmail")
         .optional()
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage("Admin email must be valid"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Organization update validation rules
+   */
+  static validateOrganizationUpdate() {
+    return [
+      body("name")
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage("Name must be between 2 and 100 characters"),
+
+      ...Validators.organizationDetailRules(),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Optional organization contact fields shared by create and update
+   */
+  static organizationDetailRules() {
+    return [
+      body("contactEmail")
+        .optional()
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage("Contact email must be valid"),
+
+      body("contactPhone")
+        .optional()
+        .trim()
+        .isLength({ min: 3, max: 30 })
+        .withMessage("Contact phone must be between 3 and 30 characters"),
+
+      body("address")
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage("Address cannot exceed 200 characters"),
+    ];
+  }
+
+  /**
+   * Organization member validation rules
+   */
+  static validateOrganizationMember() {
+    return [
+      body("email")
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage("Valid email is required"),
+
+      body("role")
+        .optional()
+        .isIn(["admin", "member"])
+        .withMessage("Role must be one of: admin, member"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Organization member role update validation rules
+   */
+  static validateOrganizationMemberRole() {
+    return [
+      body("role")
+        .isIn(["admin", "member"])
+        .withMessage("Role must be one of: admin, member"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Organization device validation rules
+   */
+  static validateOrganizationDevice() {
+    return [
+      body("deviceId")
         .trim()
         .isLength({ min: 1, max: 50 })
         .withMessage("Device ID must be between 1 and 50 characters"),
@@ -210,6 +546,260 @@ class Validators {
     ];
   }
 
+  /**
+   * Temporary access grant validation rules
+   */
+  static validateAccessGrant() {
+    return [
+      body("email")
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage("Valid email is required"),
+
+      body("startsAt")
+        .optional()
+        .isISO8601()
+        .withMessage("Start time must be a valid ISO 8601 date"),
+
+      body("endsAt")
+        .isISO8601()
+        .withMessage("End time must be a valid ISO 8601 date"),
+
+      body("scopes")
+        .optional()
+        .custom(
+          (scopes) =>
+            typeof scopes === "string" ||
+            (Array.isArray(scopes) &&
+              scopes.every((scope) => typeof scope === "string"))
+        )
+        .withMessage("Scopes must be a preset name or a list of permissions"),
+
+      body("note")
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage("Note cannot exceed 200 characters"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * API key creation validation rules
+   */
+  static validateApiKey() {
+    return [
+      body("name")
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage("Key name must be between 1 and 100 characters"),
+
+      body("scopes")
+        .isArray({ min: 1 })
+        .withMessage("At least one scope is required"),
+
+      body("scopes.*").isString().withMessage("Scopes must be strings"),
+
+      body("deviceIds")
+        .optional()
+        .isArray()
+        .withMessage("Device IDs must be a list"),
+
+      body("deviceIds.*")
+        .isString()
+        .isLength({ min: 1, max: 50 })
+        .withMessage("Device IDs must be between 1 and 50 characters"),
+
+      body("expiresAt")
+        .optional()
+        .isISO8601()
+        .withMessage("Expiry must be a valid ISO 8601 date"),
+
+      body("userId").optional().isMongoId().withMessage("Invalid user ID"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Password reset request validation rules
+   */
+  static validatePasswordResetRequest() {
+    return [
+      body("email")
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage("Valid email is required"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Password reset confirmation validation rules
+   */
+  static validatePasswordReset() {
+    return [
+      body("email")
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage("Valid email is required"),
+
+      body("token")
+        .isString()
+        .notEmpty()
+        .withMessage("Reset token is required"),
+
+      body("newPassword")
+        .isLength({ min: 8 })
+        .withMessage("Password must be at least 8 characters long"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Two-factor code validation rules (setup, recovery codes, disable)
+   */
+  static validateTwoFactorCode() {
+    return [
+      body("code")
+        .trim()
+        .matches(/^\d{6}$/)
+        .withMessage("Verification code must be 6 digits"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Two-factor login step validation rules
+   */
+  static validateTwoFactorLogin() {
+    return [
+      body("challengeToken")
+        .isString()
+        .notEmpty()
+        .withMessage("Challenge token is required"),
+
+      body("code")
+        .if(body("recoveryCode").not().exists())
+        .trim()
+        .matches(/^\d{6}$/)
+        .withMessage("Verification code must be 6 digits"),
+
+      body("recoveryCode")
+        .optional()
+        .isString()
+        .isLength({ min: 10, max: 12 })
+        .withMessage("Invalid recovery code format"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Staff role assignment validation rules
+   */
+  static validateUserRoles() {
+    return [
+      body("roles").isArray().withMessage("Roles must be an array"),
+
+      body("roles.*")
+        .isIn(Permissions.getRoleNames())
+        .withMessage(
+          `Role must be one of: ${Permissions.getRoleNames().join(", ")}`
+        ),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Refresh token validation rules
+   */
+  static validateRefreshToken() {
+    return [
+      body("refreshToken")
+        .isString()
+        .notEmpty()
+        .withMessage("Refresh token is required"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Invitation accept/decline validation rules
+   */
+  static validateInvitationResponse() {
+    return [
+      body("token")
+        .isString()
+        .notEmpty()
+        .withMessage("Invitation token is required"),
+
+      body("name")
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage("Name must be between 2 and 50 characters"),
+
+      body("password")
+        .optional()
+        .isLength({ min: 8 })
+        .withMessage("Password must be at least 8 characters long"),
+
+      body("fcmToken")
+        .optional()
+        .isString()
+        .withMessage("FCM token must be a string"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
+  /**
+   * Device provisioning validation rules (bulk)
+   */
+  static validateDeviceProvisioning() {
+    return [
+      body("devices")
+        .isArray({ min: 1, max: 500 })
+        .withMessage("Devices must be an array of 1 to 500 entries"),
+
+      body("devices.*.serialNumber")
+        .trim()
+        .isLength({ min: 1, max: 64 })
+        .withMessage(
+          "Serial number is required and must be at most 64 characters"
+        ),
+
+      body("devices.*.deviceId")
+        .optional()
+        .trim()
+        .matches(/^[a-zA-Z0-9_-]{1,50}$/)
+        .withMessage("Device ID must be 1-50 letters, digits, _ or -"),
+
+      body("devices.*.hardwareModel")
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage("Hardware model must be between 1 and 50 characters"),
+
+      body("devices.*.firmwareVersion")
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 30 })
+        .withMessage("Firmware version must be between 1 and 30 characters"),
+
+      Validators.handleValidationErrors,
+    ];
+  }
+
   /**
    * Pagination validation rules
    */